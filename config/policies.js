@@ -0,0 +1,228 @@
+/**
+ * Central authorization policy.
+ *
+ * Each resource lists the roles allowed to perform each action by default;
+ * admin-defined permission sets can grant or deny `<resource>:<action>` on top
+ * of these for staff and doctors (see utils/permissionService). Resources with
+ * a `model` are tenant-scoped: outside of admins, a user may only touch records
+ * whose `hospitalField` matches their own hospital. The models enforce the
+ * same boundary on every query (see utils/tenantContext); the check here
+ * answers 403 early for a record ID in the URL.
+ */
+
+const ALL_STAFF = ['admin', 'staff', 'doctor'];
+const ANY_USER = ['admin', 'staff', 'doctor', 'patient'];
+
+const policies = {
+  patient: {
+    model: 'Patient',
+    hospitalField: 'hospital',
+    actions: {
+      list: ALL_STAFF,
+      read: ALL_STAFF,
+      create: ALL_STAFF,
+      update: ALL_STAFF,
+      delete: ['admin', 'staff'],
+      invite: ['admin', 'staff'],
+      merge: ['admin', 'staff']
+    }
+  },
+  // A patient's own records, scoped to their linked Patient by portalMiddleware
+  portal: {
+    actions: {
+      read: ['patient'],
+      create: ['patient'],
+      update: ['patient']
+    }
+  },
+  report: {
+    model: 'Report',
+    hospitalField: 'hospitalId',
+    actions: {
+      list: ALL_STAFF,
+      read: ALL_STAFF,
+      create: ['doctor', 'staff'],
+      update: ['doctor', 'staff'],
+      delete: ['doctor'],
+      analytics: ALL_STAFF
+    }
+  },
+  appointment: {
+    model: 'Appointment',
+    hospitalField: 'hospitalId',
+    actions: {
+      list: ALL_STAFF,
+      read: ALL_STAFF,
+      update: ALL_STAFF,
+      analytics: ALL_STAFF
+    }
+  },
+  vitals: {
+    model: 'Observation',
+    hospitalField: 'hospitalId',
+    actions: {
+      list: ALL_STAFF,
+      create: ['doctor', 'staff']
+    }
+  },
+  icd10: {
+    actions: {
+      read: ALL_STAFF
+    }
+  },
+  appointmentSeries: {
+    model: 'AppointmentSeries',
+    hospitalField: 'hospitalId',
+    actions: {
+      create: ALL_STAFF,
+      read: ALL_STAFF,
+      update: ALL_STAFF,
+      delete: ALL_STAFF
+    }
+  },
+  waitlist: {
+    model: 'WaitlistEntry',
+    hospitalField: 'hospitalId',
+    actions: {
+      list: ALL_STAFF,
+      delete: ALL_STAFF
+    }
+  },
+  queue: {
+    model: 'QueueToken',
+    hospitalField: 'hospitalId',
+    actions: {
+      create: ['admin', 'staff'],
+      read: ALL_STAFF,
+      update: ALL_STAFF
+    }
+  },
+  expense: {
+    model: 'Expense',
+    hospitalField: 'hospitalId',
+    actions: {
+      list: ['admin', 'staff'],
+      read: ['admin', 'staff'],
+      create: ['admin', 'staff'],
+      update: ['admin', 'staff'],
+      delete: ['admin', 'staff'],
+      analytics: ['admin', 'staff']
+    }
+  },
+  inventory: {
+    model: 'Inventory',
+    hospitalField: 'hospitalId',
+    actions: {
+      list: ['staff'],
+      update: ['staff'],
+      analytics: ['staff']
+    }
+  },
+  staffWorkspace: {
+    actions: {
+      read: ['staff'],
+      update: ['staff']
+    }
+  },
+  doctor: {
+    model: 'Doctor',
+    hospitalField: 'hospitalId',
+    actions: {
+      read: ALL_STAFF,
+      update: ALL_STAFF,
+      delete: ['admin']
+    }
+  },
+  doctorWorkspace: {
+    actions: {
+      read: ['doctor'],
+      update: ['doctor']
+    }
+  },
+  hospital: {
+    model: 'Hospital',
+    hospitalField: '_id',
+    actions: {
+      read: ALL_STAFF,
+      create: ['admin'],
+      update: ['admin'],
+      delete: ['admin'],
+      analytics: ['admin'],
+      manage: ['admin', 'staff']
+    }
+  },
+  calendarFeed: {
+    actions: {
+      read: ALL_STAFF,
+      update: ALL_STAFF
+    }
+  },
+  user: {
+    actions: {
+      list: ['admin'],
+      read: ['admin'],
+      update: ['admin'],
+      delete: ['admin'],
+      analytics: ['admin']
+    }
+  },
+  profile: {
+    actions: {
+      read: ANY_USER,
+      update: ANY_USER
+    }
+  },
+  // Patients message their care team through the portal instead
+  message: {
+    actions: {
+      list: ALL_STAFF,
+      read: ALL_STAFF,
+      create: ALL_STAFF,
+      update: ALL_STAFF
+    }
+  },
+  feedback: {
+    actions: {
+      create: ANY_USER,
+      read: ANY_USER,
+      list: ['admin'],
+      update: ['admin']
+    }
+  },
+  file: {
+    actions: {
+      create: ANY_USER
+    }
+  },
+  permissionSet: {
+    actions: {
+      list: ['admin'],
+      read: ['admin'],
+      create: ['admin'],
+      update: ['admin'],
+      delete: ['admin']
+    }
+  },
+  audit: {
+    actions: {
+      list: ['admin'],
+      read: ['admin'],
+      export: ['admin']
+    }
+  },
+  settings: {
+    actions: {
+      read: ['admin'],
+      update: ['admin']
+    }
+  },
+  job: {
+    actions: {
+      list: ['admin'],
+      read: ['admin'],
+      update: ['admin']
+    }
+  }
+};
+
+module.exports = policies;
@@ -4,9 +4,25 @@ const Doctor = require('../models/Doctor');
 const Patient = require('../models/Patient');
 const User = require('../models/User');
 const Activity = require('../models/Activity');
-const { sendAppointmentEmail } = require('../utils/emailService');
+const { sendAppointmentEmail, sendRescheduleEmail } = require('../utils/emailService');
 const mongoose = require('mongoose');
 const ActivityService = require('../utils/activityService');
+const {
+  getDoctorTemplate,
+  isWithinSchedule,
+  getSlotsForDate,
+  getBlackoutsForDate,
+  findBlockingBlackout,
+  getAppointmentDuration,
+  findNearestFreeSlots
+} = require('../utils/scheduleService');
+const { reserveSlot, releaseSlot } = require('../utils/slotReservationService');
+const { offerFreedSlot } = require('../utils/waitlistService');
+const { buildAppointmentInvite } = require('../utils/calendarService');
+const { checkAndReserveSlot } = require('../utils/bookingService');
+const { getToday, issueToken } = require('../utils/queueService');
+const { recordAudit } = require('../utils/auditService');
+const { findCode, mapFreeText } = require('../utils/icd10Service');
 
 // @desc    Book appointment
 // @route   POST /api/appointments
@@ -47,81 +63,93 @@ const bookAppointment = asyncHandler(async (req, res) => {
       throw new Error('Selected doctor is not available for appointments');
     }
 
+    if (String(doctor.hospitalId) !== String(hospitalId)) {
+      res.status(400);
+      throw new Error('Selected doctor does not work at this hospital');
+    }
+
+    const appointmentType = type || 'consultation';
+
+    // Reserve the slot before touching patient records
+    const appointmentId = new mongoose.Types.ObjectId();
+    const booking = await checkAndReserveSlot({ doctor, date, time, type: appointmentType, appointmentId });
+    if (booking.status === 409) {
+      return res.status(409).json({ message: booking.message, nearestSlots: booking.nearestSlots });
+    }
+    if (booking.status) {
+      res.status(booking.status);
+      throw new Error(booking.message);
+    }
+
     // Track if the patient's status was changed
     let patientStatusChanged = false;
 
-    // Find or create patient directly in Patient collection
-    let patient = await Patient.findOne({ 
-      email: patientDetails.email 
-    });
+    let patient;
+    let appointment;
 
-    if (!patient) {
-      // Create new patient with active status
-      patient = await Patient.create({
-        name: patientDetails.name,
+    try {
+      // Find or create the patient at this hospital; a record held by another
+      // hospital is never reused or touched
+      patient = await Patient.findOne({
         email: patientDetails.email,
-        dateOfBirth: patientDetails.dateOfBirth || null,
-        age: patientDetails.age || null,
-        gender: patientDetails.gender || 'not_specified',
-        phone: patientDetails.phone || '',
-        bloodGroup: patientDetails.bloodGroup || 'Not Specified',
-        allergies: Array.isArray(patientDetails.allergies) ? patientDetails.allergies : [],
-        medicalHistory: patientDetails.medicalHistory ? [{ condition: patientDetails.medicalHistory }] : [],
-        emergencyContact: {
-          name: '',
-          relationship: '',
-          phone: patientDetails.phone || ''
-        },
-        hospital: hospitalId,
-        status: 'active',
-        lastStatusChangeDate: new Date()
+        hospital: hospitalId
       });
+
+      if (!patient) {
+        // Create new patient with active status
+        patient = await Patient.create({
+          name: patientDetails.name,
+          email: patientDetails.email,
+          dateOfBirth: patientDetails.dateOfBirth || null,
+          age: patientDetails.age || null,
+          gender: patientDetails.gender || 'not_specified',
+          phone: patientDetails.phone || '',
+          bloodGroup: patientDetails.bloodGroup || 'Not Specified',
+          allergies: Array.isArray(patientDetails.allergies) ? patientDetails.allergies : [],
+          medicalHistory: patientDetails.medicalHistory ? [{ condition: patientDetails.medicalHistory }] : [],
+          emergencyContact: {
+            name: '',
+            relationship: '',
+            phone: patientDetails.phone || ''
+          },
+          hospital: hospitalId,
+          status: 'active',
+          lastStatusChangeDate: new Date()
+        });
       
-      console.log(`Created new patient with ID: ${patient._id} and active status`);
-    } else if (patient.status === 'inactive') {
-      // Update existing patient's status if inactive
-      console.log(`Changing patient ${patient._id} status from inactive to active due to new appointment booking`);
-      patient.status = 'active';
-      patient.lastStatusChangeDate = new Date();
-      patientStatusChanged = true;
+        console.log(`Created new patient with ID: ${patient._id} and active status`);
+      } else if (patient.status === 'inactive') {
+        // Update existing patient's status if inactive
+        console.log(`Changing patient ${patient._id} status from inactive to active due to new appointment booking`);
+        patient.status = 'active';
+        patient.lastStatusChangeDate = new Date();
+        patientStatusChanged = true;
       
-      // Update hospital if not set
-      if (!patient.hospital) {
-        patient.hospital = hospitalId;
-        console.log(`Updated hospital for patient ${patient._id}`);
+        await patient.save();
       }
-      
-      await patient.save();
-    }
 
-    // Check if slot is available
-    const existingAppointment = await Appointment.findOne({
-      doctorId,
-      date,
-      time,
-      status: { $ne: 'cancelled' }
-    });
-
-    if (existingAppointment) {
-      res.status(400);
-      throw new Error('This time slot is already booked');
-    }
-
-    // Create appointment with the patient's ID
-    const appointment = await Appointment.create({
-      doctorId,
-      patientId: patient._id,
-      hospitalId,
-      date,
-      time,
-      type: type || 'consultation',
-      notes: notes || '',
-      status: 'pending'
-    });
+      // Create appointment with the patient's ID
+      appointment = await Appointment.create({
+        _id: appointmentId,
+        doctorId,
+        patientId: patient._id,
+        hospitalId,
+        date,
+        time,
+        type: appointmentType,
+        notes: notes || '',
+        status: 'pending'
+      });
+    } catch (creationError) {
+      // Give the slot back if the appointment could not be created
+      await releaseSlot(appointmentId);
+      throw creationError;
+    }
 
     // Add appointment to patient's appointments array
     patient.appointments = patient.appointments || [];
     patient.appointments.push({
+      appointment: appointment._id,
       doctor: doctorId,
       date: new Date(date),
       status: 'scheduled'
@@ -148,7 +176,8 @@ const bookAppointment = asyncHandler(async (req, res) => {
 
     // Send email notification
     try {
-      await sendAppointmentEmail(patientDetails.email, appointment);
+      const ics = await buildAppointmentInvite(appointment);
+      await sendAppointmentEmail(patientDetails.email, appointment, { ics });
     } catch (error) {
       console.error('Error sending email:', error);
       // Don't fail the appointment creation if email fails
@@ -203,7 +232,9 @@ const bookAppointment = asyncHandler(async (req, res) => {
     res.status(201).json(appointment);
   } catch (error) {
     console.error('Error in appointment booking:', error);
-    res.status(error.status || 500);
+    // Keep an error status set before the throw (400, 404, ...); anything
+    // else, including a 201 set before a later failure, becomes a 500
+    res.status(res.statusCode >= 400 ? res.statusCode : (error.status || 500));
     throw new Error(error.message || 'Error booking appointment');
   }
 });
@@ -226,24 +257,8 @@ const getDoctorAvailability = asyncHandler(async (req, res) => {
     throw new Error('Doctor not found');
   }
 
-  // Get all booked appointments for the date
-  const bookedAppointments = await Appointment.find({
-    doctorId,
-    date,
-    status: { $ne: 'cancelled' }
-  }).select('time');
-
-  // Get booked time slots
-  const bookedSlots = bookedAppointments.map(apt => apt.time);
-
-  // Define available time slots (you can customize this based on doctor's schedule)
-  const allSlots = [
-    '09:00', '09:30', '10:00', '10:30', '11:00', '11:30',
-    '14:00', '14:30', '15:00', '15:30', '16:00', '16:30'
-  ];
-
-  // Filter out booked slots
-  const availableSlots = allSlots.filter(slot => !bookedSlots.includes(slot));
+  // Compute slots from the doctor's weekly schedule, minus booked appointments
+  const { availableSlots } = await getSlotsForDate(doctor, date, { type: req.query.type });
 
   res.json(availableSlots);
 });
@@ -252,36 +267,28 @@ const getDoctorAvailability = asyncHandler(async (req, res) => {
 // @route   GET /api/appointments/available-slots
 // @access  Private
 const getAvailableSlots = asyncHandler(async (req, res) => {
-  const { doctorId, date } = req.query;
+  const { doctorId, date, type } = req.query;
 
   if (!doctorId || !date) {
     res.status(400);
     throw new Error('Please provide doctor ID and date');
   }
 
-  try {
-    // Get all booked appointments for the date
-    const bookedAppointments = await Appointment.find({
-      doctorId,
-      date,
-      status: { $ne: 'cancelled' }
-    }).select('time');
-
-    // Get booked time slots
-    const bookedSlots = bookedAppointments.map(apt => apt.time);
-
-    // Define the full list of all possible time slots
-    const allTimeSlots = [
-      '09:00', '09:30', '10:00', '10:30', '11:00', '11:30',
-      '14:00', '14:30', '15:00', '15:30', '16:00', '16:30'
-    ];
+  const doctor = await Doctor.findById(doctorId);
+  if (!doctor) {
+    res.status(404);
+    throw new Error('Doctor not found');
+  }
 
-    // Filter out the booked slots to get available slots
-    const availableSlots = allTimeSlots.filter(slot => !bookedSlots.includes(slot));
+  try {
+    const { availableSlots, bookedSlots, blackouts, slotDuration, duration } = await getSlotsForDate(doctor, date, { type });
 
     res.json({
       availableSlots,
-      bookedSlots
+      bookedSlots,
+      blackouts,
+      slotDuration,
+      duration
     });
   } catch (error) {
     console.error('Error fetching available slots:', error);
@@ -316,8 +323,10 @@ const getAppointments = asyncHandler(async (req, res) => {
       ];
     }
     
-    // Use hospital from query params or from user if they're staff
-    if (hospitalId) {
+    // Non-admins are held to their own hospital; admins may filter by hospitalId
+    if (req.hospitalScope) {
+      query.hospitalId = req.hospitalScope;
+    } else if (hospitalId) {
       query.hospitalId = hospitalId;
     } else if (req.user.role === 'staff' && req.user.hospital) {
       // If user is staff, only return appointments for their hospital
@@ -338,7 +347,7 @@ const getAppointments = asyncHandler(async (req, res) => {
       .populate('patientId', 'name email phone status') // Add status to populated patient fields
       .populate('hospitalId', 'name address')
       .sort({ date: 1, time: 1 })
-      .select('patientId doctorId hospitalId date time type status symptoms notes diagnosis disease treatmentOutcome treatmentEndDate noShowReason')
+      .select('patientId doctorId hospitalId date time type status symptoms notes diagnosis disease diseaseCode treatmentOutcome treatmentEndDate noShowReason')
       .limit(Number(limit));
 
     if (!appointments || appointments.length === 0) {
@@ -384,7 +393,7 @@ const getAppointmentById = asyncHandler(async (req, res) => {
       })
       .populate('patientId', 'name email status')
       .populate('hospitalId', 'name address')
-      .select('patientId doctorId hospitalId date time type status symptoms notes diagnosis disease treatmentOutcome treatmentEndDate noShowReason');
+      .select('patientId doctorId hospitalId date time type status symptoms notes diagnosis disease diseaseCode treatmentOutcome treatmentEndDate noShowReason');
 
     if (!appointment) {
       res.status(404);
@@ -402,9 +411,19 @@ const getAppointmentById = asyncHandler(async (req, res) => {
     console.log(`Retrieved appointment ${appointment._id} with treatment data:`, {
       diagnosis: appointment.diagnosis,
       disease: appointment.disease,
+      diseaseCode: appointment.diseaseCode,
       treatmentOutcome: appointment.treatmentOutcome || 'none',
       patientStatus: appointment.patientId?.status || 'unknown'
     });
+
+    await recordAudit(req, {
+      resource: 'appointment',
+      action: 'read',
+      resourceId: appointment._id,
+      patientId: appointment.patientId?._id,
+      hospitalId: appointment.hospitalId?._id
+    });
+
     res.json(appointment);
   } catch (error) {
     console.error('Error in getAppointmentById:', error);
@@ -464,6 +483,15 @@ const updateAppointmentStatus = asyncHandler(async (req, res) => {
       throw new Error('Appointment not found');
     }
 
+    // Offer the freed slot to the next patient on the waitlist
+    if (status === 'cancelled' && appointment.status !== 'cancelled') {
+      try {
+        await offerFreedSlot(appointment);
+      } catch (waitlistError) {
+        console.error('Error offering freed slot to waitlist:', waitlistError);
+      }
+    }
+
     // Track if patient status changed for logging
     let patientStatusChanged = false;
 
@@ -639,7 +667,7 @@ const createAppointment = asyncHandler(async (req, res) => {
       } else if (req.body.patientDetails) {
         // If patientId is not provided but patientDetails is, try to find or create the patient
         const { patientDetails } = req.body;
-        let patient = await Patient.findOne({ email: patientDetails.email });
+        let patient = await Patient.findOne({ email: patientDetails.email, hospital: savedAppointment.hospitalId });
         
         if (!patient) {
           // Create a new patient
@@ -658,6 +686,7 @@ const createAppointment = asyncHandler(async (req, res) => {
               relationship: '',
               phone: patientDetails.phone || ''
             },
+            hospital: savedAppointment.hospitalId,
             status: 'active',
             lastStatusChangeDate: new Date()
           });
@@ -871,6 +900,12 @@ const cancelAppointment = async (req, res) => {
     appointment.status = 'cancelled';
     await appointment.save();
 
+    try {
+      await offerFreedSlot(appointment);
+    } catch (waitlistError) {
+      console.error('Error offering freed slot to waitlist:', waitlistError);
+    }
+
     // Log activity for appointment cancellation
     try {
       await ActivityService.logActivity({
@@ -897,6 +932,213 @@ const cancelAppointment = async (req, res) => {
   }
 };
 
+// @desc    Move an appointment to a new date and time
+// @route   PUT /api/appointments/:id/reschedule
+// @access  Private
+const rescheduleAppointment = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  const { date, time, reason } = req.body;
+
+  if (!mongoose.Types.ObjectId.isValid(id)) {
+    res.status(400);
+    throw new Error('Invalid appointment ID');
+  }
+
+  if (!date || !time) {
+    res.status(400);
+    throw new Error('Please provide the new date and time');
+  }
+
+  const appointment = await Appointment.findById(id);
+  if (!appointment) {
+    res.status(404);
+    throw new Error('Appointment not found');
+  }
+
+  // Staff can only move appointments at their own hospital
+  if (req.user.role === 'staff' &&
+      (!req.user.hospital || String(appointment.hospitalId) !== String(req.user.hospital))) {
+    res.status(404);
+    throw new Error('Appointment not found');
+  }
+
+  if (!['pending', 'confirmed'].includes(appointment.status)) {
+    res.status(400);
+    throw new Error(`Cannot reschedule an appointment that is ${appointment.status}`);
+  }
+
+  if (appointment.date === date && appointment.time === time) {
+    res.status(400);
+    throw new Error('The appointment is already at this date and time');
+  }
+
+  const doctor = await Doctor.findById(appointment.doctorId);
+  if (!doctor) {
+    res.status(404);
+    throw new Error('Doctor not found');
+  }
+
+  if (req.user.role === 'doctor' && String(doctor.userId) !== String(req.user._id)) {
+    res.status(403);
+    throw new Error('You are not authorized to reschedule this appointment');
+  }
+
+  // Check the new slot against the schedule, blackouts and other bookings
+  const template = await getDoctorTemplate(doctor);
+  if (!isWithinSchedule(template, date, time, appointment.type)) {
+    res.status(400);
+    throw new Error('Selected time is outside the doctor\'s schedule');
+  }
+
+  const duration = getAppointmentDuration(template, appointment.type);
+  const blackouts = await getBlackoutsForDate(doctor, date);
+  const blockingBlackout = findBlockingBlackout(blackouts, time, duration);
+  if (blockingBlackout) {
+    res.status(400);
+    throw new Error(`Doctor is unavailable at this time${blockingBlackout.reason ? `: ${blockingBlackout.reason}` : ''}`);
+  }
+
+  const respondSlotTaken = async () => {
+    const nearestSlots = await findNearestFreeSlots(doctor, date, time, {
+      type: appointment.type,
+      template,
+      excludeAppointmentId: appointment._id
+    });
+    return res.status(409).json({
+      message: 'This time slot is already booked',
+      nearestSlots
+    });
+  };
+
+  const { availableSlots } = await getSlotsForDate(doctor, date, {
+    type: appointment.type,
+    template,
+    excludeAppointmentId: appointment._id
+  });
+
+  if (!availableSlots.includes(time)) {
+    return respondSlotTaken();
+  }
+
+  // Move the reservation; the old cells are released only once the new ones are held
+  const reserved = await reserveSlot({
+    doctorId: doctor._id,
+    date,
+    time,
+    duration,
+    slotDuration: template.slotDuration,
+    appointmentId: appointment._id
+  });
+
+  if (!reserved) {
+    return respondSlotTaken();
+  }
+
+  const previous = {
+    date: appointment.date,
+    time: appointment.time,
+    reason: reason || ''
+  };
+
+  appointment.rescheduleHistory.push({
+    fromDate: previous.date,
+    fromTime: previous.time,
+    toDate: date,
+    toTime: time,
+    reason: previous.reason,
+    rescheduledBy: req.user._id,
+    rescheduledByName: req.user.name,
+    rescheduledAt: new Date()
+  });
+  appointment.date = date;
+  appointment.time = time;
+  appointment.reminderSent = false;
+  appointment.remindersSent = [];
+  await appointment.save();
+
+  // The old slot is free now
+  try {
+    await offerFreedSlot({ doctorId: appointment.doctorId, date: previous.date, time: previous.time });
+  } catch (waitlistError) {
+    console.error('Error offering freed slot to waitlist:', waitlistError);
+  }
+
+  // Keep the embedded entry in the patient's appointments in step
+  const patient = await Patient.findById(appointment.patientId);
+  if (patient) {
+    try {
+      const entry = (patient.appointments || []).find(apt =>
+        (apt.appointment && String(apt.appointment) === String(appointment._id)) ||
+        (!apt.appointment && apt.doctor && String(apt.doctor) === String(appointment.doctorId) &&
+          apt.date && apt.date.toISOString().slice(0, 10) === previous.date)
+      );
+
+      if (entry) {
+        entry.appointment = appointment._id;
+        entry.date = new Date(date);
+      } else {
+        patient.appointments.push({
+          appointment: appointment._id,
+          doctor: appointment.doctorId,
+          date: new Date(date),
+          status: 'scheduled'
+        });
+      }
+
+      await patient.save();
+    } catch (patientError) {
+      console.error('Error updating patient appointments:', patientError);
+      // Don't fail the reschedule if the patient record update fails
+    }
+
+    try {
+      const ics = await buildAppointmentInvite(appointment);
+      await sendRescheduleEmail(patient.email, appointment, previous, { ics });
+    } catch (error) {
+      console.error('Error sending reschedule email:', error);
+    }
+  }
+
+  try {
+    await ActivityService.logActivity({
+      user: req.user._id,
+      hospitalId: appointment.hospitalId,
+      actorId: req.user._id,
+      actorName: req.user.name || 'User',
+      actorRole: req.user.role || 'user',
+      patientId: appointment.patientId,
+      action: 'appointment_rescheduled',
+      subject: 'appointment',
+      subjectId: appointment._id,
+      description: `Appointment rescheduled by ${req.user.name || 'User'}`,
+      details: previous.reason,
+      metadata: {
+        fromDate: previous.date,
+        fromTime: previous.time,
+        toDate: date,
+        toTime: time
+      }
+    });
+  } catch (activityError) {
+    console.error('Error logging reschedule activity:', activityError);
+  }
+
+  await appointment.populate([
+    {
+      path: 'doctorId',
+      populate: {
+        path: 'userId',
+        select: 'name email'
+      },
+      select: 'userId specialization'
+    },
+    { path: 'patientId', select: 'name email' },
+    { path: 'hospitalId', select: 'name address' }
+  ]);
+
+  res.json(appointment);
+});
+
 // @desc    Get appointment count for a doctor
 // @route   GET /api/appointments/count
 // @access  Private
@@ -972,6 +1214,13 @@ const getPatientAppointments = asyncHandler(async (req, res) => {
     .sort({ date: -1, time: -1 })
     .select('date time type status symptoms notes');
 
+  await recordAudit(req, {
+    resource: 'appointment',
+    action: 'read',
+    patientId,
+    hospitalId: req.hospitalScope
+  });
+
   res.json(appointments);
 });
 
@@ -981,11 +1230,12 @@ const getPatientAppointments = asyncHandler(async (req, res) => {
 const updateTreatmentOutcome = asyncHandler(async (req, res) => {
   try {
     const { id } = req.params;
-    const { diagnosis, disease, treatmentOutcome, treatmentEndDate } = req.body;
+    const { diagnosis, disease, diseaseCode, treatmentOutcome, treatmentEndDate } = req.body;
 
     console.log(`Treatment update request received for appointment ${id}`, {
       diagnosis, 
       disease, 
+      diseaseCode,
       treatmentOutcome, 
       treatmentEndDate
     });
@@ -1031,9 +1281,27 @@ const updateTreatmentOutcome = asyncHandler(async (req, res) => {
       });
     }
 
+    // Code the disease. A code that's sent must be in the ICD-10 list; free
+    // text on its own is coded only when it maps to exactly one code
+    let coded = null;
+    if (diseaseCode) {
+      coded = findCode(diseaseCode);
+      if (!coded) {
+        return res.status(400).json({ message: `Unknown ICD-10 code: ${diseaseCode}` });
+      }
+    } else if (disease) {
+      coded = mapFreeText(disease);
+    }
+
     // Update appointment with treatment information
     appointment.diagnosis = diagnosis || appointment.diagnosis;
-    appointment.disease = disease || appointment.disease;
+    appointment.disease = disease || coded?.title || appointment.disease;
+    if (coded) {
+      appointment.diseaseCode = coded.code;
+    } else if (disease) {
+      // New text that can't be coded replaces the old disease, so its code goes too
+      appointment.diseaseCode = undefined;
+    }
     appointment.treatmentOutcome = treatmentOutcome;
     
     // Only update treatmentEndDate if provided
@@ -1120,6 +1388,7 @@ const updateTreatmentOutcome = asyncHandler(async (req, res) => {
               _id: appointment._id,
               diagnosis: appointment.diagnosis,
               disease: appointment.disease,
+              diseaseCode: appointment.diseaseCode,
               treatmentOutcome: appointment.treatmentOutcome,
               treatmentEndDate: appointment.treatmentEndDate,
               status: appointment.status
@@ -1136,6 +1405,7 @@ const updateTreatmentOutcome = asyncHandler(async (req, res) => {
             _id: appointment._id,
             diagnosis: appointment.diagnosis,
             disease: appointment.disease,
+            diseaseCode: appointment.diseaseCode,
             treatmentOutcome: appointment.treatmentOutcome,
             treatmentEndDate: appointment.treatmentEndDate,
             status: appointment.status
@@ -1205,6 +1475,7 @@ const updateTreatmentOutcome = asyncHandler(async (req, res) => {
               _id: appointment._id,
               diagnosis: appointment.diagnosis,
               disease: appointment.disease,
+              diseaseCode: appointment.diseaseCode,
               treatmentOutcome: appointment.treatmentOutcome,
               treatmentEndDate: appointment.treatmentEndDate,
               status: appointment.status
@@ -1221,6 +1492,7 @@ const updateTreatmentOutcome = asyncHandler(async (req, res) => {
             _id: appointment._id,
             diagnosis: appointment.diagnosis,
             disease: appointment.disease,
+            diseaseCode: appointment.diseaseCode,
             treatmentOutcome: appointment.treatmentOutcome,
             treatmentEndDate: appointment.treatmentEndDate,
             status: appointment.status
@@ -1241,7 +1513,8 @@ const updateTreatmentOutcome = asyncHandler(async (req, res) => {
         metadata: {
           appointmentId: appointment._id,
           patientId: appointment.patientId,
-          disease,
+          disease: appointment.disease,
+          diseaseCode: appointment.diseaseCode,
           treatmentOutcome
         }
       });
@@ -1256,6 +1529,7 @@ const updateTreatmentOutcome = asyncHandler(async (req, res) => {
         _id: appointment._id,
         diagnosis: appointment.diagnosis,
         disease: appointment.disease,
+        diseaseCode: appointment.diseaseCode,
         treatmentOutcome: appointment.treatmentOutcome,
         treatmentEndDate: appointment.treatmentEndDate,
         status: appointment.status
@@ -1290,12 +1564,63 @@ const updateFollowUpAppointment = asyncHandler(async (req, res) => {
       return res.status(400).json({ message: 'This is not a follow-up appointment' });
     }
 
+    // Check the new time against the doctor's schedule, leave and hospital
+    // holidays, then move the slot reservation to it
+    if (time) {
+      const doctor = await Doctor.findById(appointment.doctorId);
+      if (doctor) {
+        const template = await getDoctorTemplate(doctor);
+        if (!isWithinSchedule(template, appointment.date, time, appointment.type)) {
+          return res.status(400).json({ message: 'Selected time is outside the doctor\'s schedule' });
+        }
+
+        const duration = getAppointmentDuration(template, appointment.type);
+        const blackouts = await getBlackoutsForDate(doctor, appointment.date);
+        const blockingBlackout = findBlockingBlackout(blackouts, time, duration);
+
+        if (blockingBlackout) {
+          return res.status(400).json({
+            message: `Doctor is unavailable at this time${blockingBlackout.reason ? `: ${blockingBlackout.reason}` : ''}`,
+            blackout: blockingBlackout
+          });
+        }
+
+        // The old cells are released only once the new ones are held
+        const reserved = await reserveSlot({
+          doctorId: doctor._id,
+          date: appointment.date,
+          time,
+          duration,
+          slotDuration: template.slotDuration,
+          appointmentId: appointment._id
+        });
+
+        if (!reserved) {
+          const nearestSlots = await findNearestFreeSlots(doctor, appointment.date, time, {
+            type: appointment.type,
+            template,
+            excludeAppointmentId: appointment._id
+          });
+          return res.status(409).json({
+            message: 'This time slot is already booked',
+            nearestSlots
+          });
+        }
+      }
+    }
+
     // Update the appointment
     const updateData = {};
     
     if (time) {
       updateData.time = time;
       updateData.needsTimeSlot = false;
+
+      // Reminders sent for the old time no longer apply
+      if (time !== appointment.time) {
+        updateData.reminderSent = false;
+        updateData.remindersSent = [];
+      }
     }
     
     if (timeSlotConfirmed !== undefined) {
@@ -1304,6 +1629,7 @@ const updateFollowUpAppointment = asyncHandler(async (req, res) => {
     
     if (reminderSent !== undefined) {
       updateData.reminderSent = reminderSent;
+      if (!reminderSent) updateData.remindersSent = [];
     }
 
     const updatedAppointment = await Appointment.findByIdAndUpdate(
@@ -1684,8 +2010,13 @@ const checkInPatient = asyncHandler(async (req, res) => {
     throw new Error('Appointment not found');
   }
 
+  if (['cancelled', 'completed'].includes(appointment.status)) {
+    res.status(400);
+    throw new Error(`Cannot check in a ${appointment.status} appointment`);
+  }
+
   // Update appointment with check-in time
-  appointment.checkInTime = checkInTime || new Date().toISOString();
+  appointment.checkInTime = checkInTime || new Date();
   
   // Update status to confirmed since patient has checked in
   if (appointment.status === 'pending') {
@@ -1694,6 +2025,15 @@ const checkInPatient = asyncHandler(async (req, res) => {
 
   await appointment.save();
 
+  // Put the patient in the doctor's queue when they check in on the day
+  const doctor = appointment.date === getToday() ? await Doctor.findById(appointment.doctorId) : null;
+  const queueToken = doctor ? await issueToken({
+    doctor,
+    patientId: appointment.patientId,
+    appointmentId: appointment._id,
+    issuedBy: req.user?._id
+  }) : null;
+
   // Log activity for check-in
   try {
     const patient = await Patient.findById(appointment.patientId);
@@ -1712,7 +2052,8 @@ const checkInPatient = asyncHandler(async (req, res) => {
       metadata: {
         appointmentDate: appointment.date,
         appointmentTime: appointment.time,
-        checkInTime: appointment.checkInTime
+        checkInTime: appointment.checkInTime,
+        tokenNumber: queueToken?.tokenNumber
       }
     });
   } catch (activityError) {
@@ -1723,7 +2064,8 @@ const checkInPatient = asyncHandler(async (req, res) => {
   // Return the updated appointment
   res.json({
     success: true,
-    appointment
+    appointment,
+    queueToken
   });
 });
 
@@ -1738,6 +2080,7 @@ module.exports = {
   confirmAppointment,
   completeAppointment,
   cancelAppointment,
+  rescheduleAppointment,
   getAppointmentCount,
   getAvailableSlots,
   getDashboardStats,
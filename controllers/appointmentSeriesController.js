@@ -0,0 +1,550 @@
+const asyncHandler = require('express-async-handler');
+const mongoose = require('mongoose');
+const { addDays, format, parseISO } = require('date-fns');
+const Appointment = require('../models/Appointment');
+const AppointmentSeries = require('../models/AppointmentSeries');
+const Doctor = require('../models/Doctor');
+const Patient = require('../models/Patient');
+const ActivityService = require('../utils/activityService');
+const { parseRecurrence, expandRecurrence } = require('../utils/recurrence');
+const {
+  getDoctorTemplate,
+  isWithinSchedule,
+  getSlotsForDate,
+  getBlackoutsForDate,
+  findBlockingBlackout,
+  getAppointmentDuration
+} = require('../utils/scheduleService');
+const { reserveSlot, releaseSlot } = require('../utils/slotReservationService');
+const { offerFreedSlot } = require('../utils/waitlistService');
+
+const EDITABLE_STATUSES = ['pending', 'confirmed'];
+
+const dayBefore = (date) => format(addDays(parseISO(date), -1), 'yyyy-MM-dd');
+
+// Staff only see series at their own hospital; doctors only their own
+const assertCanManageSeries = (req, res, series, doctor) => {
+  if (req.user.role === 'staff' &&
+      (!req.user.hospital || String(series.hospitalId) !== String(req.user.hospital))) {
+    res.status(404);
+    throw new Error('Appointment series not found');
+  }
+
+  if (req.user.role === 'doctor' && doctor && String(doctor.userId) !== String(req.user._id)) {
+    res.status(403);
+    throw new Error('You are not authorized to manage this appointment series');
+  }
+};
+
+const loadSeries = async (req, res) => {
+  if (!mongoose.Types.ObjectId.isValid(req.params.seriesId)) {
+    res.status(400);
+    throw new Error('Invalid series ID');
+  }
+
+  const series = await AppointmentSeries.findById(req.params.seriesId);
+  if (!series) {
+    res.status(404);
+    throw new Error('Appointment series not found');
+  }
+
+  const doctor = await Doctor.findById(series.doctorId);
+  assertCanManageSeries(req, res, series, doctor);
+
+  return { series, doctor };
+};
+
+const loadOccurrence = async (res, series, occurrenceId) => {
+  if (!occurrenceId || !mongoose.Types.ObjectId.isValid(occurrenceId)) {
+    res.status(400);
+    throw new Error('A valid occurrenceId is required');
+  }
+
+  const occurrence = await Appointment.findOne({ _id: occurrenceId, seriesId: series._id });
+  if (!occurrence) {
+    res.status(404);
+    throw new Error('Occurrence not found in this series');
+  }
+
+  return occurrence;
+};
+
+/**
+ * Checks and reserves a slot for one occurrence
+ * @returns {Promise<string|null>} The clash reason, or null when the slot was reserved
+ */
+const claimSlot = async ({ doctor, template, date, time, type, appointmentId }) => {
+  if (!isWithinSchedule(template, date, time, type)) {
+    return 'outside_schedule';
+  }
+
+  const duration = getAppointmentDuration(template, type);
+  const blackouts = await getBlackoutsForDate(doctor, date);
+  if (findBlockingBlackout(blackouts, time, duration)) {
+    return 'doctor_unavailable';
+  }
+
+  const { availableSlots } = await getSlotsForDate(doctor, date, {
+    type,
+    template,
+    excludeAppointmentId: appointmentId
+  });
+  if (!availableSlots.includes(time)) {
+    return 'slot_taken';
+  }
+
+  const reserved = await reserveSlot({
+    doctorId: doctor._id,
+    date,
+    time,
+    duration,
+    slotDuration: template.slotDuration,
+    appointmentId
+  });
+
+  return reserved ? null : 'slot_taken';
+};
+
+// Keep the embedded entries in Patient.appointments in step with occurrences
+const syncPatientEntries = async (patientId, appointments) => {
+  try {
+    const patient = await Patient.findById(patientId);
+    if (!patient) return;
+
+    patient.appointments = patient.appointments || [];
+    appointments.forEach(appointment => {
+      const status = appointment.status === 'cancelled' ? 'cancelled' : 'scheduled';
+      const entry = patient.appointments.find(apt =>
+        apt.appointment && String(apt.appointment) === String(appointment._id)
+      );
+
+      if (entry) {
+        entry.date = new Date(appointment.date);
+        entry.status = status;
+      } else {
+        patient.appointments.push({
+          appointment: appointment._id,
+          doctor: appointment.doctorId,
+          date: new Date(appointment.date),
+          status
+        });
+      }
+    });
+
+    await patient.save();
+  } catch (error) {
+    console.error('Error updating patient appointments for series:', error);
+    // Don't fail the series operation if the patient record update fails
+  }
+};
+
+const logSeriesActivity = async (req, series, action, description, metadata = {}) => {
+  try {
+    await ActivityService.logActivity({
+      user: req.user._id,
+      hospitalId: series.hospitalId,
+      actorId: req.user._id,
+      actorName: req.user.name || 'User',
+      actorRole: req.user.role || 'user',
+      patientId: series.patientId,
+      action,
+      subject: 'appointment',
+      subjectId: series._id,
+      description,
+      metadata: {
+        seriesId: series._id,
+        ...metadata
+      }
+    });
+  } catch (activityError) {
+    console.error('Error logging appointment series activity:', activityError);
+  }
+};
+
+/**
+ * Applies time/type/notes changes to occurrences, reserving new slots where
+ * the time or type changed. Occurrences whose new slot clashes stay unchanged.
+ */
+const applyOccurrenceChanges = async ({ doctor, template, occurrences, changes }) => {
+  const updated = [];
+  const clashes = [];
+
+  for (const occurrence of occurrences) {
+    const time = changes.time || occurrence.time;
+    const type = changes.type || occurrence.type;
+
+    if (time !== occurrence.time || type !== occurrence.type) {
+      const reason = await claimSlot({
+        doctor,
+        template,
+        date: occurrence.date,
+        time,
+        type,
+        appointmentId: occurrence._id
+      });
+
+      if (reason) {
+        clashes.push({ appointmentId: occurrence._id, date: occurrence.date, time, reason });
+        continue;
+      }
+    }
+
+    occurrence.time = time;
+    occurrence.type = type;
+    if (changes.notes !== undefined) occurrence.notes = changes.notes;
+    await occurrence.save();
+    updated.push(occurrence);
+  }
+
+  return { updated, clashes };
+};
+
+const cancelOccurrenceList = async (occurrences) => {
+  for (const occurrence of occurrences) {
+    occurrence.status = 'cancelled';
+    // Saving triggers the Appointment hook that releases the slot reservation
+    await occurrence.save();
+
+    try {
+      await offerFreedSlot(occurrence);
+    } catch (waitlistError) {
+      console.error('Error offering freed slot to waitlist:', waitlistError);
+    }
+  }
+  return occurrences;
+};
+
+// @desc    Create a recurring appointment series
+// @route   POST /api/appointments/series
+// @access  Private (Staff, Doctor, Admin)
+const createAppointmentSeries = asyncHandler(async (req, res) => {
+  const { patientId, doctorId, startDate, time, type, notes, recurrence } = req.body;
+
+  if (!patientId || !doctorId || !startDate || !time || !recurrence) {
+    res.status(400);
+    throw new Error('Please provide patientId, doctorId, startDate, time and recurrence');
+  }
+
+  let rule;
+  let dates;
+  try {
+    rule = parseRecurrence(recurrence);
+    dates = expandRecurrence(rule, startDate);
+  } catch (error) {
+    res.status(400);
+    throw new Error(error.message);
+  }
+
+  const doctor = await Doctor.findById(doctorId).populate('userId', 'status');
+  if (!doctor) {
+    res.status(404);
+    throw new Error('Doctor not found');
+  }
+
+  if (!doctor.userId || doctor.userId.status !== 'active') {
+    res.status(400);
+    throw new Error('Selected doctor is not available for appointments');
+  }
+
+  const patient = await Patient.findById(patientId);
+  if (!patient) {
+    res.status(404);
+    throw new Error('Patient not found');
+  }
+
+  // Filed under the doctor's hospital, never one named in the request
+  const { hospitalId } = doctor;
+  const appointmentType = type || 'consultation';
+  const series = new AppointmentSeries({
+    patientId: patient._id,
+    doctorId: doctor._id,
+    hospitalId,
+    type: appointmentType,
+    time,
+    notes: notes || '',
+    startDate: dates[0] || startDate,
+    recurrence: rule,
+    createdBy: req.user._id
+  });
+  assertCanManageSeries(req, res, series, { userId: doctor.userId._id });
+
+  const template = await getDoctorTemplate(doctor);
+  const appointments = [];
+  const clashes = [];
+
+  try {
+    for (const date of dates) {
+      const appointmentId = new mongoose.Types.ObjectId();
+      const reason = await claimSlot({ doctor, template, date, time, type: appointmentType, appointmentId });
+
+      if (reason) {
+        clashes.push({ date, time, reason });
+        continue;
+      }
+
+      try {
+        const appointment = await Appointment.create({
+          _id: appointmentId,
+          doctorId: doctor._id,
+          patientId: patient._id,
+          hospitalId,
+          date,
+          time,
+          type: appointmentType,
+          notes: notes || '',
+          status: 'pending',
+          seriesId: series._id
+        });
+        appointments.push(appointment);
+      } catch (creationError) {
+        // Give the slot back if the occurrence could not be created
+        await releaseSlot(appointmentId);
+        throw creationError;
+      }
+    }
+
+    if (appointments.length === 0) {
+      return res.status(409).json({
+        message: 'None of the occurrences could be booked',
+        clashes
+      });
+    }
+
+    series.clashes = clashes;
+    await series.save();
+  } catch (error) {
+    // All or nothing: don't leave booked occurrences behind for a series
+    // that was never saved
+    for (const appointment of appointments) {
+      await releaseSlot(appointment._id);
+    }
+    await Appointment.deleteMany({ _id: { $in: appointments.map(appointment => appointment._id) } });
+    throw error;
+  }
+
+  await syncPatientEntries(patient._id, appointments);
+
+  await logSeriesActivity(req, series, 'appointment_series_created', 'Recurring appointment series created', {
+    occurrences: appointments.length,
+    clashes: clashes.length
+  });
+
+  res.status(201).json({
+    series,
+    appointments,
+    clashes
+  });
+});
+
+// @desc    Get a recurring appointment series and its occurrences
+// @route   GET /api/appointments/series/:seriesId
+// @access  Private (Staff, Doctor, Admin)
+const getAppointmentSeries = asyncHandler(async (req, res) => {
+  const { series } = await loadSeries(req, res);
+
+  const appointments = await Appointment.find({ seriesId: series._id })
+    .sort({ date: 1, time: 1 })
+    .select('date time type status notes rescheduleHistory');
+
+  res.json({
+    series,
+    appointments
+  });
+});
+
+// @desc    Edit one occurrence or this and all following occurrences
+// @route   PUT /api/appointments/series/:seriesId
+// @access  Private (Staff, Doctor, Admin)
+const updateAppointmentSeries = asyncHandler(async (req, res) => {
+  const { occurrenceId, scope = 'this', time, type, notes } = req.body;
+
+  if (!['this', 'following'].includes(scope)) {
+    res.status(400);
+    throw new Error("Scope must be 'this' or 'following'");
+  }
+
+  if (time === undefined && type === undefined && notes === undefined) {
+    res.status(400);
+    throw new Error('Nothing to update');
+  }
+
+  const { series, doctor } = await loadSeries(req, res);
+  if (series.status === 'cancelled') {
+    res.status(400);
+    throw new Error('Cannot edit a cancelled series');
+  }
+
+  const occurrence = await loadOccurrence(res, series, occurrenceId);
+  if (!EDITABLE_STATUSES.includes(occurrence.status)) {
+    res.status(400);
+    throw new Error(`Cannot edit an occurrence that is ${occurrence.status}`);
+  }
+
+  const template = await getDoctorTemplate(doctor);
+  const changes = { time, type, notes };
+
+  if (scope === 'this') {
+    const { updated, clashes } = await applyOccurrenceChanges({ doctor, template, occurrences: [occurrence], changes });
+
+    if (clashes.length > 0) {
+      return res.status(409).json({
+        message: 'The new slot is not available',
+        clashes
+      });
+    }
+
+    await logSeriesActivity(req, series, 'appointment_series_updated', 'Single occurrence of series updated', {
+      scope,
+      occurrenceId: occurrence._id
+    });
+
+    return res.json({ series, appointments: updated, clashes });
+  }
+
+  // "This and following": split the series at the occurrence unless it is the first one
+  const following = await Appointment.find({
+    seriesId: series._id,
+    date: { $gte: occurrence.date },
+    status: { $in: EDITABLE_STATUSES }
+  }).sort({ date: 1, time: 1 });
+
+  const earlierCount = await Appointment.countDocuments({
+    seriesId: series._id,
+    date: { $lt: occurrence.date }
+  });
+
+  let targetSeries = series;
+
+  if (earlierCount > 0) {
+    targetSeries = new AppointmentSeries({
+      patientId: series.patientId,
+      doctorId: series.doctorId,
+      hospitalId: series.hospitalId,
+      type: series.type,
+      time: series.time,
+      notes: series.notes,
+      startDate: occurrence.date,
+      recurrence: {
+        frequency: series.recurrence.frequency,
+        interval: series.recurrence.interval,
+        byDay: series.recurrence.byDay,
+        count: series.recurrence.count ? following.length : undefined,
+        until: series.recurrence.until
+      },
+      parentSeriesId: series._id,
+      createdBy: req.user._id
+    });
+
+    series.recurrence.until = dayBefore(occurrence.date);
+    series.recurrence.count = series.recurrence.count ? earlierCount : undefined;
+    await series.save();
+
+    await Appointment.updateMany(
+      { _id: { $in: following.map(apt => apt._id) } },
+      { $set: { seriesId: targetSeries._id } }
+    );
+    following.forEach(apt => { apt.seriesId = targetSeries._id; });
+  }
+
+  if (time !== undefined) targetSeries.time = time;
+  if (type !== undefined) targetSeries.type = type;
+  if (notes !== undefined) targetSeries.notes = notes;
+
+  const { updated, clashes } = await applyOccurrenceChanges({ doctor, template, occurrences: following, changes });
+  targetSeries.clashes = [...(targetSeries.clashes || []), ...clashes.map(({ date, time: clashTime, reason }) => ({ date, time: clashTime, reason }))];
+  await targetSeries.save();
+
+  await logSeriesActivity(req, targetSeries, 'appointment_series_updated', 'Occurrence and following occurrences of series updated', {
+    scope,
+    occurrenceId: occurrence._id,
+    splitFrom: targetSeries === series ? undefined : series._id,
+    updated: updated.length,
+    clashes: clashes.length
+  });
+
+  res.json({
+    series: targetSeries,
+    appointments: updated,
+    clashes
+  });
+});
+
+// @desc    Cancel one occurrence, this and following, or the whole series
+// @route   DELETE /api/appointments/series/:seriesId
+// @access  Private (Staff, Doctor, Admin)
+const cancelAppointmentSeries = asyncHandler(async (req, res) => {
+  const scope = req.body.scope || req.query.scope || 'all';
+  const occurrenceId = req.body.occurrenceId || req.query.occurrenceId;
+
+  if (!['this', 'following', 'all'].includes(scope)) {
+    res.status(400);
+    throw new Error("Scope must be 'this', 'following' or 'all'");
+  }
+
+  const { series } = await loadSeries(req, res);
+  if (series.status === 'cancelled') {
+    res.status(400);
+    throw new Error('Series is already cancelled');
+  }
+
+  let cancelled;
+
+  if (scope === 'all') {
+    // Completed and missed occurrences stay as history; only upcoming ones are cancelled
+    const today = format(new Date(), 'yyyy-MM-dd');
+    const upcoming = await Appointment.find({
+      seriesId: series._id,
+      date: { $gte: today },
+      status: { $in: EDITABLE_STATUSES }
+    });
+    cancelled = await cancelOccurrenceList(upcoming);
+    series.status = 'cancelled';
+  } else {
+    const occurrence = await loadOccurrence(res, series, occurrenceId);
+    if (!EDITABLE_STATUSES.includes(occurrence.status)) {
+      res.status(400);
+      throw new Error(`Cannot cancel an occurrence that is ${occurrence.status}`);
+    }
+
+    if (scope === 'this') {
+      cancelled = await cancelOccurrenceList([occurrence]);
+    } else {
+      const following = await Appointment.find({
+        seriesId: series._id,
+        date: { $gte: occurrence.date },
+        status: { $in: EDITABLE_STATUSES }
+      });
+      cancelled = await cancelOccurrenceList(following);
+
+      const remaining = await Appointment.countDocuments({
+        seriesId: series._id,
+        date: { $lt: occurrence.date },
+        status: { $ne: 'cancelled' }
+      });
+
+      series.recurrence.until = dayBefore(occurrence.date);
+      series.status = remaining > 0 ? 'ended' : 'cancelled';
+    }
+  }
+
+  await series.save();
+  await syncPatientEntries(series.patientId, cancelled);
+
+  await logSeriesActivity(req, series, 'appointment_series_cancelled', `Appointment series cancelled (${scope})`, {
+    scope,
+    occurrenceId,
+    cancelled: cancelled.length
+  });
+
+  res.json({
+    series,
+    cancelled: cancelled.map(apt => ({ _id: apt._id, date: apt.date, time: apt.time }))
+  });
+});
+
+module.exports = {
+  createAppointmentSeries,
+  getAppointmentSeries,
+  updateAppointmentSeries,
+  cancelAppointmentSeries
+};
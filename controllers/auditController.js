@@ -0,0 +1,232 @@
+const asyncHandler = require('express-async-handler');
+const mongoose = require('mongoose');
+const AuditLog = require('../models/AuditLog');
+const Patient = require('../models/Patient');
+const { recordAudit, verifyAuditChain } = require('../utils/auditService');
+
+const EXPORT_COLUMNS = [
+  'sequence',
+  'timestamp',
+  'actorId',
+  'actorName',
+  'actorEmail',
+  'actorRole',
+  'hospitalId',
+  'patientId',
+  'resource',
+  'resourceId',
+  'action',
+  'fields',
+  'ipAddress',
+  'userAgent',
+  'method',
+  'path',
+  'previousHash',
+  'hash'
+];
+
+/**
+ * Builds an audit log query from request filters, answering 400 for bad IDs
+ * @param {Object} res - Express response
+ * @param {Object} filters - Query string
+ * @returns {Object} Mongo query
+ */
+const buildAuditQuery = (res, { actorId, patientId, hospitalId, resource, resourceId, action, from, to }) => {
+  const query = {};
+  const ids = { actorId, patientId, hospitalId, resourceId };
+
+  Object.entries(ids).forEach(([field, value]) => {
+    if (value === undefined) return;
+    if (!mongoose.Types.ObjectId.isValid(value)) {
+      res.status(400);
+      throw new Error(`Invalid ${field}`);
+    }
+    query[field] = value;
+  });
+
+  if (resource) query.resource = resource;
+  if (action) query.action = action;
+
+  if (from || to) {
+    query.timestamp = {};
+    if (from) query.timestamp.$gte = new Date(from);
+    if (to) query.timestamp.$lte = new Date(to);
+  }
+
+  return query;
+};
+
+const toCsvValue = (value) => {
+  if (value === undefined || value === null) return '';
+  const text = value instanceof Date ? value.toISOString() : Array.isArray(value) ? value.join(';') : String(value);
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Summarises who accessed a patient's records: one row per person, newest first
+ * @param {string} patientId - Patient ID
+ * @returns {Promise<Array>} [{ actorId, actorName, actorRole, accessCount, actions, resources, lastAccessAt }]
+ */
+const summariseAccessByActor = (patientId) => AuditLog.aggregate([
+  { $match: { patientId: new mongoose.Types.ObjectId(patientId) } },
+  { $sort: { timestamp: -1 } },
+  {
+    $group: {
+      _id: { actorId: '$actorId', actorRole: '$actorRole' },
+      actorName: { $first: '$actorName' },
+      accessCount: { $sum: 1 },
+      actions: { $addToSet: '$action' },
+      resources: { $addToSet: '$resource' },
+      firstAccessAt: { $last: '$timestamp' },
+      lastAccessAt: { $first: '$timestamp' }
+    }
+  },
+  { $sort: { lastAccessAt: -1 } },
+  {
+    $project: {
+      _id: 0,
+      actorId: '$_id.actorId',
+      actorRole: '$_id.actorRole',
+      actorName: 1,
+      accessCount: 1,
+      actions: 1,
+      resources: 1,
+      firstAccessAt: 1,
+      lastAccessAt: 1
+    }
+  }
+]);
+
+/**
+ * Builds the paginated access report for one patient
+ * @param {Object} req - Express request; page and limit come from its query
+ * @param {string} patientId - Patient ID
+ * @returns {Promise<Object>} { byActor, entries, page, pages, total }
+ */
+const buildAccessReport = async (req, patientId) => {
+  const page = Math.max(parseInt(req.query.page) || 1, 1);
+  const limit = Math.min(parseInt(req.query.limit) || 50, 200);
+  const query = { patientId };
+
+  const [byActor, entries, total] = await Promise.all([
+    summariseAccessByActor(patientId),
+    AuditLog.find(query)
+      .sort({ timestamp: -1 })
+      .skip((page - 1) * limit)
+      .limit(limit)
+      .select('timestamp actorName actorRole resource resourceId action fields'),
+    AuditLog.countDocuments(query)
+  ]);
+
+  return {
+    byActor,
+    entries,
+    page,
+    pages: Math.ceil(total / limit),
+    total
+  };
+};
+
+// @desc    Search the audit log
+// @route   GET /api/admin/audit
+// @access  Private/Admin
+const getAuditLog = asyncHandler(async (req, res) => {
+  const query = buildAuditQuery(res, req.query);
+  const page = Math.max(parseInt(req.query.page) || 1, 1);
+  const limit = Math.min(parseInt(req.query.limit) || 50, 200);
+
+  const [entries, total] = await Promise.all([
+    AuditLog.find(query)
+      .sort({ sequence: -1 })
+      .skip((page - 1) * limit)
+      .limit(limit),
+    AuditLog.countDocuments(query)
+  ]);
+
+  res.json({
+    entries,
+    page,
+    pages: Math.ceil(total / limit),
+    total
+  });
+});
+
+// @desc    Download matching audit entries as CSV or JSON
+// @route   GET /api/admin/audit/export?format=csv|json
+// @access  Private/Admin
+const exportAuditLog = asyncHandler(async (req, res) => {
+  const format = req.query.format || 'csv';
+  if (!['csv', 'json'].includes(format)) {
+    res.status(400);
+    throw new Error('format must be csv or json');
+  }
+
+  const query = buildAuditQuery(res, req.query);
+
+  // Exports are themselves recorded before any data leaves
+  await recordAudit(req, { resource: 'audit', action: 'export', patientId: query.patientId });
+
+  const filename = `audit-log-${new Date().toISOString().slice(0, 10)}.${format}`;
+  res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+  res.setHeader('Content-Type', format === 'csv' ? 'text/csv' : 'application/json');
+
+  // Streamed in sequence order so the chain can be re-verified from the file
+  const cursor = AuditLog.find(query).sort({ sequence: 1 }).lean().cursor();
+  let first = true;
+
+  res.write(format === 'csv' ? `${EXPORT_COLUMNS.join(',')}\n` : '[');
+  for await (const entry of cursor) {
+    if (format === 'csv') {
+      res.write(`${EXPORT_COLUMNS.map(column => toCsvValue(entry[column])).join(',')}\n`);
+    } else {
+      res.write(`${first ? '' : ','}\n${JSON.stringify(entry)}`);
+    }
+    first = false;
+  }
+  res.end(format === 'csv' ? '' : '\n]\n');
+});
+
+// @desc    Check the audit log's hash chain for tampering
+// @route   GET /api/admin/audit/verify
+// @access  Private/Admin
+const verifyAuditLog = asyncHandler(async (req, res) => {
+  res.json(await verifyAuditChain());
+});
+
+// @desc    Who accessed a patient's records
+// @route   GET /api/admin/audit/patients/:patientId
+// @access  Private/Admin
+const getPatientAccessReport = asyncHandler(async (req, res) => {
+  const { patientId } = req.params;
+
+  if (!mongoose.Types.ObjectId.isValid(patientId)) {
+    res.status(400);
+    throw new Error('Invalid patient ID');
+  }
+
+  const patient = await Patient.findById(patientId).select('name email hospital');
+  if (!patient) {
+    res.status(404);
+    throw new Error('Patient not found');
+  }
+
+  res.json({
+    patient,
+    ...(await buildAccessReport(req, patient._id))
+  });
+});
+
+// @desc    Who accessed the signed-in patient's records
+// @route   GET /api/portal/access-report
+// @access  Private (patient)
+const getMyAccessReport = asyncHandler(async (req, res) => {
+  res.json(await buildAccessReport(req, req.patient._id));
+});
+
+module.exports = {
+  getAuditLog,
+  exportAuditLog,
+  verifyAuditLog,
+  getPatientAccessReport,
+  getMyAccessReport
+};
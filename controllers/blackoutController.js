@@ -0,0 +1,245 @@
+const asyncHandler = require('express-async-handler');
+const mongoose = require('mongoose');
+const Blackout = require('../models/Blackout');
+const Doctor = require('../models/Doctor');
+const Hospital = require('../models/Hospital');
+const { findAffectedAppointments, getDoctorTemplate } = require('../utils/scheduleService');
+
+// Fields a client may set on a blackout
+const pickBlackoutFields = (body) => {
+  const fields = {};
+  ['category', 'startDate', 'endDate', 'startTime', 'endTime', 'reason'].forEach(key => {
+    if (body[key] !== undefined) fields[key] = body[key];
+  });
+  return fields;
+};
+
+// Doctors manage their own leave, staff their hospital's doctors, admins everyone
+const canManageDoctor = (user, doctor) => {
+  if (user.role === 'admin') return true;
+  if (user.role === 'doctor') return String(doctor.userId) === String(user._id);
+  if (user.role === 'staff') return user.hospital && String(doctor.hospitalId) === String(user.hospital);
+  return false;
+};
+
+const canManageHospital = (user, hospitalId) => {
+  if (user.role === 'admin') return true;
+  return user.role === 'staff' && user.hospital && String(user.hospital) === String(hospitalId);
+};
+
+const loadDoctorForUser = async (req, res) => {
+  if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+    res.status(400);
+    throw new Error('Invalid doctor ID');
+  }
+
+  const doctor = await Doctor.findById(req.params.id);
+  if (!doctor) {
+    res.status(404);
+    throw new Error('Doctor not found');
+  }
+
+  if (!canManageDoctor(req.user, doctor)) {
+    res.status(403);
+    throw new Error('Not authorized to manage leave for this doctor');
+  }
+
+  return doctor;
+};
+
+const loadHospitalForUser = async (req, res, { write = false } = {}) => {
+  if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+    res.status(400);
+    throw new Error('Invalid hospital ID');
+  }
+
+  const hospital = await Hospital.findById(req.params.id);
+  if (!hospital) {
+    res.status(404);
+    throw new Error('Hospital not found');
+  }
+
+  if (write && !canManageHospital(req.user, hospital._id)) {
+    res.status(403);
+    throw new Error('Not authorized to manage holidays for this hospital');
+  }
+
+  return hospital;
+};
+
+const saveBlackout = async (res, blackout) => {
+  try {
+    return await blackout.save();
+  } catch (error) {
+    res.status(400);
+    throw new Error(error.message);
+  }
+};
+
+const buildRangeQuery = ({ from, to }) => {
+  const query = {};
+  if (from) query.endDate = { $gte: from };
+  if (to) query.startDate = { $lte: to };
+  return query;
+};
+
+// @desc    List a doctor's leave and blackouts
+// @route   GET /api/doctors/:id/leaves
+// @access  Private (Doctor self, Staff of the hospital, Admin)
+const getDoctorLeaves = asyncHandler(async (req, res) => {
+  const doctor = await loadDoctorForUser(req, res);
+
+  const leaves = await Blackout.find({
+    scope: 'doctor',
+    doctorId: doctor._id,
+    ...buildRangeQuery(req.query)
+  }).sort({ startDate: 1 });
+
+  res.json(leaves);
+});
+
+// @desc    Add leave or a blackout for a doctor
+// @route   POST /api/doctors/:id/leaves
+// @access  Private (Doctor self, Staff of the hospital, Admin)
+const createDoctorLeave = asyncHandler(async (req, res) => {
+  const doctor = await loadDoctorForUser(req, res);
+
+  const leave = await saveBlackout(res, new Blackout({
+    ...pickBlackoutFields(req.body),
+    scope: 'doctor',
+    doctorId: doctor._id,
+    hospitalId: doctor.hospitalId,
+    createdBy: req.user._id
+  }));
+
+  const affectedAppointments = await findAffectedAppointments(leave, { template: await getDoctorTemplate(doctor) });
+
+  res.status(201).json({
+    leave,
+    affectedAppointments
+  });
+});
+
+// @desc    Update a doctor's leave
+// @route   PUT /api/doctors/:id/leaves/:leaveId
+// @access  Private (Doctor self, Staff of the hospital, Admin)
+const updateDoctorLeave = asyncHandler(async (req, res) => {
+  const doctor = await loadDoctorForUser(req, res);
+
+  const leave = await Blackout.findOne({ _id: req.params.leaveId, scope: 'doctor', doctorId: doctor._id });
+  if (!leave) {
+    res.status(404);
+    throw new Error('Leave not found');
+  }
+
+  Object.assign(leave, pickBlackoutFields(req.body));
+  await saveBlackout(res, leave);
+
+  const affectedAppointments = await findAffectedAppointments(leave, { template: await getDoctorTemplate(doctor) });
+
+  res.json({
+    leave,
+    affectedAppointments
+  });
+});
+
+// @desc    Delete a doctor's leave
+// @route   DELETE /api/doctors/:id/leaves/:leaveId
+// @access  Private (Doctor self, Staff of the hospital, Admin)
+const deleteDoctorLeave = asyncHandler(async (req, res) => {
+  const doctor = await loadDoctorForUser(req, res);
+
+  const leave = await Blackout.findOneAndDelete({ _id: req.params.leaveId, scope: 'doctor', doctorId: doctor._id });
+  if (!leave) {
+    res.status(404);
+    throw new Error('Leave not found');
+  }
+
+  res.json({ message: 'Leave removed', _id: leave._id });
+});
+
+// @desc    List hospital-wide holidays
+// @route   GET /api/hospitals/:id/holidays
+// @access  Private
+const getHospitalHolidays = asyncHandler(async (req, res) => {
+  const hospital = await loadHospitalForUser(req, res);
+
+  const holidays = await Blackout.find({
+    scope: 'hospital',
+    hospitalId: hospital._id,
+    ...buildRangeQuery(req.query)
+  }).sort({ startDate: 1 });
+
+  res.json(holidays);
+});
+
+// @desc    Add a hospital-wide holiday or closure
+// @route   POST /api/hospitals/:id/holidays
+// @access  Private (Staff of the hospital, Admin)
+const createHospitalHoliday = asyncHandler(async (req, res) => {
+  const hospital = await loadHospitalForUser(req, res, { write: true });
+
+  const holiday = await saveBlackout(res, new Blackout({
+    category: 'holiday',
+    ...pickBlackoutFields(req.body),
+    scope: 'hospital',
+    hospitalId: hospital._id,
+    createdBy: req.user._id
+  }));
+
+  const affectedAppointments = await findAffectedAppointments(holiday);
+
+  res.status(201).json({
+    holiday,
+    affectedAppointments
+  });
+});
+
+// @desc    Update a hospital-wide holiday
+// @route   PUT /api/hospitals/:id/holidays/:holidayId
+// @access  Private (Staff of the hospital, Admin)
+const updateHospitalHoliday = asyncHandler(async (req, res) => {
+  const hospital = await loadHospitalForUser(req, res, { write: true });
+
+  const holiday = await Blackout.findOne({ _id: req.params.holidayId, scope: 'hospital', hospitalId: hospital._id });
+  if (!holiday) {
+    res.status(404);
+    throw new Error('Holiday not found');
+  }
+
+  Object.assign(holiday, pickBlackoutFields(req.body));
+  await saveBlackout(res, holiday);
+
+  const affectedAppointments = await findAffectedAppointments(holiday);
+
+  res.json({
+    holiday,
+    affectedAppointments
+  });
+});
+
+// @desc    Delete a hospital-wide holiday
+// @route   DELETE /api/hospitals/:id/holidays/:holidayId
+// @access  Private (Staff of the hospital, Admin)
+const deleteHospitalHoliday = asyncHandler(async (req, res) => {
+  const hospital = await loadHospitalForUser(req, res, { write: true });
+
+  const holiday = await Blackout.findOneAndDelete({ _id: req.params.holidayId, scope: 'hospital', hospitalId: hospital._id });
+  if (!holiday) {
+    res.status(404);
+    throw new Error('Holiday not found');
+  }
+
+  res.json({ message: 'Holiday removed', _id: holiday._id });
+});
+
+module.exports = {
+  getDoctorLeaves,
+  createDoctorLeave,
+  updateDoctorLeave,
+  deleteDoctorLeave,
+  getHospitalHolidays,
+  createHospitalHoliday,
+  updateHospitalHoliday,
+  deleteHospitalHoliday
+};
@@ -0,0 +1,181 @@
+const asyncHandler = require('express-async-handler');
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const { format, subDays } = require('date-fns');
+const Appointment = require('../models/Appointment');
+const CalendarFeed = require('../models/CalendarFeed');
+const Doctor = require('../models/Doctor');
+const Patient = require('../models/Patient');
+const { buildDoctorAppointmentsQuery } = require('../utils/appointmentQueries');
+const { EVENT_POPULATE, buildFeed } = require('../utils/calendarService');
+
+// How far back feeds reach; future appointments are always included
+const FEED_HISTORY_DAYS = 90;
+
+const generateFeedToken = () => crypto.randomBytes(24).toString('hex');
+
+const buildFeedUrl = (req, feed) => `${req.protocol}://${req.get('host')}/api/calendar/feeds/${feed.token}.ics`;
+
+const formatFeed = (req, feed) => ({
+  ownerType: feed.ownerType,
+  ownerId: feed.ownerId,
+  url: buildFeedUrl(req, feed),
+  createdAt: feed.createdAt,
+  lastAccessedAt: feed.lastAccessedAt
+});
+
+const findOrCreateFeed = async (ownerType, ownerId, userId) => {
+  const existing = await CalendarFeed.findOne({ ownerType, ownerId });
+  if (existing) return existing;
+
+  return CalendarFeed.create({
+    ownerType,
+    ownerId,
+    ownerModel: ownerType === 'doctor' ? 'Doctor' : 'Patient',
+    token: generateFeedToken(),
+    createdBy: userId
+  });
+};
+
+const rotateFeed = async (ownerType, ownerId, userId) => {
+  const feed = await findOrCreateFeed(ownerType, ownerId, userId);
+  feed.token = generateFeedToken();
+  feed.createdBy = userId;
+  feed.lastAccessedAt = undefined;
+  await feed.save();
+  return feed;
+};
+
+const loadDoctorForUser = async (req, res) => {
+  const doctor = await Doctor.findOne({ userId: req.user._id });
+  if (!doctor) {
+    res.status(404);
+    throw new Error('Doctor not found');
+  }
+  return doctor;
+};
+
+// Staff can share feeds for their hospital's patients, doctors for patients they see
+const loadPatientForUser = async (req, res) => {
+  if (!mongoose.Types.ObjectId.isValid(req.params.patientId)) {
+    res.status(400);
+    throw new Error('Invalid patient ID');
+  }
+
+  const patient = await Patient.findById(req.params.patientId);
+  if (!patient) {
+    res.status(404);
+    throw new Error('Patient not found');
+  }
+
+  if (req.user.role === 'staff' && String(patient.hospital) !== String(req.user.hospital)) {
+    res.status(403);
+    throw new Error('Not authorized to access this patient');
+  }
+
+  if (req.user.role === 'doctor') {
+    const doctor = await Doctor.findOne({ userId: req.user._id });
+    const hasAppointment = doctor && await Appointment.exists({ doctorId: doctor._id, patientId: patient._id });
+    if (!hasAppointment) {
+      res.status(403);
+      throw new Error('Not authorized to access this patient');
+    }
+  }
+
+  return patient;
+};
+
+// @desc    Get the doctor's calendar feed URL
+// @route   GET /api/calendar/doctor
+// @access  Private/Doctor
+const getDoctorFeed = asyncHandler(async (req, res) => {
+  const doctor = await loadDoctorForUser(req, res);
+  const feed = await findOrCreateFeed('doctor', doctor._id, req.user._id);
+
+  res.json(formatFeed(req, feed));
+});
+
+// @desc    Replace the doctor's feed token, cutting off the old URL
+// @route   POST /api/calendar/doctor/rotate
+// @access  Private/Doctor
+const rotateDoctorFeed = asyncHandler(async (req, res) => {
+  const doctor = await loadDoctorForUser(req, res);
+  const feed = await rotateFeed('doctor', doctor._id, req.user._id);
+
+  res.json(formatFeed(req, feed));
+});
+
+// @desc    Get a patient's calendar feed URL
+// @route   GET /api/calendar/patients/:patientId
+// @access  Private (Staff, Doctor, Admin)
+const getPatientFeed = asyncHandler(async (req, res) => {
+  const patient = await loadPatientForUser(req, res);
+  const feed = await findOrCreateFeed('patient', patient._id, req.user._id);
+
+  res.json(formatFeed(req, feed));
+});
+
+// @desc    Replace a patient's feed token, cutting off the old URL
+// @route   POST /api/calendar/patients/:patientId/rotate
+// @access  Private (Staff, Doctor, Admin)
+const rotatePatientFeed = asyncHandler(async (req, res) => {
+  const patient = await loadPatientForUser(req, res);
+  const feed = await rotateFeed('patient', patient._id, req.user._id);
+
+  res.json(formatFeed(req, feed));
+});
+
+// @desc    Serve a calendar feed
+// @route   GET /api/calendar/feeds/:token.ics
+// @access  Public (feed token)
+const getCalendarFeed = asyncHandler(async (req, res) => {
+  const feed = await CalendarFeed.findOne({ token: req.params.token });
+  if (!feed) {
+    res.status(404);
+    throw new Error('Calendar feed not found');
+  }
+
+  const startDate = format(subDays(new Date(), FEED_HISTORY_DAYS), 'yyyy-MM-dd');
+  let query;
+  let name;
+
+  if (feed.ownerType === 'doctor') {
+    const doctor = await Doctor.findById(feed.ownerId).populate('userId', 'name');
+    if (!doctor) {
+      res.status(404);
+      throw new Error('Calendar feed not found');
+    }
+    query = buildDoctorAppointmentsQuery(doctor._id, { startDate });
+    name = `Dr. ${doctor.userId?.name || 'Doctor'} - Appointments`;
+  } else {
+    const patient = await Patient.findById(feed.ownerId).select('name');
+    if (!patient) {
+      res.status(404);
+      throw new Error('Calendar feed not found');
+    }
+    query = { patientId: patient._id, date: { $gte: startDate } };
+    name = 'My Appointments';
+  }
+
+  const appointments = await Appointment.find(query)
+    .populate(EVENT_POPULATE)
+    .sort({ date: 1, time: 1 });
+
+  const calendar = await buildFeed(appointments, { name, audience: feed.ownerType });
+
+  feed.lastAccessedAt = new Date();
+  await feed.save();
+
+  res.set('Content-Type', 'text/calendar; charset=utf-8');
+  res.set('Content-Disposition', `inline; filename="${feed.ownerType}-appointments.ics"`);
+  res.set('Cache-Control', 'private, max-age=300');
+  res.send(calendar);
+});
+
+module.exports = {
+  getDoctorFeed,
+  rotateDoctorFeed,
+  getPatientFeed,
+  rotatePatientFeed,
+  getCalendarFeed
+};
@@ -7,6 +7,10 @@ const Report = require('../models/Report');
 const asyncHandler = require('express-async-handler');
 const mongoose = require('mongoose');
 const Activity = require('../models/Activity');
+const DoctorSchedule = require('../models/DoctorSchedule');
+const { getDoctorTemplate } = require('../utils/scheduleService');
+const { buildDoctorAppointmentsQuery } = require('../utils/appointmentQueries');
+const { ANALYTICS_GROUPINGS, buildSuccessRates } = require('../utils/diseaseAnalytics');
 
 // Get all doctors
 const getDoctors = async (req, res) => {
@@ -192,6 +196,70 @@ const updateDoctorProfile = asyncHandler(async (req, res) => {
   }
 });
 
+// @desc    Get doctor's weekly schedule template
+// @route   GET /api/doctors/profile/schedule
+// @access  Private/Doctor
+const getDoctorSchedule = asyncHandler(async (req, res) => {
+  const doctor = await Doctor.findOne({ userId: req.user._id });
+
+  if (!doctor) {
+    res.status(404);
+    throw new Error('Doctor not found');
+  }
+
+  // Doctors without a saved template get one derived from their legacy availability
+  const template = await getDoctorTemplate(doctor);
+  res.json(template);
+});
+
+// @desc    Create or replace doctor's weekly schedule template
+// @route   PUT /api/doctors/profile/schedule
+// @access  Private/Doctor
+const updateDoctorSchedule = asyncHandler(async (req, res) => {
+  const { slotDuration, typeDurations, weeklyTemplate } = req.body;
+
+  const doctor = await Doctor.findOne({ userId: req.user._id });
+
+  if (!doctor) {
+    res.status(404);
+    throw new Error('Doctor not found');
+  }
+
+  if (weeklyTemplate !== undefined && !Array.isArray(weeklyTemplate)) {
+    res.status(400);
+    throw new Error('weeklyTemplate must be an array of day templates');
+  }
+
+  let schedule = await DoctorSchedule.findOne({ doctorId: doctor._id });
+
+  if (!schedule) {
+    schedule = new DoctorSchedule({
+      doctorId: doctor._id,
+      hospitalId: doctor.hospitalId
+    });
+  }
+
+  if (slotDuration !== undefined) schedule.slotDuration = slotDuration;
+  if (typeDurations !== undefined) schedule.typeDurations = typeDurations;
+  if (weeklyTemplate !== undefined) schedule.weeklyTemplate = weeklyTemplate;
+  schedule.updatedBy = req.user._id;
+
+  try {
+    await schedule.save();
+  } catch (error) {
+    res.status(400);
+    throw new Error(error.message);
+  }
+
+  // Keep the legacy availability days in sync for clients that still read them
+  doctor.availability.days = schedule.weeklyTemplate
+    .filter(dayTemplate => dayTemplate.sessions && dayTemplate.sessions.length > 0)
+    .map(dayTemplate => dayTemplate.day);
+  await doctor.save();
+
+  res.json(schedule);
+});
+
 // @desc    Get doctor stats
 // @route   GET /api/doctors/stats
 // @access  Private/Doctor
@@ -454,20 +522,16 @@ const markNotificationAsRead = asyncHandler(async (req, res) => {
 // @route   GET /api/doctors/appointments
 // @access  Private/Doctor
 const getDoctorAppointments = asyncHandler(async (req, res) => {
-  const doctorId = req.user._id;
   const { startDate, endDate } = req.query;
 
-  const query = {
-    'doctorId.userId': doctorId
-  };
-
-  if (startDate && endDate) {
-    query.date = {
-      $gte: startDate,
-      $lte: endDate
-    };
+  const doctor = await Doctor.findOne({ userId: req.user._id });
+  if (!doctor) {
+    res.status(404);
+    throw new Error('Doctor not found');
   }
 
+  const query = buildDoctorAppointmentsQuery(doctor._id, startDate && endDate ? { startDate, endDate } : {});
+
   const appointments = await Appointment.find(query)
     .populate('patientId', 'name email phone')
     .populate({
@@ -525,7 +589,9 @@ const getAllDoctors = asyncHandler(async (req, res) => {
   try {
     console.log('Fetching all doctors');
     
+    // The list never shows government identifiers, so they aren't loaded or decrypted
     const doctors = await Doctor.find()
+      .select('-aadharNumber -panNumber')
       .populate('userId', 'name email status')
       .populate('hospitalId', 'name address');
     
@@ -701,12 +767,15 @@ const getUpcomingAppointments = asyncHandler(async (req, res) => {
   }
 });
 
-// @desc    Get treatment success rates by disease
-// @route   GET /api/doctors/analytics/success-rates
+// @desc    Get treatment success rates by ICD-10 code or chapter
+// @route   GET /api/doctors/analytics/success-rates?groupBy=code|chapter
 // @access  Private/Doctor
 const getTreatmentSuccessRates = asyncHandler(async (req, res) => {
   try {
-    const { timeFrame } = req.query;
+    const { timeFrame, groupBy = 'code' } = req.query;
+    if (!ANALYTICS_GROUPINGS.includes(groupBy)) {
+      return res.status(400).json({ message: `groupBy must be one of ${ANALYTICS_GROUPINGS.join(', ')}` });
+    }
     
     // Get the doctor's ID using the user ID
     const doctor = await Doctor.findOne({ userId: req.user._id });
@@ -737,89 +806,7 @@ const getTreatmentSuccessRates = asyncHandler(async (req, res) => {
       ...dateFilter
     }).populate('patientId', 'name');
 
-    // Group appointments by disease and calculate success rates
-    const diseaseMap = new Map();
-    
-    completedAppointments.forEach(appointment => {
-      const disease = appointment.disease;
-      const isSuccessful = appointment.treatmentOutcome === 'successful';
-      
-      if (!diseaseMap.has(disease)) {
-        diseaseMap.set(disease, {
-          disease,
-          totalPatients: 0,
-          successfulTreatments: 0,
-          treatmentDurations: [],
-          periodData: new Map() // For tracking trends over time
-        });
-      }
-      
-      const diseaseData = diseaseMap.get(disease);
-      diseaseData.totalPatients++;
-      
-      if (isSuccessful) {
-        diseaseData.successfulTreatments++;
-      }
-      
-      // Calculate treatment duration if end date exists
-      if (appointment.treatmentEndDate && appointment.createdAt) {
-        const startDate = new Date(appointment.createdAt);
-        const endDate = new Date(appointment.treatmentEndDate);
-        const durationDays = Math.ceil((endDate - startDate) / (1000 * 60 * 60 * 24));
-        diseaseData.treatmentDurations.push(durationDays);
-      }
-      
-      // Track data by period (month and year) for trends
-      const appointmentDate = new Date(appointment.createdAt);
-      const period = `${appointmentDate.getFullYear()}-${appointmentDate.getMonth() + 1}`;
-      
-      if (!diseaseData.periodData.has(period)) {
-        diseaseData.periodData.set(period, {
-          successful: 0,
-          total: 0
-        });
-      }
-      
-      const periodData = diseaseData.periodData.get(period);
-      periodData.total++;
-      if (isSuccessful) {
-        periodData.successful++;
-      }
-    });
-    
-    // Convert the map to an array and calculate final statistics
-    const successRates = Array.from(diseaseMap.values()).map(data => {
-      // Calculate success rate
-      const successRate = data.totalPatients > 0 
-        ? (data.successfulTreatments / data.totalPatients) * 100 
-        : 0;
-        
-      // Calculate average treatment duration
-      const averageTreatmentDuration = data.treatmentDurations.length > 0
-        ? Math.round(data.treatmentDurations.reduce((sum, duration) => sum + duration, 0) / data.treatmentDurations.length)
-        : 0;
-        
-      // Generate trend data (sorted by chronological order)
-      const sortedPeriods = Array.from(data.periodData.keys()).sort();
-      const trend = sortedPeriods.map(period => {
-        const { successful, total } = data.periodData.get(period);
-        const rate = total > 0 ? (successful / total) * 100 : 0;
-        return {
-          period,
-          rate
-        };
-      });
-      
-      return {
-        _id: new mongoose.Types.ObjectId().toString(), // Generate a unique ID
-        disease: data.disease,
-        totalPatients: data.totalPatients,
-        successfulTreatments: data.successfulTreatments,
-        successRate: parseFloat(successRate.toFixed(2)),
-        averageTreatmentDuration,
-        trend
-      };
-    });
+    const successRates = buildSuccessRates(completedAppointments, { groupBy });
     
     res.json(successRates);
   } catch (error) {
@@ -1142,6 +1129,8 @@ module.exports = {
   getDoctorNotifications, 
   markNotificationAsRead,
   getDoctorProfile,
+  getDoctorSchedule,
+  updateDoctorSchedule,
   getDoctorAppointments,
   getDoctorPatients,
   getDoctorReports,
@@ -22,25 +22,15 @@ const getExpenses = asyncHandler(async (req, res) => {
     sortOrder = 'desc',
     limit = 100,
     hospital,
-    status,
-    hospitalId
+    status
   } = req.query;
 
   // Base query
   const query = {};
 
-  // Get hospital ID from staff user
-  if (req.user.role === 'staff') {
-    // First check if a specific hospitalId was passed in the query
-    if (hospitalId) {
-      query.hospitalId = hospitalId;
-    } else {
-      // Otherwise use the staff's assigned hospital
-      const staff = await Staff.findOne({ userId: req.user._id });
-      if (staff && staff.hospital) {
-        query.hospitalId = staff.hospital;
-      }
-    }
+  // Staff only ever see their own hospital's expenses
+  if (req.hospitalScope) {
+    query.hospitalId = req.hospitalScope;
   } else if (req.user.role === 'admin') {
     // For admin users, apply hospital filter if provided
     if (hospital && hospital !== 'all') {
@@ -50,9 +40,6 @@ const getExpenses = asyncHandler(async (req, res) => {
     if (status && status !== 'all') {
       query.status = status;
     }
-  } else if (hospitalId) {
-    // For other roles, respect hospitalId if provided
-    query.hospitalId = hospitalId;
   }
 
   // Apply date filters
@@ -377,16 +364,8 @@ const deleteExpense = asyncHandler(async (req, res) => {
  * @access  Private (Staff, Admin)
  */
 const getExpenseStats = asyncHandler(async (req, res) => {
-  // Get hospital ID from staff user
-  let hospitalId;
-  if (req.user.role === 'staff') {
-    const staff = await Staff.findOne({ userId: req.user._id });
-    if (staff && staff.hospital) {
-      hospitalId = staff.hospital;
-    }
-  } else if (req.query.hospitalId) {
-    hospitalId = req.query.hospitalId;
-  }
+  // Staff are held to their own hospital; admins pick one
+  const hospitalId = req.hospitalScope || req.query.hospitalId;
 
   if (!hospitalId) {
     res.status(400);
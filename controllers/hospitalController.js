@@ -76,7 +76,7 @@ const updateHospital = async (req, res) => {
   try {
     const hospital = await Hospital.findById(req.params.id);
     if (hospital) {
-      const { name, address, contact, email, specialties, description, image, logo } = req.body;
+      const { name, address, contact, email, specialties, description, image, logo, portalSettings } = req.body;
       
       // Update fields if provided
       if (name !== undefined) hospital.name = name;
@@ -87,6 +87,10 @@ const updateHospital = async (req, res) => {
       if (description !== undefined) hospital.description = description;
       if (image !== undefined) hospital.image = image;
       if (logo !== undefined) hospital.logo = logo;
+      if (portalSettings !== undefined) {
+        // Merge so a partial update leaves the other portal rules as they were
+        hospital.portalSettings = { ...hospital.portalSettings?.toObject?.(), ...portalSettings };
+      }
       
       hospital.lastUpdated = Date.now();
       
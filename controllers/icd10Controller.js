@@ -0,0 +1,41 @@
+const asyncHandler = require('express-async-handler');
+const { searchCodes, findCode, getChapters } = require('../utils/icd10Service');
+
+// @desc    Search ICD-10 codes by code, title or synonym, for autocomplete
+// @route   GET /api/icd10/search?q=&limit=
+// @access  Private/Staff
+const searchIcd10Codes = asyncHandler(async (req, res) => {
+  const query = String(req.query.q || '').trim();
+  if (!query) {
+    res.status(400);
+    throw new Error('Search text (q) is required');
+  }
+
+  res.json(searchCodes(query, req.query.limit));
+});
+
+// @desc    List ICD-10 chapters with their code ranges
+// @route   GET /api/icd10/chapters
+// @access  Private/Staff
+const getIcd10Chapters = asyncHandler(async (req, res) => {
+  res.json(getChapters());
+});
+
+// @desc    Get one ICD-10 code with its title and chapter
+// @route   GET /api/icd10/:code
+// @access  Private/Staff
+const getIcd10Code = asyncHandler(async (req, res) => {
+  const code = findCode(req.params.code);
+  if (!code) {
+    res.status(404);
+    throw new Error('ICD-10 code not found');
+  }
+
+  res.json(code);
+});
+
+module.exports = {
+  searchIcd10Codes,
+  getIcd10Chapters,
+  getIcd10Code
+};
@@ -0,0 +1,118 @@
+const asyncHandler = require('express-async-handler');
+const Job = require('../models/Job');
+const JobRun = require('../models/JobRun');
+const { getRegisteredJob, getRegisteredJobs, syncJobRecords, runJobNow } = require('../utils/jobRunner');
+
+const loadJob = async (req, res) => {
+  if (!getRegisteredJob(req.params.name)) {
+    res.status(404);
+    throw new Error('Job not found');
+  }
+
+  await syncJobRecords();
+  return Job.findOne({ name: req.params.name });
+};
+
+// @desc    List background jobs with their latest run
+// @route   GET /api/admin/jobs
+// @access  Private/Admin
+const getJobs = asyncHandler(async (req, res) => {
+  await syncJobRecords();
+
+  const names = getRegisteredJobs().map(job => job.name);
+  const records = await Job.find({ name: { $in: names } }).sort({ name: 1 }).lean();
+
+  const jobs = await Promise.all(records.map(async (record) => {
+    const lastRun = await JobRun.findOne({ job: record.name })
+      .sort({ startedAt: -1 })
+      .select('-error.stack')
+      .lean();
+
+    return {
+      ...record,
+      running: Boolean(record.lockedUntil && record.lockedUntil > new Date()),
+      lastRun
+    };
+  }));
+
+  res.json(jobs);
+});
+
+// @desc    Get a job's run history
+// @route   GET /api/admin/jobs/:name/runs
+// @access  Private/Admin
+const getJobRuns = asyncHandler(async (req, res) => {
+  await loadJob(req, res);
+
+  const { status } = req.query;
+  const page = Math.max(parseInt(req.query.page) || 1, 1);
+  const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+
+  const query = { job: req.params.name };
+  if (status) query.status = status;
+
+  const [runs, total] = await Promise.all([
+    JobRun.find(query)
+      .sort({ startedAt: -1 })
+      .skip((page - 1) * limit)
+      .limit(limit)
+      .populate('triggeredBy', 'name email'),
+    JobRun.countDocuments(query)
+  ]);
+
+  res.json({
+    runs,
+    page,
+    pages: Math.ceil(total / limit),
+    total
+  });
+});
+
+// @desc    Run a job now
+// @route   POST /api/admin/jobs/:name/run
+// @access  Private/Admin
+const triggerJob = asyncHandler(async (req, res) => {
+  await loadJob(req, res);
+
+  const run = await runJobNow(req.params.name, { triggeredBy: req.user._id });
+  if (!run) {
+    res.status(409);
+    throw new Error('Job is already running');
+  }
+
+  res.status(run.status === 'failed' ? 500 : 200).json(run);
+});
+
+// @desc    Pause a job's scheduled runs
+// @route   POST /api/admin/jobs/:name/pause
+// @access  Private/Admin
+const pauseJob = asyncHandler(async (req, res) => {
+  const job = await loadJob(req, res);
+
+  job.paused = true;
+  job.pausedBy = req.user._id;
+  await job.save();
+
+  res.json(job);
+});
+
+// @desc    Resume a paused job
+// @route   POST /api/admin/jobs/:name/resume
+// @access  Private/Admin
+const resumeJob = asyncHandler(async (req, res) => {
+  const job = await loadJob(req, res);
+
+  job.paused = false;
+  job.pausedBy = undefined;
+  await job.save();
+
+  res.json(job);
+});
+
+module.exports = {
+  getJobs,
+  getJobRuns,
+  triggerJob,
+  pauseJob,
+  resumeJob
+};
@@ -2,6 +2,7 @@ const asyncHandler = require('express-async-handler');
 const Message = require('../models/Message');
 const User = require('../models/User');
 const Conversation = require('../models/Conversation');
+const { deliverMessage, readConversation } = require('../utils/messageService');
 
 /**
  * @desc    Send a message to another user
@@ -32,49 +33,7 @@ const sendMessage = asyncHandler(async (req, res) => {
     }
   }
 
-  // Find or create conversation
-  let conversation = await Conversation.findOne({
-    participants: { $all: [sender, receiver] }
-  });
-
-  if (!conversation) {
-    conversation = await Conversation.create({
-      participants: [sender, receiver]
-    });
-  }
-
-  // Create message
-  const message = await Message.create({
-    conversation: conversation._id,
-    sender,
-    receiver,
-    content
-  });
-
-  // Populate sender information
-  const populatedMessage = await Message.findById(message._id)
-    .populate('sender', 'name role')
-    .populate('receiver', 'name role');
-
-  // Update conversation with last message
-  conversation.lastMessage = {
-    content,
-    sender,
-    timestamp: new Date()
-  };
-  conversation.updatedAt = new Date();
-  
-  // Increment unread count for receiver
-  if (conversation.unreadCounts && conversation.unreadCounts[receiver]) {
-    conversation.unreadCounts[receiver] += 1;
-  } else {
-    conversation.unreadCounts = {
-      ...conversation.unreadCounts,
-      [receiver]: 1
-    };
-  }
-  
-  await conversation.save();
+  const populatedMessage = await deliverMessage({ sender, receiver, content });
 
   res.status(201).json(populatedMessage);
 });
@@ -93,45 +52,7 @@ const getMessages = asyncHandler(async (req, res) => {
     throw new Error('User ID is required');
   }
 
-  // Find conversation between current user and specified user
-  const conversation = await Conversation.findOne({
-    participants: { $all: [currentUser, userId] }
-  });
-
-  if (!conversation) {
-    // No conversation found - return empty array instead of error
-    return res.json([]);
-  }
-
-  // Get messages from this conversation
-  const messages = await Message.find({ conversation: conversation._id })
-    .populate('sender', 'name role')
-    .populate('receiver', 'name role')
-    .sort({ createdAt: 1 });
-
-  // Mark messages as read where current user is receiver
-  const unreadMessages = await Message.find({
-    conversation: conversation._id,
-    receiver: currentUser,
-    read: false
-  });
-
-  if (unreadMessages.length > 0) {
-    await Message.updateMany(
-      {
-        conversation: conversation._id,
-        receiver: currentUser,
-        read: false
-      },
-      { read: true }
-    );
-
-    // Reset unread count for current user
-    if (conversation.unreadCounts && conversation.unreadCounts[currentUser]) {
-      conversation.unreadCounts[currentUser] = 0;
-      await conversation.save();
-    }
-  }
+  const messages = await readConversation(currentUser, userId);
 
   res.json(messages);
 });
@@ -1,6 +1,8 @@
 const asyncHandler = require('express-async-handler');
 const Patient = require('../models/Patient');
 const User = require('../models/User');
+const { recordAudit, getChangedFields } = require('../utils/auditService');
+const { getLatestVitals } = require('../utils/vitalsService');
 
 // @desc    Create or update patient
 // @route   POST /api/patients
@@ -69,8 +71,18 @@ const createOrUpdatePatient = asyncHandler(async (req, res) => {
       if (medicalHistory && medicalHistory.length > 0) {
         patient.medicalHistory = [...patient.medicalHistory, ...medicalHistory];
       }
+      const changedFields = getChangedFields(patient);
       await patient.save();
       console.log('Updated patient:', patient);
+
+      await recordAudit(req, {
+        resource: 'patient',
+        action: 'update',
+        resourceId: patient._id,
+        patientId: patient._id,
+        hospitalId: patient.hospital,
+        fields: changedFields
+      });
     } else {
       // Create new patient with appropriate hospital field
       const hospitalValue = hospital || hospitalId || null;
@@ -93,6 +105,14 @@ const createOrUpdatePatient = asyncHandler(async (req, res) => {
         }
       });
       console.log('Created new patient:', patient);
+
+      await recordAudit(req, {
+        resource: 'patient',
+        action: 'create',
+        resourceId: patient._id,
+        patientId: patient._id,
+        hospitalId: patient.hospital
+      });
     }
 
     // Populate user and hospital details
@@ -133,8 +153,10 @@ const getPatients = asyncHandler(async (req, res) => {
   // Build query object for filtering
   const query = {};
   
-  // Filter by hospital if hospitalId is provided
-  if (req.query.hospitalId) {
+  // Non-admins only ever see their own hospital's patients
+  if (req.hospitalScope) {
+    query.hospital = req.hospitalScope;
+  } else if (req.query.hospitalId) {
     query.hospital = req.query.hospitalId;
     console.log(`Filtering patients by hospital: ${req.query.hospitalId}`);
   }
@@ -196,7 +218,18 @@ const getPatientById = asyncHandler(async (req, res) => {
     .populate('primaryDoctor');
     
   if (patient) {
-    res.json(patient);
+    await recordAudit(req, {
+      resource: 'patient',
+      action: 'read',
+      resourceId: patient._id,
+      patientId: patient._id,
+      hospitalId: patient.hospital?._id
+    });
+
+    res.json({
+      ...patient.toJSON(),
+      latestVitals: await getLatestVitals(patient._id)
+    });
   } else {
     res.status(404);
     throw new Error('Patient not found');
@@ -279,7 +312,17 @@ const updatePatient = asyncHandler(async (req, res) => {
       }
     }
 
+    const changedFields = getChangedFields(patient);
     const updatedPatient = await patient.save();
+
+    await recordAudit(req, {
+      resource: 'patient',
+      action: 'update',
+      resourceId: updatedPatient._id,
+      patientId: updatedPatient._id,
+      hospitalId: updatedPatient.hospital,
+      fields: changedFields
+    });
     
     // Populate hospital details before sending response
     await updatedPatient.populate('hospital', 'name');
@@ -325,6 +368,14 @@ const deletePatient = asyncHandler(async (req, res) => {
   // Delete the patient
   await patient.deleteOne();
 
+  await recordAudit(req, {
+    resource: 'patient',
+    action: 'delete',
+    resourceId: patient._id,
+    patientId: patient._id,
+    hospitalId: patient.hospital
+  });
+
   res.json({ message: 'Patient removed' });
 });
 
@@ -595,8 +646,10 @@ const searchPatients = asyncHandler(async (req, res) => {
       ]
     };
     
-    // If hospitalId is provided, add it to the query
-    if (hospitalId) {
+    // Non-admins only search their own hospital; admins may narrow by hospitalId
+    if (req.hospitalScope) {
+      searchQuery.hospital = req.hospitalScope;
+    } else if (hospitalId) {
       searchQuery.hospital = hospitalId;
     }
     
@@ -782,15 +835,11 @@ const getPatientsByDoctor = asyncHandler(async (req, res) => {
 // @access  Private
 const getTotalPatientsCount = asyncHandler(async (req, res) => {
   try {
-    // Count all patients
-    const totalCount = await Patient.countDocuments();
-    
-    // Get all patients for debugging
-    const allPatients = await Patient.find().lean();
+    // Count all patients, or only the user's hospital for non-admins
+    const query = req.hospitalScope ? { hospital: req.hospitalScope } : {};
+    const totalCount = await Patient.countDocuments(query);
     
     console.log(`Total patients count from countDocuments: ${totalCount}`);
-    console.log(`Total patients from find().lean(): ${allPatients.length}`);
-    console.log(`Patient IDs: ${allPatients.map(p => p._id).join(', ')}`);
     
     res.json({ count: totalCount });
   } catch (error) {
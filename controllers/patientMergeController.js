@@ -0,0 +1,244 @@
+const asyncHandler = require('express-async-handler');
+const mongoose = require('mongoose');
+const Patient = require('../models/Patient');
+const PatientMerge = require('../models/PatientMerge');
+const ActivityService = require('../utils/activityService');
+const { recordAudit } = require('../utils/auditService');
+const {
+  DUPLICATE_THRESHOLD,
+  scoreCandidate,
+  findDuplicateCandidates,
+  mergePatients,
+  undoMerge
+} = require('../utils/patientMergeService');
+
+const parseThreshold = (value) => {
+  const threshold = parseInt(value);
+  return Number.isNaN(threshold) ? DUPLICATE_THRESHOLD : Math.min(Math.max(threshold, 0), 100);
+};
+
+// Counts of what a merge moved, for responses and activity metadata
+const summariseMoved = (merge) => Object.fromEntries(
+  Object.entries(merge.toObject().moved || {}).map(([key, ids]) => [key, ids.length])
+);
+
+const formatMerge = (merge) => ({
+  _id: merge._id,
+  survivorId: merge.survivorId,
+  mergedId: merge.mergedId,
+  mergedName: merge.mergedSnapshot?.name,
+  score: merge.score,
+  reason: merge.reason,
+  status: merge.status,
+  moved: summariseMoved(merge),
+  mergedBy: merge.mergedBy,
+  createdAt: merge.createdAt,
+  undoneAt: merge.undoneAt,
+  undoneBy: merge.undoneBy
+});
+
+const logMergeActivity = (req, { action, patient, description, metadata }) => (
+  ActivityService.logActivity({
+    user: req.user._id,
+    hospitalId: patient.hospital,
+    actorId: req.user._id,
+    actorName: req.user.name,
+    actorEmail: req.user.email,
+    actorRole: req.user.role,
+    patientId: patient._id,
+    action,
+    subject: 'patient',
+    subjectId: patient._id,
+    description,
+    metadata
+  })
+);
+
+// @desc    Find patients that look like the given details
+// @route   GET /api/patients/duplicates?name=&email=&phone=&dateOfBirth=
+// @access  Private
+const findDuplicatePatients = asyncHandler(async (req, res) => {
+  const { name, email, phone, dateOfBirth, hospitalId, threshold } = req.query;
+
+  if (!name && !email && !phone) {
+    res.status(400);
+    throw new Error('Provide a name, email or phone to check');
+  }
+
+  const candidates = await findDuplicateCandidates(
+    { name, email, phone, dateOfBirth },
+    {
+      // Non-admins only ever match within their own hospital
+      hospitalId: req.hospitalScope || hospitalId,
+      threshold: parseThreshold(threshold)
+    }
+  );
+
+  res.json(candidates);
+});
+
+// @desc    Find likely duplicates of a patient
+// @route   GET /api/patients/:id/duplicates
+// @access  Private
+const getPatientDuplicates = asyncHandler(async (req, res) => {
+  const patient = await Patient.findById(req.params.id).select('name email phone dateOfBirth hospital');
+  if (!patient) {
+    res.status(404);
+    throw new Error('Patient not found');
+  }
+
+  const candidates = await findDuplicateCandidates(patient, {
+    hospitalId: patient.hospital,
+    excludeId: patient._id,
+    threshold: parseThreshold(req.query.threshold)
+  });
+
+  res.json({ patient, candidates });
+});
+
+// @desc    Merge a duplicate into this patient, keeping this record
+// @route   POST /api/patients/:id/merge
+// @access  Private (admin, staff)
+const mergePatient = asyncHandler(async (req, res) => {
+  const { duplicateId, reason } = req.body;
+
+  if (!duplicateId || !mongoose.Types.ObjectId.isValid(duplicateId)) {
+    res.status(400);
+    throw new Error('Please provide the duplicate patient ID');
+  }
+
+  if (String(duplicateId) === String(req.params.id)) {
+    res.status(400);
+    throw new Error('A patient cannot be merged into itself');
+  }
+
+  const [survivor, duplicate] = await Promise.all([
+    Patient.findById(req.params.id),
+    Patient.findById(duplicateId)
+  ]);
+
+  if (!survivor || !duplicate) {
+    res.status(404);
+    throw new Error('Patient not found');
+  }
+
+  if (String(survivor.hospital) !== String(duplicate.hospital)) {
+    res.status(400);
+    throw new Error('Patients at different hospitals cannot be merged');
+  }
+
+  const { score } = scoreCandidate(survivor, duplicate);
+  const merge = await mergePatients({ survivor, duplicate, actor: req.user, score, reason });
+  const moved = summariseMoved(merge);
+
+  await logMergeActivity(req, {
+    action: 'patient_merged',
+    patient: survivor,
+    description: `Patient ${duplicate.name} merged into ${survivor.name}`,
+    metadata: { mergeId: merge._id, mergedId: duplicate._id, score, moved }
+  });
+
+  await recordAudit(req, {
+    resource: 'patient',
+    action: 'update',
+    resourceId: survivor._id,
+    patientId: survivor._id,
+    hospitalId: survivor.hospital,
+    fields: ['allergies', 'medicalHistory', 'appointments']
+  });
+  await recordAudit(req, {
+    resource: 'patient',
+    action: 'delete',
+    resourceId: duplicate._id,
+    patientId: duplicate._id,
+    hospitalId: duplicate.hospital
+  });
+
+  res.status(201).json({
+    merge: formatMerge(merge),
+    patient: survivor
+  });
+});
+
+// @desc    List the merges into a patient
+// @route   GET /api/patients/:id/merges
+// @access  Private
+const getPatientMerges = asyncHandler(async (req, res) => {
+  const merges = await PatientMerge.find({ survivorId: req.params.id })
+    .sort({ createdAt: -1 })
+    .populate('mergedBy undoneBy', 'name email');
+
+  res.json(merges.map(formatMerge));
+});
+
+// @desc    Undo a merge, restoring the duplicate patient
+// @route   POST /api/patients/merges/:mergeId/undo
+// @access  Private (admin, staff)
+const undoPatientMerge = asyncHandler(async (req, res) => {
+  if (!mongoose.Types.ObjectId.isValid(req.params.mergeId)) {
+    res.status(400);
+    throw new Error('Invalid merge ID');
+  }
+
+  const merge = await PatientMerge.findById(req.params.mergeId);
+  if (!merge) {
+    res.status(404);
+    throw new Error('Merge not found');
+  }
+
+  if (merge.status === 'undone') {
+    res.status(400);
+    throw new Error('This merge has already been undone');
+  }
+
+  const survivor = await Patient.findById(merge.survivorId).select('name hospital');
+  if (!survivor) {
+    res.status(409);
+    throw new Error('The surviving patient no longer exists');
+  }
+
+  if (await Patient.exists({ _id: merge.mergedId })) {
+    res.status(409);
+    throw new Error('The merged patient already exists');
+  }
+
+  await undoMerge(merge, req.user);
+
+  const restored = await Patient.findById(merge.mergedId);
+
+  await logMergeActivity(req, {
+    action: 'patient_merge_undone',
+    patient: survivor,
+    description: `Merge of ${restored.name} into ${survivor.name} undone`,
+    metadata: { mergeId: merge._id, restoredId: restored._id }
+  });
+
+  await recordAudit(req, {
+    resource: 'patient',
+    action: 'create',
+    resourceId: restored._id,
+    patientId: restored._id,
+    hospitalId: restored.hospital
+  });
+  await recordAudit(req, {
+    resource: 'patient',
+    action: 'update',
+    resourceId: survivor._id,
+    patientId: survivor._id,
+    hospitalId: survivor.hospital,
+    fields: ['allergies', 'medicalHistory', 'appointments']
+  });
+
+  res.json({
+    merge: formatMerge(merge),
+    patient: restored
+  });
+});
+
+module.exports = {
+  findDuplicatePatients,
+  getPatientDuplicates,
+  mergePatient,
+  getPatientMerges,
+  undoPatientMerge
+};
@@ -0,0 +1,303 @@
+const asyncHandler = require('express-async-handler');
+const mongoose = require('mongoose');
+const PermissionSet = require('../models/PermissionSet');
+const User = require('../models/User');
+const ActivityService = require('../utils/activityService');
+const {
+  PERMISSION_SET_ROLES,
+  getPermissionCatalogue,
+  findUnknownPermissions,
+  resolveEffectivePermissions
+} = require('../utils/permissionService');
+
+const DEPARTMENTS = PermissionSet.schema.path('departments').caster.enumValues;
+
+/**
+ * Checks the permission and department lists in a request body, answering
+ * 400 when an entry is unknown
+ * @param {Object} res - Express response
+ * @param {Object} body - Request body
+ * @returns {Object} The lists that were provided
+ */
+const validateSetLists = (res, { permissions, deniedPermissions, departments }) => {
+  const lists = { permissions, deniedPermissions, departments };
+  const provided = {};
+
+  Object.entries(lists).forEach(([field, value]) => {
+    if (value === undefined) return;
+    if (!Array.isArray(value) || value.some(entry => typeof entry !== 'string')) {
+      res.status(400);
+      throw new Error(`${field} must be an array of strings`);
+    }
+    provided[field] = [...new Set(value.map(entry => entry.trim()))];
+  });
+
+  const unknown = findUnknownPermissions([
+    ...(provided.permissions || []),
+    ...(provided.deniedPermissions || [])
+  ]);
+  if (unknown.length) {
+    res.status(400);
+    throw new Error(`Unknown permissions: ${unknown.join(', ')}`);
+  }
+
+  const unknownDepartments = (provided.departments || []).filter(name => !DEPARTMENTS.includes(name));
+  if (unknownDepartments.length) {
+    res.status(400);
+    throw new Error(`Unknown departments: ${unknownDepartments.join(', ')}. Use one of: ${DEPARTMENTS.join(', ')}`);
+  }
+
+  return provided;
+};
+
+const logPermissionActivity = (req, { action, subject, subjectId, description, metadata }) => (
+  ActivityService.logActivity({
+    user: req.user._id,
+    actorId: req.user._id,
+    actorName: req.user.name,
+    actorEmail: req.user.email,
+    actorRole: req.user.role,
+    action,
+    subject,
+    subjectId,
+    description,
+    metadata
+  })
+);
+
+// @desc    List every permission with the roles that hold it by default
+// @route   GET /api/admin/permission-sets/catalogue
+// @access  Private/Admin
+const getCatalogue = asyncHandler(async (req, res) => {
+  res.json({
+    permissions: getPermissionCatalogue(),
+    departments: DEPARTMENTS,
+    appliesToRoles: PERMISSION_SET_ROLES
+  });
+});
+
+// @desc    List permission sets
+// @route   GET /api/admin/permission-sets
+// @access  Private/Admin
+const getPermissionSets = asyncHandler(async (req, res) => {
+  const sets = await PermissionSet.find().sort({ name: 1 }).lean();
+
+  // How many users each set is assigned to directly
+  const counts = await User.aggregate([
+    { $match: { permissionSets: { $in: sets.map(set => set._id) } } },
+    { $unwind: '$permissionSets' },
+    { $group: { _id: '$permissionSets', count: { $sum: 1 } } }
+  ]);
+  const countBySet = new Map(counts.map(entry => [String(entry._id), entry.count]));
+
+  res.json(sets.map(set => ({ ...set, userCount: countBySet.get(String(set._id)) || 0 })));
+});
+
+// @desc    Get a permission set and the users assigned to it
+// @route   GET /api/admin/permission-sets/:id
+// @access  Private/Admin
+const getPermissionSetById = asyncHandler(async (req, res) => {
+  if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+    res.status(400);
+    throw new Error('Invalid permission set ID');
+  }
+
+  const set = await PermissionSet.findById(req.params.id).lean();
+  if (!set) {
+    res.status(404);
+    throw new Error('Permission set not found');
+  }
+
+  const users = await User.find({ permissionSets: set._id }).select('name email role hospital');
+  res.json({ ...set, users });
+});
+
+// @desc    Create a permission set
+// @route   POST /api/admin/permission-sets
+// @access  Private/Admin
+const createPermissionSet = asyncHandler(async (req, res) => {
+  const { name, description } = req.body;
+
+  if (!name || !String(name).trim()) {
+    res.status(400);
+    throw new Error('Please add a name');
+  }
+
+  const lists = validateSetLists(res, req.body);
+
+  if (await PermissionSet.exists({ name: String(name).trim() })) {
+    res.status(400);
+    throw new Error('A permission set with this name already exists');
+  }
+
+  const set = await PermissionSet.create({
+    name: String(name).trim(),
+    description: description || '',
+    ...lists,
+    createdBy: req.user._id,
+    updatedBy: req.user._id
+  });
+
+  await logPermissionActivity(req, {
+    action: 'permission_set_created',
+    subject: 'permission_set',
+    subjectId: set._id,
+    description: `Permission set created: ${set.name}`,
+    metadata: { permissions: set.permissions, deniedPermissions: set.deniedPermissions, departments: set.departments }
+  });
+
+  res.status(201).json(set);
+});
+
+// @desc    Update a permission set
+// @route   PUT /api/admin/permission-sets/:id
+// @access  Private/Admin
+const updatePermissionSet = asyncHandler(async (req, res) => {
+  if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+    res.status(400);
+    throw new Error('Invalid permission set ID');
+  }
+
+  const set = await PermissionSet.findById(req.params.id);
+  if (!set) {
+    res.status(404);
+    throw new Error('Permission set not found');
+  }
+
+  const lists = validateSetLists(res, req.body);
+  const { name, description } = req.body;
+
+  if (name !== undefined) {
+    const trimmed = String(name).trim();
+    if (!trimmed) {
+      res.status(400);
+      throw new Error('Please add a name');
+    }
+    if (await PermissionSet.exists({ name: trimmed, _id: { $ne: set._id } })) {
+      res.status(400);
+      throw new Error('A permission set with this name already exists');
+    }
+    set.name = trimmed;
+  }
+  if (description !== undefined) set.description = description;
+  Object.assign(set, lists);
+  set.updatedBy = req.user._id;
+
+  await set.save();
+
+  await logPermissionActivity(req, {
+    action: 'permission_set_updated',
+    subject: 'permission_set',
+    subjectId: set._id,
+    description: `Permission set updated: ${set.name}`,
+    metadata: { permissions: set.permissions, deniedPermissions: set.deniedPermissions, departments: set.departments }
+  });
+
+  res.json(set);
+});
+
+// @desc    Delete a permission set and remove it from every user
+// @route   DELETE /api/admin/permission-sets/:id
+// @access  Private/Admin
+const deletePermissionSet = asyncHandler(async (req, res) => {
+  if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+    res.status(400);
+    throw new Error('Invalid permission set ID');
+  }
+
+  const set = await PermissionSet.findById(req.params.id);
+  if (!set) {
+    res.status(404);
+    throw new Error('Permission set not found');
+  }
+
+  await User.updateMany({ permissionSets: set._id }, { $pull: { permissionSets: set._id } });
+  await set.deleteOne();
+
+  await logPermissionActivity(req, {
+    action: 'permission_set_deleted',
+    subject: 'permission_set',
+    subjectId: set._id,
+    description: `Permission set deleted: ${set.name}`
+  });
+
+  res.json({ message: 'Permission set deleted' });
+});
+
+// @desc    Replace the permission sets assigned directly to a user
+// @route   PUT /api/users/:id/permission-sets
+// @access  Private/Admin
+const assignUserPermissionSets = asyncHandler(async (req, res) => {
+  const { permissionSets } = req.body;
+
+  if (!Array.isArray(permissionSets) || permissionSets.some(id => !mongoose.Types.ObjectId.isValid(id))) {
+    res.status(400);
+    throw new Error('permissionSets must be an array of permission set IDs');
+  }
+
+  const user = await User.findById(req.params.id);
+  if (!user) {
+    res.status(404);
+    throw new Error('User not found');
+  }
+
+  if (permissionSets.length && !PERMISSION_SET_ROLES.includes(user.role)) {
+    res.status(400);
+    throw new Error(`Permission sets only apply to ${PERMISSION_SET_ROLES.join(' and ')} accounts`);
+  }
+
+  const ids = [...new Set(permissionSets.map(String))];
+  const found = await PermissionSet.countDocuments({ _id: { $in: ids } });
+  if (found !== ids.length) {
+    res.status(400);
+    throw new Error('One or more permission sets do not exist');
+  }
+
+  user.permissionSets = ids;
+  await user.save();
+
+  await logPermissionActivity(req, {
+    action: 'user_permission_sets_updated',
+    subject: 'user',
+    subjectId: user._id,
+    description: `Permission sets updated for ${user.name}`,
+    metadata: { permissionSets: ids }
+  });
+
+  res.json(await resolveEffectivePermissions(user));
+});
+
+// @desc    Show what a user may do, and which sets changed it from their role's defaults
+// @route   GET /api/users/:id/permissions
+// @access  Private/Admin
+const getUserEffectivePermissions = asyncHandler(async (req, res) => {
+  const user = await User.findById(req.params.id).select('name email role permissionSets');
+  if (!user) {
+    res.status(404);
+    throw new Error('User not found');
+  }
+
+  res.json({
+    user: { _id: user._id, name: user.name, email: user.email },
+    ...(await resolveEffectivePermissions(user))
+  });
+});
+
+// @desc    Show the signed-in user's own effective permissions
+// @route   GET /api/users/permissions
+// @access  Private
+const getMyPermissions = asyncHandler(async (req, res) => {
+  res.json(await resolveEffectivePermissions(req.user));
+});
+
+module.exports = {
+  getCatalogue,
+  getPermissionSets,
+  getPermissionSetById,
+  createPermissionSet,
+  updatePermissionSet,
+  deletePermissionSet,
+  assignUserPermissionSets,
+  getUserEffectivePermissions,
+  getMyPermissions
+};
@@ -0,0 +1,768 @@
+const asyncHandler = require('express-async-handler');
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const moment = require('moment');
+const Appointment = require('../models/Appointment');
+const Doctor = require('../models/Doctor');
+const Hospital = require('../models/Hospital');
+const Patient = require('../models/Patient');
+const PortalInvite = require('../models/PortalInvite');
+const Report = require('../models/Report');
+const User = require('../models/User');
+const ActivityService = require('../utils/activityService');
+const { sendAppointmentEmail, sendPortalInviteEmail } = require('../utils/emailService');
+const { buildAppointmentInvite } = require('../utils/calendarService');
+const { checkAndReserveSlot } = require('../utils/bookingService');
+const { releaseSlot } = require('../utils/slotReservationService');
+const { offerFreedSlot } = require('../utils/waitlistService');
+const { revokeUserSessions } = require('../utils/sessionService');
+const { REPORT_PDF_POPULATE, generateReportPdfFile, streamPdfFile } = require('../utils/reportPdfService');
+const { deliverMessage, readConversation } = require('../utils/messageService');
+const { recordAudit, getChangedFields } = require('../utils/auditService');
+
+const PORTAL_INVITE_TTL_DAYS = parseInt(process.env.PORTAL_INVITE_TTL_DAYS, 10) || 7;
+
+// Used when a hospital has never saved its own portal rules
+const DEFAULT_PORTAL_SETTINGS = {
+  bookingEnabled: true,
+  minNoticeHours: 2,
+  maxAdvanceDays: 60,
+  cancellationCutoffHours: 24,
+  maxUpcomingAppointments: 3
+};
+
+// Fields a patient may change on their own record
+const EDITABLE_PROFILE_FIELDS = ['phone', 'emergencyContact'];
+
+const ACTIVE_STATUSES = ['pending', 'confirmed'];
+
+// User.gender has no 'not_specified'
+const GENDERS = ['male', 'female', 'other'];
+
+const hashInviteToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+const getPortalSettings = (hospital) => ({
+  ...DEFAULT_PORTAL_SETTINGS,
+  ...hospital?.portalSettings
+});
+
+const getAppointmentStart = (appointment) => moment(`${appointment.date} ${appointment.time}`, 'YYYY-MM-DD HH:mm', true);
+
+const APPOINTMENT_POPULATE = [
+  {
+    path: 'doctorId',
+    populate: { path: 'userId', select: 'name email' },
+    select: 'userId specialization'
+  },
+  { path: 'hospitalId', select: 'name address' }
+];
+
+const portalActor = (req) => ({
+  user: req.user._id,
+  hospitalId: req.patient.hospital,
+  actorId: req.user._id,
+  actorName: req.user.name,
+  actorEmail: req.user.email,
+  actorRole: 'patient',
+  patientId: req.patient._id
+});
+
+/**
+ * The User IDs of the doctors the patient has appointments with. Patients may
+ * only message these people.
+ * @param {Object} patient - Patient document
+ * @returns {Promise<Array>} Doctors with their user accounts populated
+ */
+const getCareTeamDoctors = async (patient) => {
+  const doctorIds = await Appointment.distinct('doctorId', { patientId: patient._id });
+  if (patient.primaryDoctor) doctorIds.push(patient.primaryDoctor);
+
+  const doctors = await Doctor.find({ _id: { $in: doctorIds } })
+    .populate('userId', 'name email status')
+    .select('userId specialization hospitalId');
+
+  return doctors.filter(doctor => doctor.userId && doctor.userId.status === 'active');
+};
+
+// @desc    Email a patient a link to activate their portal account
+// @route   POST /api/patients/:id/portal-invite
+// @access  Private (admin, staff)
+const sendPortalInvite = asyncHandler(async (req, res) => {
+  const patient = await Patient.findById(req.params.id).populate('hospital', 'name');
+
+  if (!patient) {
+    res.status(404);
+    throw new Error('Patient not found');
+  }
+
+  if (!patient.email) {
+    res.status(400);
+    throw new Error('Patient has no email address to send the invitation to');
+  }
+
+  // Only the newest link works
+  await PortalInvite.deleteMany({ patient: patient._id, usedAt: null });
+
+  const token = crypto.randomBytes(32).toString('hex');
+  const invite = await PortalInvite.create({
+    patient: patient._id,
+    email: patient.email,
+    tokenHash: hashInviteToken(token),
+    expiresAt: new Date(Date.now() + PORTAL_INVITE_TTL_DAYS * 24 * 60 * 60 * 1000),
+    invitedBy: req.user._id
+  });
+
+  const baseUrl = process.env.CLIENT_URL || 'http://localhost:5173';
+  const sent = await sendPortalInviteEmail(patient.email, {
+    name: patient.name,
+    hospitalName: patient.hospital?.name,
+    activationUrl: `${baseUrl}/portal/activate?token=${token}`,
+    expiresInDays: PORTAL_INVITE_TTL_DAYS
+  });
+
+  if (!sent) {
+    await PortalInvite.deleteOne({ _id: invite._id });
+    res.status(502);
+    throw new Error('The invitation email could not be sent');
+  }
+
+  await ActivityService.logActivity({
+    user: req.user._id,
+    hospitalId: patient.hospital?._id,
+    actorId: req.user._id,
+    actorName: req.user.name,
+    actorEmail: req.user.email,
+    actorRole: req.user.role,
+    patientId: patient._id,
+    action: 'portal_invite_sent',
+    subject: 'patient',
+    subjectId: patient._id,
+    description: `Portal invitation sent to ${patient.name}`
+  });
+
+  res.status(201).json({
+    message: 'Invitation sent',
+    email: patient.email,
+    expiresAt: invite.expiresAt
+  });
+});
+
+// @desc    Create or link a patient's portal account using an invitation
+// @route   POST /api/portal/activate
+// @access  Public (invite token)
+const activatePortalAccount = asyncHandler(async (req, res) => {
+  const { token, password, confirmPassword, currentPassword, gender } = req.body;
+
+  if (!token || !password || !confirmPassword) {
+    res.status(400);
+    throw new Error('Please provide the invitation token and a password');
+  }
+
+  if (password !== confirmPassword) {
+    res.status(400);
+    throw new Error('Passwords do not match');
+  }
+
+  if (password.length < 6) {
+    res.status(400);
+    throw new Error('Password must be at least 6 characters long');
+  }
+
+  const invite = await PortalInvite.findOne({
+    tokenHash: hashInviteToken(String(token)),
+    usedAt: null,
+    expiresAt: { $gt: new Date() }
+  });
+
+  const patient = invite && await Patient.findById(invite.patient);
+  if (!patient) {
+    res.status(400);
+    throw new Error('This invitation is invalid or has expired');
+  }
+
+  // Records created at booking time already carry an account with a generated
+  // password; holding the emailed link is enough to claim it
+  let user = patient.user ? await User.findById(patient.user) : null;
+
+  if (!user) {
+    user = await User.findOne({ email: invite.email });
+
+    // Someone else's password can't be taken over with an invitation
+    if (user && (!currentPassword || !(await user.matchPassword(currentPassword)))) {
+      res.status(409);
+      throw new Error('An account already exists for this email. Enter its current password to link it.');
+    }
+
+    if (user && await Patient.exists({ user: user._id, _id: { $ne: patient._id } })) {
+      res.status(409);
+      throw new Error('This account is already linked to another patient record');
+    }
+  }
+
+  if (user && user.role !== 'patient') {
+    res.status(409);
+    throw new Error('This email belongs to a staff account and cannot be used for the patient portal');
+  }
+
+  if (user && user.status !== 'active') {
+    res.status(403);
+    throw new Error('This account is not active. Please contact the hospital.');
+  }
+
+  const userGender = [gender, patient.gender].find(value => GENDERS.includes(value));
+  if (!user && !userGender) {
+    res.status(400);
+    throw new Error('Please specify gender');
+  }
+
+  // Marking the invite used in the same step as claiming it keeps it single-use
+  const claimed = await PortalInvite.findOneAndUpdate(
+    { _id: invite._id, usedAt: null },
+    { $set: { usedAt: new Date() } }
+  );
+  if (!claimed) {
+    res.status(400);
+    throw new Error('This invitation is invalid or has expired');
+  }
+
+  if (user) {
+    user.password = password;
+    user.hasSetPassword = true;
+    if (!user.hospital && patient.hospital) {
+      user.hospital = patient.hospital;
+    }
+    await user.save();
+
+    await revokeUserSessions(user._id, { reason: 'password_changed', revokedBy: user._id });
+  } else {
+    user = await User.create({
+      name: patient.name,
+      email: invite.email,
+      password,
+      gender: userGender,
+      role: 'patient',
+      hospital: patient.hospital || null
+    });
+  }
+
+  patient.user = user._id;
+  await patient.save();
+
+  await ActivityService.logActivity({
+    user: user._id,
+    hospitalId: patient.hospital,
+    actorId: user._id,
+    actorName: user.name,
+    actorEmail: user.email,
+    actorRole: 'patient',
+    patientId: patient._id,
+    action: 'portal_activated',
+    subject: 'patient',
+    subjectId: patient._id,
+    description: `Portal account activated by ${patient.name}`,
+    metadata: { ipAddress: req.ip }
+  });
+
+  res.json({ message: 'Your portal account is ready. Please log in.', email: user.email });
+});
+
+// @desc    Get the signed-in patient's own record
+// @route   GET /api/portal/profile
+// @access  Private (patient)
+const getPortalProfile = asyncHandler(async (req, res) => {
+  await req.patient.populate([
+    { path: 'hospital', select: 'name address contact email' },
+    {
+      path: 'primaryDoctor',
+      select: 'userId specialization',
+      populate: { path: 'userId', select: 'name' }
+    }
+  ]);
+
+  const patient = req.patient;
+
+  await recordAudit(req, {
+    resource: 'patient',
+    action: 'read',
+    resourceId: patient._id,
+    patientId: patient._id,
+    hospitalId: patient.hospital?._id
+  });
+
+  res.json({
+    _id: patient._id,
+    name: patient.name,
+    email: patient.email,
+    dateOfBirth: patient.dateOfBirth,
+    age: patient.age,
+    gender: patient.gender,
+    phone: patient.phone,
+    bloodGroup: patient.bloodGroup,
+    allergies: patient.allergies,
+    medicalHistory: patient.medicalHistory,
+    emergencyContact: patient.emergencyContact,
+    hospital: patient.hospital,
+    primaryDoctor: patient.primaryDoctor,
+    status: patient.status
+  });
+});
+
+// @desc    Update the contact details on the signed-in patient's record
+// @route   PUT /api/portal/profile
+// @access  Private (patient)
+const updatePortalProfile = asyncHandler(async (req, res) => {
+  const rejected = Object.keys(req.body).filter(field => !EDITABLE_PROFILE_FIELDS.includes(field));
+  if (rejected.length) {
+    res.status(400);
+    throw new Error(`These fields can only be changed by the hospital: ${rejected.join(', ')}`);
+  }
+
+  const patient = req.patient;
+  const changed = [];
+
+  if (req.body.phone !== undefined) {
+    patient.phone = String(req.body.phone).trim();
+    changed.push('phone');
+  }
+
+  if (req.body.emergencyContact !== undefined) {
+    const { name, relationship, phone } = req.body.emergencyContact || {};
+    patient.emergencyContact = { name, relationship, phone };
+    changed.push('emergencyContact');
+  }
+
+  const changedFields = getChangedFields(patient);
+  await patient.save();
+
+  await recordAudit(req, {
+    resource: 'patient',
+    action: 'update',
+    resourceId: patient._id,
+    patientId: patient._id,
+    hospitalId: patient.hospital,
+    fields: changedFields
+  });
+
+  if (changed.length) {
+    await ActivityService.logActivity({
+      ...portalActor(req),
+      action: 'patient_profile_updated',
+      subject: 'patient',
+      subjectId: patient._id,
+      description: `${patient.name} updated their contact details`,
+      metadata: { fields: changed }
+    });
+  }
+
+  res.json({
+    _id: patient._id,
+    phone: patient.phone,
+    emergencyContact: patient.emergencyContact
+  });
+});
+
+// @desc    Get the signed-in patient's appointments
+// @route   GET /api/portal/appointments?when=upcoming|past
+// @access  Private (patient)
+const getPortalAppointments = asyncHandler(async (req, res) => {
+  const { when } = req.query;
+  const today = moment().format('YYYY-MM-DD');
+  const query = { patientId: req.patient._id };
+  let sort = { date: -1, time: -1 };
+
+  if (when === 'upcoming') {
+    query.date = { $gte: today };
+    query.status = { $in: ACTIVE_STATUSES };
+    sort = { date: 1, time: 1 };
+  } else if (when === 'past') {
+    query.$or = [
+      { date: { $lt: today } },
+      { status: { $nin: ACTIVE_STATUSES } }
+    ];
+  } else if (when !== undefined) {
+    res.status(400);
+    throw new Error('when must be upcoming or past');
+  }
+
+  const appointments = await Appointment.find(query)
+    .select('-notes -diagnosis -disease -noShowReason')
+    .populate(APPOINTMENT_POPULATE)
+    .sort(sort);
+
+  res.json(appointments);
+});
+
+// @desc    Get one of the signed-in patient's appointments
+// @route   GET /api/portal/appointments/:id
+// @access  Private (patient)
+const getPortalAppointmentById = asyncHandler(async (req, res) => {
+  if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+    res.status(400);
+    throw new Error('Invalid appointment ID');
+  }
+
+  const appointment = await Appointment.findOne({ _id: req.params.id, patientId: req.patient._id })
+    .select('-notes -diagnosis -disease -noShowReason')
+    .populate(APPOINTMENT_POPULATE);
+
+  if (!appointment) {
+    res.status(404);
+    throw new Error('Appointment not found');
+  }
+
+  res.json(appointment);
+});
+
+// @desc    Book an appointment for the signed-in patient
+// @route   POST /api/portal/appointments
+// @access  Private (patient)
+const bookPortalAppointment = asyncHandler(async (req, res) => {
+  const { doctorId, date, time, type, symptoms } = req.body;
+  const patient = req.patient;
+
+  if (!doctorId || !date || !time) {
+    res.status(400);
+    throw new Error('Please provide the doctor, date and time');
+  }
+
+  if (!mongoose.Types.ObjectId.isValid(doctorId)) {
+    res.status(400);
+    throw new Error('Invalid doctor ID');
+  }
+
+  const start = getAppointmentStart({ date, time });
+  if (!start.isValid()) {
+    res.status(400);
+    throw new Error('Date must be YYYY-MM-DD and time HH:mm');
+  }
+
+  const doctor = await Doctor.findById(doctorId).populate('userId', 'name email status');
+  if (!doctor || !doctor.userId || doctor.userId.status !== 'active') {
+    res.status(404);
+    throw new Error('Doctor not found');
+  }
+
+  // Patients book with doctors at their own hospital
+  if (patient.hospital && String(doctor.hospitalId) !== String(patient.hospital)) {
+    res.status(403);
+    throw new Error('You can only book with doctors at your hospital');
+  }
+
+  const hospitalId = doctor.hospitalId;
+  const hospital = await Hospital.findById(hospitalId).select('portalSettings').lean();
+  const settings = getPortalSettings(hospital);
+
+  if (!settings.bookingEnabled) {
+    res.status(403);
+    throw new Error('Online booking is not available at this hospital. Please contact reception.');
+  }
+
+  if (start.isBefore(moment().add(settings.minNoticeHours, 'hours'))) {
+    res.status(400);
+    throw new Error(`Appointments must be booked at least ${settings.minNoticeHours} hours in advance`);
+  }
+
+  if (start.isAfter(moment().add(settings.maxAdvanceDays, 'days').endOf('day'))) {
+    res.status(400);
+    throw new Error(`Appointments can be booked up to ${settings.maxAdvanceDays} days ahead`);
+  }
+
+  const upcomingCount = await Appointment.countDocuments({
+    patientId: patient._id,
+    status: { $in: ACTIVE_STATUSES },
+    date: { $gte: moment().format('YYYY-MM-DD') }
+  });
+  if (upcomingCount >= settings.maxUpcomingAppointments) {
+    res.status(400);
+    throw new Error(`You can have at most ${settings.maxUpcomingAppointments} upcoming appointments`);
+  }
+
+  const appointmentType = type || 'consultation';
+  const appointmentId = new mongoose.Types.ObjectId();
+  const booking = await checkAndReserveSlot({ doctor, date, time, type: appointmentType, appointmentId });
+  if (booking.status === 409) {
+    return res.status(409).json({ message: booking.message, nearestSlots: booking.nearestSlots });
+  }
+  if (booking.status) {
+    res.status(booking.status);
+    throw new Error(booking.message);
+  }
+
+  let appointment;
+  try {
+    appointment = await Appointment.create({
+      _id: appointmentId,
+      doctorId,
+      patientId: patient._id,
+      hospitalId,
+      date,
+      time,
+      type: appointmentType,
+      symptoms: symptoms || '',
+      status: 'pending'
+    });
+  } catch (creationError) {
+    // Give the slot back if the appointment could not be created
+    await releaseSlot(appointmentId);
+    throw creationError;
+  }
+
+  patient.appointments.push({
+    appointment: appointment._id,
+    doctor: doctorId,
+    date: new Date(date),
+    status: 'scheduled'
+  });
+  if (!patient.hospital) {
+    patient.hospital = hospitalId;
+  }
+  if (patient.status === 'inactive') {
+    patient.status = 'active';
+    patient.lastStatusChangeDate = new Date();
+  }
+  await patient.save();
+
+  await appointment.populate(APPOINTMENT_POPULATE);
+
+  try {
+    const ics = await buildAppointmentInvite(appointment);
+    await sendAppointmentEmail(patient.email, appointment, { ics });
+  } catch (error) {
+    console.error('Error sending email:', error);
+  }
+
+  await ActivityService.logActivity({
+    ...portalActor(req),
+    hospitalId,
+    action: 'appointment_created',
+    subject: 'appointment',
+    subjectId: appointment._id,
+    description: `${patient.name} booked an appointment through the portal`,
+    metadata: { appointmentDate: date, time, doctorId, type: appointmentType, source: 'portal' }
+  });
+
+  res.status(201).json(appointment);
+});
+
+// @desc    Cancel one of the signed-in patient's appointments
+// @route   POST /api/portal/appointments/:id/cancel
+// @access  Private (patient)
+const cancelPortalAppointment = asyncHandler(async (req, res) => {
+  if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+    res.status(400);
+    throw new Error('Invalid appointment ID');
+  }
+
+  const appointment = await Appointment.findOne({ _id: req.params.id, patientId: req.patient._id });
+  if (!appointment) {
+    res.status(404);
+    throw new Error('Appointment not found');
+  }
+
+  if (!ACTIVE_STATUSES.includes(appointment.status)) {
+    res.status(400);
+    throw new Error(`Cannot cancel an appointment that is ${appointment.status}`);
+  }
+
+  const hospital = await Hospital.findById(appointment.hospitalId).select('portalSettings').lean();
+  const settings = getPortalSettings(hospital);
+  const start = getAppointmentStart(appointment);
+
+  if (start.isValid() && start.isBefore(moment().add(settings.cancellationCutoffHours, 'hours'))) {
+    res.status(400);
+    throw new Error(`Appointments can only be cancelled online up to ${settings.cancellationCutoffHours} hours before. Please contact the hospital.`);
+  }
+
+  appointment.status = 'cancelled';
+  await appointment.save();
+
+  const entry = req.patient.appointments.find(
+    item => item.appointment && String(item.appointment) === String(appointment._id)
+  );
+  if (entry) {
+    entry.status = 'cancelled';
+    await req.patient.save();
+  }
+
+  try {
+    await offerFreedSlot(appointment);
+  } catch (waitlistError) {
+    console.error('Error offering freed slot to waitlist:', waitlistError);
+  }
+
+  await ActivityService.logActivity({
+    ...portalActor(req),
+    hospitalId: appointment.hospitalId,
+    action: 'appointment_cancelled',
+    subject: 'appointment',
+    subjectId: appointment._id,
+    description: `${req.patient.name} cancelled an appointment through the portal`,
+    metadata: { appointmentDate: appointment.date, time: appointment.time, reason: req.body.reason, source: 'portal' }
+  });
+
+  res.json(appointment);
+});
+
+// @desc    Get the signed-in patient's completed reports
+// @route   GET /api/portal/reports?type=
+// @access  Private (patient)
+const getPortalReports = asyncHandler(async (req, res) => {
+  const query = { patientId: req.patient._id, status: 'completed' };
+  if (req.query.type) {
+    query.type = req.query.type;
+  }
+
+  const reports = await Report.find(query)
+    .select('type reportNumber diagnosis prescription medications followUpDate doctorId hospitalId appointmentId createdAt')
+    .populate({ path: 'doctorId', select: 'userId specialization', populate: { path: 'userId', select: 'name' } })
+    .populate('hospitalId', 'name')
+    .sort({ createdAt: -1 });
+
+  await recordAudit(req, {
+    resource: 'report',
+    action: 'read',
+    patientId: req.patient._id
+  });
+
+  res.json(reports);
+});
+
+// @desc    Get one of the signed-in patient's reports
+// @route   GET /api/portal/reports/:id
+// @access  Private (patient)
+const getPortalReportById = asyncHandler(async (req, res) => {
+  if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+    res.status(400);
+    throw new Error('Invalid report ID');
+  }
+
+  const report = await Report.findOne({ _id: req.params.id, patientId: req.patient._id, status: 'completed' })
+    .populate({ path: 'doctorId', select: 'userId specialization', populate: { path: 'userId', select: 'name' } })
+    .populate('hospitalId', 'name address')
+    .populate('appointmentId', 'date time type');
+
+  if (!report) {
+    res.status(404);
+    throw new Error('Report not found');
+  }
+
+  await recordAudit(req, {
+    resource: 'report',
+    action: 'read',
+    resourceId: report._id,
+    patientId: req.patient._id,
+    hospitalId: report.hospitalId?._id
+  });
+
+  res.json(report);
+});
+
+// @desc    Download one of the signed-in patient's reports as a PDF
+// @route   GET /api/portal/reports/:id/pdf
+// @access  Private (patient)
+const downloadPortalReportPdf = asyncHandler(async (req, res) => {
+  if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+    res.status(400);
+    throw new Error('Invalid report ID');
+  }
+
+  const report = await Report.findOne({ _id: req.params.id, patientId: req.patient._id, status: 'completed' })
+    .populate(REPORT_PDF_POPULATE);
+
+  if (!report) {
+    res.status(404);
+    throw new Error('Report not found');
+  }
+
+  // Recorded first, so a failed audit doesn't leave a generated file behind
+  await recordAudit(req, {
+    resource: 'report',
+    action: 'export',
+    resourceId: report._id,
+    patientId: req.patient._id,
+    hospitalId: report.hospitalId?._id
+  });
+
+  const pdfPath = await generateReportPdfFile(report);
+  streamPdfFile(res, pdfPath, `report-${report.reportNumber || report._id}.pdf`);
+});
+
+// @desc    Get the doctors the signed-in patient can message
+// @route   GET /api/portal/care-team
+// @access  Private (patient)
+const getCareTeam = asyncHandler(async (req, res) => {
+  const doctors = await getCareTeamDoctors(req.patient);
+
+  res.json(doctors.map(doctor => ({
+    userId: doctor.userId._id,
+    doctorId: doctor._id,
+    name: doctor.userId.name,
+    specialization: doctor.specialization
+  })));
+});
+
+/**
+ * Finds the care team member with a given User ID
+ * @param {Object} patient - Patient document
+ * @param {string} userId - User ID
+ * @returns {Promise<Object|undefined>} The doctor, if on the patient's care team
+ */
+const findCareTeamMember = async (patient, userId) => {
+  const doctors = await getCareTeamDoctors(patient);
+  return doctors.find(doctor => String(doctor.userId._id) === String(userId));
+};
+
+// @desc    Message a member of the signed-in patient's care team
+// @route   POST /api/portal/messages
+// @access  Private (patient)
+const sendPortalMessage = asyncHandler(async (req, res) => {
+  const { receiverId, content } = req.body;
+
+  if (!receiverId || !content || !String(content).trim()) {
+    res.status(400);
+    throw new Error('Please provide a recipient and a message');
+  }
+
+  if (!(await findCareTeamMember(req.patient, receiverId))) {
+    res.status(403);
+    throw new Error('You can only message doctors on your care team');
+  }
+
+  const message = await deliverMessage({
+    sender: req.user._id,
+    receiver: receiverId,
+    content: String(content).trim()
+  });
+
+  res.status(201).json(message);
+});
+
+// @desc    Get the signed-in patient's conversation with a care team member
+// @route   GET /api/portal/messages/:userId
+// @access  Private (patient)
+const getPortalMessages = asyncHandler(async (req, res) => {
+  if (!(await findCareTeamMember(req.patient, req.params.userId))) {
+    res.status(403);
+    throw new Error('You can only message doctors on your care team');
+  }
+
+  const messages = await readConversation(req.user._id, req.params.userId);
+  res.json(messages);
+});
+
+module.exports = {
+  sendPortalInvite,
+  activatePortalAccount,
+  getPortalProfile,
+  updatePortalProfile,
+  getPortalAppointments,
+  getPortalAppointmentById,
+  bookPortalAppointment,
+  cancelPortalAppointment,
+  getPortalReports,
+  getPortalReportById,
+  downloadPortalReportPdf,
+  getCareTeam,
+  sendPortalMessage,
+  getPortalMessages
+};
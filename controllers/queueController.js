@@ -0,0 +1,288 @@
+const asyncHandler = require('express-async-handler');
+const mongoose = require('mongoose');
+const Doctor = require('../models/Doctor');
+const Patient = require('../models/Patient');
+const QueueToken = require('../models/QueueToken');
+const ActivityService = require('../utils/activityService');
+const {
+  getToday,
+  nextQueueNumbers,
+  issueToken,
+  getAverageConsultationMinutes,
+  getDoctorQueue
+} = require('../utils/queueService');
+
+// Allowed status changes through the status endpoint
+const STATUS_TRANSITIONS = {
+  waiting: ['called'],
+  called: ['in_consultation', 'done'],
+  in_consultation: ['done']
+};
+
+// Staff run their own hospital's queues, doctors their own queue, admins any
+const canManageQueue = (user, doctor) => {
+  if (user.role === 'admin') return true;
+  if (user.role === 'doctor') return String(doctor.userId) === String(user._id);
+  if (user.role === 'staff') return user.hospital && String(doctor.hospitalId) === String(user.hospital);
+  return false;
+};
+
+const loadDoctorForUser = async (req, res, doctorId) => {
+  if (!mongoose.Types.ObjectId.isValid(doctorId)) {
+    res.status(400);
+    throw new Error('Invalid doctor ID');
+  }
+
+  const doctor = await Doctor.findById(doctorId);
+  if (!doctor) {
+    res.status(404);
+    throw new Error('Doctor not found');
+  }
+
+  if (!canManageQueue(req.user, doctor)) {
+    res.status(403);
+    throw new Error('Not authorized to manage this queue');
+  }
+
+  return doctor;
+};
+
+const loadTokenForUser = async (req, res) => {
+  if (!mongoose.Types.ObjectId.isValid(req.params.tokenId)) {
+    res.status(400);
+    throw new Error('Invalid token ID');
+  }
+
+  const token = await QueueToken.findById(req.params.tokenId);
+  if (!token) {
+    res.status(404);
+    throw new Error('Queue token not found');
+  }
+
+  const doctor = await loadDoctorForUser(req, res, token.doctorId);
+  return { token, doctor };
+};
+
+// @desc    Add a walk-in patient to a doctor's queue
+// @route   POST /api/queue/walk-in
+// @access  Private (Staff, Admin)
+const addWalkIn = asyncHandler(async (req, res) => {
+  const { doctorId, patientId, patientDetails, notes } = req.body;
+
+  if (!doctorId || (!patientId && !patientDetails)) {
+    res.status(400);
+    throw new Error('Please provide a doctor and a patient');
+  }
+
+  const doctor = await loadDoctorForUser(req, res, doctorId);
+
+  let patient;
+  if (patientId) {
+    if (!mongoose.Types.ObjectId.isValid(patientId)) {
+      res.status(400);
+      throw new Error('Invalid patient ID');
+    }
+    patient = await Patient.findById(patientId);
+    if (!patient) {
+      res.status(404);
+      throw new Error('Patient not found');
+    }
+  } else {
+    if (!patientDetails.name || !patientDetails.email) {
+      res.status(400);
+      throw new Error('Patient name and email are required');
+    }
+
+    patient = await Patient.findOne({ email: patientDetails.email, hospital: doctor.hospitalId });
+    if (!patient) {
+      patient = await Patient.create({
+        name: patientDetails.name,
+        email: patientDetails.email,
+        phone: patientDetails.phone || '',
+        hospital: doctor.hospitalId,
+        status: 'active',
+        lastStatusChangeDate: new Date()
+      });
+    }
+  }
+
+  const token = await issueToken({
+    doctor,
+    patientId: patient._id,
+    notes,
+    issuedBy: req.user._id
+  });
+
+  await ActivityService.logActivity({
+    user: req.user._id,
+    hospitalId: doctor.hospitalId,
+    actorId: req.user._id,
+    actorName: req.user.name,
+    actorEmail: req.user.email,
+    actorRole: req.user.role,
+    patientId: patient._id,
+    action: 'patient_checked_in',
+    subject: 'patient',
+    subjectId: patient._id,
+    description: `Walk-in patient ${patient.name} given token ${token.tokenNumber}`,
+    metadata: {
+      tokenId: token._id,
+      tokenNumber: token.tokenNumber,
+      doctorId: doctor._id
+    }
+  });
+
+  res.status(201).json(token);
+});
+
+// @desc    Get a doctor's queue with estimated waits
+// @route   GET /api/queue/doctors/:doctorId
+// @access  Private (Staff, Doctor, Admin)
+const getQueue = asyncHandler(async (req, res) => {
+  const doctor = await loadDoctorForUser(req, res, req.params.doctorId);
+  const queue = await getDoctorQueue(doctor, req.query.date || getToday());
+
+  res.json(queue);
+});
+
+// @desc    Call the next waiting patient
+// @route   POST /api/queue/doctors/:doctorId/call-next
+// @access  Private (Staff, Doctor, Admin)
+const callNextPatient = asyncHandler(async (req, res) => {
+  const doctor = await loadDoctorForUser(req, res, req.params.doctorId);
+
+  const token = await QueueToken.findOneAndUpdate(
+    { doctorId: doctor._id, date: getToday(), status: 'waiting' },
+    { $set: { status: 'called', calledAt: new Date() } },
+    { sort: { position: 1 }, new: true }
+  ).populate('patientId', 'name phone');
+
+  if (!token) {
+    res.status(404);
+    throw new Error('No patients waiting');
+  }
+
+  res.json(token);
+});
+
+// @desc    Move a token to the next stage of its consultation
+// @route   PATCH /api/queue/tokens/:tokenId/status
+// @access  Private (Staff, Doctor, Admin)
+const updateTokenStatus = asyncHandler(async (req, res) => {
+  const { status } = req.body;
+  const { token } = await loadTokenForUser(req, res);
+
+  if (!(STATUS_TRANSITIONS[token.status] || []).includes(status)) {
+    res.status(400);
+    throw new Error(`Cannot move a token from ${token.status} to ${status}`);
+  }
+
+  const now = new Date();
+  token.status = status;
+  if (status === 'called') token.calledAt = now;
+  if (status === 'in_consultation') token.consultationStartedAt = now;
+  if (status === 'done') token.completedAt = now;
+  await token.save();
+
+  res.json(token);
+});
+
+// @desc    Skip a patient who did not answer when called
+// @route   POST /api/queue/tokens/:tokenId/skip
+// @access  Private (Staff, Doctor, Admin)
+const skipToken = asyncHandler(async (req, res) => {
+  const { token } = await loadTokenForUser(req, res);
+
+  if (!['waiting', 'called'].includes(token.status)) {
+    res.status(400);
+    throw new Error(`Cannot skip a token that is ${token.status}`);
+  }
+
+  token.status = 'skipped';
+  token.skipCount += 1;
+  await token.save();
+
+  res.json(token);
+});
+
+// @desc    Put a skipped or called patient back at the end of the queue
+// @route   POST /api/queue/tokens/:tokenId/requeue
+// @access  Private (Staff, Doctor, Admin)
+const requeueToken = asyncHandler(async (req, res) => {
+  const { token } = await loadTokenForUser(req, res);
+
+  if (!['skipped', 'called'].includes(token.status)) {
+    res.status(400);
+    throw new Error(`Cannot requeue a token that is ${token.status}`);
+  }
+
+  const { position } = await nextQueueNumbers(token.doctorId, token.date, { positionOnly: true });
+
+  token.status = 'waiting';
+  token.position = position;
+  token.calledAt = undefined;
+  await token.save();
+
+  res.json(token);
+});
+
+// @desc    Lobby display of today's queues for a hospital
+// @route   GET /api/queue/board/:hospitalId
+// @access  Public
+const getQueueBoard = asyncHandler(async (req, res) => {
+  if (!mongoose.Types.ObjectId.isValid(req.params.hospitalId)) {
+    res.status(400);
+    throw new Error('Invalid hospital ID');
+  }
+
+  const date = getToday();
+  const hospitalId = new mongoose.Types.ObjectId(req.params.hospitalId);
+
+  const tokens = await QueueToken.find({
+    hospitalId,
+    date,
+    status: { $in: ['waiting', 'called', 'in_consultation'] }
+  })
+    .select('doctorId tokenNumber status position')
+    .sort({ position: 1 })
+    .lean();
+
+  const doctorIds = [...new Set(tokens.map(token => String(token.doctorId)))];
+  const doctors = await Doctor.find({ _id: { $in: doctorIds } })
+    .populate('userId', 'name')
+    .select('userId specialization availability');
+
+  // Token numbers only; the board is shown in a public waiting area
+  const board = await Promise.all(doctors.map(async (doctor) => {
+    const doctorTokens = tokens.filter(token => String(token.doctorId) === String(doctor._id));
+    const serving = doctorTokens.filter(token => token.status !== 'waiting');
+    const waiting = doctorTokens.filter(token => token.status === 'waiting');
+    const averageConsultationMinutes = await getAverageConsultationMinutes(doctor);
+
+    return {
+      doctorId: doctor._id,
+      doctorName: doctor.userId?.name || 'Unknown',
+      specialization: doctor.specialization,
+      nowServing: serving.map(token => ({ tokenNumber: token.tokenNumber, status: token.status })),
+      upNext: waiting.slice(0, 5).map(token => token.tokenNumber),
+      waitingCount: waiting.length,
+      estimatedWaitMinutes: (waiting.length + serving.length) * averageConsultationMinutes
+    };
+  }));
+
+  res.json({
+    date,
+    updatedAt: new Date(),
+    doctors: board.sort((a, b) => a.doctorName.localeCompare(b.doctorName))
+  });
+});
+
+module.exports = {
+  addWalkIn,
+  getQueue,
+  callNextPatient,
+  updateTokenStatus,
+  skipToken,
+  requeueToken,
+  getQueueBoard
+};
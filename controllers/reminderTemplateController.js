@@ -0,0 +1,111 @@
+const asyncHandler = require('express-async-handler');
+const mongoose = require('mongoose');
+const Hospital = require('../models/Hospital');
+const ReminderTemplate = require('../models/ReminderTemplate');
+const { DEFAULT_OFFSETS, DEFAULT_TEMPLATE, renderTemplate } = require('../utils/reminderService');
+
+// Staff manage their own hospital's template, admins any hospital's
+const loadHospitalForUser = async (req, res) => {
+  if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+    res.status(400);
+    throw new Error('Invalid hospital ID');
+  }
+
+  const hospital = await Hospital.findById(req.params.id);
+  if (!hospital) {
+    res.status(404);
+    throw new Error('Hospital not found');
+  }
+
+  if (req.user.role !== 'admin' && String(req.user.hospital) !== String(hospital._id)) {
+    res.status(403);
+    throw new Error('Not authorized to manage reminders for this hospital');
+  }
+
+  return hospital;
+};
+
+const buildPreview = (template, hospital) => {
+  const values = {
+    patientName: 'Jane Doe',
+    doctorName: 'Smith',
+    hospitalName: hospital.name,
+    hospitalAddress: hospital.address,
+    hospitalContact: hospital.contact,
+    date: '2030-01-15',
+    time: '09:30',
+    type: 'consultation'
+  };
+
+  return {
+    subject: renderTemplate(template.subject, values),
+    html: renderTemplate(template.html, values, { html: true })
+  };
+};
+
+// @desc    Get a hospital's appointment reminder template
+// @route   GET /api/hospitals/:id/reminder-template
+// @access  Private (Staff, Admin)
+const getReminderTemplate = asyncHandler(async (req, res) => {
+  const hospital = await loadHospitalForUser(req, res);
+  const template = await ReminderTemplate.findOne({ hospitalId: hospital._id });
+
+  const current = template || { ...DEFAULT_TEMPLATE, enabled: true, hospitalId: hospital._id };
+
+  res.json({
+    template: current,
+    isDefault: !template,
+    offsets: DEFAULT_OFFSETS,
+    placeholders: ReminderTemplate.PLACEHOLDERS,
+    preview: buildPreview(current, hospital)
+  });
+});
+
+// @desc    Create or update a hospital's appointment reminder template
+// @route   PUT /api/hospitals/:id/reminder-template
+// @access  Private (Staff, Admin)
+const updateReminderTemplate = asyncHandler(async (req, res) => {
+  const hospital = await loadHospitalForUser(req, res);
+  const { subject, html, enabled } = req.body;
+
+  let template = await ReminderTemplate.findOne({ hospitalId: hospital._id });
+  if (!template) {
+    template = new ReminderTemplate({ hospitalId: hospital._id, ...DEFAULT_TEMPLATE });
+  }
+
+  if (subject !== undefined) template.subject = subject;
+  if (html !== undefined) template.html = html;
+  if (enabled !== undefined) template.enabled = enabled;
+  template.updatedBy = req.user._id;
+
+  try {
+    await template.save();
+  } catch (error) {
+    res.status(400);
+    throw new Error(error.message);
+  }
+
+  res.json({
+    template,
+    isDefault: false,
+    offsets: DEFAULT_OFFSETS,
+    placeholders: ReminderTemplate.PLACEHOLDERS,
+    preview: buildPreview(template, hospital)
+  });
+});
+
+// @desc    Reset a hospital's reminder template to the default
+// @route   DELETE /api/hospitals/:id/reminder-template
+// @access  Private (Staff, Admin)
+const resetReminderTemplate = asyncHandler(async (req, res) => {
+  const hospital = await loadHospitalForUser(req, res);
+  await ReminderTemplate.deleteOne({ hospitalId: hospital._id });
+
+  res.json({ message: 'Reminder template reset to default' });
+});
+
+module.exports = {
+  getReminderTemplate,
+  updateReminderTemplate,
+  resetReminderTemplate
+};
@@ -22,6 +22,125 @@ const {
 const { generateImageUrl } = require('../utils/imageUrl');
 const { ensureUploadsDir, deleteFileSafely } = require('../utils/fileHelper');
 const { generateSimplePdf } = require('../utils/pdfGenerator');
+const { REPORT_PDF_POPULATE, generateReportPdfFile, streamPdfFile } = require('../utils/reportPdfService');
+const { recordAudit } = require('../utils/auditService');
+const { normalizePrescriptionLines } = require('../utils/prescriptionSchedule');
+const { getActiveMedications } = require('../utils/medicationService');
+const { checkPrescriptionSafety, resolveSafetyWarnings } = require('../utils/drugSafetyService');
+const { validateCodes, mapFreeText } = require('../utils/icd10Service');
+
+const badRequest = (message) => {
+  const error = new Error(message);
+  error.statusCode = 400;
+  return error;
+};
+
+// Lists may arrive as JSON strings when the body is multipart form data
+const parseJsonField = (value, label) => {
+  if (typeof value !== 'string') return value;
+  try {
+    return JSON.parse(value);
+  } catch (error) {
+    throw badRequest(`${label} must be valid JSON`);
+  }
+};
+
+// Overrides for prescription safety warnings, as [{ warningId, reason }]
+const parseSafetyOverrides = (value) => {
+  if (value === undefined || value === null || value === '') return [];
+  const overrides = parseJsonField(value, 'Safety overrides');
+  if (!Array.isArray(overrides)) {
+    throw badRequest('Safety overrides must be a list of { warningId, reason }');
+  }
+  return overrides;
+};
+
+// ICD-10 codes may also be sent as one code or a comma-separated string
+const parseDiagnosisCodes = (value) => {
+  if (typeof value === 'string' && !value.trim().startsWith('[')) {
+    return validateCodes(value.split(','));
+  }
+  return validateCodes(parseJsonField(value, 'Diagnosis codes'));
+};
+
+// IDs of the safety warnings already overridden on a report
+const getOverriddenWarningIds = async (reportId) => {
+  const activities = await Activity.find({
+    action: 'prescription_safety_override',
+    subject: 'report',
+    subjectId: reportId
+  }).select('metadata');
+
+  return new Set(activities.flatMap(activity => (
+    (activity.metadata?.overrides || []).map(override => override.warningId)
+  )));
+};
+
+/**
+ * Checks prescription lines against the patient's allergies and current
+ * medications before they are saved. When a report is edited every line is
+ * checked again, so an allergy recorded since it was written is caught;
+ * warnings already overridden on that report stand and aren't raised again.
+ * @param {Object} params
+ * @param {string} params.patientId
+ * @param {Array<Object>} params.lines - Normalised prescription lines
+ * @param {Array<Object>} [params.overrides] - From parseSafetyOverrides
+ * @param {string} [params.reportId] - Report being edited, whose own lines aren't "current"
+ * @returns {Promise<Object>} { unresolved, overridden }
+ */
+const reviewPrescriptionSafety = async ({ patientId, lines, overrides = [], reportId }) => {
+  const patient = await Patient.findById(patientId).select('allergies');
+  const activeMedications = (await getActiveMedications(patientId))
+    .filter(medication => String(medication.reportId) !== String(reportId));
+
+  const warnings = checkPrescriptionSafety({
+    lines,
+    allergies: patient ? patient.toObject().allergies : [],
+    activeMedications
+  });
+
+  const alreadyOverridden = reportId ? await getOverriddenWarningIds(reportId) : new Set();
+  return resolveSafetyWarnings(warnings.filter(warning => !alreadyOverridden.has(warning.id)), overrides);
+};
+
+const safetyReviewResponse = (res, unresolved) => res.status(409).json({
+  success: false,
+  message: 'Prescription safety warnings must each be overridden with a reason',
+  requiresOverride: true,
+  warnings: unresolved
+});
+
+// Records each overridden warning against the saved report's lines
+const logSafetyOverrides = (req, report, overridden) => {
+  if (!overridden.length) return null;
+
+  return ActivityService.logActivity({
+    user: req.user._id,
+    hospitalId: report.hospitalId,
+    actorId: req.user._id,
+    actorName: req.user.name,
+    actorEmail: req.user.email,
+    actorRole: req.user.role,
+    patientId: report.patientId,
+    action: 'prescription_safety_override',
+    subject: 'report',
+    subjectId: report._id,
+    description: `${overridden.length} prescription safety warning${overridden.length === 1 ? '' : 's'} overridden by ${req.user.name}`,
+    status: 'warning',
+    metadata: {
+      reportNumber: report.reportNumber,
+      overrides: overridden.map(warning => ({
+        warningId: warning.id,
+        type: warning.type,
+        severity: warning.severity,
+        // Drug names stay encrypted on the report; the line is referenced instead
+        medicationId: report.medications[warning.lineIndex]?._id,
+        otherReportId: warning.otherReportId,
+        reason: warning.reason
+      }))
+    }
+  });
+};
 
 // @desc    Create a new medical report
 // @route   POST /api/reports
@@ -34,7 +153,10 @@ const createReport = asyncHandler(async (req, res) => {
       doctorId,
       hospitalId,
       diagnosis,
+      diagnosisCodes,
       prescription,
+      medications,
+      safetyOverrides,
       notes,
       followUpDate,
       type,
@@ -77,13 +199,56 @@ const createReport = asyncHandler(async (req, res) => {
       });
     }
 
-    if (type === 'prescription' && !prescription) {
+    // Without codes, a diagnosis that is exactly a known disease is coded for it
+    let codes = [];
+    if (diagnosisCodes !== undefined) {
+      try {
+        codes = parseDiagnosisCodes(diagnosisCodes);
+      } catch (error) {
+        return res.status(400).json({
+          success: false,
+          message: error.statusCode ? error.message : 'Diagnosis codes must be a list of ICD-10 codes'
+        });
+      }
+    } else if (diagnosis) {
+      const coded = mapFreeText(diagnosis);
+      if (coded) codes = [coded.code];
+    }
+
+    let prescriptionLines = [];
+    let overrides = [];
+    try {
+      if (medications !== undefined) {
+        prescriptionLines = normalizePrescriptionLines(parseJsonField(medications, 'Medications'));
+      }
+      overrides = parseSafetyOverrides(safetyOverrides);
+    } catch (error) {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    if (type === 'prescription' && !prescription && !prescriptionLines.length) {
       return res.status(400).json({
         success: false,
         message: 'Prescription is required for prescription reports'
       });
     }
 
+    let overriddenWarnings = [];
+    if (prescriptionLines.length) {
+      const { unresolved, overridden } = await reviewPrescriptionSafety({
+        patientId,
+        lines: prescriptionLines,
+        overrides
+      });
+      if (unresolved.length) {
+        return safetyReviewResponse(res, unresolved);
+      }
+      overriddenWarnings = overridden;
+    }
+
     // Create new report
     const report = new Report({
       appointmentId,
@@ -91,7 +256,9 @@ const createReport = asyncHandler(async (req, res) => {
       doctorId,
       hospitalId,
       diagnosis,
+      diagnosisCodes: codes,
       prescription,
+      medications: prescriptionLines,
       notes,
       followUpDate,
       type,
@@ -103,6 +270,16 @@ const createReport = asyncHandler(async (req, res) => {
 
     const savedReport = await report.save();
 
+    await logSafetyOverrides(req, savedReport, overriddenWarnings);
+
+    await recordAudit(req, {
+      resource: 'report',
+      action: 'create',
+      resourceId: savedReport._id,
+      patientId: savedReport.patientId,
+      hospitalId: savedReport.hospitalId
+    });
+
     // Update appointment status if report is created
     await Appointment.findByIdAndUpdate(appointmentId, {
       status: 'completed'
@@ -202,7 +379,6 @@ const createReport = asyncHandler(async (req, res) => {
         description: `Report generated by ${staffUser ? staffUser.name : (req.user.name || 'Unknown Staff')}`,
         metadata: {
           reportType: savedReport.type,
-          diagnosis: savedReport.diagnosis,
           patientId: savedReport.patientId,
           doctorId: savedReport.doctorId,
           staffId: req.user._id,
@@ -282,6 +458,13 @@ const getPatientReports = asyncHandler(async (req, res) => {
       .populate('appointmentId')
       .sort({ createdAt: -1 });
 
+    await recordAudit(req, {
+      resource: 'report',
+      action: 'read',
+      patientId,
+      hospitalId: query.hospitalId
+    });
+
     res.status(200).json({
       success: true,
       count: reports.length,
@@ -409,6 +592,14 @@ const getReportById = asyncHandler(async (req, res) => {
       }
     }
 
+    await recordAudit(req, {
+      resource: 'report',
+      action: 'read',
+      resourceId: report._id,
+      patientId: report.patientId?._id,
+      hospitalId: report.hospitalId?._id
+    });
+
     res.status(200).json({
       success: true,
       data: report
@@ -423,10 +614,8 @@ const getReportById = asyncHandler(async (req, res) => {
   }
 });
 
-// @desc    Generate PDF from report
-// @route   GET /api/reports/:id/pdf
-// @access  Private
-const generateReportPdf = asyncHandler(async (req, res) => {
+// Builds, audits and streams a report's PDF for the two download routes
+const sendReportPdf = async (req, res, { includeImages }) => {
   try {
     const { id } = req.params;
     
@@ -437,21 +626,7 @@ const generateReportPdf = asyncHandler(async (req, res) => {
       });
     }
 
-    // Import required modules
-    const { generateSimplePdf } = require('../utils/pdfGenerator');
-    const { ensureUploadsDir } = require('../utils/fileHelper');
-
-    const report = await Report.findById(id)
-      .populate('patientId', 'name age gender blood phone email address')
-      .populate({
-        path: 'doctorId',
-        populate: {
-          path: 'userId',
-          select: 'name email'
-        }
-      })
-      .populate('hospitalId', 'name address logo phone email')
-      .populate('appointmentId');
+    const report = await Report.findById(id).populate(REPORT_PDF_POPULATE);
 
     if (!report) {
       return res.status(404).json({
@@ -481,56 +656,19 @@ const generateReportPdf = asyncHandler(async (req, res) => {
       }
     }
 
-    // Format report data for the PDF generator
-    const reportData = {
-      _id: report._id.toString(),
-      reportNumber: report.reportNumber || `Report-${Date.now()}`,
-      date: report.createdAt,
-      diagnosis: report.diagnosis || 'No diagnosis provided',
-      prescription: report.prescription || 'No prescription provided',
-      notes: report.notes || '',
-      followUpDate: report.followUpDate,
-      type: report.type || 'Medical',
-      images: report.conditionImages || [],
-      
-      // Include related data
-      patient: report.patientId ? {
-        name: report.patientId.name || 'Unknown Patient',
-        _id: report.patientId._id.toString(),
-        gender: report.patientId.gender || 'Not specified',
-        age: report.patientId.age || 'Not specified',
-        blood: report.patientId.blood || 'Not specified'
-      } : null,
-      
-      doctor: report.doctorId ? {
-        name: report.doctorId.userId?.name || 'Unknown Doctor',
-        specialization: report.doctorId.specialization || 'Not specified'
-      } : null,
-      
-      hospital: report.hospitalId ? {
-        name: report.hospitalId.name || 'Hospital',
-        address: report.hospitalId.address || 'Not specified',
-        contact: report.hospitalId.phone || 'Not specified'
-      } : null,
-      
-      appointment: report.appointmentId ? {
-        date: moment(report.appointmentId.date).format('MMMM Do YYYY'),
-        time: report.appointmentId.time || 'Not specified',
-        type: report.appointmentId.type || 'Not specified'
-      } : null
-    };
-    
     console.log('Preparing to generate PDF for report:', report._id.toString());
     
-    // Set uploads directory and file path
-    const uploadsDir = ensureUploadsDir();
-    const filename = `report_${report._id}_${Date.now()}.pdf`;
-    const pdfPath = path.join(uploadsDir, filename);
-    
-    console.log('Generating PDF at path:', pdfPath);
-    
+    // Recorded first, so a failed audit doesn't leave a generated file behind
+    await recordAudit(req, {
+      resource: 'report',
+      action: 'export',
+      resourceId: report._id,
+      patientId: report.patientId?._id,
+      hospitalId: report.hospitalId?._id
+    });
+
     // Generate the PDF
-    const generatedPdfPath = await generateSimplePdf(reportData, pdfPath);
+    const generatedPdfPath = await generateReportPdfFile(report, { includeImages });
     
     // Log the activity AFTER successful PDF generation
     try {
@@ -552,55 +690,7 @@ const generateReportPdf = asyncHandler(async (req, res) => {
       // Don't fail the process if logging fails
     }
     
-    // CRITICAL: Set content type and attachment headers BEFORE sending any data
-    res.setHeader('Content-Type', 'application/pdf');
-    res.setHeader('Content-Disposition', `attachment; filename="report_${report._id}.pdf"`);
-    
-    // Check if file exists before trying to stream it
-    if (!fs.existsSync(generatedPdfPath)) {
-      throw new Error(`Generated PDF file not found at ${generatedPdfPath}`);
-    }
-    
-    // Get file stats to verify it's not empty
-    const stats = fs.statSync(generatedPdfPath);
-    if (stats.size === 0) {
-      throw new Error('Generated PDF file is empty');
-    }
-    
-    console.log(`Streaming PDF file (${stats.size} bytes) to client`);
-    
-    // Stream the file and handle errors properly
-    const fileStream = fs.createReadStream(generatedPdfPath);
-    
-    // Handle stream errors
-    fileStream.on('error', (err) => {
-      console.error('Error streaming PDF file:', err);
-      
-      // Only send error response if headers haven't been sent
-      if (!res.headersSent) {
-        // Reset content type to JSON for error response
-        res.setHeader('Content-Type', 'application/json');
-        res.status(500).json({
-          success: false,
-          message: 'Error streaming PDF file',
-          error: err.message
-        });
-      }
-    });
-    
-    // Cleanup when done
-    fileStream.on('close', () => {
-      // Delete file after streaming
-      try {
-        fs.unlinkSync(generatedPdfPath);
-        console.log('Temporary PDF file deleted after streaming');
-      } catch (err) {
-        console.error('Error deleting temporary PDF file:', err);
-      }
-    });
-    
-    // Pipe the file to the response
-    fileStream.pipe(res);
+    streamPdfFile(res, generatedPdfPath, `report_${report._id}.pdf`);
     
   } catch (error) {
     console.error('Error generating report PDF:', error);
@@ -614,7 +704,21 @@ const generateReportPdf = asyncHandler(async (req, res) => {
       });
     }
   }
-});
+};
+
+// @desc    Generate PDF from report
+// @route   GET /api/reports/:id/pdf
+// @access  Private
+const generateReportPdf = asyncHandler(async (req, res) => (
+  sendReportPdf(req, res, { includeImages: true })
+));
+
+// @desc    Download a report's PDF, with condition images only when asked for
+// @route   GET /api/reports/:id/download-pdf?includeImages=true
+// @access  Private
+const downloadReportPdf = asyncHandler(async (req, res) => (
+  sendReportPdf(req, res, { includeImages: req.query.includeImages === 'true' })
+));
 
 // @desc    Get all reports (for staff)
 // @route   GET /api/reports/staff/:hospitalId
@@ -669,6 +773,7 @@ const getStaffReports = asyncHandler(async (req, res) => {
       doctorName: report.doctorId?.userId?.name || 'Unknown Doctor',
       doctorId: report.doctorId?._id,
       diagnosis: report.diagnosis,
+      diagnosisCodes: report.diagnosisCodes,
       createdAt: report.createdAt,
       followUpDate: report.followUpDate,
       type: report.type || 'medical',
@@ -1411,6 +1516,45 @@ const updateReport = asyncHandler(async (req, res) => {
       });
     }
 
+    if (updateData.diagnosisCodes !== undefined) {
+      try {
+        updateData.diagnosisCodes = parseDiagnosisCodes(updateData.diagnosisCodes);
+      } catch (error) {
+        return res.status(400).json({
+          success: false,
+          message: error.statusCode ? error.message : 'Diagnosis codes must be a list of ICD-10 codes'
+        });
+      }
+    }
+
+    let overriddenWarnings = [];
+    if (updateData.medications !== undefined) {
+      let overrides;
+      try {
+        updateData.medications = normalizePrescriptionLines(parseJsonField(updateData.medications, 'Medications'));
+        overrides = parseSafetyOverrides(updateData.safetyOverrides);
+      } catch (error) {
+        return res.status(400).json({
+          success: false,
+          message: error.message
+        });
+      }
+
+      const existing = await Report.findById(id).select('patientId');
+      if (existing && updateData.medications.length) {
+        const { unresolved, overridden } = await reviewPrescriptionSafety({
+          patientId: existing.patientId,
+          lines: updateData.medications,
+          overrides,
+          reportId: existing._id
+        });
+        if (unresolved.length) {
+          return safetyReviewResponse(res, unresolved);
+        }
+        overriddenWarnings = overridden;
+      }
+    }
+
     // Ensure all ID fields are valid ObjectIds
     const idFields = ['patientId', 'doctorId', 'hospitalId', 'appointmentId'];
     
@@ -1539,8 +1683,8 @@ const updateReport = asyncHandler(async (req, res) => {
     
     // Schema fields that can be updated
     const allowedFields = [
-      'type', 'status', 'description', 'diagnosis', 'prescription', 
-      'notes', 'followUpDate', 'conditionImages', 'patientId', 
+      'type', 'status', 'description', 'diagnosis', 'diagnosisCodes', 'prescription', 
+      'medications', 'notes', 'followUpDate', 'conditionImages', 'patientId', 
       'doctorId', 'hospitalId', 'appointmentId'
     ];
     
@@ -1565,6 +1709,19 @@ const updateReport = asyncHandler(async (req, res) => {
       
       console.log('Report updated:', report ? 'Success' : 'Failed');
 
+      if (report) {
+        await logSafetyOverrides(req, report, overriddenWarnings);
+
+        await recordAudit(req, {
+          resource: 'report',
+          action: 'update',
+          resourceId: report._id,
+          patientId: report.patientId,
+          hospitalId: report.hospitalId,
+          fields: Object.keys(sanitizedUpdate).filter(field => field !== 'updatedAt')
+        });
+      }
+
       // Log activity for report update
       await ActivityService.logActivity({
         user: req.user._id,
@@ -1579,10 +1736,10 @@ const updateReport = asyncHandler(async (req, res) => {
         description: `Report updated by ${req.user.name}`,
         metadata: {
           reportType: report.type,
-          diagnosis: report.diagnosis,
           patientId: report.patientId,
           doctorId: report.doctorId,
-          changes: req.body
+          // Field names only; the values are encrypted on the report itself
+          changedFields: Object.keys(req.body)
         }
       });
       
@@ -1679,6 +1836,14 @@ const deleteReport = asyncHandler(async (req, res) => {
     
     // Delete the report using findByIdAndDelete instead of .remove()
     await Report.findByIdAndDelete(id);
+
+    await recordAudit(req, {
+      resource: 'report',
+      action: 'delete',
+      resourceId: reportId,
+      patientId,
+      hospitalId
+    });
     
     // Log the activity
     await ActivityService.logActivity({
@@ -1806,12 +1971,107 @@ const getHospitalRevenueStats = asyncHandler(async (req, res) => {
   }
 });
 
+// @desc    Get a patient's active medications across their reports
+// @route   GET /api/patients/:id/medications?asOf=
+// @access  Private
+const getPatientMedications = asyncHandler(async (req, res) => {
+  const patient = await Patient.findById(req.params.id).select('name hospital');
+  if (!patient) {
+    res.status(404);
+    throw new Error('Patient not found');
+  }
+
+  const asOf = req.query.asOf ? new Date(req.query.asOf) : new Date();
+  if (Number.isNaN(asOf.getTime())) {
+    res.status(400);
+    throw new Error('Invalid asOf date');
+  }
+
+  const medications = await getActiveMedications(patient._id, asOf);
+
+  await recordAudit(req, {
+    resource: 'patient',
+    action: 'read',
+    resourceId: patient._id,
+    patientId: patient._id,
+    hospitalId: patient.hospital,
+    fields: ['medications']
+  });
+
+  res.json({
+    patientId: patient._id,
+    asOf,
+    medications
+  });
+});
+
+// @desc    Stop a medication before its course ends
+// @route   PATCH /api/reports/:id/medications/:lineId/discontinue
+// @access  Private (Doctor/Staff)
+const discontinueMedication = asyncHandler(async (req, res) => {
+  const { id, lineId } = req.params;
+  if (!isValidObjectId(id) || !isValidObjectId(lineId)) {
+    res.status(400);
+    throw new Error('Invalid report or medication ID');
+  }
+
+  const report = await Report.findById(id);
+  const line = report?.medications.id(lineId);
+  if (!line) {
+    res.status(404);
+    throw new Error('Medication not found');
+  }
+
+  if (line.discontinuedAt) {
+    res.status(400);
+    throw new Error('This medication has already been discontinued');
+  }
+
+  line.discontinuedAt = new Date();
+  line.discontinuedBy = req.user._id;
+  line.discontinueReason = req.body.reason || '';
+  await report.save();
+
+  await recordAudit(req, {
+    resource: 'report',
+    action: 'update',
+    resourceId: report._id,
+    patientId: report.patientId,
+    hospitalId: report.hospitalId,
+    fields: ['medications']
+  });
+
+  await ActivityService.logActivity({
+    user: req.user._id,
+    hospitalId: report.hospitalId,
+    actorId: req.user._id,
+    actorName: req.user.name,
+    actorRole: req.user.role,
+    patientId: report.patientId,
+    action: 'report_updated',
+    subject: 'report',
+    subjectId: report._id,
+    description: `Medication on report #${report.reportNumber} discontinued by ${req.user.name}`,
+    metadata: {
+      // The drug name is encrypted on the report; only the line is referenced
+      medicationId: line._id,
+      changedFields: ['medications']
+    }
+  });
+
+  res.json({
+    success: true,
+    data: line
+  });
+});
+
 module.exports = {
   createReport,
   getPatientReports,
   getDoctorReports,
   getReportById,
   generateReportPdf,
+  downloadReportPdf,
   getStaffReports,
   getHospitalStats,
   getAppointmentTypes,
@@ -1821,5 +2081,7 @@ module.exports = {
   getReportTrends,
   updateReport,
   deleteReport,
-  getHospitalRevenueStats
+  getHospitalRevenueStats,
+  getPatientMedications,
+  discontinueMedication
 };
\ No newline at end of file
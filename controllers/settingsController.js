@@ -1,23 +1,47 @@
 const Settings = require('../models/Settings');
+const Hospital = require('../models/Hospital');
 const asyncHandler = require('express-async-handler');
+const { getTenantHospital } = require('../utils/tenantContext');
 
-// @desc    Get settings
+/**
+ * Finds the settings for the hospital the request is working in, or the
+ * platform-wide settings when it isn't working in one
+ * @returns {Promise<Object|null>} Settings document
+ */
+const findSettings = () => Settings.findOne({ hospitalId: getTenantHospital() });
+
+/**
+ * Creates settings for the current hospital, named after it
+ * @param {Object} [values] - Initial values
+ * @returns {Promise<Object>} Settings document
+ */
+const createSettings = async (values = {}) => {
+  const hospitalId = getTenantHospital();
+  const hospital = hospitalId ? await Hospital.findById(hospitalId).select('name').lean() : null;
+  return Settings.create({
+    ...values,
+    hospitalName: values.hospitalName || hospital?.name,
+    hospitalId
+  });
+};
+
+// @desc    Get settings for the current hospital, or the platform's
 // @route   GET /api/admin/settings
 // @access  Private/Admin
 const getSettings = asyncHandler(async (req, res) => {
   console.log('Getting settings...');
   
-  let settings = await Settings.findOne();
+  let settings = await findSettings();
   
   if (!settings) {
     console.log('No settings found, creating default...');
-    settings = await Settings.create({});
+    settings = await createSettings();
   }
   
   res.json(settings);
 });
 
-// @desc    Update settings
+// @desc    Update settings for the current hospital, or the platform's
 // @route   PUT /api/admin/settings
 // @access  Private/Admin
 const updateSettings = asyncHandler(async (req, res) => {
@@ -31,13 +55,22 @@ const updateSettings = asyncHandler(async (req, res) => {
     smsNotifications,
     timezone,
     dateFormat,
-    language
+    language,
+    twoFactorRequiredRoles
   } = req.body;
 
-  let settings = await Settings.findOne();
+  const roles = ['patient', 'doctor', 'staff', 'admin'];
+  if (twoFactorRequiredRoles !== undefined && (
+    !Array.isArray(twoFactorRequiredRoles) || twoFactorRequiredRoles.some(role => !roles.includes(role))
+  )) {
+    res.status(400);
+    throw new Error(`twoFactorRequiredRoles must be an array of: ${roles.join(', ')}`);
+  }
+
+  let settings = await findSettings();
 
   if (!settings) {
-    settings = await Settings.create({
+    settings = await createSettings({
       hospitalName,
       email,
       phone,
@@ -45,7 +78,8 @@ const updateSettings = asyncHandler(async (req, res) => {
       smsNotifications,
       timezone,
       dateFormat,
-      language
+      language,
+      twoFactorRequiredRoles
     });
   } else {
     settings.hospitalName = hospitalName || settings.hospitalName;
@@ -56,6 +90,9 @@ const updateSettings = asyncHandler(async (req, res) => {
     settings.timezone = timezone || settings.timezone;
     settings.dateFormat = dateFormat || settings.dateFormat;
     settings.language = language || settings.language;
+    if (twoFactorRequiredRoles !== undefined) {
+      settings.twoFactorRequiredRoles = twoFactorRequiredRoles;
+    }
 
     await settings.save();
   }
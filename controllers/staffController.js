@@ -12,6 +12,7 @@ const User = require('../models/User');
 const Expense = require('../models/Expense');
 const Report = require('../models/Report');
 const mongoose = require('mongoose');
+const { ANALYTICS_GROUPINGS, buildSuccessRates, countDiagnoses } = require('../utils/diseaseAnalytics');
 
 // @desc    Get staff tasks
 // @route   GET /api/staff/tasks
@@ -104,8 +105,9 @@ const updateTaskStatus = asyncHandler(async (req, res) => {
 const markNotificationRead = asyncHandler(async (req, res) => {
   const { notificationId } = req.params;
 
-  const notification = await Notification.findByIdAndUpdate(
-    notificationId,
+  // Only the user the notification was sent to can mark it
+  const notification = await Notification.findOneAndUpdate(
+    { _id: notificationId, user: req.user._id },
     { isRead: true },
     { new: true }
   );
@@ -409,14 +411,14 @@ const getDashboardActivities = asyncHandler(async (req, res) => {
               }
               case 'report': {
                 const report = await Report.findById(activity.subjectId)
-                  .select('type diagnosis prescription')
+                  .select('type diagnosis prescription medications')
                   .lean();
                 if (report) {
                   baseActivity.metadata = {
                     ...baseActivity.metadata,
                     reportType: report.type,
                     diagnosis: report.diagnosis,
-                    hasPrescription: !!report.prescription
+                    hasPrescription: !!report.prescription || !!report.medications?.length
                   };
                 }
                 break;
@@ -664,13 +666,16 @@ const updateStaffProfile = asyncHandler(async (req, res) => {
   }
 });
 
-// @desc    Get treatment success rates by disease for the staff's hospital
-// @route   GET /api/staff/analytics/success-rates
+// @desc    Get treatment success rates by ICD-10 code or chapter for the staff's hospital
+// @route   GET /api/staff/analytics/success-rates?groupBy=code|chapter
 // @access  Private/Staff
 const getStaffAnalytics = asyncHandler(async (req, res) => {
   try {
-    const { timeFrame } = req.query;
+    const { timeFrame, groupBy = 'code' } = req.query;
     console.log('Staff analytics requested with timeFrame:', timeFrame);
+    if (!ANALYTICS_GROUPINGS.includes(groupBy)) {
+      return res.status(400).json({ message: `groupBy must be one of ${ANALYTICS_GROUPINGS.join(', ')}` });
+    }
     
     // Get the staff's hospital
     const staff = await User.findById(req.user._id);
@@ -728,6 +733,8 @@ const getStaffAnalytics = asyncHandler(async (req, res) => {
           {
             _id: new mongoose.Types.ObjectId().toString(),
             disease: 'Hypertension',
+            code: 'I10',
+            chapter: { number: 'IX', title: 'Diseases of the circulatory system' },
             totalPatients: 15,
             successfulTreatments: 12,
             successRate: 80.0,
@@ -744,6 +751,8 @@ const getStaffAnalytics = asyncHandler(async (req, res) => {
           {
             _id: new mongoose.Types.ObjectId().toString(),
             disease: 'Diabetes',
+            code: 'E14.9',
+            chapter: { number: 'IV', title: 'Endocrine, nutritional and metabolic diseases' },
             totalPatients: 10,
             successfulTreatments: 7,
             successRate: 70.0,
@@ -759,6 +768,8 @@ const getStaffAnalytics = asyncHandler(async (req, res) => {
           {
             _id: new mongoose.Types.ObjectId().toString(),
             disease: 'Common Cold',
+            code: 'J00',
+            chapter: { number: 'X', title: 'Diseases of the respiratory system' },
             totalPatients: 25,
             successfulTreatments: 25,
             successRate: 100.0,
@@ -780,101 +791,7 @@ const getStaffAnalytics = asyncHandler(async (req, res) => {
       return res.json([]);
     }
 
-    // Group appointments by disease and calculate success rates
-    const diseaseMap = new Map();
-    
-    completedAppointments.forEach(appointment => {
-      const disease = appointment.disease;
-      const isSuccessful = appointment.treatmentOutcome === 'successful';
-      
-      if (!diseaseMap.has(disease)) {
-        diseaseMap.set(disease, {
-          disease,
-          totalPatients: 0,
-          successfulTreatments: 0,
-          treatmentDurations: [],
-          periodData: new Map(), // For tracking trends over time
-          recentPatients: []
-        });
-      }
-      
-      const diseaseData = diseaseMap.get(disease);
-      diseaseData.totalPatients++;
-      
-      if (isSuccessful) {
-        diseaseData.successfulTreatments++;
-      }
-      
-      // Add patient to recent patients list if available
-      if (appointment.patientId && appointment.patientId.name) {
-        // Only keep up to 3 recent patients to avoid the list getting too large
-        if (diseaseData.recentPatients.length < 3) {
-          diseaseData.recentPatients.push({
-            name: appointment.patientId.name
-          });
-        }
-      }
-      
-      // Calculate treatment duration if end date exists
-      if (appointment.treatmentEndDate && appointment.createdAt) {
-        const startDate = new Date(appointment.createdAt);
-        const endDate = new Date(appointment.treatmentEndDate);
-        const durationDays = Math.ceil((endDate - startDate) / (1000 * 60 * 60 * 24));
-        diseaseData.treatmentDurations.push(durationDays);
-      }
-      
-      // Track data by period (month and year) for trends
-      const appointmentDate = new Date(appointment.createdAt);
-      const period = `${appointmentDate.getFullYear()}-${appointmentDate.getMonth() + 1}`;
-      
-      if (!diseaseData.periodData.has(period)) {
-        diseaseData.periodData.set(period, {
-          successful: 0,
-          total: 0
-        });
-      }
-      
-      const periodData = diseaseData.periodData.get(period);
-      periodData.total++;
-      if (isSuccessful) {
-        periodData.successful++;
-      }
-    });
-    
-    // Convert the map to an array and calculate final statistics
-    const successRates = Array.from(diseaseMap.values()).map(data => {
-      // Calculate success rate
-      const successRate = data.totalPatients > 0 
-        ? (data.successfulTreatments / data.totalPatients) * 100 
-        : 0;
-        
-      // Calculate average treatment duration
-      const averageTreatmentDuration = data.treatmentDurations.length > 0
-        ? Math.round(data.treatmentDurations.reduce((sum, duration) => sum + duration, 0) / data.treatmentDurations.length)
-        : 0;
-        
-      // Generate trend data (sorted by chronological order)
-      const sortedPeriods = Array.from(data.periodData.keys()).sort();
-      const trend = sortedPeriods.map(period => {
-        const { successful, total } = data.periodData.get(period);
-        const rate = total > 0 ? (successful / total) * 100 : 0;
-        return {
-          period,
-          rate
-        };
-      });
-      
-      return {
-        _id: new mongoose.Types.ObjectId().toString(), // Generate a unique ID
-        disease: data.disease,
-        totalPatients: data.totalPatients,
-        successfulTreatments: data.successfulTreatments,
-        successRate: parseFloat(successRate.toFixed(2)),
-        averageTreatmentDuration,
-        trend,
-        recentPatients: data.recentPatients
-      };
-    });
+    const successRates = buildSuccessRates(completedAppointments, { groupBy, includeRecentPatients: true });
     
     res.json(successRates);
   } catch (error) {
@@ -1100,25 +1017,16 @@ const getPatientDemographics = asyncHandler(async (req, res) => {
       ? Math.round((totalTreatmentDays / patientsWithTreatmentDays) * 10) / 10 
       : 0;
 
-    // Get top diagnoses - count occurrences of each disease in completed appointments
-    const diagnosesCounts = {};
+    // Get top diagnoses and chapters from completed appointments, grouped by
+    // ICD-10 code so different spellings of one disease count together
     const appointments = await Appointment.find({
       hospitalId: hospitalId,
       status: 'completed',
       disease: { $exists: true, $ne: null }
-    });
+    }).select('disease diseaseCode');
 
-    appointments.forEach(appointment => {
-      if (appointment.disease) {
-        diagnosesCounts[appointment.disease] = (diagnosesCounts[appointment.disease] || 0) + 1;
-      }
-    });
-
-    // Convert to array and sort by count
-    const topDiagnoses = Object.entries(diagnosesCounts)
-      .map(([name, count]) => ({ name, count }))
-      .sort((a, b) => b.count - a.count)
-      .slice(0, 5);
+    const topDiagnoses = countDiagnoses(appointments, { limit: 5 });
+    const topChapters = countDiagnoses(appointments, { groupBy: 'chapter', limit: 5 });
 
     // Get admission trends by month for the last 6 months
     const admissionTrend = [];
@@ -1148,6 +1056,7 @@ const getPatientDemographics = asyncHandler(async (req, res) => {
       ageGroups,
       genderDistribution,
       topDiagnoses,
+      topChapters,
       admissionTrend,
       patientStatus,
       averageTreatmentDays,
@@ -0,0 +1,266 @@
+const asyncHandler = require('express-async-handler');
+const User = require('../models/User');
+const ActivityService = require('../utils/activityService');
+const { createSession } = require('../utils/sessionService');
+const { generateSecret, buildOtpauthUri } = require('../utils/totp');
+const {
+  TWO_FACTOR_ISSUER,
+  generateBackupCodes,
+  getTwoFactorRequirement,
+  verifyChallengeToken,
+  findUserWithSecrets,
+  consumeTotpCode,
+  verifySecondFactor,
+  logTwoFactorActivity
+} = require('../utils/twoFactorService');
+
+const CLEAR_TWO_FACTOR = {
+  $set: { 'twoFactor.enabled': false },
+  $unset: {
+    'twoFactor.secret': '',
+    'twoFactor.pendingSecret': '',
+    'twoFactor.backupCodes': '',
+    'twoFactor.lastUsedStep': '',
+    'twoFactor.enabledAt': ''
+  }
+};
+
+const formatSignIn = (user, tokens) => ({
+  _id: user._id,
+  name: user.name,
+  email: user.email,
+  gender: user.gender,
+  role: user.role,
+  hospital: user.hospital,
+  ...tokens
+});
+
+// Codes are checked and logged the same way wherever a second factor is asked for
+const requireSecondFactor = async (req, res, user) => {
+  const { code, backupCode } = req.body;
+
+  if (!code && !backupCode) {
+    res.status(400);
+    throw new Error('Please provide an authenticator code or a backup code');
+  }
+
+  const method = await verifySecondFactor(user, { code, backupCode });
+  if (!method) {
+    await logTwoFactorActivity(user, 'two_factor_failed', {
+      status: 'warning',
+      description: `Failed two-factor check: ${user.name}`,
+      metadata: { ipAddress: req.ip, path: req.originalUrl }
+    });
+    res.status(401);
+    throw new Error('Invalid two-factor code');
+  }
+
+  if (method === 'backup_code') {
+    const remaining = user.twoFactor.backupCodes.filter(entry => !entry.usedAt).length - 1;
+    await logTwoFactorActivity(user, 'two_factor_backup_code_used', {
+      description: `Backup code used: ${user.name}`,
+      metadata: { ipAddress: req.ip, remaining }
+    });
+  }
+
+  return method;
+};
+
+// @desc    Get the current user's two-factor status
+// @route   GET /api/users/2fa
+// @access  Private
+const getTwoFactorStatus = asyncHandler(async (req, res) => {
+  const user = await findUserWithSecrets(req.user._id);
+  const { required } = await getTwoFactorRequirement(user);
+
+  res.json({
+    enabled: Boolean(user.twoFactor?.enabled),
+    enabledAt: user.twoFactor?.enabledAt,
+    required,
+    backupCodesRemaining: (user.twoFactor?.backupCodes || []).filter(entry => !entry.usedAt).length
+  });
+});
+
+// @desc    Start enrolment: create a secret for the authenticator app
+// @route   POST /api/users/2fa/setup
+// @access  Private, or login challenge token when enrolment is required
+const setupTwoFactor = asyncHandler(async (req, res) => {
+  const user = await findUserWithSecrets(req.user._id);
+
+  if (user.twoFactor?.enabled) {
+    res.status(400);
+    throw new Error('Two-factor authentication is already enabled');
+  }
+
+  const secret = generateSecret();
+  user.set('twoFactor.pendingSecret', secret);
+  await user.save();
+
+  res.json({
+    secret,
+    otpauthUri: buildOtpauthUri({ secret, accountName: user.email, issuer: TWO_FACTOR_ISSUER })
+  });
+});
+
+// @desc    Finish enrolment by confirming a code from the new secret
+// @route   POST /api/users/2fa/enable
+// @access  Private, or login challenge token when enrolment is required
+const enableTwoFactor = asyncHandler(async (req, res) => {
+  const user = await findUserWithSecrets(req.user._id);
+
+  if (user.twoFactor?.enabled) {
+    res.status(400);
+    throw new Error('Two-factor authentication is already enabled');
+  }
+
+  if (!user.twoFactor?.pendingSecret) {
+    res.status(400);
+    throw new Error('Start two-factor setup first');
+  }
+
+  if (!req.body.code || !(await consumeTotpCode(user._id, user.twoFactor.pendingSecret, req.body.code))) {
+    await logTwoFactorActivity(user, 'two_factor_failed', {
+      status: 'warning',
+      description: `Failed two-factor enrolment: ${user.name}`,
+      metadata: { ipAddress: req.ip, path: req.originalUrl }
+    });
+    res.status(401);
+    throw new Error('Invalid two-factor code');
+  }
+
+  const { codes, hashed } = generateBackupCodes();
+  user.set('twoFactor.secret', user.twoFactor.pendingSecret);
+  user.set('twoFactor.pendingSecret', undefined);
+  user.set('twoFactor.backupCodes', hashed);
+  user.set('twoFactor.enabled', true);
+  user.set('twoFactor.enabledAt', new Date());
+  await user.save();
+
+  await logTwoFactorActivity(user, 'two_factor_enabled', {
+    description: `Two-factor authentication enabled: ${user.name}`
+  });
+
+  // Backup codes are only ever shown here
+  const response = { enabled: true, backupCodes: codes };
+
+  // Enrolling during a required-2FA login completes that login
+  if (req.twoFactorChallenge) {
+    await ActivityService.logLogin(user, { twoFactor: 'enrolled' });
+    const tokens = await createSession(user, req);
+    return res.json({ ...response, ...formatSignIn(user, tokens) });
+  }
+
+  res.json(response);
+});
+
+// @desc    Complete a login that is waiting on a second factor
+// @route   POST /api/users/login/2fa
+// @access  Public (login challenge token)
+const verifyLoginTwoFactor = asyncHandler(async (req, res) => {
+  const challenge = verifyChallengeToken(req.body.challengeToken);
+  if (!challenge || challenge.enrol) {
+    res.status(401);
+    throw new Error('Login challenge is invalid or has expired');
+  }
+
+  const user = await findUserWithSecrets(challenge.id);
+  if (!user || user.status !== 'active') {
+    res.status(401);
+    throw new Error('Login challenge is invalid or has expired');
+  }
+
+  const method = await requireSecondFactor(req, res, user);
+
+  await ActivityService.logLogin(user, { twoFactor: method });
+  const tokens = await createSession(user, req);
+
+  res.json(formatSignIn(user, tokens));
+});
+
+// @desc    Replace the backup codes
+// @route   POST /api/users/2fa/backup-codes
+// @access  Private
+const regenerateBackupCodes = asyncHandler(async (req, res) => {
+  const user = await findUserWithSecrets(req.user._id);
+
+  if (!user.twoFactor?.enabled) {
+    res.status(400);
+    throw new Error('Two-factor authentication is not enabled');
+  }
+
+  await requireSecondFactor(req, res, user);
+
+  const { codes, hashed } = generateBackupCodes();
+  await User.updateOne({ _id: user._id }, { $set: { 'twoFactor.backupCodes': hashed } });
+
+  await logTwoFactorActivity(user, 'two_factor_backup_codes_regenerated', {
+    description: `Backup codes regenerated: ${user.name}`
+  });
+
+  res.json({ backupCodes: codes });
+});
+
+// @desc    Turn off two-factor authentication
+// @route   POST /api/users/2fa/disable
+// @access  Private
+const disableTwoFactor = asyncHandler(async (req, res) => {
+  const user = await findUserWithSecrets(req.user._id);
+
+  if (!user.twoFactor?.enabled) {
+    res.status(400);
+    throw new Error('Two-factor authentication is not enabled');
+  }
+
+  // Checked against the role alone, since the user's own enrolment always counts
+  const { required } = await getTwoFactorRequirement({ role: user.role });
+  if (required) {
+    res.status(403);
+    throw new Error(`Two-factor authentication is required for ${user.role} accounts`);
+  }
+
+  if (!req.body.password || !(await user.matchPassword(req.body.password))) {
+    res.status(401);
+    throw new Error('Password is incorrect');
+  }
+
+  await requireSecondFactor(req, res, user);
+
+  await User.updateOne({ _id: user._id }, CLEAR_TWO_FACTOR);
+
+  await logTwoFactorActivity(user, 'two_factor_disabled', {
+    description: `Two-factor authentication disabled: ${user.name}`
+  });
+
+  res.json({ enabled: false });
+});
+
+// @desc    Clear a user's two-factor enrolment, e.g. after a lost phone
+// @route   DELETE /api/users/:id/2fa
+// @access  Private/Admin
+const resetUserTwoFactor = asyncHandler(async (req, res) => {
+  const user = await User.findById(req.params.id);
+
+  if (!user) {
+    res.status(404);
+    throw new Error('User not found');
+  }
+
+  await User.updateOne({ _id: user._id }, CLEAR_TWO_FACTOR);
+
+  await logTwoFactorActivity(user, 'two_factor_disabled', {
+    actor: req.user,
+    description: `Two-factor authentication reset by ${req.user.name}: ${user.name}`
+  });
+
+  res.json({ message: 'Two-factor authentication reset' });
+});
+
+module.exports = {
+  getTwoFactorStatus,
+  setupTwoFactor,
+  enableTwoFactor,
+  verifyLoginTwoFactor,
+  regenerateBackupCodes,
+  disableTwoFactor,
+  resetUserTwoFactor
+};
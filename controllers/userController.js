@@ -1,16 +1,50 @@
+const crypto = require('crypto');
 const User = require('../models/User');
-const jwt = require('jsonwebtoken');
 const Activity = require('../models/Activity');
+const PasswordResetToken = require('../models/PasswordResetToken');
+const ActivityService = require('../utils/activityService');
+const { sendPasswordResetEmail } = require('../utils/emailService');
+const { getTwoFactorRequirement, signChallengeToken } = require('../utils/twoFactorService');
+const {
+  getIpBlock,
+  recordIpFailure,
+  getAccountBlock,
+  recordAccountFailure,
+  clearAccountFailures,
+  blockedResponse
+} = require('../utils/loginThrottle');
 const Conversation = require('../models/Conversation');
 const Message = require('../models/Message');
-
-// Generate JWT
-const generateToken = (id) => {
-    return jwt.sign({ id }, process.env.JWT_SECRET, {
-        expiresIn: '30d',
-    });
+const {
+  signAccessToken,
+  createSession,
+  rotateSession,
+  revokeSession,
+  revokeUserSessions,
+  getActiveSessions
+} = require('../utils/sessionService');
+
+/**
+ * Builds the pending sign-in response for users who need a second factor
+ * @param {Object} user - User who has just proved their password
+ * @returns {Promise<Object|null>} Challenge response, or null when no second factor is needed
+ */
+const getTwoFactorChallenge = async (user) => {
+  const { required, enrolled } = await getTwoFactorRequirement(user);
+  if (!required) return null;
+
+  return {
+    twoFactorRequired: true,
+    enrolmentRequired: !enrolled,
+    challengeToken: signChallengeToken(user, { enrol: !enrolled })
+  };
 };
 
+// How long an emailed password reset link stays valid
+const PASSWORD_RESET_TTL_MINUTES = parseInt(process.env.PASSWORD_RESET_TTL_MINUTES, 10) || 30;
+
+const hashResetToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
 // @desc    Verify token
 // @route   GET /api/users/verify
 // @access  Private
@@ -63,13 +97,15 @@ const registerUser = async (req, res) => {
         });
 
         if (user) {
+            const tokens = await getTwoFactorChallenge(user) || await createSession(user, req);
+
             res.status(201).json({
                 _id: user._id,
                 name: user.name,
                 email: user.email,
                 gender: user.gender,
                 role: user.role,
-                token: generateToken(user._id)
+                ...tokens
             });
         }
     } catch (error) {
@@ -93,15 +129,27 @@ const loginUser = async (req, res) => {
             return res.status(400).json({ message: 'Please provide email and password' });
         }
 
+        // Addresses that keep failing are turned away before any lookup
+        const ipBlock = await getIpBlock(req);
+        if (ipBlock) {
+            return res.status(429).json(blockedResponse(res, ipBlock));
+        }
+
         // Find user by email
         const user = await User.findOne({ email });
         console.log('Login attempt for email:', email);
         
         if (!user) {
             console.log('User not found:', email);
+            await recordIpFailure(req);
             return res.status(401).json({ message: 'Invalid email or password' });
         }
 
+        const accountBlock = getAccountBlock(user);
+        if (accountBlock) {
+            return res.status(429).json(blockedResponse(res, accountBlock));
+        }
+
         // Check if user is active
         if (user.status !== 'active') {
             console.log('Inactive user attempted login:', email);
@@ -110,25 +158,20 @@ const loginUser = async (req, res) => {
 
         // Check password
         const isMatch = await user.matchPassword(password);
-        console.log('Password match result:', isMatch);
 
         if (isMatch) {
-            // Log activity for staff and doctor logins
-            if (user.role === 'staff' || user.role === 'doctor') {
-                await Activity.create({
-                    user: user._id,
-                    hospitalId: user.hospital,
-                    actorId: user._id,
-                    action: `${user.role}_login`,
-                    subject: 'user',
-                    subjectId: user._id,
-                    type: `${user.role}_login`,
-                    description: `${user.role === 'staff' ? 'Staff' : 'Doctor'} logged in: ${user.name}`,
-                    status: 'success'
-                });
+            await clearAccountFailures(user);
+
+            // The password alone isn't enough; the client must follow up with a code
+            const challenge = await getTwoFactorChallenge(user);
+            if (challenge) {
+                return res.json(challenge);
             }
 
-            const token = generateToken(user._id);
+            // Log activity for staff and doctor logins
+            await ActivityService.logLogin(user);
+
+            const tokens = await createSession(user, req);
             console.log('Login successful for:', email);
 
             res.json({
@@ -138,10 +181,14 @@ const loginUser = async (req, res) => {
                 gender: user.gender,
                 role: user.role,
                 hospital: user.hospital,
-                token
+                ...tokens
             });
         } else {
             console.log('Invalid password for user:', email);
+            const { locked, block } = await recordAccountFailure(user, req);
+            if (locked) {
+                return res.status(429).json(blockedResponse(res, block));
+            }
             res.status(401).json({ message: 'Invalid email or password' });
         }
     } catch (error) {
@@ -236,7 +283,37 @@ const updateUser = async (req, res) => {
         user.password = req.body.password;
       }
 
+      // Lifts a brute-force lockout early
+      const unlocked = Boolean(req.body.unlock) && Boolean(user.lockedUntil || user.failedLoginAttempts);
+      if (req.body.unlock) {
+        user.failedLoginAttempts = 0;
+        user.lastFailedLoginAt = undefined;
+        user.lockedUntil = undefined;
+      }
+
+      const deactivated = user.isModified('status') && user.status !== 'active';
+
       const updatedUser = await user.save();
+
+      // A suspended or deactivated user is signed out everywhere at once
+      if (deactivated) {
+        await revokeUserSessions(updatedUser._id, { reason: 'suspended', revokedBy: req.user._id });
+      }
+
+      if (unlocked) {
+        await ActivityService.logActivity({
+          user: updatedUser._id,
+          hospitalId: updatedUser.hospital,
+          actorId: req.user._id,
+          actorName: req.user.name,
+          actorEmail: req.user.email,
+          actorRole: req.user.role,
+          action: 'account_unlocked',
+          subject: 'user',
+          subjectId: updatedUser._id,
+          description: `Account unlocked by ${req.user.name}: ${updatedUser.email}`
+        });
+      }
       console.log('Updated user:', {
         _id: updatedUser._id,
         name: updatedUser.name,
@@ -256,7 +333,8 @@ const updateUser = async (req, res) => {
         hospital: updatedUser.hospital,
         contact: updatedUser.contact,
         status: updatedUser.status,
-        specialization: updatedUser.specialization
+        specialization: updatedUser.specialization,
+        lockedUntil: updatedUser.lockedUntil
       });
     } else {
       console.log('User not found:', req.params.id);
@@ -281,6 +359,7 @@ const deleteUser = async (req, res) => {
     const user = await User.findById(req.params.id);
     if (user) {
       await user.deleteOne();
+      await revokeUserSessions(user._id, { reason: 'admin', revokedBy: req.user._id });
       res.json({ message: 'User removed' });
     } else {
       res.status(404).json({ message: 'User not found' });
@@ -339,7 +418,7 @@ const updateUserProfile = async (req, res) => {
         email: updatedUser.email,
         role: updatedUser.role,
         profile: updatedUser.profile,
-        token: generateToken(updatedUser._id)
+        token: signAccessToken(updatedUser._id, req.sessionId)
       });
     } else {
       res.status(404);
@@ -384,6 +463,112 @@ const changePassword = async (req, res) => {
   }
 };
 
+// @desc    Exchange a refresh token for a new access token
+// @route   POST /api/users/refresh
+// @access  Public (refresh token)
+const refreshAccessToken = async (req, res) => {
+  try {
+    const { refreshToken } = req.body;
+
+    if (!refreshToken) {
+      return res.status(400).json({ message: 'Please provide a refresh token' });
+    }
+
+    const rotated = await rotateSession(refreshToken, req);
+    if (!rotated) {
+      return res.status(401).json({ message: 'Refresh token is invalid or has expired' });
+    }
+
+    const user = await User.findById(rotated.session.user).select('status');
+    if (!user || user.status !== 'active') {
+      await revokeSession(rotated.session.user, rotated.sessionId, { reason: 'suspended' });
+      return res.status(401).json({ message: 'Account is not active. Please contact support.' });
+    }
+
+    res.json({
+      token: rotated.token,
+      refreshToken: rotated.refreshToken,
+      sessionId: rotated.sessionId,
+      expiresIn: rotated.expiresIn
+    });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+};
+
+// @desc    Sign out of the current session
+// @route   POST /api/users/logout
+// @access  Private
+const logoutUser = async (req, res) => {
+  try {
+    await revokeSession(req.user._id, req.sessionId, { reason: 'logout', revokedBy: req.user._id });
+    res.json({ message: 'Logged out' });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+};
+
+// @desc    Sign out of every session, including the current one
+// @route   POST /api/users/logout-all
+// @access  Private
+const logoutAllSessions = async (req, res) => {
+  try {
+    const revoked = await revokeUserSessions(req.user._id, { reason: 'logout_all', revokedBy: req.user._id });
+    res.json({ message: 'Logged out of all sessions', revoked });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+};
+
+// @desc    List a user's active sessions
+// @route   GET /api/users/:id/sessions
+// @access  Private/Admin
+const getUserSessions = async (req, res) => {
+  try {
+    const user = await User.findById(req.params.id).select('name email');
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    const sessions = await getActiveSessions(user._id);
+    res.json({ user, sessions });
+  } catch (error) {
+    res.status(400).json({ message: error.message });
+  }
+};
+
+// @desc    Revoke one of a user's sessions
+// @route   DELETE /api/users/:id/sessions/:sessionId
+// @access  Private/Admin
+const revokeUserSession = async (req, res) => {
+  try {
+    const revoked = await revokeSession(req.params.id, req.params.sessionId, {
+      reason: 'admin',
+      revokedBy: req.user._id
+    });
+
+    if (!revoked) {
+      return res.status(404).json({ message: 'Active session not found' });
+    }
+
+    res.json({ message: 'Session revoked' });
+  } catch (error) {
+    res.status(400).json({ message: error.message });
+  }
+};
+
+// @desc    Revoke all of a user's sessions
+// @route   DELETE /api/users/:id/sessions
+// @access  Private/Admin
+const revokeAllUserSessions = async (req, res) => {
+  try {
+    const revoked = await revokeUserSessions(req.params.id, { reason: 'admin', revokedBy: req.user._id });
+    res.json({ message: 'Sessions revoked', revoked });
+  } catch (error) {
+    res.status(400).json({ message: error.message });
+  }
+};
+
 // @desc    Get admin dashboard activities
 // @route   GET /api/users/activities
 // @access  Private/Admin
@@ -391,7 +576,7 @@ const getAdminActivities = async (req, res) => {
   try {
     const { limit = 10 } = req.query;
     
-    // Get recent activities across all hospitals
+    // Across all hospitals, unless the admin has picked one with X-Hospital-Id
     const activities = await Activity.find({})
       .sort({ createdAt: -1 })
       .limit(Number(limit))
@@ -543,15 +728,28 @@ const setOnboardingPassword = async (req, res) => {
             return res.status(400).json({ message: 'Password must be at least 6 characters long' });
         }
 
+        // Probing for onboarding emails counts against the login limits
+        const ipBlock = await getIpBlock(req);
+        if (ipBlock) {
+            return res.status(429).json(blockedResponse(res, ipBlock));
+        }
+
         // Find user by email
         const user = await User.findOne({ email });
         
         if (!user) {
+            await recordIpFailure(req);
             return res.status(404).json({ message: 'User not found. Please check your email address.' });
         }
 
+        const accountBlock = getAccountBlock(user);
+        if (accountBlock) {
+            return res.status(429).json(blockedResponse(res, accountBlock));
+        }
+
         // Check if user was onboarded via CSV
         if (!user.isOnboarded) {
+            await recordIpFailure(req);
             return res.status(400).json({ 
                 message: 'This email is not associated with hospital onboarding. Please use the regular signup form.' 
             });
@@ -559,6 +757,7 @@ const setOnboardingPassword = async (req, res) => {
 
         // Check if user has already set password
         if (user.hasSetPassword) {
+            await recordIpFailure(req);
             return res.status(400).json({ 
                 message: 'You have already set your password. Please use the login form.'
             });
@@ -569,6 +768,8 @@ const setOnboardingPassword = async (req, res) => {
         user.hasSetPassword = true;
         await user.save();
 
+        const tokens = await getTwoFactorChallenge(user) || await createSession(user, req);
+
         // Return success with user info and token
         res.status(200).json({
             _id: user._id,
@@ -576,7 +777,7 @@ const setOnboardingPassword = async (req, res) => {
             email: user.email,
             gender: user.gender,
             role: user.role,
-            token: generateToken(user._id),
+            ...tokens,
             message: 'Password set successfully. You can now log in.'
         });
     } catch (error) {
@@ -596,10 +797,16 @@ const checkOnboardingEligibility = async (req, res) => {
             return res.status(400).json({ message: 'Please provide an email address' });
         }
 
+        const ipBlock = await getIpBlock(req);
+        if (ipBlock) {
+            return res.status(429).json({ eligible: false, ...blockedResponse(res, ipBlock) });
+        }
+
         // Find user by email
         const user = await User.findOne({ email });
         
         if (!user) {
+            await recordIpFailure(req);
             return res.status(404).json({ 
                 eligible: false, 
                 message: 'Email not found. Please check your email address.' 
@@ -608,6 +815,7 @@ const checkOnboardingEligibility = async (req, res) => {
 
         // Check if user was onboarded via CSV
         if (!user.isOnboarded) {
+            await recordIpFailure(req);
             return res.status(200).json({ 
                 eligible: false, 
                 message: 'This email is not associated with hospital onboarding.' 
@@ -616,6 +824,7 @@ const checkOnboardingEligibility = async (req, res) => {
 
         // Check if user has already set password
         if (user.hasSetPassword) {
+            await recordIpFailure(req);
             return res.status(200).json({ 
                 eligible: false, 
                 message: 'You have already set your password. Please use the login form.' 
@@ -642,6 +851,115 @@ const checkOnboardingEligibility = async (req, res) => {
 const getUsers = getAllUsers;
 
 // Export all the controller functions for use in routes
+// @desc    Email a one-time password reset link
+// @route   POST /api/users/forgot-password
+// @access  Public
+const forgotPassword = async (req, res) => {
+    // The same answer whether or not the account exists, so the endpoint
+    // can't be used to discover registered emails
+    const response = { message: 'If an account exists for that email, a reset link has been sent.' };
+
+    try {
+        const { email } = req.body;
+
+        if (!email) {
+            return res.status(400).json({ message: 'Please provide an email address' });
+        }
+
+        const user = await User.findOne({ email: String(email).trim() });
+        if (!user || user.status !== 'active') {
+            return res.json(response);
+        }
+
+        // Only the newest link works
+        await PasswordResetToken.deleteMany({ user: user._id, usedAt: null });
+
+        const token = crypto.randomBytes(32).toString('hex');
+        await PasswordResetToken.create({
+            user: user._id,
+            tokenHash: hashResetToken(token),
+            expiresAt: new Date(Date.now() + PASSWORD_RESET_TTL_MINUTES * 60 * 1000),
+            requestedIp: req.ip
+        });
+
+        const baseUrl = process.env.CLIENT_URL || 'http://localhost:5173';
+        await sendPasswordResetEmail(user.email, {
+            name: user.name,
+            resetUrl: `${baseUrl}/reset-password?token=${token}`,
+            expiresInMinutes: PASSWORD_RESET_TTL_MINUTES
+        });
+
+        res.json(response);
+    } catch (error) {
+        console.error('Error requesting password reset:', error);
+        res.status(500).json({ message: 'Server error. Please try again later.' });
+    }
+};
+
+// @desc    Set a new password using an emailed reset token
+// @route   POST /api/users/reset-password
+// @access  Public (reset token)
+const resetPassword = async (req, res) => {
+    try {
+        const { token, password, confirmPassword } = req.body;
+
+        if (!token || !password || !confirmPassword) {
+            return res.status(400).json({ message: 'Please provide the reset token and a new password' });
+        }
+
+        if (password !== confirmPassword) {
+            return res.status(400).json({ message: 'Passwords do not match' });
+        }
+
+        if (password.length < 6) {
+            return res.status(400).json({ message: 'Password must be at least 6 characters long' });
+        }
+
+        // Marking the token used in the same step as looking it up keeps it single-use
+        const resetToken = await PasswordResetToken.findOneAndUpdate(
+            { tokenHash: hashResetToken(String(token)), usedAt: null, expiresAt: { $gt: new Date() } },
+            { $set: { usedAt: new Date() } },
+            { new: true }
+        );
+
+        if (!resetToken) {
+            return res.status(400).json({ message: 'This reset link is invalid or has expired' });
+        }
+
+        const user = await User.findById(resetToken.user);
+        if (!user || user.status !== 'active') {
+            return res.status(400).json({ message: 'This reset link is invalid or has expired' });
+        }
+
+        user.password = password;
+        user.hasSetPassword = true;
+        await user.save();
+
+        // Anyone holding an old session or another reset link is locked out
+        await revokeUserSessions(user._id, { reason: 'password_changed', revokedBy: user._id });
+        await PasswordResetToken.deleteMany({ user: user._id, usedAt: null });
+
+        await ActivityService.logActivity({
+            user: user._id,
+            hospitalId: user.hospital,
+            actorId: user._id,
+            actorName: user.name,
+            actorEmail: user.email,
+            actorRole: user.role,
+            action: 'password_reset',
+            subject: 'user',
+            subjectId: user._id,
+            description: `Password reset by email link: ${user.name}`,
+            metadata: { ipAddress: req.ip }
+        });
+
+        res.json({ message: 'Password has been reset. Please log in with your new password.' });
+    } catch (error) {
+        console.error('Error resetting password:', error);
+        res.status(500).json({ message: 'Server error. Please try again later.' });
+    }
+};
+
 module.exports = {
   registerUser,
   loginUser,
@@ -657,5 +975,13 @@ module.exports = {
   getGrowthMetrics,
   getAdminNotifications,
   setOnboardingPassword,
-  checkOnboardingEligibility
+  checkOnboardingEligibility,
+  refreshAccessToken,
+  logoutUser,
+  logoutAllSessions,
+  getUserSessions,
+  revokeUserSession,
+  revokeAllUserSessions,
+  forgotPassword,
+  resetPassword
 }; 
\ No newline at end of file
@@ -0,0 +1,157 @@
+const asyncHandler = require('express-async-handler');
+const mongoose = require('mongoose');
+const Appointment = require('../models/Appointment');
+const Observation = require('../models/Observation');
+const Patient = require('../models/Patient');
+const ActivityService = require('../utils/activityService');
+const { recordAudit } = require('../utils/auditService');
+const {
+  getVitalUnits,
+  recordVitals,
+  getLatestVitals,
+  getVitalSeries
+} = require('../utils/vitalsService');
+
+const parseDate = (value, res, name) => {
+  if (!value) return undefined;
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) {
+    res.status(400);
+    throw new Error(`Invalid ${name} date`);
+  }
+  return date;
+};
+
+// @desc    Record vitals for an appointment
+// @route   POST /api/appointments/:id/vitals
+// @access  Private (Staff/Doctor)
+const recordAppointmentVitals = asyncHandler(async (req, res) => {
+  if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+    res.status(400);
+    throw new Error('Invalid appointment ID');
+  }
+
+  const appointment = await Appointment.findById(req.params.id);
+  if (!appointment) {
+    res.status(404);
+    throw new Error('Appointment not found');
+  }
+
+  if (['cancelled', 'not_appeared'].includes(appointment.status)) {
+    res.status(400);
+    throw new Error(`Cannot record vitals for a ${appointment.status.replace('_', ' ')} appointment`);
+  }
+
+  const observation = await recordVitals({ appointment, input: req.body, actor: req.user });
+
+  const { vitals, flags } = observation.toObject();
+  const abnormal = Object.entries(flags || {})
+    .filter(([, flag]) => flag && flag !== 'normal')
+    .map(([measure]) => measure);
+
+  await ActivityService.logActivity({
+    user: req.user._id,
+    hospitalId: appointment.hospitalId,
+    actorId: req.user._id,
+    actorName: req.user.name,
+    actorEmail: req.user.email,
+    actorRole: req.user.role,
+    patientId: appointment.patientId,
+    action: 'vitals_recorded',
+    subject: 'appointment',
+    subjectId: appointment._id,
+    description: `Vitals recorded at ${observation.context.replace('_', '-')}`,
+    status: abnormal.length ? 'warning' : 'success',
+    metadata: {
+      observationId: observation._id,
+      measures: Object.keys(vitals),
+      abnormal
+    }
+  });
+
+  await recordAudit(req, {
+    resource: 'vitals',
+    action: 'create',
+    resourceId: observation._id,
+    patientId: appointment.patientId,
+    hospitalId: appointment.hospitalId,
+    fields: Object.keys(vitals)
+  });
+
+  res.status(201).json({ observation, units: getVitalUnits() });
+});
+
+// @desc    Get the vitals recorded during an appointment
+// @route   GET /api/appointments/:id/vitals
+// @access  Private (Staff/Doctor)
+const getAppointmentVitals = asyncHandler(async (req, res) => {
+  if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+    res.status(400);
+    throw new Error('Invalid appointment ID');
+  }
+
+  const appointment = await Appointment.findById(req.params.id).select('patientId hospitalId');
+  if (!appointment) {
+    res.status(404);
+    throw new Error('Appointment not found');
+  }
+
+  const observations = await Observation.find({ appointmentId: appointment._id })
+    .sort({ recordedAt: 1 })
+    .populate('recordedBy', 'name role');
+
+  await recordAudit(req, {
+    resource: 'vitals',
+    action: 'read',
+    resourceId: appointment._id,
+    patientId: appointment.patientId,
+    hospitalId: appointment.hospitalId
+  });
+
+  res.json({ observations, units: getVitalUnits() });
+});
+
+// @desc    Get a patient's vitals over time
+// @route   GET /api/patients/:id/vitals?measures=systolic,diastolic&from=&to=
+// @access  Private (Staff/Doctor)
+const getPatientVitals = asyncHandler(async (req, res) => {
+  const patient = await Patient.findById(req.params.id).select('name hospital');
+  if (!patient) {
+    res.status(404);
+    throw new Error('Patient not found');
+  }
+
+  const measures = (req.query.measures || '')
+    .split(',')
+    .map(measure => measure.trim())
+    .filter(Boolean);
+  const from = parseDate(req.query.from, res, 'from');
+  const to = parseDate(req.query.to, res, 'to');
+
+  const [series, latest] = await Promise.all([
+    getVitalSeries(patient._id, { measures, from, to }),
+    getLatestVitals(patient._id)
+  ]);
+
+  await recordAudit(req, {
+    resource: 'vitals',
+    action: 'read',
+    resourceId: patient._id,
+    patientId: patient._id,
+    hospitalId: patient.hospital,
+    fields: Object.keys(series)
+  });
+
+  res.json({
+    patientId: patient._id,
+    units: getVitalUnits(),
+    latest,
+    series
+  });
+});
+
+module.exports = {
+  recordAppointmentVitals,
+  getAppointmentVitals,
+  getPatientVitals
+};
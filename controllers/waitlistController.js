@@ -0,0 +1,357 @@
+const asyncHandler = require('express-async-handler');
+const mongoose = require('mongoose');
+const Appointment = require('../models/Appointment');
+const Doctor = require('../models/Doctor');
+const Patient = require('../models/Patient');
+const WaitlistEntry = require('../models/WaitlistEntry');
+const { sendAppointmentEmail } = require('../utils/emailService');
+const { closeOffer } = require('../utils/waitlistService');
+const { buildAppointmentInvite } = require('../utils/calendarService');
+
+const ACTIVE_STATUSES = ['waiting', 'offered'];
+
+// Staff only see their hospital's queue; doctors only their own
+const buildScopeQuery = async (user) => {
+  if (user.role === 'staff') {
+    return { hospitalId: user.hospital };
+  }
+
+  if (user.role === 'doctor') {
+    const doctor = await Doctor.findOne({ userId: user._id });
+    return { doctorId: doctor ? doctor._id : null };
+  }
+
+  return {};
+};
+
+const loadOfferedEntry = async (req, res) => {
+  const { entryId } = req.params;
+  const token = req.body.token || req.query.token;
+
+  if (!mongoose.Types.ObjectId.isValid(entryId)) {
+    res.status(400);
+    throw new Error('Invalid waitlist entry ID');
+  }
+
+  const entry = await WaitlistEntry.findById(entryId);
+
+  // Same response for a wrong token and a missing entry so IDs can't be probed
+  if (!entry || !token || !entry.offer || entry.offer.token !== token) {
+    res.status(404);
+    throw new Error('Offer not found');
+  }
+
+  if (entry.status !== 'offered') {
+    res.status(410);
+    throw new Error(`This offer is no longer open (${entry.status})`);
+  }
+
+  if (entry.offer.expiresAt <= new Date()) {
+    // Nothing to do if the expiry job or an accept got there first
+    await closeOffer(entry, 'expired');
+    res.status(410);
+    throw new Error('This offer has expired');
+  }
+
+  return entry;
+};
+
+// @desc    Join the waitlist for a doctor on a date
+// @route   POST /api/appointments/waitlist
+// @access  Public
+const joinWaitlist = asyncHandler(async (req, res) => {
+  const { doctorId, date, type, notes, patientDetails } = req.body;
+
+  if (!doctorId || !date || !patientDetails) {
+    res.status(400);
+    throw new Error('Please provide doctor, date and patient details');
+  }
+
+  if (!patientDetails.name || !patientDetails.email) {
+    res.status(400);
+    throw new Error('Patient name and email are required');
+  }
+
+  if (!mongoose.Types.ObjectId.isValid(doctorId)) {
+    res.status(400);
+    throw new Error('Invalid doctor ID');
+  }
+
+  const doctor = await Doctor.findById(doctorId);
+  if (!doctor) {
+    res.status(404);
+    throw new Error('Doctor not found');
+  }
+
+  let patient = await Patient.findOne({ email: patientDetails.email, hospital: doctor.hospitalId });
+  if (!patient) {
+    patient = await Patient.create({
+      name: patientDetails.name,
+      email: patientDetails.email,
+      phone: patientDetails.phone || '',
+      hospital: doctor.hospitalId,
+      status: 'active',
+      lastStatusChangeDate: new Date()
+    });
+  }
+
+  const existing = await WaitlistEntry.findOne({
+    patientId: patient._id,
+    doctorId: doctor._id,
+    date,
+    status: { $in: ACTIVE_STATUSES }
+  });
+
+  if (existing) {
+    res.status(400);
+    throw new Error('Patient is already on the waitlist for this doctor and date');
+  }
+
+  let entry;
+  try {
+    entry = await WaitlistEntry.create({
+      patientId: patient._id,
+      doctorId: doctor._id,
+      hospitalId: doctor.hospitalId,
+      date,
+      type: type || 'consultation',
+      notes: notes || ''
+    });
+  } catch (error) {
+    res.status(400);
+    throw new Error(error.message);
+  }
+
+  const position = await WaitlistEntry.countDocuments({
+    doctorId: doctor._id,
+    date,
+    status: 'waiting',
+    createdAt: { $lte: entry.createdAt }
+  });
+
+  res.status(201).json({
+    _id: entry._id,
+    doctorId: entry.doctorId,
+    date: entry.date,
+    type: entry.type,
+    status: entry.status,
+    position
+  });
+});
+
+// @desc    List waitlist entries
+// @route   GET /api/appointments/waitlist
+// @access  Private (Staff, Doctor, Admin)
+const getWaitlist = asyncHandler(async (req, res) => {
+  const { doctorId, date, status } = req.query;
+
+  const query = {
+    ...(await buildScopeQuery(req.user)),
+    status: status ? status : { $in: ACTIVE_STATUSES }
+  };
+
+  if (doctorId && !query.doctorId) query.doctorId = doctorId;
+  if (date) query.date = date;
+
+  const entries = await WaitlistEntry.find(query)
+    .populate('patientId', 'name email phone')
+    .populate({
+      path: 'doctorId',
+      select: 'userId specialization',
+      populate: {
+        path: 'userId',
+        select: 'name'
+      }
+    })
+    .select('-offer.token')
+    .sort({ date: 1, createdAt: 1 });
+
+  res.json(entries);
+});
+
+// @desc    Waitlist depth per doctor
+// @route   GET /api/appointments/waitlist/summary
+// @access  Private (Staff, Doctor, Admin)
+const getWaitlistSummary = asyncHandler(async (req, res) => {
+  const match = {
+    ...(await buildScopeQuery(req.user)),
+    status: { $in: ACTIVE_STATUSES }
+  };
+
+  if (req.query.hospitalId && req.user.role === 'admin') {
+    match.hospitalId = new mongoose.Types.ObjectId(req.query.hospitalId);
+  }
+
+  const summary = await WaitlistEntry.aggregate([
+    { $match: match },
+    {
+      $group: {
+        _id: { doctorId: '$doctorId', date: '$date' },
+        waiting: { $sum: { $cond: [{ $eq: ['$status', 'waiting'] }, 1, 0] } },
+        offered: { $sum: { $cond: [{ $eq: ['$status', 'offered'] }, 1, 0] } }
+      }
+    },
+    { $sort: { '_id.date': 1 } },
+    {
+      $group: {
+        _id: '$_id.doctorId',
+        waiting: { $sum: '$waiting' },
+        offered: { $sum: '$offered' },
+        dates: { $push: { date: '$_id.date', waiting: '$waiting', offered: '$offered' } }
+      }
+    },
+    { $sort: { waiting: -1 } }
+  ]);
+
+  const doctors = await Doctor.find({ _id: { $in: summary.map(item => item._id) } })
+    .populate('userId', 'name')
+    .select('userId specialization');
+
+  res.json(summary.map(item => {
+    const doctor = doctors.find(doc => String(doc._id) === String(item._id));
+    return {
+      doctorId: item._id,
+      doctorName: doctor?.userId?.name || 'Unknown',
+      specialization: doctor?.specialization || '',
+      waiting: item.waiting,
+      offered: item.offered,
+      dates: item.dates
+    };
+  }));
+});
+
+// @desc    Remove an entry from the waitlist
+// @route   DELETE /api/appointments/waitlist/:entryId
+// @access  Private (Staff, Doctor, Admin)
+const removeFromWaitlist = asyncHandler(async (req, res) => {
+  if (!mongoose.Types.ObjectId.isValid(req.params.entryId)) {
+    res.status(400);
+    throw new Error('Invalid waitlist entry ID');
+  }
+
+  const entry = await WaitlistEntry.findOne({
+    _id: req.params.entryId,
+    ...(await buildScopeQuery(req.user))
+  });
+
+  if (!entry || !ACTIVE_STATUSES.includes(entry.status)) {
+    res.status(404);
+    throw new Error('Waitlist entry not found');
+  }
+
+  // Only close the entry if it is still in the state it was loaded in, so a
+  // concurrent accept or offer keeps its slot
+  let removed;
+  if (entry.status === 'offered') {
+    // Pass the held slot on to the next patient
+    removed = await closeOffer(entry, 'cancelled');
+  } else {
+    removed = await WaitlistEntry.findOneAndUpdate(
+      { _id: entry._id, status: 'waiting' },
+      { $set: { status: 'cancelled' } },
+      { new: true }
+    );
+  }
+
+  if (!removed) {
+    res.status(409);
+    throw new Error('The waitlist entry changed while it was being removed; please try again');
+  }
+
+  res.json({ message: 'Removed from waitlist', _id: entry._id });
+});
+
+// @desc    Accept a waitlist offer
+// @route   POST /api/appointments/waitlist/:entryId/accept
+// @access  Public (offer token)
+const acceptWaitlistOffer = asyncHandler(async (req, res) => {
+  const offered = await loadOfferedEntry(req, res);
+
+  // Claim the offer first so only one of several concurrent accepts goes on
+  // to create the appointment, and none once the offer has expired
+  const entry = await WaitlistEntry.findOneAndUpdate(
+    { _id: offered._id, status: 'offered', 'offer.expiresAt': { $gt: new Date() } },
+    { $set: { status: 'accepting', 'offer.acceptingAt': new Date() } },
+    { new: true }
+  );
+  if (!entry) {
+    res.status(409);
+    throw new Error('This offer is no longer open');
+  }
+
+  let appointment;
+  try {
+    // The offer's reservation already holds the slot under this appointment ID
+    appointment = await Appointment.create({
+      _id: entry.offer.appointmentId,
+      doctorId: entry.doctorId,
+      patientId: entry.patientId,
+      hospitalId: entry.hospitalId,
+      date: entry.date,
+      time: entry.offer.time,
+      type: entry.type,
+      notes: entry.notes,
+      status: 'confirmed'
+    });
+  } catch (error) {
+    // A duplicate key means the appointment already exists, and the
+    // reservation belongs to it. Otherwise reopen the offer, which still
+    // holds the slot, so the patient can try again before it expires.
+    if (error.code !== 11000) {
+      await WaitlistEntry.updateOne({ _id: entry._id, status: 'accepting' }, { $set: { status: 'offered' } });
+    }
+    throw error;
+  }
+
+  await WaitlistEntry.updateOne(
+    { _id: entry._id, status: 'accepting' },
+    { $set: { status: 'accepted', 'offer.respondedAt': new Date() } }
+  );
+
+  const patient = await Patient.findById(entry.patientId);
+  if (patient) {
+    patient.appointments = patient.appointments || [];
+    patient.appointments.push({
+      appointment: appointment._id,
+      doctor: entry.doctorId,
+      date: new Date(entry.date),
+      status: 'scheduled'
+    });
+    await patient.save();
+
+    try {
+      const ics = await buildAppointmentInvite(appointment);
+      await sendAppointmentEmail(patient.email, appointment, { ics });
+    } catch (error) {
+      console.error('Error sending email:', error);
+    }
+  }
+
+  res.status(201).json({
+    message: 'Offer accepted',
+    appointment
+  });
+});
+
+// @desc    Decline a waitlist offer
+// @route   POST /api/appointments/waitlist/:entryId/decline
+// @access  Public (offer token)
+const declineWaitlistOffer = asyncHandler(async (req, res) => {
+  const entry = await loadOfferedEntry(req, res);
+
+  if (!await closeOffer(entry, 'declined')) {
+    res.status(409);
+    throw new Error('This offer is no longer open');
+  }
+
+  res.json({ message: 'Offer declined' });
+});
+
+module.exports = {
+  joinWaitlist,
+  getWaitlist,
+  getWaitlistSummary,
+  removeFromWaitlist,
+  acceptWaitlistOffer,
+  declineWaitlistOffer
+};
@@ -0,0 +1,24 @@
+const { registerJob, startJobRunner, runJobNow } = require('../utils/jobRunner');
+const { expireOffers, recoverStalledAccepts } = require('../utils/waitlistService');
+const { createReminderScheduler } = require('../utils/reminderService');
+
+registerJob(require('./missedAppointments'));
+
+registerJob({
+  name: 'waitlist-offer-expiry',
+  description: 'Finishes interrupted accepts, then expires unanswered waitlist offers and passes the slot to the next patient',
+  intervalMs: 60 * 1000,
+  handler: async () => {
+    const recovered = await recoverStalledAccepts();
+    return { recovered, expired: await expireOffers() };
+  }
+});
+
+registerJob({
+  name: 'appointment-reminders',
+  description: 'Emails patients ahead of their confirmed appointments',
+  intervalMs: 5 * 60 * 1000,
+  handler: ({ now }) => createReminderScheduler({ now: () => now }).runOnce()
+});
+
+module.exports = { startJobRunner, runJobNow };
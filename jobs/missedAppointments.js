@@ -0,0 +1,67 @@
+const { format, addMinutes, parseISO } = require('date-fns');
+const Appointment = require('../models/Appointment');
+const Doctor = require('../models/Doctor');
+const ActivityService = require('../utils/activityService');
+
+// How long after the scheduled time a confirmed appointment counts as missed
+const GRACE_MINUTES = 30;
+
+/**
+ * Marks confirmed appointments as 'not_appeared' once they are more than
+ * GRACE_MINUTES past their scheduled time without being completed or cancelled
+ * @param {Object} context
+ * @param {Date} context.now - Current time
+ * @returns {Promise<Object>} Number of appointments checked and updated
+ */
+const markMissedAppointments = async ({ now = new Date() } = {}) => {
+  const today = format(now, 'yyyy-MM-dd');
+
+  // Confirmed appointments for today or earlier
+  const appointments = await Appointment.find({
+    status: 'confirmed',
+    date: { $lte: today }
+  });
+
+  let updated = 0;
+
+  for (const appointment of appointments) {
+    const threshold = addMinutes(parseISO(`${appointment.date}T${appointment.time}`), GRACE_MINUTES);
+    if (!(now > threshold)) continue;
+
+    appointment.status = 'not_appeared';
+    await appointment.save();
+
+    updated++;
+
+    // Activities belong to a user; without the doctor's account there is
+    // no one to log this against
+    const doctor = await Doctor.findById(appointment.doctorId).select('userId');
+    if (!doctor?.userId) continue;
+
+    await ActivityService.logActivity({
+      user: doctor?.userId,
+      hospitalId: appointment.hospitalId,
+      actorName: 'Missed appointment job',
+      patientId: appointment.patientId,
+      action: 'appointment_not_appeared',
+      subject: 'appointment',
+      subjectId: appointment._id,
+      description: 'Patient did not appear for appointment',
+      status: 'warning',
+      metadata: {
+        appointmentId: appointment._id,
+        previousStatus: 'confirmed',
+        newStatus: 'not_appeared'
+      }
+    });
+  }
+
+  return { checked: appointments.length, updated };
+};
+
+module.exports = {
+  name: 'missed-appointments',
+  description: `Marks confirmed appointments as not appeared ${GRACE_MINUTES} minutes after their scheduled time`,
+  intervalMs: 15 * 60 * 1000,
+  handler: markMissedAppointments
+};
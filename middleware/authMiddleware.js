@@ -1,6 +1,9 @@
 const jwt = require('jsonwebtoken');
 const asyncHandler = require('express-async-handler');
 const User = require('../models/User');
+const { isSessionActive } = require('../utils/sessionService');
+const { verifyChallengeToken } = require('../utils/twoFactorService');
+const { enterTenantContext } = require('./tenantMiddleware');
 
 const protect = asyncHandler(async (req, res, next) => {
   let token;
@@ -15,16 +18,30 @@ const protect = asyncHandler(async (req, res, next) => {
 
       // Verify token
       const decoded = jwt.verify(token, process.env.JWT_SECRET);
+      req.sessionId = decoded.sid;
 
       // Get user from the token
       req.user = await User.findById(decoded.id).select('-password');
-
-      next();
     } catch (error) {
       console.error(error);
       res.status(401);
       throw new Error('Not authorized');
     }
+
+    // Suspended accounts and revoked sessions lose access straight away,
+    // without waiting for the access token to expire
+    if (!req.user || req.user.status !== 'active') {
+      res.status(401);
+      throw new Error('Not authorized, account is not active');
+    }
+
+    if (!(await isSessionActive(req.sessionId, req.user._id))) {
+      res.status(401);
+      throw new Error('Not authorized, session has ended');
+    }
+
+    // Everything after this runs confined to the user's hospital
+    return enterTenantContext(req, res, next);
   }
 
   if (!token) {
@@ -33,70 +50,30 @@ const protect = asyncHandler(async (req, res, next) => {
   }
 });
 
-const staffOnly = asyncHandler(async (req, res, next) => {
-  if (req.user && req.user.role === 'staff') {
-    next();
-  } else {
-    res.status(403);
-    throw new Error('Not authorized as staff');
-  }
-});
-
-const adminOnly = asyncHandler(async (req, res, next) => {
-  if (req.user && req.user.role === 'admin') {
-    next();
-  } else {
-    res.status(403);
-    throw new Error('Not authorized as an admin');
+// Two-factor enrolment is open to signed-in users, and to users whose role
+// requires 2FA but who haven't enrolled yet, using their login challenge token
+const protectTwoFactorEnrolment = asyncHandler(async (req, res, next) => {
+  if (req.headers.authorization) {
+    return protect(req, res, next);
   }
-});
 
-const doctorOnly = asyncHandler(async (req, res, next) => {
-  if (req.user && req.user.role === 'doctor') {
-    next();
-  } else {
-    res.status(403);
-    throw new Error('Not authorized as a doctor');
+  const challenge = verifyChallengeToken(req.body.challengeToken);
+  if (!challenge || !challenge.enrol) {
+    res.status(401);
+    throw new Error('Not authorized, no token');
   }
-});
 
-const authorize = (roles) => {
-  return (req, res, next) => {
-    // Convert roles to array if it's not already
-    const roleArray = Array.isArray(roles) ? roles : [roles];
-    
-    if (!roleArray.includes(req.user.role)) {
-      res.status(403);
-      throw new Error(`Role ${req.user.role} is not authorized to access this route`);
-    }
-    next();
-  };
-};
-
-const staffOrAdmin = asyncHandler(async (req, res, next) => {
-  if (req.user && (req.user.role === 'staff' || req.user.role === 'admin')) {
-    next();
-  } else {
-    res.status(403);
-    throw new Error('Not authorized. Requires staff or admin role');
+  req.user = await User.findById(challenge.id).select('-password');
+  if (!req.user || req.user.status !== 'active' || req.user.twoFactor?.enabled) {
+    res.status(401);
+    throw new Error('Not authorized');
   }
-});
 
-const staffOrDoctor = asyncHandler(async (req, res, next) => {
-  if (req.user && (req.user.role === 'staff' || req.user.role === 'doctor')) {
-    next();
-  } else {
-    res.status(403);
-    throw new Error('Not authorized. Requires staff or doctor role');
-  }
+  req.twoFactorChallenge = true;
+  next();
 });
 
 module.exports = {
   protect,
-  staffOnly,
-  adminOnly,
-  doctorOnly,
-  authorize,
-  staffOrAdmin,
-  staffOrDoctor
+  protectTwoFactorEnrolment
 }; 
\ No newline at end of file
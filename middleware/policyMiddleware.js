@@ -0,0 +1,150 @@
+const asyncHandler = require('express-async-handler');
+const mongoose = require('mongoose');
+const Doctor = require('../models/Doctor');
+const Patient = require('../models/Patient');
+const Staff = require('../models/Staff');
+const policies = require('../config/policies');
+const { resolveEffectivePermissions } = require('../utils/permissionService');
+const { withoutTenantScope } = require('../utils/tenantContext');
+
+/**
+ * Resolves the hospital a user works at, or for patients the hospital their
+ * record belongs to. Falls back to the staff, doctor or patient profile for
+ * accounts created before User.hospital was kept in sync.
+ * The result is cached on the request.
+ * @param {Object} req - Express request with req.user set
+ * @returns {Promise<string|null>} Hospital ID
+ */
+const getUserHospital = async (req) => {
+  if (req.userHospitalId !== undefined) return req.userHospitalId;
+
+  let hospitalId = req.user.hospital || null;
+
+  if (!hospitalId && req.user.role === 'staff') {
+    const staff = await Staff.findOne({ userId: req.user._id }).select('hospital').lean();
+    hospitalId = staff?.hospital || null;
+  }
+
+  if (!hospitalId && req.user.role === 'doctor') {
+    const doctor = await Doctor.findOne({ userId: req.user._id }).select('hospitalId').lean();
+    hospitalId = doctor?.hospitalId || null;
+  }
+
+  if (!hospitalId && req.user.role === 'patient') {
+    const patient = await Patient.findOne({ user: req.user._id }).select('hospital').lean();
+    hospitalId = patient?.hospital || null;
+  }
+
+  req.userHospitalId = hospitalId ? String(hospitalId) : null;
+  return req.userHospitalId;
+};
+
+/**
+ * Resolves the signed-in user's effective permissions once per request
+ * @param {Object} req - Express request with req.user set
+ * @returns {Promise<Set<string>>} Permissions such as `inventory:update`
+ */
+const getUserPermissions = async (req) => {
+  if (!req.userPermissions) {
+    const { permissions } = await resolveEffectivePermissions(req.user);
+    req.userPermissions = new Set(permissions);
+  }
+  return req.userPermissions;
+};
+
+/**
+ * Checks whether a record belongs to a hospital under a resource's policy
+ * @param {string} resource - Policy resource name
+ * @param {string} id - Record ID
+ * @param {string} hospitalId - Hospital ID
+ * @returns {Promise<boolean|null>} null when the record does not exist
+ */
+const recordBelongsToHospital = async (resource, id, hospitalId) => {
+  const policy = policies[resource];
+  // Looked up unscoped: the point is to tell another hospital's record (403)
+  // from one that doesn't exist (404)
+  const record = await withoutTenantScope(() => mongoose.model(policy.model)
+    .findById(id)
+    .select(policy.hospitalField)
+    .lean()
+    .exec());
+
+  if (!record) return null;
+  return String(record[policy.hospitalField]) === String(hospitalId);
+};
+
+/**
+ * Authorizes a request against the central policy. Must run after `protect`.
+ *
+ * The user must hold the `<resource>:<action>` permission, which comes from
+ * their role unless a permission set grants or denies it. Admins pass every
+ * tenancy check; everyone else must, for tenant-scoped resources, work at the
+ * hospital the record belongs to.
+ * List handlers read `req.hospitalScope` to restrict their queries; it is
+ * undefined for admins.
+ *
+ * @param {string} resource - Policy resource name
+ * @param {string} action - Action on the resource
+ * @param {Object} [options]
+ * @param {string} [options.param='id'] - Route param holding the record ID
+ * @param {string} [options.recordOf] - Resource the param refers to when it isn't `resource`
+ * @param {string} [options.hospitalParam] - Route param holding a hospital ID to check
+ * @returns {Function} Express middleware
+ */
+const can = (resource, action, { param = 'id', recordOf, hospitalParam } = {}) => {
+  const policy = policies[resource];
+  if (!policy || !policy.actions[action]) {
+    throw new Error(`No policy for ${action} on ${resource}`);
+  }
+
+  const recordResource = recordOf || resource;
+  const scoped = Boolean(policies[recordResource].model) || Boolean(hospitalParam);
+
+  return asyncHandler(async (req, res, next) => {
+    if (!req.user) {
+      res.status(401);
+      throw new Error('Not authorized');
+    }
+
+    const permissions = await getUserPermissions(req);
+    if (!permissions.has(`${resource}:${action}`)) {
+      res.status(403);
+      throw new Error(`Not authorized to ${action} ${resource}`);
+    }
+
+    if (req.user.role === 'admin' || !scoped) {
+      return next();
+    }
+
+    const hospitalId = await getUserHospital(req);
+    if (!hospitalId) {
+      res.status(403);
+      throw new Error('No hospital association found for the user');
+    }
+    req.hospitalScope = hospitalId;
+
+    if (hospitalParam && req.params[hospitalParam] && req.params[hospitalParam] !== hospitalId) {
+      res.status(403);
+      throw new Error('Not authorized to access another hospital');
+    }
+
+    const id = req.params[param];
+    if (policies[recordResource].model && id && mongoose.Types.ObjectId.isValid(id)) {
+      // Missing records fall through so the handler can answer 404
+      const belongs = await recordBelongsToHospital(recordResource, id, hospitalId);
+      if (belongs === false) {
+        res.status(403);
+        throw new Error(`Not authorized to access this ${recordResource}`);
+      }
+    }
+
+    next();
+  });
+};
+
+module.exports = {
+  can,
+  getUserHospital,
+  getUserPermissions,
+  recordBelongsToHospital
+};
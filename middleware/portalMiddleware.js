@@ -0,0 +1,19 @@
+const asyncHandler = require('express-async-handler');
+const Patient = require('../models/Patient');
+
+// Loads the Patient record linked to the signed-in account. Every portal
+// handler reads and writes through req.patient, so a patient only ever
+// reaches their own records. Must run after `protect`.
+const requirePortalPatient = asyncHandler(async (req, res, next) => {
+  const patient = await Patient.findOne({ user: req.user._id });
+
+  if (!patient) {
+    res.status(403);
+    throw new Error('No patient record is linked to this account');
+  }
+
+  req.patient = patient;
+  next();
+});
+
+module.exports = { requirePortalPatient };
@@ -0,0 +1,76 @@
+const mongoose = require('mongoose');
+const Hospital = require('../models/Hospital');
+const { getUserHospital } = require('./policyMiddleware');
+const { runWithTenant } = require('../utils/tenantContext');
+const { recordAudit } = require('../utils/auditService');
+
+// Admins name the hospital they are working in with this header
+const HOSPITAL_HEADER = 'x-hospital-id';
+
+const AUDIT_ACTIONS = {
+  GET: 'read',
+  HEAD: 'read',
+  POST: 'create',
+  PUT: 'update',
+  PATCH: 'update',
+  DELETE: 'delete'
+};
+
+/**
+ * Works out the tenant context for a signed-in request.
+ *
+ * Staff, doctors and patients are confined to their own hospital. Admins
+ * belong to no hospital: they either name one in the X-Hospital-Id header
+ * and are confined to it, or work across all hospitals. Either way every
+ * admin request that reaches tenant data is written to the audit log.
+ * @param {Object} req - Express request with req.user set
+ * @param {Object} res - Express response
+ * @returns {Promise<Object>} Tenant context for runWithTenant
+ */
+const resolveTenantContext = async (req, res) => {
+  if (req.user.role !== 'admin') {
+    return { hospitalId: await getUserHospital(req) };
+  }
+
+  const requested = req.get(HOSPITAL_HEADER);
+  const context = { hospitalId: null, crossTenant: !requested, accessedModels: new Set() };
+
+  if (requested) {
+    if (!mongoose.Types.ObjectId.isValid(requested) || !(await Hospital.exists({ _id: requested }))) {
+      res.status(400);
+      throw new Error('X-Hospital-Id does not name a hospital');
+    }
+    context.hospitalId = String(requested);
+  }
+
+  res.on('finish', () => {
+    if (!context.accessedModels.size) return;
+    // The response has gone by now; recordAudit has already logged the failure
+    recordAudit(req, {
+      resource: 'tenant',
+      action: AUDIT_ACTIONS[req.method] || 'read',
+      hospitalId: context.hospitalId,
+      fields: [...context.accessedModels]
+    }).catch(() => {});
+  });
+
+  return context;
+};
+
+/**
+ * Runs the rest of the request inside the signed-in user's tenant context,
+ * so tenant-scoped models only see that hospital. `protect` calls this once
+ * the user is known.
+ * @param {Object} req - Express request with req.user set
+ * @param {Object} res - Express response
+ * @param {Function} next - Express next
+ */
+const enterTenantContext = async (req, res, next) => {
+  const context = await resolveTenantContext(req, res);
+  return runWithTenant(context, next);
+};
+
+module.exports = {
+  HOSPITAL_HEADER,
+  enterTenantContext
+};
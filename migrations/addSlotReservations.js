@@ -0,0 +1,87 @@
+const mongoose = require('mongoose');
+const { format } = require('date-fns');
+const Appointment = require('../models/Appointment');
+const Doctor = require('../models/Doctor');
+const SlotReservation = require('../models/SlotReservation');
+const { getDoctorTemplate, getAppointmentDuration } = require('../utils/scheduleService');
+const { reserveSlot } = require('../utils/slotReservationService');
+require('dotenv').config();
+
+// Backfills slot reservations for upcoming appointments booked before
+// reservations existed, so new bookings cannot double-book them
+const addSlotReservations = async () => {
+  try {
+    console.log('Connecting to MongoDB...');
+    await mongoose.connect(process.env.MONGO_URI);
+    console.log('Connected to MongoDB successfully');
+
+    await SlotReservation.syncIndexes();
+
+    const today = format(new Date(), 'yyyy-MM-dd');
+    const appointments = await Appointment.find({
+      date: { $gte: today },
+      status: { $in: ['pending', 'confirmed'] }
+    }).sort({ createdAt: 1 });
+    console.log(`Found ${appointments.length} upcoming appointments`);
+
+    const templates = new Map();
+    let reservedCount = 0;
+    const conflicts = [];
+
+    for (const appointment of appointments) {
+      const alreadyReserved = await SlotReservation.exists({ appointmentId: appointment._id });
+      if (alreadyReserved) continue;
+
+      const doctorKey = appointment.doctorId.toString();
+      if (!templates.has(doctorKey)) {
+        const doctor = await Doctor.findById(appointment.doctorId);
+        templates.set(doctorKey, doctor ? await getDoctorTemplate(doctor) : { slotDuration: 30 });
+      }
+      const template = templates.get(doctorKey);
+
+      const reserved = await reserveSlot({
+        doctorId: appointment.doctorId,
+        date: appointment.date,
+        time: appointment.time,
+        duration: getAppointmentDuration(template, appointment.type),
+        slotDuration: template.slotDuration,
+        appointmentId: appointment._id
+      });
+
+      if (reserved) {
+        reservedCount++;
+      } else {
+        conflicts.push(appointment);
+      }
+    }
+
+    console.log(`Reserved slots for ${reservedCount} appointments`);
+
+    // Existing double bookings are reported, not changed
+    conflicts.forEach(appointment => {
+      console.warn(`Double booking: appointment ${appointment._id} (doctor ${appointment.doctorId}, ${appointment.date} ${appointment.time})`);
+    });
+
+    console.log('Migration completed successfully');
+  } catch (error) {
+    console.error('Migration failed:', error);
+  } finally {
+    await mongoose.disconnect();
+    console.log('Disconnected from MongoDB');
+  }
+};
+
+// Run the migration if this file is run directly
+if (require.main === module) {
+  addSlotReservations()
+    .then(() => {
+      console.log('Migration script completed');
+      process.exit(0);
+    })
+    .catch((error) => {
+      console.error('Migration script failed:', error);
+      process.exit(1);
+    });
+}
+
+module.exports = addSlotReservations;
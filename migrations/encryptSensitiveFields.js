@@ -0,0 +1,75 @@
+const mongoose = require('mongoose');
+const Doctor = require('../models/Doctor');
+const Patient = require('../models/Patient');
+const Report = require('../models/Report');
+const Observation = require('../models/Observation');
+const { reencryptValue, transformPath } = require('../utils/fieldEncryption');
+require('dotenv').config();
+
+// Must match the paths each model passes to fieldEncryptionPlugin
+const ENCRYPTED_PATHS = [
+  { Model: Doctor, paths: ['aadharNumber', 'panNumber'] },
+  { Model: Patient, paths: ['allergies', 'medicalHistory.condition', 'medicalHistory.medications', 'medicalHistory.notes'] },
+  { Model: Report, paths: ['diagnosis', 'prescription', 'medications.drug', 'medications.instructions'] },
+  { Model: Observation, paths: ['notes'] }
+];
+
+// Encrypts plaintext left from before field encryption, and re-encrypts values
+// written under an older key after FIELD_ENCRYPTION_KEY_VERSION changes.
+// Safe to run again; values already under the current key are left alone.
+// Pass --dry-run to only count what would change.
+const encryptSensitiveFields = async ({ dryRun = false } = {}) => {
+  try {
+    console.log('Connecting to MongoDB...');
+    await mongoose.connect(process.env.MONGO_URI);
+    console.log('Connected to MongoDB successfully');
+
+    for (const { Model, paths } of ENCRYPTED_PATHS) {
+      const fields = [...new Set(paths.map(path => path.split('.')[0]))];
+      let scanned = 0;
+      let updated = 0;
+
+      // Read through the driver so documents arrive exactly as stored
+      const cursor = Model.collection.find({}, { projection: Object.fromEntries(fields.map(field => [field, 1])) });
+
+      for await (const doc of cursor) {
+        scanned++;
+        const original = JSON.stringify(fields.map(field => doc[field]));
+
+        paths.forEach(path => transformPath(doc, path.split('.'), reencryptValue));
+
+        if (JSON.stringify(fields.map(field => doc[field])) === original) continue;
+
+        updated++;
+        if (!dryRun) {
+          const changes = Object.fromEntries(fields.filter(field => doc[field] !== undefined).map(field => [field, doc[field]]));
+          await Model.collection.updateOne({ _id: doc._id }, { $set: changes });
+        }
+      }
+
+      console.log(`${Model.modelName}: ${updated} of ${scanned} documents ${dryRun ? 'need encrypting' : 'encrypted'}`);
+    }
+
+    console.log('Migration completed successfully');
+  } catch (error) {
+    console.error('Migration failed:', error);
+  } finally {
+    await mongoose.disconnect();
+    console.log('Disconnected from MongoDB');
+  }
+};
+
+// Run the migration if this file is run directly
+if (require.main === module) {
+  encryptSensitiveFields({ dryRun: process.argv.includes('--dry-run') })
+    .then(() => {
+      console.log('Migration script completed');
+      process.exit(0);
+    })
+    .catch((error) => {
+      console.error('Migration script failed:', error);
+      process.exit(1);
+    });
+}
+
+module.exports = encryptSensitiveFields;
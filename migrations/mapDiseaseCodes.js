@@ -0,0 +1,95 @@
+const mongoose = require('mongoose');
+const Appointment = require('../models/Appointment');
+const Report = require('../models/Report');
+const { mapFreeText } = require('../utils/icd10Service');
+require('dotenv').config();
+
+// How many of the most common unmapped diseases to list
+const UNMAPPED_TO_LIST = 25;
+
+// Adds ICD-10 codes to appointments and reports recorded with free text only.
+// Text is mapped conservatively (see mapFreeText); anything that doesn't map
+// is left uncoded and the most common appointment values are listed so they
+// can be coded by hand or added as synonyms to data/icd10.json.
+// Safe to run again; records that already have codes are left alone.
+// Pass --dry-run to only report what would change.
+const mapDiseaseCodes = async ({ dryRun = false } = {}) => {
+  try {
+    console.log('Connecting to MongoDB...');
+    await mongoose.connect(process.env.MONGO_URI);
+    console.log('Connected to MongoDB successfully');
+
+    // Appointments: disease is plaintext, so each distinct value is mapped once
+    const diseases = await Appointment.aggregate([
+      { $match: { disease: { $nin: [null, ''] }, diseaseCode: null } },
+      { $group: { _id: '$disease', count: { $sum: 1 } } },
+      { $sort: { count: -1 } }
+    ]);
+
+    let mappedAppointments = 0;
+    const unmapped = [];
+
+    for (const { _id: disease, count } of diseases) {
+      const coded = mapFreeText(disease);
+      if (!coded) {
+        unmapped.push({ disease, count });
+        continue;
+      }
+
+      console.log(`"${disease}" -> ${coded.code} ${coded.title} (${count})`);
+      mappedAppointments += count;
+      if (!dryRun) {
+        await Appointment.updateMany({ disease, diseaseCode: null }, { $set: { diseaseCode: coded.code } });
+      }
+    }
+
+    const unmappedAppointments = unmapped.reduce((sum, { count }) => sum + count, 0);
+    console.log(`Appointments: ${mappedAppointments} ${dryRun ? 'can be coded' : 'coded'}, ${unmappedAppointments} left uncoded`);
+    unmapped.slice(0, UNMAPPED_TO_LIST).forEach(({ disease, count }) => {
+      console.log(`  unmapped: "${disease}" (${count})`);
+    });
+
+    // Reports: diagnosis is encrypted, so it is read through the model to be
+    // decrypted. Unmapped diagnoses are counted but not printed.
+    let scannedReports = 0;
+    let mappedReports = 0;
+    const cursor = Report.find({
+      diagnosis: { $nin: [null, ''] },
+      'diagnosisCodes.0': { $exists: false }
+    }).select('diagnosis').cursor();
+
+    for await (const report of cursor) {
+      scannedReports++;
+      const coded = mapFreeText(report.diagnosis);
+      if (!coded) continue;
+
+      mappedReports++;
+      if (!dryRun) {
+        await Report.updateOne({ _id: report._id }, { $set: { diagnosisCodes: [coded.code] } });
+      }
+    }
+
+    console.log(`Reports: ${mappedReports} of ${scannedReports} ${dryRun ? 'can be coded' : 'coded'}`);
+    console.log('Migration completed successfully');
+  } catch (error) {
+    console.error('Migration failed:', error);
+  } finally {
+    await mongoose.disconnect();
+    console.log('Disconnected from MongoDB');
+  }
+};
+
+// Run the migration if this file is run directly
+if (require.main === module) {
+  mapDiseaseCodes({ dryRun: process.argv.includes('--dry-run') })
+    .then(() => {
+      console.log('Migration script completed');
+      process.exit(0);
+    })
+    .catch((error) => {
+      console.error('Migration script failed:', error);
+      process.exit(1);
+    });
+}
+
+module.exports = mapDiseaseCodes;
@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const { tenantScopePlugin } = require('../utils/tenantContext');
 
 const activitySchema = new mongoose.Schema({
   user: {
@@ -22,7 +23,7 @@ const activitySchema = new mongoose.Schema({
   },
   actorRole: {
     type: String,
-    enum: ['staff', 'doctor', 'admin']
+    enum: ['staff', 'doctor', 'admin', 'patient']
   },
   patientId: {
     type: mongoose.Schema.Types.ObjectId,
@@ -37,14 +38,39 @@ const activitySchema = new mongoose.Schema({
       'appointment_completed',
       'appointment_updated',
       'appointment_not_appeared',
+      'appointment_rescheduled',
+      'appointment_series_created',
+      'appointment_series_updated',
+      'appointment_series_cancelled',
+      'appointment_reminder_sent',
       'patient_checked_in',
       'patient_completed',
       'patient_registered',
+      'patient_profile_updated',
+      'patient_merged',
+      'patient_merge_undone',
+      'vitals_recorded',
+      'portal_invite_sent',
+      'portal_activated',
       'prescription_added',
+      'prescription_safety_override',
       'report_generated',
       'report_updated',
       'staff_login',
       'doctor_login',
+      'login_failed',
+      'account_locked',
+      'account_unlocked',
+      'password_reset',
+      'two_factor_enabled',
+      'two_factor_disabled',
+      'two_factor_failed',
+      'two_factor_backup_code_used',
+      'two_factor_backup_codes_regenerated',
+      'permission_set_created',
+      'permission_set_updated',
+      'permission_set_deleted',
+      'user_permission_sets_updated',
       'update_treatment',
       'expense_added',
       'expense_updated',
@@ -54,7 +80,7 @@ const activitySchema = new mongoose.Schema({
   },
   subject: {
     type: String,
-    enum: ['appointment', 'patient', 'prescription', 'report', 'staff', 'doctor', 'user', 'expense'],
+    enum: ['appointment', 'patient', 'prescription', 'report', 'staff', 'doctor', 'user', 'expense', 'permission_set'],
     required: true
   },
   subjectId: {
@@ -70,14 +96,39 @@ const activitySchema = new mongoose.Schema({
       'appointment_completed',
       'appointment_updated',
       'appointment_not_appeared',
+      'appointment_rescheduled',
+      'appointment_series_created',
+      'appointment_series_updated',
+      'appointment_series_cancelled',
+      'appointment_reminder_sent',
       'patient_checked_in',
       'patient_completed',
       'patient_registered',
+      'patient_profile_updated',
+      'patient_merged',
+      'patient_merge_undone',
+      'vitals_recorded',
+      'portal_invite_sent',
+      'portal_activated',
       'prescription_added',
+      'prescription_safety_override',
       'report_generated',
       'report_updated',
       'staff_login',
       'doctor_login',
+      'login_failed',
+      'account_locked',
+      'account_unlocked',
+      'password_reset',
+      'two_factor_enabled',
+      'two_factor_disabled',
+      'two_factor_failed',
+      'two_factor_backup_code_used',
+      'two_factor_backup_codes_regenerated',
+      'permission_set_created',
+      'permission_set_updated',
+      'permission_set_deleted',
+      'user_permission_sets_updated',
       'expense_added',
       'expense_updated',
       'expense_deleted'
@@ -106,6 +157,10 @@ const activitySchema = new mongoose.Schema({
   timestamps: true
 });
 
+// Activities without a hospital (admin and platform events) only show to
+// admins working across hospitals
+activitySchema.plugin(tenantScopePlugin, { field: 'hospitalId' });
+
 // Create indexes for efficient querying
 activitySchema.index({ user: 1, createdAt: -1 });
 activitySchema.index({ actorId: 1 });
@@ -1,4 +1,6 @@
 const mongoose = require('mongoose');
+const SlotReservation = require('./SlotReservation');
+const { tenantScopePlugin } = require('../utils/tenantContext');
 
 const appointmentSchema = new mongoose.Schema({
   patientId: {
@@ -37,10 +39,13 @@ const appointmentSchema = new mongoose.Schema({
     type: String,
     default: ''
   },
+  checkInTime: Date,
   symptoms: String,
   notes: String,
   diagnosis: String,
   disease: String,
+  // ICD-10 code for the disease; analytics group by this rather than the text
+  diseaseCode: String,
   treatmentOutcome: {
     type: String,
     enum: ['successful', 'partial', 'unsuccessful', 'ongoing'],
@@ -61,6 +66,12 @@ const appointmentSchema = new mongoose.Schema({
     type: Boolean,
     default: false
   },
+  // One entry per reminder offset (in minutes before the appointment) already sent
+  remindersSent: [{
+    _id: false,
+    offset: Number,
+    sentAt: Date
+  }],
   timeSlotConfirmed: {
     type: Boolean,
     default: false
@@ -72,7 +83,34 @@ const appointmentSchema = new mongoose.Schema({
   relatedReportId: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'Report'
-  }
+  },
+
+  // Set when the appointment is an occurrence of a recurring series
+  seriesId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'AppointmentSeries'
+  },
+
+  // Every move of this appointment, oldest first
+  rescheduleHistory: [{
+    fromDate: String,
+    fromTime: String,
+    toDate: String,
+    toTime: String,
+    reason: {
+      type: String,
+      default: ''
+    },
+    rescheduledBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    rescheduledByName: String,
+    rescheduledAt: {
+      type: Date,
+      default: Date.now
+    }
+  }]
 }, {
   timestamps: true
 });
@@ -81,7 +119,27 @@ const appointmentSchema = new mongoose.Schema({
 appointmentSchema.index({ doctorId: 1, date: 1 });
 appointmentSchema.index({ patientId: 1, status: 1 });
 appointmentSchema.index({ disease: 1, treatmentOutcome: 1 });
+appointmentSchema.index({ diseaseCode: 1, treatmentOutcome: 1 });
 appointmentSchema.index({ isFollowUp: 1, needsTimeSlot: 1 });
 appointmentSchema.index({ date: 1, isFollowUp: 1 });
+appointmentSchema.index({ seriesId: 1, date: 1 });
+
+// Free the slot reservation once an appointment is cancelled or removed so
+// the time can be booked again
+const releaseIfCancelled = async function(doc) {
+  if (doc && doc.status === 'cancelled') {
+    await SlotReservation.deleteMany({ appointmentId: doc._id });
+  }
+};
+
+appointmentSchema.post('save', releaseIfCancelled);
+appointmentSchema.post('findOneAndUpdate', releaseIfCancelled);
+appointmentSchema.post('findOneAndDelete', async function(doc) {
+  if (doc) {
+    await SlotReservation.deleteMany({ appointmentId: doc._id });
+  }
+});
+
+appointmentSchema.plugin(tenantScopePlugin, { field: 'hospitalId' });
 
 module.exports = mongoose.model('Appointment', appointmentSchema); 
\ No newline at end of file
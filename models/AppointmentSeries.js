@@ -0,0 +1,81 @@
+const mongoose = require('mongoose');
+const { tenantScopePlugin } = require('../utils/tenantContext');
+
+const appointmentSeriesSchema = new mongoose.Schema({
+  patientId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Patient',
+    required: true
+  },
+  doctorId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Doctor',
+    required: true
+  },
+  hospitalId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Hospital',
+    required: true
+  },
+  type: {
+    type: String,
+    required: true
+  },
+  time: {
+    type: String,
+    required: true
+  },
+  notes: {
+    type: String,
+    default: ''
+  },
+  startDate: {
+    type: String,
+    required: true
+  },
+  recurrence: {
+    frequency: {
+      type: String,
+      enum: ['DAILY', 'WEEKLY', 'MONTHLY'],
+      required: true
+    },
+    interval: {
+      type: Number,
+      default: 1,
+      min: 1
+    },
+    byDay: [String],
+    count: Number,
+    until: String
+  },
+  status: {
+    type: String,
+    enum: ['active', 'ended', 'cancelled'],
+    default: 'active'
+  },
+  // Set when this series was split off another one by a "this and following" edit
+  parentSeriesId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'AppointmentSeries'
+  },
+  // Dates the rule produced that could not be booked
+  clashes: [{
+    _id: false,
+    date: String,
+    time: String,
+    reason: String
+  }],
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+appointmentSeriesSchema.index({ patientId: 1, status: 1 });
+appointmentSeriesSchema.index({ doctorId: 1, status: 1 });
+
+appointmentSeriesSchema.plugin(tenantScopePlugin, { field: 'hospitalId' });
+
+module.exports = mongoose.model('AppointmentSeries', appointmentSeriesSchema);
@@ -0,0 +1,87 @@
+const mongoose = require('mongoose');
+
+// One access to protected health information. Entries are append-only: each
+// stores the hash of the entry before it, so editing or removing any entry
+// breaks the chain from that point on (see utils/auditService).
+const auditLogSchema = new mongoose.Schema({
+  sequence: {
+    type: Number,
+    required: true,
+    unique: true
+  },
+  timestamp: {
+    type: Date,
+    required: true
+  },
+  actorId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  actorName: String,
+  actorEmail: String,
+  actorRole: String,
+  hospitalId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Hospital'
+  },
+  patientId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Patient'
+  },
+  resource: {
+    type: String,
+    enum: ['patient', 'report', 'appointment', 'vitals', 'audit', 'tenant'],
+    required: true
+  },
+  resourceId: {
+    type: mongoose.Schema.Types.ObjectId
+  },
+  action: {
+    type: String,
+    enum: ['read', 'create', 'update', 'delete', 'export'],
+    required: true
+  },
+  fields: [String],
+  ipAddress: String,
+  userAgent: String,
+  method: String,
+  path: String,
+  previousHash: {
+    type: String,
+    required: true
+  },
+  hash: {
+    type: String,
+    required: true
+  }
+});
+
+auditLogSchema.index({ patientId: 1, timestamp: -1 });
+auditLogSchema.index({ actorId: 1, timestamp: -1 });
+auditLogSchema.index({ hospitalId: 1, timestamp: -1 });
+auditLogSchema.index({ resource: 1, resourceId: 1 });
+
+const rejectChange = function () {
+  throw new Error('Audit log entries cannot be changed or removed');
+};
+
+auditLogSchema.pre('save', function (next) {
+  if (!this.isNew) {
+    return next(new Error('Audit log entries cannot be changed or removed'));
+  }
+  next();
+});
+
+[
+  'updateOne',
+  'updateMany',
+  'findOneAndUpdate',
+  'findOneAndReplace',
+  'replaceOne',
+  'deleteOne',
+  'deleteMany',
+  'findOneAndDelete',
+  'findOneAndRemove'
+].forEach(operation => auditLogSchema.pre(operation, { document: true, query: true }, rejectChange));
+
+module.exports = mongoose.model('AuditLog', auditLogSchema);
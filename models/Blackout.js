@@ -0,0 +1,83 @@
+const mongoose = require('mongoose');
+const { tenantScopePlugin } = require('../utils/tenantContext');
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+const blackoutSchema = new mongoose.Schema({
+  // 'doctor' blocks a single doctor, 'hospital' blocks every doctor at the hospital
+  scope: {
+    type: String,
+    enum: ['doctor', 'hospital'],
+    required: true
+  },
+  doctorId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Doctor',
+    required: function() {
+      return this.scope === 'doctor';
+    }
+  },
+  hospitalId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Hospital',
+    required: true
+  },
+  category: {
+    type: String,
+    enum: ['leave', 'holiday', 'training', 'closure', 'other'],
+    default: 'leave'
+  },
+  startDate: {
+    type: String,
+    required: true,
+    match: [DATE_PATTERN, 'Date must be in YYYY-MM-DD format']
+  },
+  endDate: {
+    type: String,
+    required: true,
+    match: [DATE_PATTERN, 'Date must be in YYYY-MM-DD format']
+  },
+  // Optional time window for partial-day blackouts; omitted means the whole day
+  startTime: {
+    type: String,
+    match: [TIME_PATTERN, 'Time must be in HH:mm format']
+  },
+  endTime: {
+    type: String,
+    match: [TIME_PATTERN, 'Time must be in HH:mm format']
+  },
+  reason: {
+    type: String,
+    default: ''
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+blackoutSchema.pre('validate', function(next) {
+  if (this.startDate && this.endDate && this.endDate < this.startDate) {
+    return next(new Error('End date cannot be before start date'));
+  }
+
+  if (Boolean(this.startTime) !== Boolean(this.endTime)) {
+    return next(new Error('Both start time and end time are required for a partial-day blackout'));
+  }
+
+  if (this.startTime && this.endTime && this.endTime <= this.startTime) {
+    return next(new Error('End time must be after start time'));
+  }
+
+  next();
+});
+
+blackoutSchema.index({ doctorId: 1, startDate: 1, endDate: 1 });
+blackoutSchema.index({ hospitalId: 1, scope: 1, startDate: 1, endDate: 1 });
+
+blackoutSchema.plugin(tenantScopePlugin, { field: 'hospitalId' });
+
+module.exports = mongoose.model('Blackout', blackoutSchema);
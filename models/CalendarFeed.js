@@ -0,0 +1,37 @@
+const mongoose = require('mongoose');
+
+// A read-only calendar subscription. Anyone holding the token can read the
+// feed, so rotating the token is how access is withdrawn.
+const calendarFeedSchema = new mongoose.Schema({
+  ownerType: {
+    type: String,
+    enum: ['doctor', 'patient'],
+    required: true
+  },
+  ownerId: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true,
+    refPath: 'ownerModel'
+  },
+  ownerModel: {
+    type: String,
+    enum: ['Doctor', 'Patient'],
+    required: true
+  },
+  token: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  lastAccessedAt: Date
+}, {
+  timestamps: true
+});
+
+calendarFeedSchema.index({ ownerType: 1, ownerId: 1 }, { unique: true });
+
+module.exports = mongoose.model('CalendarFeed', calendarFeedSchema);
@@ -1,4 +1,6 @@
 const mongoose = require('mongoose');
+const { fieldEncryptionPlugin } = require('../utils/fieldEncryption');
+const { tenantScopePlugin } = require('../utils/tenantContext');
 
 const doctorSchema = new mongoose.Schema({
   userId: {
@@ -141,6 +143,13 @@ const doctorSchema = new mongoose.Schema({
   timestamps: true
 });
 
+// Government identifiers are stored encrypted and masked whenever a doctor is serialised
+doctorSchema.plugin(fieldEncryptionPlugin, {
+  paths: ['aadharNumber', 'panNumber'],
+  mask: ['aadharNumber', 'panNumber']
+});
+doctorSchema.plugin(tenantScopePlugin, { field: 'hospitalId' });
+
 // Add a method to update appointment and patient counts
 doctorSchema.methods.updateCounts = async function() {
   const Appointment = mongoose.model('Appointment');
@@ -0,0 +1,104 @@
+const mongoose = require('mongoose');
+const { tenantScopePlugin } = require('../utils/tenantContext');
+
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+const WEEK_DAYS = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+
+const timeRangeSchema = new mongoose.Schema({
+  start: {
+    type: String,
+    required: true,
+    match: [TIME_PATTERN, 'Time must be in HH:mm format']
+  },
+  end: {
+    type: String,
+    required: true,
+    match: [TIME_PATTERN, 'Time must be in HH:mm format']
+  },
+  label: {
+    type: String,
+    default: ''
+  }
+}, { _id: false });
+
+const dayTemplateSchema = new mongoose.Schema({
+  day: {
+    type: String,
+    enum: WEEK_DAYS,
+    required: true
+  },
+  sessions: [timeRangeSchema],
+  breaks: [timeRangeSchema]
+}, { _id: false });
+
+const doctorScheduleSchema = new mongoose.Schema({
+  doctorId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Doctor',
+    required: true,
+    unique: true
+  },
+  hospitalId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Hospital'
+  },
+  slotDuration: {
+    type: Number,
+    default: 30,
+    min: 5,
+    max: 240
+  },
+  typeDurations: [{
+    _id: false,
+    appointmentType: {
+      type: String,
+      required: true
+    },
+    duration: {
+      type: Number,
+      required: true,
+      min: 5,
+      max: 480
+    }
+  }],
+  weeklyTemplate: [dayTemplateSchema],
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+// Reject sessions and breaks whose end is not after their start
+doctorScheduleSchema.pre('validate', function(next) {
+  const toMinutes = (value) => {
+    const [hours, minutes] = value.split(':').map(Number);
+    return hours * 60 + minutes;
+  };
+
+  for (const dayTemplate of this.weeklyTemplate || []) {
+    const ranges = [...(dayTemplate.sessions || []), ...(dayTemplate.breaks || [])];
+    const invalid = ranges.find(range =>
+      TIME_PATTERN.test(range.start) && TIME_PATTERN.test(range.end) &&
+      toMinutes(range.end) <= toMinutes(range.start)
+    );
+
+    if (invalid) {
+      return next(new Error(`Invalid time range ${invalid.start}-${invalid.end} on ${dayTemplate.day}`));
+    }
+  }
+
+  const days = (this.weeklyTemplate || []).map(dayTemplate => dayTemplate.day);
+  if (new Set(days).size !== days.length) {
+    return next(new Error('Each day can only appear once in the weekly template'));
+  }
+
+  next();
+});
+
+doctorScheduleSchema.statics.WEEK_DAYS = WEEK_DAYS;
+
+doctorScheduleSchema.plugin(tenantScopePlugin, { field: 'hospitalId' });
+
+module.exports = mongoose.model('DoctorSchedule', doctorScheduleSchema);
@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const { tenantScopePlugin } = require('../utils/tenantContext');
 
 const expenseSchema = new mongoose.Schema(
   {
@@ -59,4 +60,6 @@ const expenseSchema = new mongoose.Schema(
 expenseSchema.index({ date: 1, category: 1 });
 expenseSchema.index({ hospitalId: 1 });
 
+expenseSchema.plugin(tenantScopePlugin, { field: 'hospitalId' });
+
 module.exports = mongoose.model('Expense', expenseSchema);
\ No newline at end of file
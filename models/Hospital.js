@@ -44,6 +44,33 @@ const hospitalSchema = mongoose.Schema({
     type: Number,
     default: 0
   },
+  // Rules for appointments patients book and cancel themselves in the portal
+  portalSettings: {
+    bookingEnabled: {
+      type: Boolean,
+      default: true
+    },
+    minNoticeHours: {
+      type: Number,
+      min: 0,
+      default: 2
+    },
+    maxAdvanceDays: {
+      type: Number,
+      min: 0,
+      default: 60
+    },
+    cancellationCutoffHours: {
+      type: Number,
+      min: 0,
+      default: 24
+    },
+    maxUpcomingAppointments: {
+      type: Number,
+      min: 0,
+      default: 3
+    }
+  },
   lastUpdated: {
     type: Date,
     default: Date.now
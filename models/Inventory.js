@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const { tenantScopePlugin } = require('../utils/tenantContext');
 
 const inventorySchema = new mongoose.Schema({
   name: {
@@ -76,4 +77,6 @@ inventorySchema.index({ status: 1 });
 inventorySchema.index({ category: 1 });
 inventorySchema.index({ name: 'text' });
 
+inventorySchema.plugin(tenantScopePlugin, { field: 'hospitalId' });
+
 module.exports = mongoose.model('Inventory', inventorySchema);
\ No newline at end of file
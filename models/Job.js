@@ -0,0 +1,51 @@
+const mongoose = require('mongoose');
+
+// Shared state for a registered background job. The lock fields make sure
+// only one server instance runs a job at a time.
+const jobSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  description: {
+    type: String,
+    default: ''
+  },
+  intervalMs: {
+    type: Number,
+    required: true,
+    min: 1000
+  },
+  paused: {
+    type: Boolean,
+    default: false
+  },
+  pausedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  nextRunAt: {
+    type: Date,
+    default: Date.now
+  },
+  lockedBy: String,
+  lockedUntil: Date,
+  lastRunAt: Date,
+  lastFinishedAt: Date,
+  lastStatus: {
+    type: String,
+    enum: ['success', 'failed']
+  },
+  lastError: String,
+  consecutiveFailures: {
+    type: Number,
+    default: 0
+  }
+}, {
+  timestamps: true
+});
+
+jobSchema.index({ paused: 1, nextRunAt: 1 });
+
+module.exports = mongoose.model('Job', jobSchema);
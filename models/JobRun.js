@@ -0,0 +1,42 @@
+const mongoose = require('mongoose');
+
+const jobRunSchema = new mongoose.Schema({
+  job: {
+    type: String,
+    required: true
+  },
+  trigger: {
+    type: String,
+    enum: ['schedule', 'manual'],
+    default: 'schedule'
+  },
+  triggeredBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  instanceId: String,
+  status: {
+    type: String,
+    enum: ['running', 'success', 'failed'],
+    default: 'running'
+  },
+  startedAt: {
+    type: Date,
+    default: Date.now
+  },
+  finishedAt: Date,
+  durationMs: Number,
+  // Whatever the job handler returned, e.g. counts of records touched
+  result: mongoose.Schema.Types.Mixed,
+  error: {
+    message: String,
+    stack: String
+  }
+}, {
+  timestamps: true
+});
+
+jobRunSchema.index({ job: 1, startedAt: -1 });
+jobRunSchema.index({ status: 1, startedAt: -1 });
+
+module.exports = mongoose.model('JobRun', jobRunSchema);
@@ -1,5 +1,9 @@
 const mongoose = require('mongoose');
 
+// Not tenant-scoped: messages are between two users, and admins, who belong
+// to no hospital, message staff at any of them. Every query is limited to a
+// conversation the signed-in user takes part in, or to messages they sent
+// or received.
 const messageSchema = new mongoose.Schema({
   conversation: {
     type: mongoose.Schema.Types.ObjectId,
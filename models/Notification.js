@@ -1,5 +1,7 @@
 const mongoose = require('mongoose');
 
+// Not tenant-scoped: a notification belongs to one user, has no hospital of
+// its own, and is only ever read or updated by that user.
 const notificationSchema = new mongoose.Schema({
   user: {
     type: mongoose.Schema.Types.ObjectId,
@@ -21,7 +23,7 @@ const notificationSchema = new mongoose.Schema({
   },
   relatedTo: {
     type: String,
-    enum: ['appointment', 'task', 'inventory', 'general'],
+    enum: ['appointment', 'task', 'inventory', 'waitlist', 'general'],
     default: 'general'
   },
   relatedId: {
@@ -0,0 +1,85 @@
+const mongoose = require('mongoose');
+const { fieldEncryptionPlugin } = require('../utils/fieldEncryption');
+const { tenantScopePlugin } = require('../utils/tenantContext');
+
+const FLAG_LEVELS = ['low', 'normal', 'high'];
+
+const flag = {
+  type: String,
+  enum: FLAG_LEVELS
+};
+
+// One set of vitals taken during an encounter. Values are stored in the units
+// listed in utils/vitalsService (mmHg, bpm, °C, %, kg, cm, mg/dL), whatever
+// unit they were entered in.
+const observationSchema = new mongoose.Schema({
+  patientId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Patient',
+    required: true
+  },
+  appointmentId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Appointment',
+    required: true
+  },
+  hospitalId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Hospital',
+    required: true
+  },
+  context: {
+    type: String,
+    enum: ['check_in', 'consultation'],
+    default: 'check_in'
+  },
+  recordedAt: {
+    type: Date,
+    default: Date.now
+  },
+  recordedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  vitals: {
+    systolic: Number,
+    diastolic: Number,
+    pulse: Number,
+    temperature: Number,
+    spo2: Number,
+    weight: Number,
+    height: Number,
+    bmi: Number,
+    bloodGlucose: Number
+  },
+  // Ranges differ for fasting and after-meal readings
+  glucoseTiming: {
+    type: String,
+    enum: ['fasting', 'random', 'post_meal'],
+    default: 'random'
+  },
+  // Where each value falls against its normal range
+  flags: {
+    systolic: flag,
+    diastolic: flag,
+    pulse: flag,
+    temperature: flag,
+    spo2: flag,
+    bmi: flag,
+    bloodGlucose: flag
+  },
+  notes: {
+    type: String,
+    default: ''
+  }
+}, {
+  timestamps: true
+});
+
+observationSchema.plugin(fieldEncryptionPlugin, { paths: ['notes'] });
+observationSchema.plugin(tenantScopePlugin, { field: 'hospitalId' });
+
+observationSchema.index({ patientId: 1, recordedAt: -1 });
+observationSchema.index({ appointmentId: 1, recordedAt: 1 });
+
+module.exports = mongoose.model('Observation', observationSchema);
@@ -0,0 +1,28 @@
+const mongoose = require('mongoose');
+
+// A one-time password reset link. Only the hash of the token is stored.
+const passwordResetTokenSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  tokenHash: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  usedAt: Date,
+  requestedIp: String
+}, {
+  timestamps: true
+});
+
+passwordResetTokenSchema.index({ user: 1, usedAt: 1 });
+passwordResetTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 24 * 60 * 60 });
+
+module.exports = mongoose.model('PasswordResetToken', passwordResetTokenSchema);
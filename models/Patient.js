@@ -1,4 +1,6 @@
 const mongoose = require('mongoose');
+const { fieldEncryptionPlugin } = require('../utils/fieldEncryption');
+const { tenantScopePlugin } = require('../utils/tenantContext');
 
 const patientSchema = mongoose.Schema({
   user: {
@@ -43,6 +45,10 @@ const patientSchema = mongoose.Schema({
     notes: String
   }],
   appointments: [{
+    appointment: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Appointment'
+    },
     doctor: {
       type: mongoose.Schema.Types.ObjectId,
       ref: 'Doctor'
@@ -87,6 +93,11 @@ const patientSchema = mongoose.Schema({
   timestamps: true
 });
 
+patientSchema.plugin(fieldEncryptionPlugin, {
+  paths: ['allergies', 'medicalHistory.condition', 'medicalHistory.medications', 'medicalHistory.notes']
+});
+patientSchema.plugin(tenantScopePlugin, { field: 'hospital' });
+
 patientSchema.index({ hospital: 1 });
 patientSchema.index({ primaryDoctor: 1 });
 patientSchema.index({ user: 1 });
@@ -0,0 +1,82 @@
+const mongoose = require('mongoose');
+const { tenantScopePlugin } = require('../utils/tenantContext');
+
+// One merge of a duplicate patient into the record that survives it, with
+// everything needed to undo it. Snapshots hold the stored (encrypted) values.
+const patientMergeSchema = new mongoose.Schema({
+  survivorId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Patient',
+    required: true
+  },
+  mergedId: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true
+  },
+  hospitalId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Hospital'
+  },
+  // The duplicate as it was stored, re-inserted on undo
+  mergedSnapshot: {
+    type: mongoose.Schema.Types.Mixed,
+    required: true
+  },
+  // The survivor's fields that the merge changed, as they were before it
+  survivorBefore: {
+    type: mongoose.Schema.Types.Mixed,
+    required: true
+  },
+  // IDs of the records re-pointed from the duplicate to the survivor
+  moved: {
+    appointments: [mongoose.Schema.Types.ObjectId],
+    appointmentSeries: [mongoose.Schema.Types.ObjectId],
+    reports: [mongoose.Schema.Types.ObjectId],
+    observations: [mongoose.Schema.Types.ObjectId],
+    activities: [mongoose.Schema.Types.ObjectId],
+    waitlistEntries: [mongoose.Schema.Types.ObjectId],
+    queueTokens: [mongoose.Schema.Types.ObjectId],
+    portalInvites: [mongoose.Schema.Types.ObjectId],
+    sentMessages: [mongoose.Schema.Types.ObjectId],
+    receivedMessages: [mongoose.Schema.Types.ObjectId],
+    // Conversations with their participants before the merge
+    conversations: [{
+      _id: false,
+      conversationId: mongoose.Schema.Types.ObjectId,
+      participants: [mongoose.Schema.Types.ObjectId]
+    }]
+  },
+  // Set when both records had portal accounts and messages moved between them
+  mergedUserId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  score: Number,
+  reason: {
+    type: String,
+    default: ''
+  },
+  status: {
+    type: String,
+    enum: ['merged', 'undone'],
+    default: 'merged'
+  },
+  mergedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  undoneAt: Date,
+  undoneBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+patientMergeSchema.plugin(tenantScopePlugin, { field: 'hospitalId' });
+
+patientMergeSchema.index({ survivorId: 1, createdAt: -1 });
+patientMergeSchema.index({ mergedId: 1 });
+
+module.exports = mongoose.model('PatientMerge', patientMergeSchema);
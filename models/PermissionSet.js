@@ -0,0 +1,46 @@
+const mongoose = require('mongoose');
+const Staff = require('./Staff');
+
+// An admin-defined bundle of permissions, written `<resource>:<action>` after
+// config/policies.js. A set applies to users it is assigned to directly
+// (User.permissionSets) and to staff in any of its departments.
+const permissionSetSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Please add a name'],
+    unique: true,
+    trim: true
+  },
+  description: {
+    type: String,
+    default: ''
+  },
+  // Granted on top of the role's defaults; `<resource>:*` grants every action
+  permissions: {
+    type: [String],
+    default: []
+  },
+  // Taken away even when the role or another set grants them
+  deniedPermissions: {
+    type: [String],
+    default: []
+  },
+  departments: [{
+    type: String,
+    enum: Staff.schema.path('department').enumValues
+  }],
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+permissionSetSchema.index({ departments: 1 });
+
+module.exports = mongoose.model('PermissionSet', permissionSetSchema);
@@ -0,0 +1,36 @@
+const mongoose = require('mongoose');
+
+// A one-time link that lets a patient create their portal account. Only the
+// hash of the token is stored.
+const portalInviteSchema = new mongoose.Schema({
+  patient: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Patient',
+    required: true
+  },
+  email: {
+    type: String,
+    required: true
+  },
+  tokenHash: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  usedAt: Date,
+  invitedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+portalInviteSchema.index({ patient: 1, usedAt: 1 });
+portalInviteSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 24 * 60 * 60 });
+
+module.exports = mongoose.model('PortalInvite', portalInviteSchema);
@@ -0,0 +1,26 @@
+const mongoose = require('mongoose');
+
+// Last token number handed out per doctor per day
+const queueCounterSchema = new mongoose.Schema({
+  doctorId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Doctor',
+    required: true
+  },
+  date: {
+    type: String,
+    required: true
+  },
+  lastToken: {
+    type: Number,
+    default: 0
+  },
+  lastPosition: {
+    type: Number,
+    default: 0
+  }
+});
+
+queueCounterSchema.index({ doctorId: 1, date: 1 }, { unique: true });
+
+module.exports = mongoose.model('QueueCounter', queueCounterSchema);
@@ -0,0 +1,84 @@
+const mongoose = require('mongoose');
+const { tenantScopePlugin } = require('../utils/tenantContext');
+
+const QUEUE_STATUSES = ['waiting', 'called', 'in_consultation', 'done', 'skipped'];
+
+const queueTokenSchema = new mongoose.Schema({
+  hospitalId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Hospital',
+    required: true
+  },
+  doctorId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Doctor',
+    required: true
+  },
+  patientId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Patient',
+    required: true
+  },
+  // Set when the token was issued on checking in for a booked appointment
+  appointmentId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Appointment'
+  },
+  source: {
+    type: String,
+    enum: ['appointment', 'walk_in'],
+    required: true
+  },
+  date: {
+    type: String,
+    required: true,
+    match: [/^\d{4}-\d{2}-\d{2}$/, 'Date must be in YYYY-MM-DD format']
+  },
+  // Number shown to the patient, restarting at 1 each day per doctor
+  tokenNumber: {
+    type: Number,
+    required: true
+  },
+  // Order in the queue; requeueing moves a token to the back without changing its number
+  position: {
+    type: Number,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: QUEUE_STATUSES,
+    default: 'waiting'
+  },
+  notes: {
+    type: String,
+    default: ''
+  },
+  checkedInAt: {
+    type: Date,
+    default: Date.now
+  },
+  calledAt: Date,
+  consultationStartedAt: Date,
+  completedAt: Date,
+  skipCount: {
+    type: Number,
+    default: 0
+  },
+  issuedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+queueTokenSchema.index({ doctorId: 1, date: 1, tokenNumber: 1 }, { unique: true });
+queueTokenSchema.index({ doctorId: 1, date: 1, status: 1, position: 1 });
+queueTokenSchema.index({ hospitalId: 1, date: 1 });
+queueTokenSchema.index({ appointmentId: 1 }, { sparse: true });
+
+queueTokenSchema.statics.QUEUE_STATUSES = QUEUE_STATUSES;
+
+queueTokenSchema.plugin(tenantScopePlugin, { field: 'hospitalId' });
+
+module.exports = mongoose.model('QueueToken', queueTokenSchema);
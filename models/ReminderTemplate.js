@@ -0,0 +1,49 @@
+const mongoose = require('mongoose');
+const { tenantScopePlugin } = require('../utils/tenantContext');
+
+// Placeholders that may appear in a reminder subject or body
+const PLACEHOLDERS = [
+  'patientName',
+  'doctorName',
+  'hospitalName',
+  'hospitalAddress',
+  'hospitalContact',
+  'date',
+  'time',
+  'type'
+];
+
+const reminderTemplateSchema = new mongoose.Schema({
+  hospitalId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Hospital',
+    required: true,
+    unique: true
+  },
+  enabled: {
+    type: Boolean,
+    default: true
+  },
+  subject: {
+    type: String,
+    required: [true, 'Please add a reminder subject'],
+    trim: true,
+    maxlength: [200, 'Subject cannot be more than 200 characters']
+  },
+  html: {
+    type: String,
+    required: [true, 'Please add a reminder body']
+  },
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+reminderTemplateSchema.statics.PLACEHOLDERS = PLACEHOLDERS;
+
+reminderTemplateSchema.plugin(tenantScopePlugin, { field: 'hospitalId' });
+
+module.exports = mongoose.model('ReminderTemplate', reminderTemplateSchema);
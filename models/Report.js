@@ -1,4 +1,65 @@
 const mongoose = require('mongoose');
+const { fieldEncryptionPlugin } = require('../utils/fieldEncryption');
+const { tenantScopePlugin } = require('../utils/tenantContext');
+const { FREQUENCIES, DOSE_FORMS, ROUTES, DURATION_UNITS } = require('../utils/prescriptionSchedule');
+
+// One drug on a prescription, with the schedule it's taken on. endDate and
+// quantity are worked out by normalizePrescriptionLines when not given.
+const prescriptionLineSchema = new mongoose.Schema({
+  drug: {
+    type: String,
+    required: true
+  },
+  strength: String,
+  form: {
+    type: String,
+    enum: DOSE_FORMS
+  },
+  route: {
+    type: String,
+    enum: ROUTES,
+    default: 'oral'
+  },
+  dose: {
+    amount: {
+      type: Number,
+      required: true,
+      min: 0
+    },
+    unit: {
+      type: String,
+      required: true
+    }
+  },
+  frequency: {
+    type: String,
+    enum: Object.keys(FREQUENCIES),
+    required: true
+  },
+  duration: {
+    value: Number,
+    unit: {
+      type: String,
+      enum: Object.keys(DURATION_UNITS)
+    }
+  },
+  quantity: Number,
+  instructions: {
+    type: String,
+    default: ''
+  },
+  startDate: {
+    type: Date,
+    default: Date.now
+  },
+  endDate: Date,
+  discontinuedAt: Date,
+  discontinuedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  discontinueReason: String
+});
 
 const reportSchema = new mongoose.Schema({
   appointmentId: {
@@ -42,12 +103,23 @@ const reportSchema = new mongoose.Schema({
       return this.type === 'diagnosis';
     }
   },
+  // ICD-10 codes for the diagnosis. Left unencrypted, like Appointment.disease,
+  // so they can be queried and grouped
+  diagnosisCodes: {
+    type: [String],
+    default: []
+  },
+  // Free-text prescription, kept for reports written before structured lines
   prescription: {
     type: String,
     required: function() {
-      return this.type === 'prescription';
+      return this.type === 'prescription' && !(this.medications && this.medications.length);
     }
   },
+  medications: {
+    type: [prescriptionLineSchema],
+    default: []
+  },
   notes: String,
   followUpDate: Date,
   followUpAppointmentId: {
@@ -70,6 +142,11 @@ const reportSchema = new mongoose.Schema({
   timestamps: true
 });
 
+reportSchema.plugin(fieldEncryptionPlugin, {
+  paths: ['diagnosis', 'prescription', 'medications.drug', 'medications.instructions']
+});
+reportSchema.plugin(tenantScopePlugin, { field: 'hospitalId' });
+
 // Add indexes for better query performance
 reportSchema.index({ reportNumber: 1 });
 reportSchema.index({ patientId: 1, createdAt: -1 });
@@ -78,6 +155,8 @@ reportSchema.index({ type: 1, createdAt: -1 });
 reportSchema.index({ status: 1 });
 reportSchema.index({ followUpDate: 1 });
 reportSchema.index({ followUpAppointmentId: 1 });
+reportSchema.index({ patientId: 1, 'medications.endDate': 1 });
+reportSchema.index({ diagnosisCodes: 1 });
 
 const Report = mongoose.model('Report', reportSchema);
 
@@ -0,0 +1,55 @@
+const mongoose = require('mongoose');
+
+// A signed-in device. Access tokens carry the session ID, so revoking the
+// session cuts off both its refresh token and any access token still in flight.
+const sessionSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // Only hashes are stored; the refresh token itself is handed to the client once
+  // (rotatedToken below is the exception, and is kept encrypted)
+  tokenHash: {
+    type: String,
+    required: true
+  },
+  // The token this one replaced, kept to spot a stolen refresh token being replayed
+  previousTokenHash: String,
+  // The refresh token the last rotation issued, encrypted, and when. Lets a
+  // refresh repeated within the grace window get the same token back instead
+  // of being treated as reuse (see utils/sessionService).
+  rotatedToken: String,
+  rotatedAt: Date,
+  userAgent: String,
+  ipAddress: String,
+  lastUsedAt: {
+    type: Date,
+    default: Date.now
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  revokedAt: Date,
+  revokedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  revokedReason: {
+    type: String,
+    enum: ['logout', 'logout_all', 'admin', 'suspended', 'token_reuse', 'password_changed']
+  }
+}, {
+  timestamps: true
+});
+
+sessionSchema.index({ user: 1, revokedAt: 1 });
+// Expired sessions are cleaned up by MongoDB a week after they lapse
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 7 * 24 * 60 * 60 });
+
+sessionSchema.methods.isActive = function() {
+  return !this.revokedAt && this.expiresAt > new Date();
+};
+
+module.exports = mongoose.model('Session', sessionSchema);
@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const { tenantScopePlugin } = require('../utils/tenantContext');
 
 const settingsSchema = new mongoose.Schema({
   hospitalName: {
@@ -39,9 +40,19 @@ const settingsSchema = new mongoose.Schema({
   hospitalId: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'Hospital'
+  },
+  // Users in these roles must enrol in two-factor authentication to sign in
+  twoFactorRequiredRoles: {
+    type: [{
+      type: String,
+      enum: ['patient', 'doctor', 'staff', 'admin']
+    }],
+    default: []
   }
 }, {
   timestamps: true
 });
 
+settingsSchema.plugin(tenantScopePlugin, { field: 'hospitalId' });
+
 module.exports = mongoose.model('Settings', settingsSchema); 
\ No newline at end of file
@@ -0,0 +1,31 @@
+const mongoose = require('mongoose');
+
+// One document per booked slot cell. The unique index is what makes booking
+// race-free: concurrent requests for the same cell cannot both insert.
+const slotReservationSchema = new mongoose.Schema({
+  doctorId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Doctor',
+    required: true
+  },
+  date: {
+    type: String,
+    required: true
+  },
+  time: {
+    type: String,
+    required: true
+  },
+  appointmentId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Appointment',
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+slotReservationSchema.index({ doctorId: 1, date: 1, time: 1 }, { unique: true });
+slotReservationSchema.index({ appointmentId: 1 });
+
+module.exports = mongoose.model('SlotReservation', slotReservationSchema);
@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const { tenantScopePlugin } = require('../utils/tenantContext');
 
 const staffSchema = new mongoose.Schema({
   userId: {
@@ -161,4 +162,6 @@ staffSchema.pre('save', async function(next) {
   }
 });
 
+staffSchema.plugin(tenantScopePlugin, { field: 'hospital' });
+
 module.exports = mongoose.model('Staff', staffSchema); 
\ No newline at end of file
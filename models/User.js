@@ -42,6 +42,11 @@ const userSchema = mongoose.Schema({
     enum: ['active', 'inactive', 'suspended'],
     default: 'active'
   },
+  // Extra permission sets on top of the role's defaults (staff and doctors)
+  permissionSets: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'PermissionSet'
+  }],
   isOnboarded: {
     type: Boolean,
     default: false,
@@ -60,7 +65,43 @@ const userSchema = mongoose.Schema({
   },
   phone: String,
   address: String,
-  profileImage: String
+  profileImage: String,
+  // Authenticator app sign-in. Secrets and backup code hashes are never
+  // returned unless explicitly selected.
+  twoFactor: {
+    enabled: {
+      type: Boolean,
+      default: false
+    },
+    secret: {
+      type: String,
+      select: false
+    },
+    pendingSecret: {
+      type: String,
+      select: false
+    },
+    backupCodes: {
+      type: [{
+        codeHash: String,
+        usedAt: Date
+      }],
+      select: false
+    },
+    // Last time step accepted, so a code can't be replayed within its window
+    lastUsedStep: {
+      type: Number,
+      select: false
+    },
+    enabledAt: Date
+  },
+  // Failed sign-in tracking for brute-force lockout
+  failedLoginAttempts: {
+    type: Number,
+    default: 0
+  },
+  lastFailedLoginAt: Date,
+  lockedUntil: Date
 }, {
   timestamps: true
 });
@@ -0,0 +1,72 @@
+const mongoose = require('mongoose');
+const { tenantScopePlugin } = require('../utils/tenantContext');
+
+const waitlistEntrySchema = new mongoose.Schema({
+  patientId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Patient',
+    required: true
+  },
+  doctorId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Doctor',
+    required: true
+  },
+  hospitalId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Hospital',
+    required: true
+  },
+  date: {
+    type: String,
+    required: true,
+    match: [/^\d{4}-\d{2}-\d{2}$/, 'Date must be in YYYY-MM-DD format']
+  },
+  type: {
+    type: String,
+    default: 'consultation'
+  },
+  notes: {
+    type: String,
+    default: ''
+  },
+  // 'accepting' only lasts while an accept request creates the appointment
+  status: {
+    type: String,
+    enum: ['waiting', 'offered', 'accepting', 'accepted', 'declined', 'expired', 'cancelled'],
+    default: 'waiting'
+  },
+  // The slot currently held for this patient while they decide
+  offer: {
+    time: String,
+    appointmentId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Appointment'
+    },
+    token: String,
+    offeredAt: Date,
+    expiresAt: Date,
+    // When an accept claimed the offer, to spot accepts that never finished
+    acceptingAt: Date,
+    respondedAt: Date
+  },
+  offerCount: {
+    type: Number,
+    default: 0
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+// Queue order is first come, first served per doctor and date
+waitlistEntrySchema.index({ doctorId: 1, date: 1, status: 1, createdAt: 1 });
+waitlistEntrySchema.index({ status: 1, 'offer.expiresAt': 1 });
+waitlistEntrySchema.index({ patientId: 1, status: 1 });
+
+waitlistEntrySchema.plugin(tenantScopePlugin, { field: 'hospitalId' });
+
+module.exports = mongoose.model('WaitlistEntry', waitlistEntrySchema);
@@ -12,28 +12,65 @@ const {
   getPatientAppointments,
   updateTreatmentOutcome,
   updateFollowUpAppointment,
+  rescheduleAppointment,
   getFollowUpAppointments,
   getAppointmentGrowthMetrics,
   checkInPatient
 } = require('../controllers/appointmentController');
-const { protect, doctorOnly, adminOnly, doctorStaffOnly } = require('../middleware/authMiddleware');
+const {
+  createAppointmentSeries,
+  getAppointmentSeries,
+  updateAppointmentSeries,
+  cancelAppointmentSeries
+} = require('../controllers/appointmentSeriesController');
+const {
+  joinWaitlist,
+  getWaitlist,
+  getWaitlistSummary,
+  removeFromWaitlist,
+  acceptWaitlistOffer,
+  declineWaitlistOffer
+} = require('../controllers/waitlistController');
+const { recordAppointmentVitals, getAppointmentVitals } = require('../controllers/vitalsController');
+const { protect } = require('../middleware/authMiddleware');
+const { can } = require('../middleware/policyMiddleware');
 
 // Public routes
 router.post('/', bookAppointment);
 router.get('/doctor-availability', getDoctorAvailability);
+router.post('/waitlist', joinWaitlist);
+router.post('/waitlist/:entryId/accept', acceptWaitlistOffer);
+router.post('/waitlist/:entryId/decline', declineWaitlistOffer);
 
 // Protected routes
-router.get('/available-slots', protect, getAvailableSlots);
-router.get('/count', protect, getAppointmentCount);
-router.get('/dashboard', protect, getDashboardStats);
-router.get('/follow-ups', protect, getFollowUpAppointments);
-router.get('/growth', protect, getAppointmentGrowthMetrics);
-router.get('/patient/:patientId', protect, getPatientAppointments);
-router.get('/', protect, getAppointments);
-router.get('/:id', protect, getAppointmentById);
-router.put('/:id/status', protect, updateAppointmentStatus);
-router.put('/:id/follow-up', protect, updateFollowUpAppointment);
-router.put('/:id/treatment-outcome', protect, updateTreatmentOutcome);
-router.patch('/:id/check-in', protect, checkInPatient);
+router.get('/available-slots', protect, can('appointment', 'list'), getAvailableSlots);
+router.get('/count', protect, can('appointment', 'analytics'), getAppointmentCount);
+router.get('/dashboard', protect, can('appointment', 'analytics'), getDashboardStats);
+router.get('/follow-ups', protect, can('appointment', 'list'), getFollowUpAppointments);
+router.get('/growth', protect, can('appointment', 'analytics'), getAppointmentGrowthMetrics);
+router.get('/patient/:patientId', protect, can('appointment', 'list', { recordOf: 'patient', param: 'patientId' }), getPatientAppointments);
+
+// Waitlist management
+router.get('/waitlist', protect, can('waitlist', 'list'), getWaitlist);
+router.get('/waitlist/summary', protect, can('waitlist', 'list'), getWaitlistSummary);
+router.delete('/waitlist/:entryId', protect, can('waitlist', 'delete', { param: 'entryId' }), removeFromWaitlist);
+
+// Recurring appointment series
+router.post('/series', protect, can('appointmentSeries', 'create'), createAppointmentSeries);
+router.route('/series/:seriesId')
+  .get(protect, can('appointmentSeries', 'read', { param: 'seriesId' }), getAppointmentSeries)
+  .put(protect, can('appointmentSeries', 'update', { param: 'seriesId' }), updateAppointmentSeries)
+  .delete(protect, can('appointmentSeries', 'delete', { param: 'seriesId' }), cancelAppointmentSeries);
+
+router.get('/', protect, can('appointment', 'list'), getAppointments);
+router.get('/:id', protect, can('appointment', 'read'), getAppointmentById);
+router.put('/:id/status', protect, can('appointment', 'update'), updateAppointmentStatus);
+router.put('/:id/follow-up', protect, can('appointment', 'update'), updateFollowUpAppointment);
+router.put('/:id/reschedule', protect, can('appointment', 'update'), rescheduleAppointment);
+router.put('/:id/treatment-outcome', protect, can('appointment', 'update'), updateTreatmentOutcome);
+router.patch('/:id/check-in', protect, can('appointment', 'update'), checkInPatient);
+router.route('/:id/vitals')
+  .get(protect, can('vitals', 'list', { recordOf: 'appointment' }), getAppointmentVitals)
+  .post(protect, can('vitals', 'create', { recordOf: 'appointment' }), recordAppointmentVitals);
 
 module.exports = router; 
\ No newline at end of file
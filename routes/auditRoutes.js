@@ -0,0 +1,19 @@
+const express = require('express');
+const router = express.Router();
+const {
+  getAuditLog,
+  exportAuditLog,
+  verifyAuditLog,
+  getPatientAccessReport
+} = require('../controllers/auditController');
+const { protect } = require('../middleware/authMiddleware');
+const { can } = require('../middleware/policyMiddleware');
+
+router.use(protect); // Apply protection to all routes
+
+router.get('/', can('audit', 'list'), getAuditLog);
+router.get('/export', can('audit', 'export'), exportAuditLog);
+router.get('/verify', can('audit', 'read'), verifyAuditLog);
+router.get('/patients/:patientId', can('audit', 'read'), getPatientAccessReport);
+
+module.exports = router;
@@ -0,0 +1,22 @@
+const express = require('express');
+const router = express.Router();
+const {
+  getDoctorFeed,
+  rotateDoctorFeed,
+  getPatientFeed,
+  rotatePatientFeed,
+  getCalendarFeed
+} = require('../controllers/calendarController');
+const { protect } = require('../middleware/authMiddleware');
+const { can } = require('../middleware/policyMiddleware');
+
+// Public feed, authorised by the token in the URL
+router.get('/feeds/:token.ics', getCalendarFeed);
+
+// Feed management
+router.get('/doctor', protect, can('doctorWorkspace', 'read'), getDoctorFeed);
+router.post('/doctor/rotate', protect, can('doctorWorkspace', 'update'), rotateDoctorFeed);
+router.get('/patients/:patientId', protect, can('calendarFeed', 'read', { recordOf: 'patient', param: 'patientId' }), getPatientFeed);
+router.post('/patients/:patientId/rotate', protect, can('calendarFeed', 'update', { recordOf: 'patient', param: 'patientId' }), rotatePatientFeed);
+
+module.exports = router;
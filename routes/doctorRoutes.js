@@ -7,6 +7,8 @@ const {
   markNotificationAsRead,
   getDoctorProfile,
   updateDoctorProfile,
+  getDoctorSchedule,
+  updateDoctorSchedule,
   getDoctorAppointments,
   getDoctorPatients,
   getDoctorReports,
@@ -18,17 +20,24 @@ const {
   getDoctorPatientAnalytics,
   deleteDoctor
 } = require('../controllers/doctorController');
-const { protect, doctorOnly, adminOnly } = require('../middleware/authMiddleware');
+const {
+  getDoctorLeaves,
+  createDoctorLeave,
+  updateDoctorLeave,
+  deleteDoctorLeave
+} = require('../controllers/blackoutController');
+const { protect } = require('../middleware/authMiddleware');
+const { can } = require('../middleware/policyMiddleware');
 
 // Public routes
 router.get('/', getAllDoctors);
 router.get('/hospital/:hospitalId', getDoctorsByHospital);
 
 // Admin routes
-router.delete('/:id', protect, adminOnly, deleteDoctor);
+router.delete('/:id', protect, can('doctor', 'delete'), deleteDoctor);
 
 // Alternative delete routes for backward compatibility
-router.delete('/', protect, adminOnly, (req, res) => {
+router.delete('/', protect, can('doctor', 'delete'), (req, res) => {
   if (req.body && req.body.doctorId) {
     req.params.id = req.body.doctorId;
     return deleteDoctor(req, res);
@@ -36,7 +45,7 @@ router.delete('/', protect, adminOnly, (req, res) => {
   return res.status(400).json({ message: 'Doctor ID is required' });
 });
 
-router.post('/delete', protect, adminOnly, (req, res) => {
+router.post('/delete', protect, can('doctor', 'delete'), (req, res) => {
   if (req.body && req.body.doctorId) {
     req.params.id = req.body.doctorId;
     return deleteDoctor(req, res);
@@ -45,20 +54,30 @@ router.post('/delete', protect, adminOnly, (req, res) => {
 });
 
 // Protected routes (require authentication)
-router.get('/stats', protect, doctorOnly, getDoctorStats);
-router.get('/appointments/today', protect, doctorOnly, getTodayAppointments);
-router.get('/notifications', protect, doctorOnly, getDoctorNotifications);
-router.put('/notifications/:id', protect, doctorOnly, markNotificationAsRead);
+router.get('/stats', protect, can('doctorWorkspace', 'read'), getDoctorStats);
+router.get('/appointments/today', protect, can('doctorWorkspace', 'read'), getTodayAppointments);
+router.get('/notifications', protect, can('doctorWorkspace', 'read'), getDoctorNotifications);
+router.put('/notifications/:id', protect, can('doctorWorkspace', 'update'), markNotificationAsRead);
+
+router.get('/profile', protect, can('doctorWorkspace', 'read'), getDoctorProfile);
+router.put('/profile', protect, can('doctorWorkspace', 'update'), updateDoctorProfile);
+router.get('/profile/schedule', protect, can('doctorWorkspace', 'read'), getDoctorSchedule);
+router.put('/profile/schedule', protect, can('doctorWorkspace', 'update'), updateDoctorSchedule);
+router.get('/appointments', protect, can('doctorWorkspace', 'read'), getDoctorAppointments);
+router.get('/patients', protect, can('doctorWorkspace', 'read'), getDoctorPatients);
+router.get('/reports', protect, can('doctorWorkspace', 'read'), getDoctorReports);
+router.get('/appointments/upcoming', protect, can('doctorWorkspace', 'read'), getUpcomingAppointments);
 
-router.get('/profile', protect, doctorOnly, getDoctorProfile);
-router.put('/profile', protect, doctorOnly, updateDoctorProfile);
-router.get('/appointments', protect, doctorOnly, getDoctorAppointments);
-router.get('/patients', protect, doctorOnly, getDoctorPatients);
-router.get('/reports', protect, doctorOnly, getDoctorReports);
-router.get('/appointments/upcoming', protect, doctorOnly, getUpcomingAppointments);
+// Leave and blackout routes (doctor self, staff of the hospital, admin)
+router.route('/:id/leaves')
+  .get(protect, can('doctor', 'read'), getDoctorLeaves)
+  .post(protect, can('doctor', 'update'), createDoctorLeave);
+router.route('/:id/leaves/:leaveId')
+  .put(protect, can('doctor', 'update'), updateDoctorLeave)
+  .delete(protect, can('doctor', 'update'), deleteDoctorLeave);
 
-router.get('/analytics/success-rates', protect, doctorOnly, getTreatmentSuccessRates);
-router.get('/analytics/appointments', protect, doctorOnly, getDoctorAppointmentAnalytics);
-router.get('/analytics/patients', protect, doctorOnly, getDoctorPatientAnalytics);
+router.get('/analytics/success-rates', protect, can('doctorWorkspace', 'read'), getTreatmentSuccessRates);
+router.get('/analytics/appointments', protect, can('doctorWorkspace', 'read'), getDoctorAppointmentAnalytics);
+router.get('/analytics/patients', protect, can('doctorWorkspace', 'read'), getDoctorPatientAnalytics);
 
 module.exports = router; 
\ No newline at end of file
@@ -8,24 +8,26 @@ const {
   deleteExpense,
   getExpenseStats
 } = require('../controllers/expenseController');
-const { protect, staffOrAdmin } = require('../middleware/authMiddleware');
+const { protect } = require('../middleware/authMiddleware');
+const { can } = require('../middleware/policyMiddleware');
 const { upload } = require('../config/cloudinary');
+const { bindTenantContext } = require('../utils/tenantContext');
 
 // Apply authentication middleware to all routes
 router.use(protect);
 
 // Get expense statistics
-router.route('/stats').get(staffOrAdmin, getExpenseStats);
+router.route('/stats').get(can('expense', 'analytics'), getExpenseStats);
 
 // Get all expenses with filters or create new expense
 router.route('/')
-  .get(staffOrAdmin, getExpenses)
-  .post(staffOrAdmin, upload.array('files', 10), createExpense);
+  .get(can('expense', 'list'), getExpenses)
+  .post(can('expense', 'create'), bindTenantContext(upload.array('files', 10)), createExpense);
 
 // Get, update, or delete specific expense by id
 router.route('/:id')
-  .get(staffOrAdmin, getExpenseById)
-  .put(staffOrAdmin, upload.array('files', 10), updateExpense)
-  .delete(staffOrAdmin, deleteExpense);
+  .get(can('expense', 'read'), getExpenseById)
+  .put(can('expense', 'update'), bindTenantContext(upload.array('files', 10)), updateExpense)
+  .delete(can('expense', 'delete'), deleteExpense);
 
 module.exports = router;
\ No newline at end of file
@@ -1,6 +1,7 @@
 const express = require('express');
 const router = express.Router();
-const { protect, authorize } = require('../middleware/authMiddleware');
+const { protect } = require('../middleware/authMiddleware');
+const { can } = require('../middleware/policyMiddleware');
 const {
   submitFeedback,
   getAllFeedback,
@@ -8,17 +9,18 @@ const {
   getUserFeedback
 } = require('../controllers/feedbackController');
 const { upload } = require('../config/cloudinary');
+const { bindTenantContext } = require('../utils/tenantContext');
 
 // Submit feedback - can be used by authenticated users
-router.post('/', protect, upload.single('screenshot'), submitFeedback);
+router.post('/', protect, can('feedback', 'create'), bindTenantContext(upload.single('screenshot')), submitFeedback);
 
 // Get all feedback - admin only
-router.get('/', protect, authorize('admin'), getAllFeedback);
+router.get('/', protect, can('feedback', 'list'), getAllFeedback);
 
 // Update feedback status - admin only
-router.put('/:id', protect, authorize('admin'), updateFeedbackStatus);
+router.put('/:id', protect, can('feedback', 'update'), updateFeedbackStatus);
 
 // Get user's own feedback
-router.get('/my', protect, getUserFeedback);
+router.get('/my', protect, can('feedback', 'read'), getUserFeedback);
 
 module.exports = router; 
\ No newline at end of file
@@ -2,10 +2,12 @@ const express = require('express');
 const router = express.Router();
 const { handleFileUpload, getFile } = require('../controllers/fileController');
 const { protect } = require('../middleware/authMiddleware');
+const { can } = require('../middleware/policyMiddleware');
 const { upload } = require('../config/cloudinary');
+const { bindTenantContext } = require('../utils/tenantContext');
 
 // Protected routes (require authentication)
-router.post('/upload', protect, upload.array('files', 10), handleFileUpload);
+router.post('/upload', protect, can('file', 'create'), bindTenantContext(upload.array('files', 10)), handleFileUpload);
 
 // Public routes
 router.get('/:filename', getFile);
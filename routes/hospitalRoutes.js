@@ -1,6 +1,7 @@
 const express = require('express');
 const router = express.Router();
-const { protect, adminOnly } = require('../middleware/authMiddleware');
+const { protect } = require('../middleware/authMiddleware');
+const { can } = require('../middleware/policyMiddleware');
 const {
   getHospitals,
   getHospitalById,
@@ -12,7 +13,19 @@ const {
   uploadStaffFromCSV,
   getStaffByHospital
 } = require('../controllers/hospitalController');
+const {
+  getHospitalHolidays,
+  createHospitalHoliday,
+  updateHospitalHoliday,
+  deleteHospitalHoliday
+} = require('../controllers/blackoutController');
+const {
+  getReminderTemplate,
+  updateReminderTemplate,
+  resetReminderTemplate
+} = require('../controllers/reminderTemplateController');
 const multer = require('multer');
+const { bindTenantContext } = require('../utils/tenantContext');
 
 // Configure multer for CSV uploads
 const upload = multer({ 
@@ -27,16 +40,28 @@ router.get('/', getHospitals);
 
 // Protected routes (admin only)
 // Place specific routes before parameter routes
-router.get('/patient-count', protect, adminOnly, getHospitalPatientCount);
-router.get('/:id/stats', protect, getHospitalStats);
-router.get('/:id/staff', protect, getStaffByHospital);
+router.get('/patient-count', protect, can('hospital', 'analytics'), getHospitalPatientCount);
+router.get('/:id/stats', protect, can('hospital', 'read'), getHospitalStats);
+router.get('/:id/staff', protect, can('hospital', 'read'), getStaffByHospital);
+
+// Hospital-wide holidays and closures
+router.get('/:id/holidays', protect, can('hospital', 'read'), getHospitalHolidays);
+router.post('/:id/holidays', protect, can('hospital', 'manage'), createHospitalHoliday);
+router.put('/:id/holidays/:holidayId', protect, can('hospital', 'manage'), updateHospitalHoliday);
+router.delete('/:id/holidays/:holidayId', protect, can('hospital', 'manage'), deleteHospitalHoliday);
+
+// Appointment reminder template
+router.route('/:id/reminder-template')
+  .get(protect, can('hospital', 'manage'), getReminderTemplate)
+  .put(protect, can('hospital', 'manage'), updateReminderTemplate)
+  .delete(protect, can('hospital', 'manage'), resetReminderTemplate);
 
 // Staff upload route
-router.post('/staff-upload', protect, adminOnly, upload.single('file'), uploadStaffFromCSV);
+router.post('/staff-upload', protect, can('hospital', 'update'), bindTenantContext(upload.single('file')), uploadStaffFromCSV);
 
-router.post('/', protect, adminOnly, createHospital);
+router.post('/', protect, can('hospital', 'create'), createHospital);
 router.get('/:id', getHospitalById);
-router.put('/:id', protect, adminOnly, updateHospital);
-router.delete('/:id', protect, adminOnly, deleteHospital);
+router.put('/:id', protect, can('hospital', 'update'), updateHospital);
+router.delete('/:id', protect, can('hospital', 'delete'), deleteHospital);
 
 module.exports = router; 
\ No newline at end of file
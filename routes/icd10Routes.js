@@ -0,0 +1,17 @@
+const express = require('express');
+const router = express.Router();
+const {
+  searchIcd10Codes,
+  getIcd10Chapters,
+  getIcd10Code
+} = require('../controllers/icd10Controller');
+const { protect } = require('../middleware/authMiddleware');
+const { can } = require('../middleware/policyMiddleware');
+
+router.use(protect);
+
+router.get('/search', can('icd10', 'read'), searchIcd10Codes);
+router.get('/chapters', can('icd10', 'read'), getIcd10Chapters);
+router.get('/:code', can('icd10', 'read'), getIcd10Code);
+
+module.exports = router;
@@ -0,0 +1,21 @@
+const express = require('express');
+const router = express.Router();
+const {
+  getJobs,
+  getJobRuns,
+  triggerJob,
+  pauseJob,
+  resumeJob
+} = require('../controllers/jobController');
+const { protect } = require('../middleware/authMiddleware');
+const { can } = require('../middleware/policyMiddleware');
+
+router.use(protect);
+
+router.get('/', can('job', 'list'), getJobs);
+router.get('/:name/runs', can('job', 'read'), getJobRuns);
+router.post('/:name/run', can('job', 'update'), triggerJob);
+router.post('/:name/pause', can('job', 'update'), pauseJob);
+router.post('/:name/resume', can('job', 'update'), resumeJob);
+
+module.exports = router;
@@ -8,23 +8,24 @@ const {
   markMessageAsRead
 } = require('../controllers/messageController');
 const { protect } = require('../middleware/authMiddleware');
+const { can } = require('../middleware/policyMiddleware');
 
 // Protect all routes
 router.use(protect);
 
 // Send a message
-router.post('/', sendMessage);
+router.post('/', can('message', 'create'), sendMessage);
 
 // Get all conversations for the logged-in user
-router.get('/conversations', getConversations);
+router.get('/conversations', can('message', 'list'), getConversations);
 
 // Get all users available for messaging
-router.get('/users', getUsers);
+router.get('/users', can('message', 'list'), getUsers);
 
 // Get messages for a specific conversation
-router.get('/:userId', getMessages);
+router.get('/:userId', can('message', 'read'), getMessages);
 
 // Mark a message as read
-router.put('/:messageId/read', markMessageAsRead);
+router.put('/:messageId/read', can('message', 'update'), markMessageAsRead);
 
 module.exports = router;
@@ -11,19 +11,38 @@ const {
   getPatientsByDoctor,
   getTotalPatientsCount
 } = require('../controllers/patientController');
+const { sendPortalInvite } = require('../controllers/portalController');
+const {
+  findDuplicatePatients,
+  getPatientDuplicates,
+  mergePatient,
+  getPatientMerges,
+  undoPatientMerge
+} = require('../controllers/patientMergeController');
+const { getPatientVitals } = require('../controllers/vitalsController');
+const { getPatientMedications } = require('../controllers/reportController');
 const { protect } = require('../middleware/authMiddleware');
+const { can } = require('../middleware/policyMiddleware');
 
 // Public route for creating/updating patient during appointment booking
 router.post('/', createOrUpdatePatient);
 
 // Protected routes
-router.get('/', protect, getPatients);
-router.get('/count', protect, getTotalPatientsCount);
-router.get('/search', protect, searchPatients);
-router.get('/hospital/:hospitalId', protect, getPatientsByHospital);
-router.get('/doctor/:doctorId', protect, getPatientsByDoctor);
-router.get('/:id', protect, getPatientById);
-router.put('/:id', protect, updatePatient);
-router.delete('/:id', protect, deletePatient);
+router.get('/', protect, can('patient', 'list'), getPatients);
+router.get('/count', protect, can('patient', 'list'), getTotalPatientsCount);
+router.get('/search', protect, can('patient', 'list'), searchPatients);
+router.get('/duplicates', protect, can('patient', 'list'), findDuplicatePatients);
+router.post('/merges/:mergeId/undo', protect, can('patient', 'merge'), undoPatientMerge);
+router.get('/hospital/:hospitalId', protect, can('patient', 'list', { hospitalParam: 'hospitalId' }), getPatientsByHospital);
+router.get('/doctor/:doctorId', protect, can('patient', 'list', { recordOf: 'doctor', param: 'doctorId' }), getPatientsByDoctor);
+router.get('/:id', protect, can('patient', 'read'), getPatientById);
+router.put('/:id', protect, can('patient', 'update'), updatePatient);
+router.delete('/:id', protect, can('patient', 'delete'), deletePatient);
+router.post('/:id/portal-invite', protect, can('patient', 'invite'), sendPortalInvite);
+router.get('/:id/duplicates', protect, can('patient', 'read'), getPatientDuplicates);
+router.post('/:id/merge', protect, can('patient', 'merge'), mergePatient);
+router.get('/:id/merges', protect, can('patient', 'read'), getPatientMerges);
+router.get('/:id/medications', protect, can('patient', 'read'), getPatientMedications);
+router.get('/:id/vitals', protect, can('vitals', 'list', { recordOf: 'patient' }), getPatientVitals);
 
-module.exports = router; 
\ No newline at end of file
+module.exports = router; 
@@ -0,0 +1,27 @@
+const express = require('express');
+const router = express.Router();
+const {
+  getCatalogue,
+  getPermissionSets,
+  getPermissionSetById,
+  createPermissionSet,
+  updatePermissionSet,
+  deletePermissionSet
+} = require('../controllers/permissionSetController');
+const { protect } = require('../middleware/authMiddleware');
+const { can } = require('../middleware/policyMiddleware');
+
+router.use(protect); // Apply protection to all routes
+
+router.get('/catalogue', can('permissionSet', 'read'), getCatalogue);
+
+router.route('/')
+  .get(can('permissionSet', 'list'), getPermissionSets)
+  .post(can('permissionSet', 'create'), createPermissionSet);
+
+router.route('/:id')
+  .get(can('permissionSet', 'read'), getPermissionSetById)
+  .put(can('permissionSet', 'update'), updatePermissionSet)
+  .delete(can('permissionSet', 'delete'), deletePermissionSet);
+
+module.exports = router;
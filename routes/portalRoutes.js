@@ -0,0 +1,55 @@
+const express = require('express');
+const router = express.Router();
+const {
+  activatePortalAccount,
+  getPortalProfile,
+  updatePortalProfile,
+  getPortalAppointments,
+  getPortalAppointmentById,
+  bookPortalAppointment,
+  cancelPortalAppointment,
+  getPortalReports,
+  getPortalReportById,
+  downloadPortalReportPdf,
+  getCareTeam,
+  sendPortalMessage,
+  getPortalMessages
+} = require('../controllers/portalController');
+const { getMyAccessReport } = require('../controllers/auditController');
+const { protect } = require('../middleware/authMiddleware');
+const { can } = require('../middleware/policyMiddleware');
+const { requirePortalPatient } = require('../middleware/portalMiddleware');
+const { rateLimit } = require('../utils/rateLimiter');
+
+const activateLimit = rateLimit({
+  name: 'portal-activate',
+  limit: 10,
+  windowMs: 60 * 60 * 1000,
+  keys: (req) => [`ip:${req.ip}`]
+});
+
+// Public route for accepting an emailed invitation
+router.post('/activate', activateLimit, activatePortalAccount);
+
+// Everything below is scoped to the signed-in patient's own record
+router.use(protect);
+
+router.get('/profile', can('portal', 'read'), requirePortalPatient, getPortalProfile);
+router.put('/profile', can('portal', 'update'), requirePortalPatient, updatePortalProfile);
+
+router.get('/appointments', can('portal', 'read'), requirePortalPatient, getPortalAppointments);
+router.post('/appointments', can('portal', 'create'), requirePortalPatient, bookPortalAppointment);
+router.get('/appointments/:id', can('portal', 'read'), requirePortalPatient, getPortalAppointmentById);
+router.post('/appointments/:id/cancel', can('portal', 'update'), requirePortalPatient, cancelPortalAppointment);
+
+router.get('/reports', can('portal', 'read'), requirePortalPatient, getPortalReports);
+router.get('/reports/:id', can('portal', 'read'), requirePortalPatient, getPortalReportById);
+router.get('/reports/:id/pdf', can('portal', 'read'), requirePortalPatient, downloadPortalReportPdf);
+
+router.get('/access-report', can('portal', 'read'), requirePortalPatient, getMyAccessReport);
+
+router.get('/care-team', can('portal', 'read'), requirePortalPatient, getCareTeam);
+router.post('/messages', can('portal', 'create'), requirePortalPatient, sendPortalMessage);
+router.get('/messages/:userId', can('portal', 'read'), requirePortalPatient, getPortalMessages);
+
+module.exports = router;
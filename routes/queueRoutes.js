@@ -0,0 +1,25 @@
+const express = require('express');
+const router = express.Router();
+const {
+  addWalkIn,
+  getQueue,
+  callNextPatient,
+  updateTokenStatus,
+  skipToken,
+  requeueToken,
+  getQueueBoard
+} = require('../controllers/queueController');
+const { protect } = require('../middleware/authMiddleware');
+const { can } = require('../middleware/policyMiddleware');
+
+// Public lobby display
+router.get('/board/:hospitalId', getQueueBoard);
+
+router.post('/walk-in', protect, can('queue', 'create'), addWalkIn);
+router.get('/doctors/:doctorId', protect, can('queue', 'read', { recordOf: 'doctor', param: 'doctorId' }), getQueue);
+router.post('/doctors/:doctorId/call-next', protect, can('queue', 'update', { recordOf: 'doctor', param: 'doctorId' }), callNextPatient);
+router.patch('/tokens/:tokenId/status', protect, can('queue', 'update', { param: 'tokenId' }), updateTokenStatus);
+router.post('/tokens/:tokenId/skip', protect, can('queue', 'update', { param: 'tokenId' }), skipToken);
+router.post('/tokens/:tokenId/requeue', protect, can('queue', 'update', { param: 'tokenId' }), requeueToken);
+
+module.exports = router;
@@ -1,13 +1,13 @@
 const express = require('express');
 const router = express.Router();
 const { getSettings, updateSettings } = require('../controllers/settingsController');
-const { protect, adminOnly } = require('../middleware/authMiddleware');
+const { protect } = require('../middleware/authMiddleware');
+const { can } = require('../middleware/policyMiddleware');
 
 router.use(protect); // Apply protection to all routes
-router.use(adminOnly); // Ensure user is admin
 
 router.route('/')
-  .get(getSettings)
-  .put(updateSettings);
+  .get(can('settings', 'read'), getSettings)
+  .put(can('settings', 'update'), updateSettings);
 
 module.exports = router; 
\ No newline at end of file
@@ -1,6 +1,7 @@
 const express = require('express');
 const router = express.Router();
-const { protect, staffOnly } = require('../middleware/authMiddleware');
+const { protect } = require('../middleware/authMiddleware');
+const { can } = require('../middleware/policyMiddleware');
 const {
   getTasks,
   getAppointments,
@@ -22,45 +23,45 @@ const {
   getInventoryAnalytics
 } = require('../controllers/staffController');
 
-// Protect all routes and ensure staff only access
-router.use(protect, staffOnly);
+// Protect all routes; the staff workspace policy keeps them staff only
+router.use(protect);
 
 // Dashboard routes
-router.get('/dashboard/stats', getDashboardStats);
-router.get('/dashboard/activities', getDashboardActivities);
+router.get('/dashboard/stats', can('staffWorkspace', 'read'), getDashboardStats);
+router.get('/dashboard/activities', can('staffWorkspace', 'read'), getDashboardActivities);
 
 // Task routes
-router.get('/tasks', getTasks);
-router.patch('/tasks/:taskId/status', updateTaskStatus);
+router.get('/tasks', can('staffWorkspace', 'read'), getTasks);
+router.patch('/tasks/:taskId/status', can('staffWorkspace', 'update'), updateTaskStatus);
 
 // Appointment routes
-router.get('/appointments', getAppointments);
+router.get('/appointments', can('staffWorkspace', 'read'), getAppointments);
 
 // Notification routes
-router.get('/notifications', getNotifications);
-router.patch('/notifications/:notificationId/read', markNotificationRead);
+router.get('/notifications', can('staffWorkspace', 'read'), getNotifications);
+router.patch('/notifications/:notificationId/read', can('staffWorkspace', 'update'), markNotificationRead);
 
 // Inventory routes
-router.get('/inventory', getInventory);
-router.patch('/inventory/:itemId', updateInventoryItem);
+router.get('/inventory', can('inventory', 'list'), getInventory);
+router.patch('/inventory/:itemId', can('inventory', 'update', { param: 'itemId' }), updateInventoryItem);
 
 // Hospital routes
-router.get('/hospital', getStaffHospital);
+router.get('/hospital', can('staffWorkspace', 'read'), getStaffHospital);
 
 // Profile routes
-router.get('/profile', getStaffProfile);
-router.put('/profile', updateStaffProfile);
+router.get('/profile', can('staffWorkspace', 'read'), getStaffProfile);
+router.put('/profile', can('staffWorkspace', 'update'), updateStaffProfile);
 
 // Stats routes
-router.get('/stats', getStaffStats);
+router.get('/stats', can('staffWorkspace', 'read'), getStaffStats);
 
 // Staff-specific notifications routes
-router.get('/staff-notifications', getStaffNotifications);
-router.put('/staff-notifications/:id/read', markNotificationAsRead);
+router.get('/staff-notifications', can('staffWorkspace', 'read'), getStaffNotifications);
+router.put('/staff-notifications/:id/read', can('staffWorkspace', 'update'), markNotificationAsRead);
 
 // Analytics routes
-router.get('/analytics/success-rates', getStaffAnalytics);
-router.get('/analytics/patient-demographics', getPatientDemographics);
-router.get('/analytics/inventory', getInventoryAnalytics);
+router.get('/analytics/success-rates', can('staffWorkspace', 'read'), getStaffAnalytics);
+router.get('/analytics/patient-demographics', can('staffWorkspace', 'read'), getPatientDemographics);
+router.get('/analytics/inventory', can('inventory', 'analytics'), getInventoryAnalytics);
 
 module.exports = router;
\ No newline at end of file
@@ -15,31 +15,99 @@ const {
   getGrowthMetrics,
   getAdminNotifications,
   checkOnboardingEligibility,
-  setOnboardingPassword
+  setOnboardingPassword,
+  refreshAccessToken,
+  logoutUser,
+  logoutAllSessions,
+  getUserSessions,
+  revokeUserSession,
+  revokeAllUserSessions,
+  forgotPassword,
+  resetPassword
 } = require('../controllers/userController');
-const { protect, adminOnly } = require('../middleware/authMiddleware');
+const {
+  getTwoFactorStatus,
+  setupTwoFactor,
+  enableTwoFactor,
+  verifyLoginTwoFactor,
+  regenerateBackupCodes,
+  disableTwoFactor,
+  resetUserTwoFactor
+} = require('../controllers/twoFactorController');
+const {
+  assignUserPermissionSets,
+  getUserEffectivePermissions,
+  getMyPermissions
+} = require('../controllers/permissionSetController');
+const { protect, protectTwoFactorEnrolment } = require('../middleware/authMiddleware');
+const { can } = require('../middleware/policyMiddleware');
+const { rateLimit } = require('../utils/rateLimiter');
+
+const HOUR = 60 * 60 * 1000;
+
+// Reset requests are limited per address and per target email
+const forgotPasswordLimit = rateLimit({
+  name: 'forgot-password',
+  limit: 5,
+  windowMs: HOUR,
+  keys: (req) => [`ip:${req.ip}`, req.body.email && `email:${String(req.body.email).toLowerCase().trim()}`]
+});
+
+const twoFactorLimit = rateLimit({
+  name: 'two-factor',
+  limit: 10,
+  windowMs: 15 * 60 * 1000,
+  keys: (req) => [`ip:${req.ip}`]
+});
+
+const resetPasswordLimit = rateLimit({
+  name: 'reset-password',
+  limit: 10,
+  windowMs: HOUR,
+  keys: (req) => [`ip:${req.ip}`]
+});
 
 // Public routes
 router.post('/register', registerUser);  // for /api/users/register
 router.post('/login', loginUser);        // for /api/users/login
+router.post('/login/2fa', twoFactorLimit, verifyLoginTwoFactor);  // Finish a login with a 2FA code
 router.post('/check-onboarding', checkOnboardingEligibility);
 router.post('/onboard-setup', setOnboardingPassword);
+router.post('/refresh', refreshAccessToken);  // Exchange a refresh token for new tokens
+router.post('/forgot-password', forgotPasswordLimit, forgotPassword);  // Email a reset link
+router.post('/reset-password', resetPasswordLimit, resetPassword);  // Set a new password from the link
 
 // Protected routes
 router.get('/verify', protect, verifyToken);  // for /api/users/verify
-router.get('/profile', protect, getUserProfile);  // Get user's own profile
-router.put('/update-profile', protect, updateUserProfile);  // Update user's own profile
-router.put('/change-password', protect, changePassword);  // Change user's password
+router.get('/profile', protect, can('profile', 'read'), getUserProfile);  // Get user's own profile
+router.get('/permissions', protect, can('profile', 'read'), getMyPermissions);  // Get user's own effective permissions
+router.put('/update-profile', protect, can('profile', 'update'), updateUserProfile);  // Update user's own profile
+router.put('/change-password', protect, can('profile', 'update'), changePassword);  // Change user's password
+router.post('/logout', protect, can('profile', 'update'), logoutUser);  // End the current session
+router.post('/logout-all', protect, can('profile', 'update'), logoutAllSessions);  // End every session
+
+// Two-factor authentication
+router.get('/2fa', protect, can('profile', 'read'), getTwoFactorStatus);
+router.post('/2fa/setup', protectTwoFactorEnrolment, can('profile', 'update'), setupTwoFactor);
+router.post('/2fa/enable', twoFactorLimit, protectTwoFactorEnrolment, can('profile', 'update'), enableTwoFactor);
+router.post('/2fa/disable', twoFactorLimit, protect, can('profile', 'update'), disableTwoFactor);
+router.post('/2fa/backup-codes', twoFactorLimit, protect, can('profile', 'update'), regenerateBackupCodes);
 
 // Admin dashboard routes
-router.get('/activities', protect, adminOnly, getAdminActivities);  // Get recent activities
-router.get('/growth', protect, adminOnly, getGrowthMetrics);  // Get growth metrics
-router.get('/notifications', protect, adminOnly, getAdminNotifications);  // Get notifications
+router.get('/activities', protect, can('user', 'analytics'), getAdminActivities);  // Get recent activities
+router.get('/growth', protect, can('user', 'analytics'), getGrowthMetrics);  // Get growth metrics
+router.get('/notifications', protect, can('user', 'analytics'), getAdminNotifications);  // Get notifications
 
 // Admin routes
-router.get('/', protect, adminOnly, getAllUsers);           // Get all users
-router.get('/:id', protect, adminOnly, getUserById);       // Get user by ID
-router.put('/:id', protect, adminOnly, updateUser);        // Update user
-router.delete('/:id', protect, adminOnly, deleteUser);     // Delete user
+router.get('/', protect, can('user', 'list'), getAllUsers);           // Get all users
+router.get('/:id', protect, can('user', 'read'), getUserById);       // Get user by ID
+router.put('/:id', protect, can('user', 'update'), updateUser);        // Update user
+router.delete('/:id', protect, can('user', 'delete'), deleteUser);     // Delete user
+router.get('/:id/sessions', protect, can('user', 'read'), getUserSessions);  // List active sessions
+router.delete('/:id/sessions', protect, can('user', 'update'), revokeAllUserSessions);  // Revoke all sessions
+router.delete('/:id/sessions/:sessionId', protect, can('user', 'update'), revokeUserSession);  // Revoke a session
+router.delete('/:id/2fa', protect, can('user', 'update'), resetUserTwoFactor);  // Reset a user's 2FA
+router.get('/:id/permissions', protect, can('user', 'read'), getUserEffectivePermissions);  // Effective permissions
+router.put('/:id/permission-sets', protect, can('user', 'update'), assignUserPermissionSets);  // Assign permission sets
 
 module.exports = router;
\ No newline at end of file
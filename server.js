@@ -4,10 +4,19 @@ const cors = require('cors');
 const path = require('path');
 const fs = require('fs');
 const connectDB = require('./config/db');
+const { checkEncryptionKeys } = require('./utils/fieldEncryption');
 
 // Load env vars
 dotenv.config();
 
+// Without usable keys every save of an encrypted field would fail
+try {
+  checkEncryptionKeys();
+} catch (error) {
+  console.error(`Error: ${error.message}`);
+  process.exit(1);
+}
+
 // Connect to database
 connectDB();
 
@@ -24,7 +33,7 @@ const app = express();
 app.use(cors({
   origin: '*', // Your frontend URL
   methods: ['GET', 'POST', 'PUT', 'DELETE', 'PATCH', 'OPTIONS'],
-  allowedHeaders: ['Content-Type', 'Authorization']
+  allowedHeaders: ['Content-Type', 'Authorization', 'X-Hospital-Id']
 }));
 
 app.use(express.json());
@@ -40,17 +49,24 @@ app.use('/api/appointments', require('./routes/appointmentRoutes'));
 app.use('/api/doctors', require('./routes/doctorRoutes'));
 app.use('/api/patients', require('./routes/patientRoutes'));
 app.use('/api/reports', require('./routes/reportRoutes'));
+app.use('/api/icd10', require('./routes/icd10Routes'));
 app.use('/api/messages', require('./routes/messageRoutes'));
 app.use('/api/files', require('./routes/fileRoutes'));
 app.use('/api/expenses', require('./routes/expenseRoutes'));
 app.use('/api/feedback', require('./routes/feedbackRoutes'));
+app.use('/api/calendar', require('./routes/calendarRoutes'));
+app.use('/api/queue', require('./routes/queueRoutes'));
+app.use('/api/portal', require('./routes/portalRoutes'));
 const staffRoutes = require('./routes/staffRoutes');
 app.use('/api/staff', staffRoutes);
 app.use('/api/admin/settings', require('./routes/settingsRoutes'));
+app.use('/api/admin/permission-sets', require('./routes/permissionSetRoutes'));
+app.use('/api/admin/audit', require('./routes/auditRoutes'));
+app.use('/api/admin/jobs', require('./routes/jobRoutes'));
 
 // Error handling middleware
 app.use((err, req, res, next) => {
-  const statusCode = res.statusCode === 200 ? 500 : res.statusCode;
+  const statusCode = res.statusCode === 200 ? (err.statusCode || 500) : res.statusCode;
   res.status(statusCode);
   res.json({
     message: err.message,
@@ -58,6 +74,10 @@ app.use((err, req, res, next) => {
   });
 });
 
+// Background jobs (missed appointments, reminders, waitlist offers)
+require('./jobs').startJobRunner()
+  .catch(error => console.error('Error starting job runner:', error));
+
 const PORT = process.env.PORT || 5000;
 
 app.listen(PORT, () => {
@@ -0,0 +1,70 @@
+const express = require('express');
+const { createSession } = require('../../utils/sessionService');
+
+/**
+ * Serves the given routers on a free local port, with the same JSON body
+ * parsing and error handler as server.js, so requests go through protect,
+ * the tenant context and the policy middleware as they would in production.
+ * @param {Object} routers - Mount path -> router, e.g. { '/api/patients': router }
+ * @returns {Promise<Object>} { request, close }
+ */
+const startApp = (routers) => new Promise((resolve) => {
+  const app = express();
+  app.use(express.json());
+  Object.entries(routers).forEach(([path, router]) => app.use(path, router));
+  app.use((err, req, res, next) => {
+    const statusCode = res.statusCode === 200 ? (err.statusCode || 500) : res.statusCode;
+    res.status(statusCode).json({ message: err.message });
+  });
+
+  const server = app.listen(0, '127.0.0.1', () => {
+    const baseUrl = `http://127.0.0.1:${server.address().port}`;
+
+    /**
+     * Sends a JSON request
+     * @param {string} method - HTTP method
+     * @param {string} path - Path including the mount path
+     * @param {Object} [options]
+     * @param {string} [options.token] - Access token
+     * @param {Object} [options.headers] - Extra headers
+     * @param {Object} [options.body] - JSON body
+     * @returns {Promise<Object>} { status, body }
+     */
+    const request = async (method, path, { token, headers = {}, body } = {}) => {
+      const response = await fetch(`${baseUrl}${path}`, {
+        method,
+        headers: {
+          'Content-Type': 'application/json',
+          ...(token && { Authorization: `Bearer ${token}` }),
+          ...headers
+        },
+        body: body ? JSON.stringify(body) : undefined
+      });
+      const text = await response.text();
+      let parsed = text;
+      try {
+        parsed = JSON.parse(text);
+      } catch (error) {
+        // Not JSON; keep the text
+      }
+      return { status: response.status, body: parsed };
+    };
+
+    resolve({
+      request,
+      close: () => new Promise(done => server.close(done))
+    });
+  });
+});
+
+/**
+ * Signs a user in and returns an access token for requests
+ * @param {Object} user - User document
+ * @returns {Promise<string>} Access token
+ */
+const signIn = async (user) => (await createSession(user)).token;
+
+module.exports = {
+  startApp,
+  signIn
+};
@@ -0,0 +1,43 @@
+const mongoose = require('mongoose');
+const { MongoMemoryServer } = require('mongodb-memory-server');
+
+let server = null;
+
+/**
+ * Starts an in-memory MongoDB for the current test file and connects
+ * mongoose to it. Indexes are built before returning, so unique indexes
+ * are in force for the first test.
+ * @returns {Promise<void>}
+ */
+const startDatabase = async () => {
+  server = await MongoMemoryServer.create();
+  await mongoose.connect(server.getUri());
+  await Promise.all(Object.values(mongoose.models).map(model => model.init()));
+};
+
+/**
+ * Removes every document, keeping collections and their indexes
+ * @returns {Promise<void>}
+ */
+const clearDatabase = async () => {
+  const collections = await mongoose.connection.db.collections();
+  await Promise.all(collections.map(collection => collection.deleteMany({})));
+};
+
+/**
+ * Disconnects and stops the in-memory MongoDB
+ * @returns {Promise<void>}
+ */
+const stopDatabase = async () => {
+  await mongoose.disconnect();
+  if (server) {
+    await server.stop();
+    server = null;
+  }
+};
+
+module.exports = {
+  startDatabase,
+  clearDatabase,
+  stopDatabase
+};
@@ -0,0 +1,74 @@
+const mongoose = require('mongoose');
+const Hospital = require('../../models/Hospital');
+const User = require('../../models/User');
+const Doctor = require('../../models/Doctor');
+const Patient = require('../../models/Patient');
+
+let counter = 0;
+const unique = (prefix) => `${prefix}${Date.now().toString(36)}${(counter++).toString(36)}`;
+
+/**
+ * Saved test records. Each call makes records with unique emails, so a test
+ * can create as many as it needs.
+ */
+const createHospital = (fields = {}) => Hospital.create({
+  name: unique('Hospital '),
+  address: '1 Test Road',
+  contact: '0000000000',
+  email: `${unique('hospital')}@example.com`,
+  description: 'Test hospital',
+  ...fields
+});
+
+const createUser = (role, hospital, fields = {}) => User.create({
+  name: unique(`${role} `),
+  email: `${unique(role)}@example.com`,
+  gender: 'other',
+  password: 'Password123!',
+  role,
+  status: 'active',
+  hospital: hospital ? hospital._id : undefined,
+  specialization: role === 'doctor' ? 'General Medicine' : undefined,
+  ...fields
+});
+
+// Doctors without a DoctorSchedule work 09:00-17:00, Monday to Friday
+const createDoctor = async (hospital, fields = {}) => {
+  const user = await createUser('doctor', hospital);
+  const doctor = await Doctor.create({
+    userId: user._id,
+    hospitalId: hospital._id,
+    specialization: 'General Medicine',
+    experience: 5,
+    fees: 500,
+    ...fields
+  });
+  return { user, doctor };
+};
+
+const createPatient = (hospital, fields = {}) => Patient.create({
+  name: unique('Patient '),
+  email: `${unique('patient')}@example.com`,
+  hospital: hospital._id,
+  ...fields
+});
+
+// What protect() puts on req.user, for calling handlers directly
+const asRequestUser = (user) => ({
+  _id: user._id,
+  name: user.name,
+  email: user.email,
+  role: user.role,
+  hospital: user.hospital
+});
+
+const objectId = () => new mongoose.Types.ObjectId();
+
+module.exports = {
+  createHospital,
+  createUser,
+  createDoctor,
+  createPatient,
+  asRequestUser,
+  objectId
+};
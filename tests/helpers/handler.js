@@ -0,0 +1,51 @@
+/**
+ * Calls an Express handler with a plain request object and resolves with
+ * what it sent. Errors passed to next are turned into a response the same
+ * way the error handler in server.js does.
+ * @param {Function} handler - Route handler, usually wrapped in asyncHandler
+ * @param {Object} req - Request fields the handler reads (params, body, user, ...)
+ * @returns {Promise<Object>} { status, body, error }
+ */
+const runHandler = (handler, req = {}) => new Promise((resolve) => {
+  const res = {
+    statusCode: 200,
+    headers: {},
+    status(code) {
+      this.statusCode = code;
+      return this;
+    },
+    set(name, value) {
+      this.headers[name.toLowerCase()] = value;
+      return this;
+    },
+    json(body) {
+      resolve({ status: this.statusCode, body });
+      return this;
+    },
+    send(body) {
+      resolve({ status: this.statusCode, body });
+      return this;
+    }
+  };
+
+  const next = (error) => {
+    const status = res.statusCode === 200 ? (error?.statusCode || 500) : res.statusCode;
+    resolve({ status, body: { message: error?.message }, error });
+  };
+
+  const request = {
+    params: {},
+    query: {},
+    body: {},
+    headers: {},
+    ip: '127.0.0.1',
+    get: () => undefined,
+    ...req
+  };
+
+  Promise.resolve(handler(request, res, next)).catch(next);
+});
+
+module.exports = {
+  runHandler
+};
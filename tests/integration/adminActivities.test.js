@@ -0,0 +1,63 @@
+const Activity = require('../../models/Activity');
+const { startDatabase, clearDatabase, stopDatabase } = require('../helpers/db');
+const { startApp, signIn } = require('../helpers/app');
+const { createHospital, createUser } = require('../helpers/fixtures');
+
+describe('GET /api/users/activities', () => {
+  let app;
+  let hospitalA;
+  let hospitalB;
+  let token;
+
+  beforeAll(async () => {
+    await startDatabase();
+    app = await startApp({ '/api/users': require('../../routes/userRoutes') });
+  });
+
+  afterAll(async () => {
+    await app.close();
+    await stopDatabase();
+  });
+
+  beforeEach(async () => {
+    await clearDatabase();
+    hospitalA = await createHospital();
+    hospitalB = await createHospital();
+
+    const logFor = async (hospital, description) => {
+      const staff = await createUser('staff', hospital);
+      await Activity.create({
+        user: staff._id,
+        hospitalId: hospital._id,
+        actorId: staff._id,
+        actorRole: 'staff',
+        action: 'staff_login',
+        subject: 'staff',
+        subjectId: staff._id,
+        description
+      });
+    };
+    await logFor(hospitalA, 'Hospital A login');
+    await logFor(hospitalB, 'Hospital B login');
+
+    token = await signIn(await createUser('admin', null));
+  });
+
+  it('only returns the chosen hospital\'s activities', async () => {
+    const result = await app.request('GET', '/api/users/activities', {
+      token,
+      headers: { 'X-Hospital-Id': String(hospitalA._id) }
+    });
+
+    expect(result.status).toBe(200);
+    expect(result.body.map(activity => activity.description)).toEqual(['Hospital A login']);
+  });
+
+  it('returns every hospital\'s activities when none is chosen', async () => {
+    const result = await app.request('GET', '/api/users/activities', { token });
+
+    expect(result.status).toBe(200);
+    expect(result.body.map(activity => activity.description).sort())
+      .toEqual(['Hospital A login', 'Hospital B login']);
+  });
+});
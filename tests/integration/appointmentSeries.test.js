@@ -0,0 +1,96 @@
+const Appointment = require('../../models/Appointment');
+const AppointmentSeries = require('../../models/AppointmentSeries');
+const SlotReservation = require('../../models/SlotReservation');
+const { createAppointmentSeries } = require('../../controllers/appointmentSeriesController');
+const { startDatabase, clearDatabase, stopDatabase } = require('../helpers/db');
+const { runHandler } = require('../helpers/handler');
+const { createHospital, createDoctor, createPatient, createUser, asRequestUser } = require('../helpers/fixtures');
+
+describe('createAppointmentSeries', () => {
+  let hospital;
+  let doctor;
+  let patient;
+  let staff;
+
+  beforeAll(startDatabase);
+  afterAll(stopDatabase);
+
+  beforeEach(async () => {
+    await clearDatabase();
+    hospital = await createHospital();
+    ({ doctor } = await createDoctor(hospital));
+    patient = await createPatient(hospital);
+    staff = await createUser('staff', hospital);
+  });
+
+  afterEach(() => jest.restoreAllMocks());
+
+  const createSeries = (recurrence) => runHandler(createAppointmentSeries, {
+    body: {
+      patientId: String(patient._id),
+      doctorId: String(doctor._id),
+      startDate: '2030-01-07',
+      time: '10:00',
+      recurrence
+    },
+    user: asRequestUser(staff)
+  });
+
+  it('books every occurrence and saves the series', async () => {
+    const result = await createSeries('FREQ=WEEKLY;COUNT=3');
+
+    expect(result.status).toBe(201);
+    expect(result.body.appointments).toHaveLength(3);
+    expect(await AppointmentSeries.countDocuments()).toBe(1);
+    expect(await SlotReservation.countDocuments()).toBe(3);
+  });
+
+  it('files the series under the doctor\'s hospital whatever the request names', async () => {
+    const otherHospital = await createHospital();
+    const admin = await createUser('admin', null);
+
+    const result = await runHandler(createAppointmentSeries, {
+      body: {
+        patientId: String(patient._id),
+        doctorId: String(doctor._id),
+        hospitalId: String(otherHospital._id),
+        startDate: '2030-01-07',
+        time: '10:00',
+        recurrence: 'FREQ=WEEKLY;COUNT=2'
+      },
+      user: asRequestUser(admin)
+    });
+
+    expect(result.status).toBe(201);
+    expect(String((await AppointmentSeries.findOne()).hospitalId)).toBe(String(hospital._id));
+    expect(await Appointment.countDocuments({ hospitalId: hospital._id })).toBe(2);
+    expect(await Appointment.countDocuments({ hospitalId: otherHospital._id })).toBe(0);
+  });
+
+  it('leaves nothing booked when an occurrence fails part way', async () => {
+    const create = Appointment.create.bind(Appointment);
+    let calls = 0;
+    jest.spyOn(Appointment, 'create').mockImplementation((...args) => {
+      calls += 1;
+      if (calls === 3) {
+        return Promise.reject(new Error('write failed'));
+      }
+      return create(...args);
+    });
+
+    const result = await createSeries('FREQ=WEEKLY;COUNT=4');
+
+    expect(result.status).toBe(500);
+    expect(await Appointment.countDocuments()).toBe(0);
+    expect(await SlotReservation.countDocuments()).toBe(0);
+    expect(await AppointmentSeries.countDocuments()).toBe(0);
+  });
+
+  it('rejects a count above the cap with a 400', async () => {
+    const result = await createSeries('FREQ=DAILY;COUNT=500');
+
+    expect(result.status).toBe(400);
+    expect(result.body.message).toMatch(/cannot be more than 104/);
+    expect(await Appointment.countDocuments()).toBe(0);
+  });
+});
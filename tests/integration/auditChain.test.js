@@ -0,0 +1,116 @@
+const AuditLog = require('../../models/AuditLog');
+const { computeEntryHash, recordAudit, verifyAuditChain } = require('../../utils/auditService');
+const { startDatabase, clearDatabase, stopDatabase } = require('../helpers/db');
+const { objectId } = require('../helpers/fixtures');
+
+const ENTRIES = 10;
+
+const fakeRequest = () => ({
+  user: { _id: objectId(), name: 'Auditor', email: 'auditor@example.com', role: 'staff' },
+  ip: '127.0.0.1',
+  get: () => 'jest',
+  method: 'GET',
+  originalUrl: '/api/patients/1'
+});
+
+const writeEntries = (count) => Promise.all(Array.from({ length: count }, () => recordAudit(fakeRequest(), {
+  resource: 'patient',
+  action: 'read',
+  resourceId: objectId()
+})));
+
+describe('audit chain', () => {
+  beforeAll(startDatabase);
+  afterAll(stopDatabase);
+  beforeEach(clearDatabase);
+
+  it('gives concurrent writers consecutive sequence numbers on one chain', async () => {
+    const entries = await writeEntries(ENTRIES);
+
+    expect(entries.every(Boolean)).toBe(true);
+    expect(entries.map(entry => entry.sequence).sort((a, b) => a - b))
+      .toEqual(Array.from({ length: ENTRIES }, (_, index) => index + 1));
+    expect(await verifyAuditChain()).toEqual({ valid: true, checked: ENTRIES });
+  });
+
+  it('leaves no gap when an insert fails', async () => {
+    await writeEntries(2);
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    jest.spyOn(AuditLog.prototype, 'save').mockRejectedValueOnce(new Error('connection lost'));
+
+    expect(await recordAudit(fakeRequest(), { resource: 'patient', action: 'update' })).toBeNull();
+    jest.restoreAllMocks();
+
+    const [entry] = await writeEntries(1);
+    expect(entry.sequence).toBe(3);
+    expect(await verifyAuditChain()).toEqual({ valid: true, checked: 3 });
+  });
+
+  it('refuses a read it cannot record', async () => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    jest.spyOn(AuditLog.prototype, 'save').mockRejectedValueOnce(new Error('connection lost'));
+
+    await expect(recordAudit(fakeRequest(), { resource: 'patient', action: 'read' }))
+      .rejects.toMatchObject({ statusCode: 503 });
+    jest.restoreAllMocks();
+  });
+
+  it('does not use up a sequence number on an entry that fails validation', async () => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    expect(await recordAudit(fakeRequest(), { resource: 'unknown', action: 'update' })).toBeNull();
+    console.error.mockRestore();
+
+    await writeEntries(1);
+    expect(await verifyAuditChain()).toEqual({ valid: true, checked: 1 });
+  });
+
+  // The model refuses updates and deletes, so tampering goes through the driver
+  describe('tampering', () => {
+    beforeEach(() => writeEntries(5));
+
+    it('detects an edited entry', async () => {
+      await AuditLog.collection.updateOne({ sequence: 3 }, { $set: { actorName: 'Someone else' } });
+
+      expect(await verifyAuditChain()).toMatchObject({
+        valid: false,
+        checked: 2,
+        brokenAt: { sequence: 3, reason: 'Contents do not match the stored hash' }
+      });
+    });
+
+    it('detects an edited entry whose hash was recomputed', async () => {
+      const entry = await AuditLog.findOne({ sequence: 3 }).lean();
+      const forged = { ...entry, actorName: 'Someone else' };
+      await AuditLog.collection.updateOne(
+        { sequence: 3 },
+        { $set: { actorName: forged.actorName, hash: computeEntryHash(forged) } }
+      );
+
+      // The next entry still links to the original hash
+      expect(await verifyAuditChain()).toMatchObject({
+        valid: false,
+        brokenAt: { sequence: 4, reason: 'Does not link to the entry before it' }
+      });
+    });
+
+    it('detects a removed entry', async () => {
+      await AuditLog.collection.deleteOne({ sequence: 2 });
+
+      expect(await verifyAuditChain()).toMatchObject({
+        valid: false,
+        checked: 1,
+        brokenAt: { sequence: 3, reason: 'Expected entry 2; entries are missing' }
+      });
+    });
+
+    it('detects a first entry that no longer starts the chain', async () => {
+      await AuditLog.collection.updateOne({ sequence: 1 }, { $set: { previousHash: 'f'.repeat(64) } });
+
+      expect(await verifyAuditChain()).toMatchObject({
+        valid: false,
+        checked: 0,
+        brokenAt: { sequence: 1, reason: 'Does not link to the entry before it' }
+      });
+    });
+  });
+});
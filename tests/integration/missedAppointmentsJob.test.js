@@ -0,0 +1,53 @@
+const Activity = require('../../models/Activity');
+const Appointment = require('../../models/Appointment');
+const { runJobNow } = require('../../jobs');
+const { runWithTenant } = require('../../utils/tenantContext');
+const { startDatabase, clearDatabase, stopDatabase } = require('../helpers/db');
+const { createHospital, createDoctor, createPatient, objectId } = require('../helpers/fixtures');
+
+describe('missed-appointments job', () => {
+  let hospitalA;
+  let hospitalB;
+
+  beforeAll(startDatabase);
+  afterAll(stopDatabase);
+
+  beforeEach(async () => {
+    await clearDatabase();
+    hospitalA = await createHospital();
+    hospitalB = await createHospital();
+  });
+
+  const createPastAppointment = async (hospital, doctorId) => Appointment.create({
+    patientId: (await createPatient(hospital))._id,
+    doctorId,
+    hospitalId: hospital._id,
+    date: '2020-01-06',
+    time: '10:00',
+    type: 'consultation',
+    status: 'confirmed'
+  });
+
+  it('marks every hospital\'s appointments when triggered from an admin request', async () => {
+    const { doctor } = await createDoctor(hospitalB);
+    const appointment = await createPastAppointment(hospitalB, doctor._id);
+
+    // As if an admin with hospital A selected pressed "run now"
+    const run = await runWithTenant({ hospitalId: String(hospitalA._id) }, () => runJobNow('missed-appointments'));
+
+    expect(run.status).toBe('success');
+    expect(run.result).toEqual({ checked: 1, updated: 1 });
+    expect((await Appointment.findById(appointment._id)).status).toBe('not_appeared');
+  });
+
+  it('marks appointments whose doctor no longer exists without logging an activity', async () => {
+    const appointment = await createPastAppointment(hospitalA, objectId());
+
+    const run = await runJobNow('missed-appointments');
+
+    expect(run.status).toBe('success');
+    expect(run.result).toEqual({ checked: 1, updated: 1 });
+    expect((await Appointment.findById(appointment._id)).status).toBe('not_appeared');
+    expect(await Activity.countDocuments({ action: 'appointment_not_appeared' })).toBe(0);
+  });
+});
@@ -0,0 +1,137 @@
+const Activity = require('../../models/Activity');
+const Appointment = require('../../models/Appointment');
+const Conversation = require('../../models/Conversation');
+const Message = require('../../models/Message');
+const Patient = require('../../models/Patient');
+const PatientMerge = require('../../models/PatientMerge');
+const { findDuplicateCandidates, mergePatients, undoMerge } = require('../../utils/patientMergeService');
+const { startDatabase, clearDatabase, stopDatabase } = require('../helpers/db');
+const { createHospital, createDoctor, createPatient, createUser } = require('../helpers/fixtures');
+
+describe('patient merge', () => {
+  let hospital;
+  let doctor;
+  let doctorUser;
+  let actor;
+
+  beforeAll(startDatabase);
+  afterAll(stopDatabase);
+
+  beforeEach(async () => {
+    await clearDatabase();
+    hospital = await createHospital();
+    ({ doctor, user: doctorUser } = await createDoctor(hospital));
+    actor = await createUser('staff', hospital);
+  });
+
+  const bookFor = (patient, date) => Appointment.create({
+    patientId: patient._id,
+    doctorId: doctor._id,
+    hospitalId: hospital._id,
+    date,
+    time: '10:00',
+    type: 'consultation',
+    status: 'confirmed'
+  });
+
+  // Two records for one person, each with a portal account and history of its own
+  const createPair = async () => {
+    const survivor = await createPatient(hospital, {
+      name: 'Anita Rao',
+      email: 'anita@example.com',
+      dateOfBirth: new Date('1985-04-12T00:00:00Z'),
+      allergies: ['Penicillin'],
+      user: (await createUser('patient', hospital))._id
+    });
+    const duplicate = await createPatient(hospital, {
+      name: 'Rao, Anita',
+      email: 'Anita@Example.com',
+      phone: '9876543210',
+      dateOfBirth: new Date('1985-04-12T00:00:00Z'),
+      allergies: ['penicillin', 'Latex'],
+      medicalHistory: [{ condition: 'Asthma', medications: ['Salbutamol'] }],
+      user: (await createUser('patient', hospital))._id
+    });
+    return { survivor, duplicate };
+  };
+
+  it('finds the duplicate at the same hospital only', async () => {
+    const { survivor, duplicate } = await createPair();
+    await createPatient(await createHospital(), { name: 'Anita Rao', email: 'anita@example.com' });
+
+    const candidates = await findDuplicateCandidates(
+      { name: survivor.name, email: survivor.email, dateOfBirth: survivor.dateOfBirth },
+      { hospitalId: hospital._id, excludeId: survivor._id }
+    );
+
+    expect(candidates.map(candidate => String(candidate.patient._id))).toEqual([String(duplicate._id)]);
+  });
+
+  it('moves records to the survivor and undo puts them back', async () => {
+    const { survivor, duplicate } = await createPair();
+    const appointment = await bookFor(duplicate, '2030-01-07');
+    const activity = await Activity.create({
+      user: actor._id,
+      hospitalId: hospital._id,
+      patientId: duplicate._id,
+      action: 'patient_registered',
+      subject: 'patient',
+      subjectId: duplicate._id
+    });
+    const conversation = await Conversation.create({ participants: [duplicate.user, doctorUser._id] });
+    const message = await Message.create({
+      conversation: conversation._id,
+      sender: duplicate.user,
+      receiver: doctorUser._id,
+      content: 'Hello'
+    });
+
+    const merge = await mergePatients({ survivor, duplicate, actor, score: 100 });
+
+    expect(await Patient.findById(duplicate._id)).toBeNull();
+    const merged = await Patient.findById(survivor._id);
+    expect(merged.allergies.map(x => x)).toEqual(['Penicillin', 'Latex']);
+    expect(merged.medicalHistory.map(entry => entry.condition)).toEqual(['Asthma']);
+    expect(merged.phone).toBe('9876543210');
+    expect(String((await Appointment.findById(appointment._id)).patientId)).toBe(String(survivor._id));
+    const activityAfter = await Activity.findById(activity._id);
+    expect([String(activityAfter.patientId), String(activityAfter.subjectId)]).toEqual([String(survivor._id), String(survivor._id)]);
+    expect(String((await Message.findById(message._id)).sender)).toBe(String(survivor.user));
+    expect((await Conversation.findById(conversation._id)).participants.map(String))
+      .toEqual([String(survivor.user), String(doctorUser._id)]);
+
+    // Booked against the merged record, so it stays with the survivor
+    const later = await bookFor(merged, '2030-01-14');
+
+    const undone = await undoMerge(await PatientMerge.findById(merge._id), actor);
+
+    expect(undone.status).toBe('undone');
+    const restored = await Patient.findById(duplicate._id);
+    expect(restored.allergies.map(x => x)).toEqual(['penicillin', 'Latex']);
+    expect(restored.medicalHistory.map(entry => entry.condition)).toEqual(['Asthma']);
+    const survivorAfter = await Patient.findById(survivor._id);
+    expect(survivorAfter.allergies.map(x => x)).toEqual(['Penicillin']);
+    expect(survivorAfter.medicalHistory).toHaveLength(0);
+    expect(survivorAfter.phone).toBeFalsy();
+    expect(String((await Appointment.findById(appointment._id)).patientId)).toBe(String(duplicate._id));
+    expect(String((await Appointment.findById(later._id)).patientId)).toBe(String(survivor._id));
+    const activityRestored = await Activity.findById(activity._id);
+    expect([String(activityRestored.patientId), String(activityRestored.subjectId)]).toEqual([String(duplicate._id), String(duplicate._id)]);
+    expect(String((await Message.findById(message._id)).sender)).toBe(String(duplicate.user));
+    expect((await Conversation.findById(conversation._id)).participants.map(String))
+      .toEqual([String(duplicate.user), String(doctorUser._id)]);
+  });
+
+  it('gives the survivor the duplicate\'s portal account when it has none', async () => {
+    const { survivor, duplicate } = await createPair();
+    survivor.user = undefined;
+    await survivor.save();
+
+    const merge = await mergePatients({ survivor, duplicate, actor });
+    expect(String((await Patient.findById(survivor._id)).user)).toBe(String(duplicate.user));
+
+    await undoMerge(merge, actor);
+    expect((await Patient.findById(survivor._id)).user).toBeFalsy();
+    expect(String((await Patient.findById(duplicate._id)).user)).toBe(String(duplicate.user));
+  });
+});
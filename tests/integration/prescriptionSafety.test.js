@@ -0,0 +1,81 @@
+const Patient = require('../../models/Patient');
+const { createReport, updateReport } = require('../../controllers/reportController');
+const { startDatabase, clearDatabase, stopDatabase } = require('../helpers/db');
+const { runHandler } = require('../helpers/handler');
+const { createHospital, createDoctor, createPatient, asRequestUser, objectId } = require('../helpers/fixtures');
+
+const AMOXICILLIN = [{ drug: 'Amoxicillin', dose: { amount: 500, unit: 'mg' }, frequency: 'TDS', duration: { value: 5 } }];
+
+describe('prescription safety on reports', () => {
+  let hospital;
+  let doctor;
+  let doctorUser;
+  let patient;
+
+  beforeAll(startDatabase);
+  afterAll(stopDatabase);
+
+  beforeEach(async () => {
+    await clearDatabase();
+    hospital = await createHospital();
+    ({ doctor, user: doctorUser } = await createDoctor(hospital));
+    patient = await createPatient(hospital);
+  });
+
+  const create = (fields = {}) => runHandler(createReport, {
+    body: {
+      appointmentId: String(objectId()),
+      patientId: String(patient._id),
+      doctorId: String(doctor._id),
+      hospitalId: String(hospital._id),
+      type: 'prescription',
+      reportNumber: `RPT-${objectId()}`,
+      medications: AMOXICILLIN,
+      ...fields
+    },
+    user: asRequestUser(doctorUser)
+  });
+
+  const update = (reportId, fields = {}) => runHandler(updateReport, {
+    params: { id: String(reportId) },
+    body: { medications: AMOXICILLIN, ...fields },
+    user: asRequestUser(doctorUser)
+  });
+
+  it('answers malformed JSON fields with a 400', async () => {
+    const overrides = await create({ safetyOverrides: '[{"warningId": ' });
+    expect(overrides.status).toBe(400);
+    expect(overrides.body.message).toBe('Safety overrides must be valid JSON');
+
+    const medications = await create({ medications: '[{' });
+    expect(medications.status).toBe(400);
+    expect(medications.body.message).toBe('Medications must be valid JSON');
+
+    const notAList = await create({ safetyOverrides: { warningId: 'a', reason: 'b' } });
+    expect(notAList.status).toBe(400);
+  });
+
+  it('catches an allergy recorded after the report was written when it is edited', async () => {
+    const created = await create();
+    expect(created.status).toBe(201);
+    const reportId = created.body.data._id;
+
+    const stored = await Patient.findById(patient._id);
+    stored.allergies = ['Penicillin'];
+    await stored.save();
+
+    const blocked = await update(reportId);
+    expect(blocked.status).toBe(409);
+    expect(blocked.body.warnings).toHaveLength(1);
+    const [warning] = blocked.body.warnings;
+    expect(warning).toMatchObject({ type: 'allergy', severity: 'contraindicated' });
+
+    const overridden = await update(reportId, {
+      safetyOverrides: [{ warningId: warning.id, reason: 'Tolerated a full course last year' }]
+    });
+    expect(overridden.status).toBe(200);
+
+    // The override stands for later edits of the same report
+    expect((await update(reportId, { notes: 'Review in a week' })).status).toBe(200);
+  });
+});
@@ -0,0 +1,126 @@
+// Only the reschedule email is stubbed; reminders go through the real
+// sendReminderEmail with a stub transport
+jest.mock('../../utils/emailService', () => ({
+  ...jest.requireActual('../../utils/emailService'),
+  sendRescheduleEmail: jest.fn()
+}));
+jest.mock('../../utils/calendarService');
+
+const Appointment = require('../../models/Appointment');
+const { rescheduleAppointment } = require('../../controllers/appointmentController');
+const { createReminderScheduler } = require('../../utils/reminderService');
+const { startDatabase, clearDatabase, stopDatabase } = require('../helpers/db');
+const { runHandler } = require('../helpers/handler');
+const { createHospital, createDoctor, createPatient, createUser, asRequestUser } = require('../helpers/fixtures');
+
+// Reminders 24 hours and 2 hours before a Monday 10:00 appointment
+const OFFSETS = [1440, 120];
+
+describe('reminder scheduler', () => {
+  let hospital;
+  let doctor;
+  let patient;
+  let appointment;
+  let clock;
+  let transport;
+  let scheduler;
+
+  beforeAll(startDatabase);
+  afterAll(stopDatabase);
+
+  beforeEach(async () => {
+    await clearDatabase();
+    hospital = await createHospital();
+    ({ doctor } = await createDoctor(hospital));
+    patient = await createPatient(hospital, { name: 'Ann <b>Lee</b>' });
+    appointment = await Appointment.create({
+      patientId: patient._id,
+      doctorId: doctor._id,
+      hospitalId: hospital._id,
+      date: '2030-01-07',
+      time: '10:00',
+      type: 'consultation',
+      status: 'confirmed'
+    });
+
+    clock = new Date('2030-01-05T12:00:00');
+    transport = { sendMail: jest.fn().mockResolvedValue({}) };
+    scheduler = createReminderScheduler({ offsets: OFFSETS, now: () => clock, transport });
+  });
+
+  const setClock = (value) => {
+    clock = new Date(value);
+  };
+
+  const sentOffsets = async () => (await Appointment.findById(appointment._id)).remindersSent.map(item => item.offset);
+
+  it('sends each reminder once, when its window opens', async () => {
+    expect(await scheduler.runOnce()).toEqual({ sent: 0, failed: 0 });
+
+    setClock('2030-01-06T10:05:00');
+    expect(await scheduler.runOnce()).toEqual({ sent: 1, failed: 0 });
+    expect(transport.sendMail).toHaveBeenCalledTimes(1);
+    expect(transport.sendMail.mock.calls[0][0].to).toBe(patient.email);
+    expect(await sentOffsets()).toEqual([1440]);
+
+    // Later runs inside the same window are deduplicated by remindersSent
+    setClock('2030-01-06T18:00:00');
+    expect(await scheduler.runOnce()).toEqual({ sent: 0, failed: 0 });
+
+    setClock('2030-01-07T08:30:00');
+    expect(await scheduler.runOnce()).toEqual({ sent: 1, failed: 0 });
+    expect(transport.sendMail).toHaveBeenCalledTimes(2);
+    expect(await sentOffsets()).toEqual([1440, 120]);
+  });
+
+  it('does not send twice when two runs overlap', async () => {
+    setClock('2030-01-06T10:05:00');
+    const results = await Promise.all([scheduler.runOnce(), scheduler.runOnce()]);
+
+    expect(results.reduce((sum, result) => sum + result.sent, 0)).toBe(1);
+    expect(transport.sendMail).toHaveBeenCalledTimes(1);
+  });
+
+  it('escapes patient details in the email body', async () => {
+    setClock('2030-01-06T10:05:00');
+    await scheduler.runOnce();
+
+    expect(transport.sendMail.mock.calls[0][0].html).toContain('Ann &lt;b&gt;Lee&lt;/b&gt;');
+  });
+
+  it('gives the reminder back when the email cannot be sent', async () => {
+    transport.sendMail.mockRejectedValueOnce(new Error('SMTP down'));
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    setClock('2030-01-06T10:05:00');
+    expect(await scheduler.runOnce()).toEqual({ sent: 0, failed: 1 });
+    expect(await sentOffsets()).toEqual([]);
+
+    expect(await scheduler.runOnce()).toEqual({ sent: 1, failed: 0 });
+    console.error.mockRestore();
+  });
+
+  it('reminds again for the new time after a reschedule', async () => {
+    setClock('2030-01-06T10:05:00');
+    await scheduler.runOnce();
+    expect(transport.sendMail).toHaveBeenCalledTimes(1);
+
+    const admin = await createUser('admin', null);
+    const result = await runHandler(rescheduleAppointment, {
+      params: { id: String(appointment._id) },
+      body: { date: '2030-01-08', time: '11:00', reason: 'Doctor away' },
+      user: asRequestUser(admin)
+    });
+    expect(result.status).toBe(200);
+    expect(await sentOffsets()).toEqual([]);
+
+    // Still outside the new appointment's 24 hour window
+    setClock('2030-01-07T10:30:00');
+    expect(await scheduler.runOnce()).toEqual({ sent: 0, failed: 0 });
+
+    setClock('2030-01-07T11:05:00');
+    expect(await scheduler.runOnce()).toEqual({ sent: 1, failed: 0 });
+    expect(transport.sendMail).toHaveBeenCalledTimes(2);
+    expect(transport.sendMail.mock.calls[1][0].subject).toContain('2030-01-08');
+  });
+});
@@ -0,0 +1,59 @@
+const Session = require('../../models/Session');
+const { createSession, rotateSession, REFRESH_GRACE_SECONDS } = require('../../utils/sessionService');
+const { startDatabase, clearDatabase, stopDatabase } = require('../helpers/db');
+const { createHospital, createUser } = require('../helpers/fixtures');
+
+describe('refresh token rotation', () => {
+  let initial;
+
+  beforeAll(startDatabase);
+  afterAll(stopDatabase);
+
+  beforeEach(async () => {
+    await clearDatabase();
+    const user = await createUser('staff', await createHospital());
+    initial = await createSession(user);
+  });
+
+  it('issues a new refresh token and rejects unknown ones', async () => {
+    const rotated = await rotateSession(initial.refreshToken);
+
+    expect(rotated.refreshToken).not.toBe(initial.refreshToken);
+    expect(await rotateSession(`${initial.sessionId}.not-a-token`)).toBeNull();
+  });
+
+  it('returns the same pair when the old token is sent again within the grace window', async () => {
+    const first = await rotateSession(initial.refreshToken);
+    const repeated = await rotateSession(initial.refreshToken);
+
+    expect(repeated.refreshToken).toBe(first.refreshToken);
+    expect((await Session.findById(initial.sessionId)).revokedAt).toBeFalsy();
+
+    // The reissued token is the current one and rotates as usual
+    expect(await rotateSession(repeated.refreshToken)).not.toBeNull();
+  });
+
+  it('gives concurrent refreshes with the same token the same pair', async () => {
+    const results = await Promise.all([
+      rotateSession(initial.refreshToken),
+      rotateSession(initial.refreshToken),
+      rotateSession(initial.refreshToken)
+    ]);
+
+    expect(results.every(Boolean)).toBe(true);
+    expect(new Set(results.map(result => result.refreshToken)).size).toBe(1);
+  });
+
+  it('revokes the session when the old token is replayed after the grace window', async () => {
+    await rotateSession(initial.refreshToken);
+    await Session.updateOne(
+      { _id: initial.sessionId },
+      { $set: { rotatedAt: new Date(Date.now() - (REFRESH_GRACE_SECONDS + 1) * 1000) } }
+    );
+
+    expect(await rotateSession(initial.refreshToken)).toBeNull();
+
+    const session = await Session.findById(initial.sessionId);
+    expect(session.revokedReason).toBe('token_reuse');
+  });
+});
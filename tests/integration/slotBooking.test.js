@@ -0,0 +1,132 @@
+jest.mock('../../utils/emailService');
+
+const Appointment = require('../../models/Appointment');
+const SlotReservation = require('../../models/SlotReservation');
+const { bookAppointment, updateFollowUpAppointment } = require('../../controllers/appointmentController');
+const { reserveSlot } = require('../../utils/slotReservationService');
+const { startDatabase, clearDatabase, stopDatabase } = require('../helpers/db');
+const { runHandler } = require('../helpers/handler');
+const { createHospital, createDoctor, createPatient, asRequestUser, objectId } = require('../helpers/fixtures');
+
+// A Monday, inside the default 09:00-17:00 schedule
+const DATE = '2030-01-07';
+const PARALLEL_REQUESTS = 8;
+
+describe('slot booking under concurrency', () => {
+  let hospital;
+  let doctor;
+  let doctorUser;
+
+  beforeAll(startDatabase);
+  afterAll(stopDatabase);
+
+  beforeEach(async () => {
+    await clearDatabase();
+    hospital = await createHospital();
+    ({ doctor, user: doctorUser } = await createDoctor(hospital));
+  });
+
+  const book = (index, time = '10:00', type = 'consultation') => runHandler(bookAppointment, {
+    body: {
+      doctorId: String(doctor._id),
+      hospitalId: String(hospital._id),
+      date: DATE,
+      time,
+      type,
+      patientDetails: { name: `Patient ${index}`, email: `parallel${index}@example.com` }
+    }
+  });
+
+  it('books exactly one of many parallel requests for the same slot', async () => {
+    const results = await Promise.all(
+      Array.from({ length: PARALLEL_REQUESTS }, (_, index) => book(index))
+    );
+
+    const statuses = results.map(result => result.status);
+    expect(statuses.filter(status => status === 201)).toHaveLength(1);
+    expect(statuses.filter(status => status === 409)).toHaveLength(PARALLEL_REQUESTS - 1);
+
+    expect(await Appointment.countDocuments({ doctorId: doctor._id, date: DATE, time: '10:00' })).toBe(1);
+    expect(await SlotReservation.countDocuments({ doctorId: doctor._id, date: DATE, time: '10:00' })).toBe(1);
+  });
+
+  it('lets exactly one parallel reserveSlot call hold a cell', async () => {
+    const results = await Promise.all(
+      Array.from({ length: PARALLEL_REQUESTS }, () => reserveSlot({
+        doctorId: doctor._id,
+        date: DATE,
+        time: '11:00',
+        duration: 30,
+        slotDuration: 30,
+        appointmentId: objectId()
+      }))
+    );
+
+    expect(results.filter(Boolean)).toHaveLength(1);
+    expect(await SlotReservation.countDocuments({ doctorId: doctor._id, date: DATE })).toBe(1);
+  });
+
+  it('does not let a longer appointment overlap a booked cell', async () => {
+    const [first, second] = await Promise.all([
+      reserveSlot({ doctorId: doctor._id, date: DATE, time: '14:30', duration: 30, slotDuration: 30, appointmentId: objectId() }),
+      reserveSlot({ doctorId: doctor._id, date: DATE, time: '14:00', duration: 60, slotDuration: 30, appointmentId: objectId() })
+    ]);
+
+    expect([first, second].filter(Boolean)).toHaveLength(1);
+    // The losing 60 minute booking must not leave its first cell behind
+    const cells = await SlotReservation.find({ doctorId: doctor._id, date: DATE }).lean();
+    expect(new Set(cells.map(cell => String(cell.appointmentId))).size).toBe(1);
+  });
+
+  describe('follow-up time changes', () => {
+    const createFollowUp = async (time) => {
+      const patient = await createPatient(hospital);
+      const appointment = await Appointment.create({
+        doctorId: doctor._id,
+        patientId: patient._id,
+        hospitalId: hospital._id,
+        date: DATE,
+        time,
+        type: 'follow-up',
+        status: 'pending',
+        isFollowUp: true
+      });
+      await reserveSlot({ doctorId: doctor._id, date: DATE, time, duration: 30, slotDuration: 30, appointmentId: appointment._id });
+      return appointment;
+    };
+
+    const moveFollowUp = (appointment, time) => runHandler(updateFollowUpAppointment, {
+      params: { id: String(appointment._id) },
+      body: { time },
+      user: asRequestUser(doctorUser)
+    });
+
+    it('moves the reservation and frees the old cell', async () => {
+      const followUp = await createFollowUp('09:00');
+
+      const result = await moveFollowUp(followUp, '15:00');
+
+      expect(result.status).toBe(200);
+      const cells = await SlotReservation.find({ appointmentId: followUp._id }).lean();
+      expect(cells.map(cell => cell.time)).toEqual(['15:00']);
+    });
+
+    it('answers 409 when two follow-ups race for one slot', async () => {
+      const first = await createFollowUp('09:00');
+      const second = await createFollowUp('09:30');
+
+      const results = await Promise.all([moveFollowUp(first, '16:00'), moveFollowUp(second, '16:00')]);
+
+      expect(results.map(result => result.status).sort()).toEqual([200, 409]);
+      expect(await SlotReservation.countDocuments({ doctorId: doctor._id, date: DATE, time: '16:00' })).toBe(1);
+    });
+
+    it('rejects a time outside the doctor\'s schedule', async () => {
+      const followUp = await createFollowUp('09:00');
+
+      const result = await moveFollowUp(followUp, '20:00');
+
+      expect(result.status).toBe(400);
+    });
+  });
+});
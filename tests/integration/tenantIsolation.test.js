@@ -0,0 +1,159 @@
+const Expense = require('../../models/Expense');
+const Inventory = require('../../models/Inventory');
+const Patient = require('../../models/Patient');
+const Report = require('../../models/Report');
+const { startDatabase, clearDatabase, stopDatabase } = require('../helpers/db');
+const { startApp, signIn } = require('../helpers/app');
+const { createHospital, createDoctor, createPatient, createUser, objectId } = require('../helpers/fixtures');
+
+// Every way a hospital-A user might reach a hospital-B record. Inventory has
+// no read or delete endpoint, so only list and update apply to it.
+const RESOURCES = [
+  {
+    name: 'patients',
+    model: Patient,
+    list: '/api/patients',
+    record: id => `/api/patients/${id}`,
+    actions: ['read', 'update', 'delete'],
+    update: { field: 'name', value: 'Changed by hospital A' }
+  },
+  {
+    name: 'reports',
+    model: Report,
+    list: '/api/reports',
+    record: id => `/api/reports/${id}`,
+    actions: ['read', 'update', 'delete'],
+    update: { field: 'notes', value: 'Changed by hospital A' }
+  },
+  {
+    name: 'expenses',
+    model: Expense,
+    list: '/api/expenses',
+    record: id => `/api/expenses/${id}`,
+    actions: ['read', 'update', 'delete'],
+    update: { field: 'description', value: 'Changed by hospital A' }
+  },
+  {
+    name: 'inventory',
+    model: Inventory,
+    list: '/api/staff/inventory',
+    record: id => `/api/staff/inventory/${id}`,
+    updateMethod: 'PATCH',
+    actions: ['update'],
+    update: { field: 'location', value: 'Changed by hospital A' }
+  }
+];
+
+const ROLES = ['staff', 'doctor', 'admin'];
+
+const METHODS = { read: 'GET', delete: 'DELETE' };
+
+describe('hospital isolation', () => {
+  let app;
+  let hospitalA;
+  let hospitalB;
+  let records;
+  let tokens;
+
+  beforeAll(async () => {
+    await startDatabase();
+    app = await startApp({
+      '/api/patients': require('../../routes/patientRoutes'),
+      '/api/reports': require('../../routes/reportRoutes'),
+      '/api/expenses': require('../../routes/expenseRoutes'),
+      '/api/staff': require('../../routes/staffRoutes')
+    });
+  });
+
+  afterAll(async () => {
+    await app.close();
+    await stopDatabase();
+  });
+
+  beforeEach(async () => {
+    await clearDatabase();
+    hospitalA = await createHospital();
+    hospitalB = await createHospital();
+
+    // Hospital B's records, which nobody below may see or change
+    const { doctor: doctorB } = await createDoctor(hospitalB);
+    const staffB = await createUser('staff', hospitalB);
+    const patient = await createPatient(hospitalB);
+    records = {
+      patients: patient,
+      reports: await Report.create({
+        appointmentId: objectId(),
+        patientId: patient._id,
+        doctorId: doctorB._id,
+        hospitalId: hospitalB._id,
+        type: 'lab',
+        reportNumber: `RPT-${objectId()}`,
+        notes: 'Hospital B notes'
+      }),
+      expenses: await Expense.create({
+        category: 'other',
+        amount: 100,
+        description: 'Hospital B expense',
+        hospitalId: hospitalB._id,
+        createdBy: staffB._id
+      }),
+      inventory: await Inventory.create({
+        name: 'Gauze',
+        hospitalId: hospitalB._id,
+        quantity: 50,
+        unit: 'box',
+        category: 'supplies',
+        location: 'Hospital B store'
+      })
+    };
+
+    // Hospital A's users; the admin works in hospital A via X-Hospital-Id
+    const { user: doctorA } = await createDoctor(hospitalA);
+    const users = {
+      staff: await createUser('staff', hospitalA),
+      doctor: doctorA,
+      admin: await createUser('admin', null)
+    };
+    tokens = {};
+    for (const role of ROLES) {
+      tokens[role] = await signIn(users[role]);
+    }
+  });
+
+  const requestAs = (role, method, path, body) => app.request(method, path, {
+    token: tokens[role],
+    headers: role === 'admin' ? { 'X-Hospital-Id': String(hospitalA._id) } : {},
+    body
+  });
+
+  describe.each(RESOURCES)('$name', (resource) => {
+    const recordId = () => String(records[resource.name]._id);
+
+    it.each(ROLES)('%s cannot list them', async (role) => {
+      const plain = await requestAs(role, 'GET', resource.list);
+      // Naming the other hospital in the query must not widen the scope
+      const filtered = await requestAs(role, 'GET', `${resource.list}?hospitalId=${hospitalB._id}`);
+
+      for (const result of [plain, filtered]) {
+        expect([200, 403]).toContain(result.status);
+        expect(JSON.stringify(result.body)).not.toContain(recordId());
+      }
+    });
+
+    const recordActions = ROLES.flatMap(role => resource.actions.map(action => [role, action]));
+
+    it.each(recordActions)('%s cannot %s them', async (role, action) => {
+      const method = action === 'update' ? (resource.updateMethod || 'PUT') : METHODS[action];
+      const body = action === 'update' ? { [resource.update.field]: resource.update.value } : undefined;
+
+      const result = await requestAs(role, method, resource.record(recordId()), body);
+
+      expect([403, 404]).toContain(result.status);
+      expect(JSON.stringify(result.body)).not.toContain(resource.update.value);
+
+      const stored = await resource.model.findById(recordId());
+      expect(stored).not.toBeNull();
+      expect(stored[resource.update.field]).toEqual(records[resource.name][resource.update.field]);
+    });
+  });
+});
@@ -0,0 +1,149 @@
+jest.mock('../../utils/emailService');
+jest.mock('../../utils/calendarService');
+
+const Appointment = require('../../models/Appointment');
+const SlotReservation = require('../../models/SlotReservation');
+const WaitlistEntry = require('../../models/WaitlistEntry');
+const { acceptWaitlistOffer } = require('../../controllers/waitlistController');
+const { expireOffers, offerFreedSlot, recoverStalledAccepts } = require('../../utils/waitlistService');
+const { startDatabase, clearDatabase, stopDatabase } = require('../helpers/db');
+const { runHandler } = require('../helpers/handler');
+const { createHospital, createDoctor, createPatient } = require('../helpers/fixtures');
+
+// A Monday, inside the default 09:00-17:00 schedule
+const DATE = '2030-01-07';
+const PARALLEL_REQUESTS = 5;
+
+describe('accepting a waitlist offer', () => {
+  let hospital;
+  let doctor;
+  let entry;
+  let nextInLine;
+
+  beforeAll(startDatabase);
+  afterAll(stopDatabase);
+
+  beforeEach(async () => {
+    await clearDatabase();
+    hospital = await createHospital();
+    ({ doctor } = await createDoctor(hospital));
+
+    const join = async () => WaitlistEntry.create({
+      patientId: (await createPatient(hospital))._id,
+      doctorId: doctor._id,
+      hospitalId: hospital._id,
+      date: DATE
+    });
+    await join();
+    entry = await offerFreedSlot({ doctorId: doctor._id, date: DATE, time: '10:00' });
+    // Would be offered the slot if it were wrongly freed
+    nextInLine = await join();
+  });
+
+  afterEach(() => jest.restoreAllMocks());
+
+  const accept = () => runHandler(acceptWaitlistOffer, {
+    params: { entryId: String(entry._id) },
+    body: { token: entry.offer.token }
+  });
+
+  it('books the held slot once when the offer is accepted in parallel', async () => {
+    const results = await Promise.all(Array.from({ length: PARALLEL_REQUESTS }, accept));
+
+    const statuses = results.map(result => result.status);
+    expect(statuses.filter(status => status === 201)).toHaveLength(1);
+    expect(statuses.filter(status => status === 409 || status === 410)).toHaveLength(PARALLEL_REQUESTS - 1);
+
+    // The losing requests must not release the winner's reservation
+    expect(await Appointment.countDocuments({ _id: entry.offer.appointmentId })).toBe(1);
+    expect(await SlotReservation.countDocuments({ appointmentId: entry.offer.appointmentId })).toBe(1);
+    expect((await WaitlistEntry.findById(entry._id)).status).toBe('accepted');
+  });
+
+  it('reopens the offer and keeps the slot held when the appointment cannot be created', async () => {
+    jest.spyOn(Appointment, 'create').mockRejectedValueOnce(new Error('write failed'));
+
+    const failed = await accept();
+    expect(failed.status).toBe(500);
+    expect((await WaitlistEntry.findById(entry._id)).status).toBe('offered');
+    expect(await SlotReservation.countDocuments({ appointmentId: entry.offer.appointmentId })).toBe(1);
+
+    const retried = await accept();
+    expect(retried.status).toBe(201);
+  });
+
+  it('keeps an accepted offer when the expiry job loaded it just before', async () => {
+    // The job finds the entry while it is still 'offered', then the accept
+    // completes before the job gets to close it
+    jest.spyOn(WaitlistEntry, 'find').mockImplementationOnce(async () => {
+      const loaded = await WaitlistEntry.findById(entry._id);
+      expect((await accept()).status).toBe(201);
+      return [loaded];
+    });
+
+    expect(await expireOffers()).toBe(0);
+
+    expect((await WaitlistEntry.findById(entry._id)).status).toBe('accepted');
+    expect(await Appointment.countDocuments({ _id: entry.offer.appointmentId })).toBe(1);
+    expect(await SlotReservation.countDocuments({ appointmentId: entry.offer.appointmentId })).toBe(1);
+    expect((await WaitlistEntry.findById(nextInLine._id)).status).toBe('waiting');
+  });
+
+  it('closes an expired offer once when an accept and the expiry job race', async () => {
+    await WaitlistEntry.updateOne({ _id: entry._id }, { $set: { 'offer.expiresAt': new Date(Date.now() + 50) } });
+    await new Promise(resolve => setTimeout(resolve, 50));
+
+    const [accepted] = await Promise.all([accept(), expireOffers()]);
+
+    expect(accepted.status).not.toBe(201);
+    expect((await WaitlistEntry.findById(entry._id)).status).toBe('expired');
+    expect(await Appointment.countDocuments({ _id: entry.offer.appointmentId })).toBe(0);
+    // The slot went to the next patient, and is held once
+    const next = await WaitlistEntry.findById(nextInLine._id);
+    expect(next.status).toBe('offered');
+    expect(await SlotReservation.countDocuments({ appointmentId: next.offer.appointmentId })).toBe(1);
+    expect(await SlotReservation.countDocuments({ appointmentId: entry.offer.appointmentId })).toBe(0);
+  });
+
+  describe('recovering interrupted accepts', () => {
+    const interrupt = () => WaitlistEntry.updateOne(
+      { _id: entry._id },
+      { $set: { status: 'accepting', 'offer.acceptingAt': new Date(Date.now() - 10 * 60 * 1000) } }
+    );
+
+    it('marks the entry accepted when the appointment was created', async () => {
+      await interrupt();
+      await Appointment.create({
+        _id: entry.offer.appointmentId,
+        doctorId: doctor._id,
+        patientId: entry.patientId,
+        hospitalId: hospital._id,
+        date: DATE,
+        time: '10:00',
+        type: 'consultation',
+        status: 'confirmed'
+      });
+
+      expect(await recoverStalledAccepts()).toBe(1);
+      expect((await WaitlistEntry.findById(entry._id)).status).toBe('accepted');
+    });
+
+    it('reopens the offer when no appointment was created', async () => {
+      await interrupt();
+
+      expect(await recoverStalledAccepts()).toBe(1);
+      expect((await WaitlistEntry.findById(entry._id)).status).toBe('offered');
+      expect((await accept()).status).toBe(201);
+    });
+
+    it('leaves an accept that is still in progress alone', async () => {
+      await WaitlistEntry.updateOne(
+        { _id: entry._id },
+        { $set: { status: 'accepting', 'offer.acceptingAt': new Date() } }
+      );
+
+      expect(await recoverStalledAccepts()).toBe(0);
+      expect((await WaitlistEntry.findById(entry._id)).status).toBe('accepting');
+    });
+  });
+});
@@ -0,0 +1,8 @@
+// Environment every test file runs with. Keys are generated per run so no
+// real secret is ever needed to test.
+const crypto = require('crypto');
+
+process.env.NODE_ENV = 'test';
+process.env.JWT_SECRET = process.env.JWT_SECRET || crypto.randomBytes(32).toString('hex');
+process.env.FIELD_ENCRYPTION_KEYS = `v1:${crypto.randomBytes(32).toString('base64')}`;
+delete process.env.FIELD_ENCRYPTION_KEY_VERSION;
@@ -0,0 +1,164 @@
+const { identifyDrug, checkPrescriptionSafety, resolveSafetyWarnings } = require('../../utils/drugSafetyService');
+
+// Checked against the bundled data/drugInteractions.json
+const check = (drugs, options = {}) => checkPrescriptionSafety({
+  lines: drugs.map(drug => ({ drug })),
+  ...options
+});
+
+describe('identifyDrug', () => {
+  it('resolves brand names to the drug and its classes', () => {
+    const identity = identifyDrug('Augmentin 625mg');
+
+    expect([...identity.drugs]).toEqual(['amoxicillin']);
+    expect([...identity.classes]).toEqual(['penicillins']);
+    expect(identity.text).toBe('augmentin 625mg');
+  });
+
+  it('treats a class name as the class, not a drug', () => {
+    const identity = identifyDrug('Penicillin');
+
+    expect(identity.drugs.size).toBe(0);
+    expect([...identity.classes]).toEqual(['penicillins']);
+  });
+
+  it('prefers the longest name that matches', () => {
+    const identity = identifyDrug('Penicillin V 250 mg');
+
+    expect([...identity.drugs]).toEqual(['penicillin v']);
+    expect([...identity.classes]).toEqual(['penicillins']);
+  });
+
+  it('recognises nothing in an unknown name', () => {
+    const identity = identifyDrug('Zyxin');
+
+    expect(identity.drugs.size).toBe(0);
+    expect(identity.classes.size).toBe(0);
+  });
+});
+
+describe('checkPrescriptionSafety', () => {
+  describe('allergies', () => {
+    it('contraindicates a drug in a class the patient is allergic to', () => {
+      const [warning] = check(['Amoxicillin 500mg'], { allergies: ['Penicillin'] });
+
+      expect(warning).toMatchObject({
+        type: 'allergy',
+        severity: 'contraindicated',
+        lineIndex: 0,
+        drug: 'Amoxicillin 500mg',
+        allergy: 'Penicillin'
+      });
+    });
+
+    it('flags another drug in the same class as the allergy as major', () => {
+      const [warning] = check(['Ampicillin'], { allergies: ['Amoxicillin'] });
+
+      expect(warning).toMatchObject({ type: 'allergy', severity: 'major' });
+    });
+
+    it('flags cross-reacting classes with the data file\'s severity', () => {
+      const [warning] = check(['Cefalexin'], { allergies: ['Penicillin'] });
+
+      expect(warning).toMatchObject({ type: 'allergy', severity: 'moderate' });
+      expect(warning.message).toContain('cephalosporins');
+    });
+
+    it('splits allergies typed as one string', () => {
+      const warnings = check(['Bactrim DS'], { allergies: ['Latex, Sulfa; dust'] });
+
+      expect(warnings).toHaveLength(1);
+      expect(warnings[0]).toMatchObject({ severity: 'contraindicated', allergy: 'Sulfa' });
+    });
+
+    it('matches an allergy missing from the data file by name', () => {
+      const [warning] = check(['Zyxin 10mg'], { allergies: ['zyxin'] });
+
+      expect(warning).toMatchObject({ type: 'allergy', severity: 'contraindicated' });
+    });
+
+    it('says nothing about unrelated drugs', () => {
+      expect(check(['Paracetamol'], { allergies: ['Penicillin', 'Latex'] })).toEqual([]);
+    });
+  });
+
+  describe('interactions', () => {
+    it('flags two drugs on the same prescription', () => {
+      const [warning] = check(['Warfarin 5mg', 'Ibuprofen 400mg']);
+
+      expect(warning).toMatchObject({
+        type: 'interaction',
+        severity: 'major',
+        lineIndex: 0,
+        drug: 'Warfarin 5mg',
+        otherDrug: 'Ibuprofen 400mg'
+      });
+    });
+
+    it('keeps only the most serious warning for a pair', () => {
+      // Listed both as simvastatin-clarithromycin and as statins-macrolides
+      const warnings = check(['Clarithromycin', 'Simvastatin']);
+
+      expect(warnings).toHaveLength(1);
+      expect(warnings[0].severity).toBe('contraindicated');
+    });
+
+    it('checks against what the patient already takes', () => {
+      const [warning] = check(['Ibuprofen'], {
+        activeMedications: [{ drug: 'Warfarin', reportId: 'report-1' }]
+      });
+
+      expect(warning).toMatchObject({ drug: 'Ibuprofen', otherDrug: 'Warfarin', otherReportId: 'report-1' });
+    });
+
+    it('leaves pairs of current medications alone', () => {
+      const warnings = check(['Paracetamol'], {
+        activeMedications: [{ drug: 'Warfarin' }, { drug: 'Ibuprofen' }]
+      });
+
+      expect(warnings).toEqual([]);
+    });
+  });
+
+  it('orders warnings most serious first', () => {
+    const warnings = check(['Warfarin', 'Ibuprofen', 'Amoxicillin'], { allergies: ['Penicillin'] });
+
+    expect(warnings.map(warning => [warning.type, warning.severity])).toEqual([
+      ['allergy', 'contraindicated'],
+      ['interaction', 'major']
+    ]);
+  });
+
+  it('gives the same warning the same id every time', () => {
+    const first = check(['Warfarin', 'Ibuprofen'], { allergies: ['Aspirin'] });
+    const second = check(['Ibuprofen', 'Warfarin'], { allergies: ['Aspirin'] });
+
+    expect(second.map(warning => warning.id).sort()).toEqual(first.map(warning => warning.id).sort());
+  });
+});
+
+describe('resolveSafetyWarnings', () => {
+  const warnings = [
+    { id: 'a', severity: 'contraindicated' },
+    { id: 'b', severity: 'major' }
+  ];
+
+  it('sets aside each warning overridden with a reason', () => {
+    const result = resolveSafetyWarnings(warnings, [{ warningId: 'a', reason: '  Tolerated before  ' }]);
+
+    expect(result.unresolved).toEqual([warnings[1]]);
+    expect(result.overridden).toEqual([{ ...warnings[0], reason: 'Tolerated before' }]);
+  });
+
+  it('ignores overrides without a reason', () => {
+    const result = resolveSafetyWarnings(warnings, [{ warningId: 'a', reason: ' ' }, { warningId: 'b' }]);
+
+    expect(result.unresolved).toEqual(warnings);
+    expect(result.overridden).toEqual([]);
+  });
+
+  it('treats anything but a list of overrides as none', () => {
+    expect(resolveSafetyWarnings(warnings, { warningId: 'a', reason: 'x' }).unresolved).toEqual(warnings);
+    expect(resolveSafetyWarnings(warnings).unresolved).toEqual(warnings);
+  });
+});
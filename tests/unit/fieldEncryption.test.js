@@ -0,0 +1,77 @@
+const mongoose = require('mongoose');
+const Patient = require('../../models/Patient');
+const { encryptValue, decryptValue, isEncrypted } = require('../../utils/fieldEncryption');
+
+// Loads a fresh copy of the module, since the keyring is read once per process
+const withKeys = (keys, fn) => {
+  const saved = process.env.FIELD_ENCRYPTION_KEYS;
+  process.env.FIELD_ENCRYPTION_KEYS = keys;
+  try {
+    jest.isolateModules(() => fn(require('../../utils/fieldEncryption')));
+  } finally {
+    process.env.FIELD_ENCRYPTION_KEYS = saved;
+  }
+};
+
+describe('checkEncryptionKeys', () => {
+  it('fails when no keys are configured', () => {
+    withKeys('', ({ checkEncryptionKeys }) => {
+      expect(() => checkEncryptionKeys()).toThrow('FIELD_ENCRYPTION_KEYS is not configured');
+    });
+  });
+
+  it('fails on a key of the wrong length', () => {
+    withKeys('v1:c2hvcnQ=', ({ checkEncryptionKeys }) => {
+      expect(() => checkEncryptionKeys()).toThrow('must be 32 bytes');
+    });
+  });
+
+  it('returns the last listed version by default', () => {
+    const key = Buffer.alloc(32, 1).toString('base64');
+    withKeys(`v1:${key},v2:${key}`, ({ checkEncryptionKeys }) => {
+      expect(checkEncryptionKeys()).toBe('v2');
+    });
+  });
+});
+
+describe('encryptValue', () => {
+  it('round-trips through decryptValue', () => {
+    const stored = encryptValue('penicillin');
+    expect(isEncrypted(stored)).toBe(true);
+    expect(decryptValue(stored)).toBe('penicillin');
+  });
+
+  it('passes empty and non-string values through', () => {
+    expect(encryptValue('')).toBe('');
+    expect(encryptValue(null)).toBeNull();
+  });
+});
+
+describe('encrypted string arrays', () => {
+  const patient = () => new Patient({
+    name: 'Ann Lee',
+    email: 'ann@example.com',
+    hospital: new mongoose.Types.ObjectId(),
+    allergies: ['penicillin', 'latex'],
+    medicalHistory: [{ condition: 'Asthma', medications: ['salbutamol'] }]
+  });
+
+  it('stores ciphertext', () => {
+    expect(patient().toObject({ getters: false }).allergies.every(isEncrypted)).toBe(true);
+  });
+
+  it('reads back as plaintext through array methods', () => {
+    const doc = patient();
+    expect(doc.allergies.map(allergy => allergy)).toEqual(['penicillin', 'latex']);
+    expect(doc.medicalHistory[0].medications.map(drug => drug)).toEqual(['salbutamol']);
+    expect(doc.toObject().allergies).toEqual(['penicillin', 'latex']);
+  });
+
+  it('encrypts a reassigned array', () => {
+    const doc = patient();
+    doc.allergies = [...doc.allergies, 'nuts'];
+
+    expect(doc.allergies).toEqual(['penicillin', 'latex', 'nuts']);
+    expect(doc.toObject({ getters: false }).allergies.every(isEncrypted)).toBe(true);
+  });
+});
@@ -0,0 +1,155 @@
+const {
+  normalizeCode,
+  getChapter,
+  getChapters,
+  findCode,
+  searchCodes,
+  mapFreeText,
+  validateCodes
+} = require('../../utils/icd10Service');
+
+// Checked against the bundled data/icd10.json
+const codesOf = (results) => results.map(result => result.code);
+
+describe('normalizeCode', () => {
+  it('upper-cases and puts the dot after the category', () => {
+    expect(normalizeCode('e119')).toBe('E11.9');
+    expect(normalizeCode(' e11.9 ')).toBe('E11.9');
+    expect(normalizeCode('i10')).toBe('I10');
+    expect(normalizeCode('S72.00')).toBe('S72.00');
+  });
+
+  it('rejects values not shaped like a code', () => {
+    expect(normalizeCode('E1')).toBeNull();
+    expect(normalizeCode('11.9')).toBeNull();
+    expect(normalizeCode('E11.999')).toBeNull();
+    expect(normalizeCode(undefined)).toBeNull();
+  });
+});
+
+describe('getChapter', () => {
+  it('finds the chapter from the category', () => {
+    expect(getChapter('E11.9')).toMatchObject({ number: 'IV', start: 'E00', end: 'E90' });
+  });
+
+  it('handles chapters that span letters', () => {
+    expect(getChapter('T14')).toMatchObject({ number: 'XIX', start: 'S00', end: 'T98' });
+  });
+
+  it('is null for something that is not a code', () => {
+    expect(getChapter('diabetes')).toBeNull();
+  });
+});
+
+describe('getChapters', () => {
+  it('lists every chapter with its range', () => {
+    const chapters = getChapters();
+
+    expect(chapters).toHaveLength(22);
+    expect(chapters[0]).toEqual({
+      number: 'I',
+      title: 'Certain infectious and parasitic diseases',
+      start: 'A00',
+      end: 'B99'
+    });
+  });
+});
+
+describe('findCode', () => {
+  it('returns the code with its title and chapter', () => {
+    expect(findCode('e119')).toEqual({
+      code: 'E11.9',
+      title: 'Non-insulin-dependent diabetes mellitus without complications',
+      chapter: { number: 'IV', title: 'Endocrine, nutritional and metabolic diseases' }
+    });
+  });
+
+  it('is null for a well-formed code that is not in the list', () => {
+    expect(findCode('E11.8')).toBeNull();
+  });
+});
+
+describe('searchCodes', () => {
+  it('puts an exact code first', () => {
+    expect(codesOf(searchCodes('i10'))[0]).toBe('I10');
+  });
+
+  it('matches the start of a code, with or without the dot', () => {
+    expect(codesOf(searchCodes('E1'))).toEqual(['E10.9', 'E11.9', 'E14.9']);
+    expect(codesOf(searchCodes('E119'))).toEqual(['E11.9']);
+  });
+
+  it('matches an abbreviation exactly', () => {
+    expect(codesOf(searchCodes('HTN'))).toEqual(['I10']);
+  });
+
+  it('ranks titles and synonyms starting with the query above words inside them', () => {
+    const codes = codesOf(searchCodes('diab'));
+
+    expect(codes.slice(0, 3)).toEqual(['E10.9', 'E11.9', 'E14.9']);
+    expect(codes).toContain('O24.4');
+    expect(codes.indexOf('O24.4')).toBeGreaterThan(2);
+  });
+
+  it('ranks an exact synonym above a title that only contains the words', () => {
+    expect(codesOf(searchCodes('heart failure'))).toEqual(['I50.9', 'I11.9']);
+  });
+
+  it('only matches the start of words', () => {
+    expect(searchCodes('ertension')).toEqual([]);
+  });
+
+  it('returns nothing for a blank query', () => {
+    expect(searchCodes('  ')).toEqual([]);
+    expect(searchCodes(undefined)).toEqual([]);
+  });
+
+  it('keeps the limit between 1 and 50', () => {
+    expect(searchCodes('a', 2)).toHaveLength(2);
+    expect(searchCodes('a', 0)).toHaveLength(20);
+    expect(searchCodes('a', 1000)).toHaveLength(50);
+    expect(searchCodes('a', 'lots')).toHaveLength(20);
+  });
+});
+
+describe('mapFreeText', () => {
+  it('maps an exact title or synonym, ignoring case and punctuation', () => {
+    expect(mapFreeText('DM2').code).toBe('E11.9');
+    expect(mapFreeText('Type-2 Diabetes').code).toBe('E11.9');
+    expect(mapFreeText('Asthma, unspecified').code).toBe('J45.9');
+  });
+
+  it('uses a code written in the text', () => {
+    expect(mapFreeText('E11.9 - type 2 diabetes').code).toBe('E11.9');
+    expect(mapFreeText('follow-up for i10').code).toBe('I10');
+  });
+
+  it('does not guess from text that only mentions a condition', () => {
+    expect(mapFreeText('known case of diabetes on metformin')).toBeNull();
+    expect(mapFreeText('')).toBeNull();
+  });
+});
+
+describe('validateCodes', () => {
+  it('normalises codes and drops duplicates and blanks', () => {
+    expect(validateCodes(['e119', 'E11.9', '', null, 'i10'])).toEqual(['E11.9', 'I10']);
+  });
+
+  it('accepts a single code', () => {
+    expect(validateCodes('i10')).toEqual(['I10']);
+  });
+
+  it('rejects unknown codes with a 400', () => {
+    expect.assertions(2);
+    try {
+      validateCodes(['E11.9', 'E11.8', 'diabetes']);
+    } catch (error) {
+      expect(error.message).toBe('Unknown ICD-10 codes: E11.8, diabetes');
+      expect(error.statusCode).toBe(400);
+    }
+  });
+
+  it('names a single unknown code', () => {
+    expect(() => validateCodes(['X99'])).toThrow('Unknown ICD-10 code: X99');
+  });
+});
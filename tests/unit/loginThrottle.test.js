@@ -0,0 +1,44 @@
+const { getDelaySeconds, getAccountBlock } = require('../../utils/loginThrottle');
+
+describe('getDelaySeconds', () => {
+  it('has no delay before the first failure', () => {
+    expect(getDelaySeconds(0)).toBe(0);
+    expect(getDelaySeconds(-1)).toBe(0);
+  });
+
+  it('doubles with each consecutive failure', () => {
+    expect([1, 2, 3, 4, 5].map(getDelaySeconds)).toEqual([1, 2, 4, 8, 16]);
+  });
+
+  it('is capped at 30 seconds', () => {
+    expect(getDelaySeconds(6)).toBe(30);
+    expect(getDelaySeconds(50)).toBe(30);
+  });
+});
+
+describe('getAccountBlock', () => {
+  const NOW = new Date('2030-01-07T10:00:00Z').getTime();
+
+  beforeEach(() => {
+    jest.useFakeTimers({ now: NOW });
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  it('blocks a locked account until the lock ends', () => {
+    const user = { lockedUntil: new Date(NOW + 60 * 1000), failedLoginAttempts: 5 };
+    expect(getAccountBlock(user)).toEqual({ reason: 'locked', retryAfterMs: 60 * 1000 });
+  });
+
+  it('holds off the next attempt for the back-off delay', () => {
+    const user = { failedLoginAttempts: 3, lastFailedLoginAt: new Date(NOW - 1000) };
+    expect(getAccountBlock(user)).toEqual({ reason: 'delay', retryAfterMs: 3000 });
+  });
+
+  it('lets the user try again once the delay or lock has passed', () => {
+    expect(getAccountBlock({ failedLoginAttempts: 3, lastFailedLoginAt: new Date(NOW - 4000) })).toBeNull();
+    expect(getAccountBlock({ lockedUntil: new Date(NOW - 1), failedLoginAttempts: 0 })).toBeNull();
+  });
+});
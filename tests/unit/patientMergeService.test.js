@@ -0,0 +1,90 @@
+const { DUPLICATE_THRESHOLD, nameSimilarity, scoreCandidate } = require('../../utils/patientMergeService');
+
+describe('nameSimilarity', () => {
+  it('ignores case, accents, punctuation and word order', () => {
+    expect(nameSimilarity('Anita Rao', 'anita rao')).toBe(1);
+    expect(nameSimilarity('Rao, Anita', 'Anita Rao')).toBe(1);
+    expect(nameSimilarity('José Núñez', 'Jose Nunez')).toBe(1);
+  });
+
+  it('scores a one-letter slip as close but not the same', () => {
+    const similarity = nameSimilarity('Anita Rao', 'Anita Roa');
+    expect(similarity).toBeCloseTo(7 / 9);
+  });
+
+  it('is 0 when either name is missing', () => {
+    expect(nameSimilarity('', 'Anita Rao')).toBe(0);
+    expect(nameSimilarity('Anita Rao', undefined)).toBe(0);
+  });
+});
+
+describe('scoreCandidate', () => {
+  const details = {
+    name: 'Anita Rao',
+    email: 'anita@example.com',
+    phone: '9876543210',
+    dateOfBirth: '1985-04-12'
+  };
+
+  it('scores 100 when every signal matches', () => {
+    const result = scoreCandidate(details, {
+      name: 'Rao, Anita',
+      email: ' Anita@Example.com ',
+      phone: '+91 98765-43210',
+      dateOfBirth: new Date('1985-04-12T00:00:00Z')
+    });
+
+    expect(result).toEqual({
+      score: 100,
+      signals: { name: 1, dateOfBirth: true, phone: true, email: true }
+    });
+  });
+
+  it('counts a close name by how close it is', () => {
+    const result = scoreCandidate(details, { name: 'Anita Roa', dateOfBirth: '1985-04-12' });
+
+    expect(result.signals.name).toBe(0.78);
+    // 40 * 0.78 for the name, 25 for the date of birth
+    expect(result.score).toBe(56);
+    expect(result.score).toBeGreaterThanOrEqual(DUPLICATE_THRESHOLD);
+  });
+
+  it('gives no name points below the similarity floor', () => {
+    const result = scoreCandidate(details, { name: 'Bob Smith', email: 'anita@example.com' });
+
+    expect(result.signals.name).toBeLessThan(0.6);
+    expect(result.score).toBe(15);
+  });
+
+  it('counts a different date of birth against the match', () => {
+    // A relative sharing the family email and phone is not a duplicate
+    const result = scoreCandidate(details, {
+      name: 'Anita Rao',
+      email: 'anita@example.com',
+      phone: '9876543210',
+      dateOfBirth: '2012-09-30'
+    });
+
+    expect(result.signals.dateOfBirth).toBe(false);
+    expect(result.score).toBe(40 - 20 + 20 + 15);
+  });
+
+  it('neither rewards nor penalises a date of birth only one side has', () => {
+    const result = scoreCandidate(details, { name: 'Anita Rao' });
+
+    expect(result.signals.dateOfBirth).toBeNull();
+    expect(result.score).toBe(40);
+  });
+
+  it('ignores phone numbers too short to compare', () => {
+    const result = scoreCandidate({ ...details, phone: '12345' }, { name: 'Bob Smith', phone: '12345' });
+
+    expect(result.signals.phone).toBe(false);
+  });
+
+  it('never goes below 0', () => {
+    const result = scoreCandidate(details, { name: 'Bob Smith', dateOfBirth: '2012-09-30' });
+
+    expect(result.score).toBe(0);
+  });
+});
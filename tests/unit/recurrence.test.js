@@ -0,0 +1,69 @@
+const { parseRecurrence, expandRecurrence, MAX_OCCURRENCES } = require('../../utils/recurrence');
+
+describe('parseRecurrence', () => {
+  it('parses an RRULE string', () => {
+    expect(parseRecurrence('RRULE:FREQ=WEEKLY;INTERVAL=2;BYDAY=MO,TH;COUNT=6')).toEqual({
+      frequency: 'WEEKLY',
+      interval: 2,
+      byDay: ['MO', 'TH'],
+      count: 6,
+      until: undefined
+    });
+  });
+
+  it('reads an UNTIL date in either format', () => {
+    expect(parseRecurrence('FREQ=DAILY;UNTIL=20300131').until).toBe('2030-01-31');
+    expect(parseRecurrence({ frequency: 'daily', until: '2030-01-31T00:00:00Z' }).until).toBe('2030-01-31');
+  });
+
+  it.each([
+    ['an unknown frequency', 'FREQ=YEARLY;COUNT=2', /frequency/],
+    ['a negative interval', { frequency: 'DAILY', interval: -1, count: 2 }, /interval/],
+    ['an unknown day', 'FREQ=WEEKLY;BYDAY=XX;COUNT=2', /days/],
+    ['neither count nor until', 'FREQ=DAILY', /count or an until/],
+    ['a fractional count', { frequency: 'DAILY', count: 1.5 }, /count/],
+    ['a bad until date', 'FREQ=DAILY;UNTIL=2030-13-45', /until/]
+  ])('rejects %s', (_, input, message) => {
+    expect(() => parseRecurrence(input)).toThrow(message);
+  });
+
+  it('rejects a count above the cap instead of shortening the series', () => {
+    expect(() => parseRecurrence({ frequency: 'DAILY', count: MAX_OCCURRENCES + 1 })).toThrow(/cannot be more than/);
+    expect(parseRecurrence({ frequency: 'DAILY', count: MAX_OCCURRENCES }).count).toBe(MAX_OCCURRENCES);
+  });
+});
+
+describe('expandRecurrence', () => {
+  const expand = (rule, start) => expandRecurrence(parseRecurrence(rule), start);
+
+  it('expands daily rules with an interval', () => {
+    expect(expand('FREQ=DAILY;INTERVAL=2;COUNT=3', '2030-01-07')).toEqual(['2030-01-07', '2030-01-09', '2030-01-11']);
+  });
+
+  it('expands weekly rules in date order across the given days', () => {
+    // 2030-01-09 is a Wednesday, so Monday of the first week is skipped
+    expect(expand('FREQ=WEEKLY;BYDAY=FR,MO;COUNT=4', '2030-01-09'))
+      .toEqual(['2030-01-11', '2030-01-14', '2030-01-18', '2030-01-21']);
+  });
+
+  it('uses the start date\'s weekday when no days are given', () => {
+    expect(expand('FREQ=WEEKLY;INTERVAL=2;COUNT=3', '2030-01-07')).toEqual(['2030-01-07', '2030-01-21', '2030-02-04']);
+  });
+
+  it('stops at the until date', () => {
+    expect(expand('FREQ=DAILY;UNTIL=20300109', '2030-01-07')).toEqual(['2030-01-07', '2030-01-08', '2030-01-09']);
+  });
+
+  it('skips months without the start day', () => {
+    expect(expand('FREQ=MONTHLY;COUNT=3', '2030-01-31')).toEqual(['2030-01-31', '2030-03-31', '2030-05-31']);
+  });
+
+  it('rejects an until date that would produce more occurrences than the cap', () => {
+    expect(() => expand('FREQ=DAILY;UNTIL=20301231', '2030-01-01')).toThrow(/more than 104/);
+    expect(expand(`FREQ=DAILY;UNTIL=20300414`, '2030-01-01')).toHaveLength(MAX_OCCURRENCES);
+  });
+
+  it('rejects a bad start date', () => {
+    expect(() => expand('FREQ=DAILY;COUNT=2', 'soon')).toThrow(/Start date/);
+  });
+});
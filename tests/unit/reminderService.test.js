@@ -0,0 +1,60 @@
+const { parseOffsets, renderTemplate, getDueReminder } = require('../../utils/reminderService');
+
+describe('parseOffsets', () => {
+  it('reads minutes, hours and days, largest first and without duplicates', () => {
+    expect(parseOffsets('30m, 2h,1d,2,120m')).toEqual([1440, 120, 30]);
+  });
+
+  it('ignores parts it cannot read', () => {
+    expect(parseOffsets('soon,0h,15m')).toEqual([15]);
+  });
+});
+
+describe('renderTemplate', () => {
+  const values = {
+    patientName: '<script>alert("x")</script>',
+    doctorName: "O'Neil & Sons",
+    time: '10:00'
+  };
+
+  it('escapes values in an HTML body', () => {
+    expect(renderTemplate('<p>{{patientName}} with Dr. {{ doctorName }}</p>', values, { html: true }))
+      .toBe('<p>&lt;script&gt;alert(&quot;x&quot;)&lt;/script&gt; with Dr. O&#39;Neil &amp; Sons</p>');
+  });
+
+  it('leaves plain-text values such as the subject alone', () => {
+    expect(renderTemplate('{{doctorName}} at {{time}}', values)).toBe("O'Neil & Sons at 10:00");
+  });
+
+  it('renders unknown and empty placeholders as nothing', () => {
+    expect(renderTemplate('[{{missing}}]', { missing: null }, { html: true })).toBe('[]');
+  });
+});
+
+describe('getDueReminder', () => {
+  const OFFSETS = [1440, 120];
+  const appointment = (remindersSent = []) => ({ date: '2030-01-07', time: '10:00', remindersSent });
+  const at = (value) => new Date(value);
+
+  it('sends nothing before the first window opens', () => {
+    expect(getDueReminder(appointment(), OFFSETS, at('2030-01-06T09:59:00'))).toBeNull();
+  });
+
+  it('sends the day-before reminder once its window opens', () => {
+    expect(getDueReminder(appointment(), OFFSETS, at('2030-01-06T10:00:00'))).toEqual({ offset: 1440, covered: [1440] });
+  });
+
+  it('does not send a reminder that was already sent', () => {
+    const sent = appointment([{ offset: 1440 }]);
+    expect(getDueReminder(sent, OFFSETS, at('2030-01-06T12:00:00'))).toBeNull();
+    expect(getDueReminder(sent, OFFSETS, at('2030-01-07T08:00:00'))).toEqual({ offset: 120, covered: [120] });
+  });
+
+  it('sends only the closest reminder when several windows have passed', () => {
+    expect(getDueReminder(appointment(), OFFSETS, at('2030-01-07T09:00:00'))).toEqual({ offset: 120, covered: [1440, 120] });
+  });
+
+  it('sends nothing once the appointment has started', () => {
+    expect(getDueReminder(appointment(), OFFSETS, at('2030-01-07T10:00:00'))).toBeNull();
+  });
+});
@@ -0,0 +1,140 @@
+const {
+  DEFAULT_SLOT_DURATION,
+  getAppointmentDuration,
+  generateDaySlots,
+  isWithinSchedule,
+  parseLegacyHours,
+  buildLegacyTemplate,
+  findBlockingBlackout
+} = require('../../utils/scheduleService');
+
+const MONDAY = '2030-01-07';
+const SUNDAY = '2030-01-06';
+
+// Mondays only: a morning with a coffee break, and a short afternoon
+const template = {
+  slotDuration: 30,
+  typeDurations: [
+    { appointmentType: 'procedure', duration: 90 },
+    { appointmentType: 'follow-up', duration: 15 }
+  ],
+  weeklyTemplate: [{
+    day: 'Monday',
+    sessions: [{ start: '09:00', end: '12:00' }, { start: '14:00', end: '15:00' }],
+    breaks: [{ start: '10:15', end: '10:45' }]
+  }]
+};
+
+describe('getAppointmentDuration', () => {
+  it('uses the duration set for the type', () => {
+    expect(getAppointmentDuration(template, 'procedure')).toBe(90);
+  });
+
+  it('falls back to the slot length, then the default', () => {
+    expect(getAppointmentDuration(template, 'consultation')).toBe(30);
+    expect(getAppointmentDuration(template)).toBe(30);
+    expect(getAppointmentDuration({}, 'consultation')).toBe(DEFAULT_SLOT_DURATION);
+  });
+});
+
+describe('generateDaySlots', () => {
+  it('has no slots on a day off', () => {
+    expect(generateDaySlots(template, SUNDAY)).toEqual([]);
+  });
+
+  it('has no slots for a date that is not a date', () => {
+    expect(generateDaySlots(template, 'someday')).toEqual([]);
+  });
+
+  it('steps through each session and skips slots crossing a break', () => {
+    // 10:00-10:30 and 10:30-11:00 both run into the 10:15 break
+    expect(generateDaySlots(template, MONDAY)).toEqual([
+      '09:00', '09:30', '11:00', '11:30', '14:00', '14:30'
+    ]);
+  });
+
+  it('keeps a shorter appointment that ends as the break starts', () => {
+    expect(generateDaySlots(template, MONDAY, 'follow-up')).toContain('10:00');
+    expect(generateDaySlots(template, MONDAY, 'follow-up')).not.toContain('10:30');
+  });
+
+  it('drops starts where the appointment would outrun the session', () => {
+    const afternoon = { ...template, weeklyTemplate: [{ day: 'Monday', sessions: [{ start: '14:00', end: '16:00' }] }] };
+
+    // 15:00 leaves 60 minutes, too few for a 90 minute procedure
+    expect(generateDaySlots(afternoon, MONDAY, 'procedure')).toEqual(['14:00', '14:30']);
+    // The morning has no 90 minute run clear of the break, the afternoon is an hour long
+    expect(generateDaySlots(template, MONDAY, 'procedure')).toEqual([]);
+  });
+
+  it('lists each start once, in order, when sessions overlap', () => {
+    const overlapping = {
+      weeklyTemplate: [{
+        day: 'Monday',
+        sessions: [{ start: '10:00', end: '11:00' }, { start: '09:00', end: '10:30' }]
+      }]
+    };
+
+    expect(generateDaySlots(overlapping, MONDAY)).toEqual(['09:00', '09:30', '10:00', '10:30']);
+  });
+});
+
+describe('isWithinSchedule', () => {
+  it('accepts a slot start in the template', () => {
+    expect(isWithinSchedule(template, MONDAY, '11:30')).toBe(true);
+  });
+
+  it('rejects times off the slot grid, in a break or on a day off', () => {
+    expect(isWithinSchedule(template, MONDAY, '09:15')).toBe(false);
+    expect(isWithinSchedule(template, MONDAY, '10:30')).toBe(false);
+    expect(isWithinSchedule(template, SUNDAY, '09:00')).toBe(false);
+  });
+
+  it('sizes the check by the appointment type', () => {
+    expect(isWithinSchedule(template, MONDAY, '14:00')).toBe(true);
+    expect(isWithinSchedule(template, MONDAY, '14:00', 'procedure')).toBe(false);
+  });
+});
+
+describe('parseLegacyHours', () => {
+  it('reads 12-hour times', () => {
+    expect(parseLegacyHours('09:00 AM - 05:00 PM')).toEqual({ start: '09:00', end: '17:00' });
+    expect(parseLegacyHours('12:00 AM - 12:30 PM')).toEqual({ start: '00:00', end: '12:30' });
+  });
+
+  it('reads 24-hour times', () => {
+    expect(parseLegacyHours('08:30-13:00')).toEqual({ start: '08:30', end: '13:00' });
+  });
+
+  it('rejects text it cannot read and hours that run backwards', () => {
+    expect(parseLegacyHours('mornings')).toBeNull();
+    expect(parseLegacyHours('05:00 PM - 09:00 AM')).toBeNull();
+  });
+});
+
+describe('buildLegacyTemplate', () => {
+  it('defaults to weekdays, nine to five', () => {
+    const legacy = buildLegacyTemplate({ _id: 'doctor-1' });
+
+    expect(legacy.weeklyTemplate.map(item => item.day)).toEqual(['Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday']);
+    expect(legacy.weeklyTemplate[0].sessions).toEqual([{ start: '09:00', end: '17:00' }]);
+    expect(generateDaySlots(legacy, SUNDAY)).toEqual([]);
+  });
+});
+
+describe('findBlockingBlackout', () => {
+  const leave = { startTime: '10:00', endTime: '11:00' };
+
+  it('blocks a window that overlaps the blackout', () => {
+    expect(findBlockingBlackout([leave], '09:30', 45)).toBe(leave);
+  });
+
+  it('lets a window end as the blackout starts', () => {
+    expect(findBlockingBlackout([leave], '09:30', 30)).toBeUndefined();
+  });
+
+  it('treats a blackout without times as the whole day', () => {
+    const holiday = {};
+    expect(findBlockingBlackout([holiday], '18:00', 15)).toBe(holiday);
+  });
+});
@@ -0,0 +1,82 @@
+const {
+  base32Encode,
+  base32Decode,
+  generateSecret,
+  getTimeStep,
+  generateCode,
+  verifyCode,
+  buildOtpauthUri
+} = require('../../utils/totp');
+
+// The SHA-1 seed from RFC 6238 appendix B, "12345678901234567890", in base32
+const RFC_SECRET = 'GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ';
+
+// RFC 6238 appendix B SHA-1 test vectors. The RFC lists 8-digit codes; a
+// 6-digit code is the same value mod 10^6, i.e. its last six digits.
+const RFC_VECTORS = [
+  [59, '94287082'],
+  [1111111109, '07081804'],
+  [1111111111, '14050471'],
+  [1234567890, '89005924'],
+  [2000000000, '69279037'],
+  [20000000000, '65353130']
+];
+
+describe('base32', () => {
+  it('encodes the RFC seed', () => {
+    expect(base32Encode(Buffer.from('12345678901234567890'))).toBe(RFC_SECRET);
+  });
+
+  it('decodes ignoring case, spaces and padding', () => {
+    expect(base32Decode('gezd gnbv gy3t qojq gezd gnbv gy3t qojq====').toString()).toBe('12345678901234567890');
+  });
+
+  it('rejects characters outside the alphabet', () => {
+    expect(() => base32Decode('GEZ1')).toThrow('Invalid base32 character');
+  });
+
+  it('round-trips a generated secret', () => {
+    const secret = generateSecret();
+    expect(secret).toMatch(/^[A-Z2-7]{32}$/);
+    expect(base32Encode(base32Decode(secret))).toBe(secret);
+  });
+});
+
+describe('generateCode', () => {
+  it.each(RFC_VECTORS)('matches the RFC 6238 code at %i seconds', (seconds, rfcCode) => {
+    expect(generateCode(RFC_SECRET, getTimeStep(seconds * 1000))).toBe(rfcCode.slice(-6));
+  });
+});
+
+describe('verifyCode', () => {
+  const time = 1111111111 * 1000;
+  const step = getTimeStep(time);
+
+  it('accepts the current code and returns its step', () => {
+    expect(verifyCode(RFC_SECRET, '050471', { time })).toBe(step);
+  });
+
+  it('accepts codes one step either side for clock drift', () => {
+    expect(verifyCode(RFC_SECRET, generateCode(RFC_SECRET, step - 1), { time })).toBe(step - 1);
+    expect(verifyCode(RFC_SECRET, generateCode(RFC_SECRET, step + 1), { time })).toBe(step + 1);
+  });
+
+  it('rejects codes outside the window', () => {
+    expect(verifyCode(RFC_SECRET, generateCode(RFC_SECRET, step - 2), { time })).toBeNull();
+    expect(verifyCode(RFC_SECRET, generateCode(RFC_SECRET, step - 1), { time, window: 0 })).toBeNull();
+  });
+
+  it('ignores spaces and rejects malformed codes', () => {
+    expect(verifyCode(RFC_SECRET, '050 471', { time })).toBe(step);
+    expect(verifyCode(RFC_SECRET, '14050471', { time })).toBeNull();
+    expect(verifyCode(RFC_SECRET, '05047a', { time })).toBeNull();
+    expect(verifyCode(RFC_SECRET, undefined, { time })).toBeNull();
+  });
+});
+
+describe('buildOtpauthUri', () => {
+  it('builds the URI authenticator apps scan', () => {
+    expect(buildOtpauthUri({ secret: RFC_SECRET, accountName: 'ann@example.com', issuer: 'MediCare' }))
+      .toBe(`otpauth://totp/MediCare%3Aann%40example.com?secret=${RFC_SECRET}&issuer=MediCare&algorithm=SHA1&digits=6&period=30`);
+  });
+});
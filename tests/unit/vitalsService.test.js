@@ -0,0 +1,115 @@
+const { convertMeasure, calculateBmi, parseVitals, flagVitals } = require('../../utils/vitalsService');
+
+describe('convertMeasure', () => {
+  it('keeps values already in the stored unit', () => {
+    expect(convertMeasure('pulse', 72)).toBe(72);
+    expect(convertMeasure('pulse', '72')).toBe(72);
+    expect(convertMeasure('temperature', { value: 37.2, unit: 'C' })).toBe(37.2);
+  });
+
+  it('converts other accepted units, to one decimal place', () => {
+    expect(convertMeasure('temperature', { value: 98.6, unit: 'F' })).toBe(37);
+    expect(convertMeasure('weight', { value: 154, unit: 'lb' })).toBe(69.9);
+    expect(convertMeasure('height', { value: 70, unit: 'in' })).toBe(177.8);
+    expect(convertMeasure('height', { value: 1.75, unit: 'm' })).toBe(175);
+    expect(convertMeasure('bloodGlucose', { value: 5.5, unit: 'mmol/L' })).toBe(99.1);
+  });
+
+  it('rejects units the measure does not accept', () => {
+    expect(() => convertMeasure('pulse', { value: 72, unit: 'Hz' })).toThrow('Pulse must be in bpm');
+    expect(() => convertMeasure('weight', { value: 70, unit: 'st' })).toThrow('Weight must be in kg or lb');
+  });
+
+  it('rejects values that are not numbers', () => {
+    expect(() => convertMeasure('pulse', 'fast')).toThrow('Pulse must be a number');
+    expect(() => convertMeasure('pulse', '')).toThrow('Pulse must be a number');
+    expect(() => convertMeasure('pulse', { value: null })).toThrow('Pulse must be a number');
+  });
+
+  describe('limits', () => {
+    it('accepts values on the limits', () => {
+      expect(convertMeasure('spo2', 100)).toBe(100);
+      expect(convertMeasure('spo2', 50)).toBe(50);
+    });
+
+    it('rejects values no patient could have', () => {
+      expect(() => convertMeasure('spo2', 101)).toThrow('SpO2 of 101 % is outside the possible range');
+      expect(() => convertMeasure('pulse', 10)).toThrow('outside the possible range');
+    });
+
+    it('catches a value sent in the wrong unit', () => {
+      // Fahrenheit sent without saying so
+      expect(() => convertMeasure('temperature', 98.6)).toThrow('Temperature of 98.6 C is outside the possible range');
+    });
+
+    it('checks the limits after converting', () => {
+      expect(() => convertMeasure('weight', { value: 1200, unit: 'lb' })).toThrow('Weight of 1200 lb is outside the possible range');
+    });
+
+    it('carries a 400 status', () => {
+      expect.assertions(1);
+      try {
+        convertMeasure('spo2', 101);
+      } catch (error) {
+        expect(error.statusCode).toBe(400);
+      }
+    });
+  });
+});
+
+describe('calculateBmi', () => {
+  it('works from kg and cm', () => {
+    expect(calculateBmi(70, 175)).toBe(22.9);
+  });
+});
+
+describe('parseVitals', () => {
+  it('reads a blood pressure written as one value', () => {
+    expect(parseVitals({ bloodPressure: ' 120 / 80 ' }).vitals).toEqual({ systolic: 120, diastolic: 80 });
+  });
+
+  it('skips blank measures and defaults the glucose timing', () => {
+    expect(parseVitals({ pulse: 72, spo2: '', weight: null })).toEqual({
+      vitals: { pulse: 72 },
+      glucoseTiming: 'random'
+    });
+  });
+
+  it('rejects a malformed blood pressure', () => {
+    expect(() => parseVitals({ bloodPressure: '120-80' })).toThrow('Blood pressure must look like 120/80');
+  });
+
+  it('needs both halves of a blood pressure, the right way round', () => {
+    expect(() => parseVitals({ systolic: 120 })).toThrow('Blood pressure needs both systolic and diastolic values');
+    expect(() => parseVitals({ systolic: 80, diastolic: 120 })).toThrow('Diastolic pressure must be lower than systolic');
+  });
+
+  it('needs at least one vital sign', () => {
+    expect(() => parseVitals({ notes: 'Seen' })).toThrow('Record at least one vital sign');
+  });
+
+  it('rejects an unknown glucose timing', () => {
+    expect(() => parseVitals({ bloodGlucose: 100, glucoseTiming: 'bedtime' })).toThrow('Glucose timing must be one of');
+  });
+});
+
+describe('flagVitals', () => {
+  it('flags values outside the normal range, with the range itself normal', () => {
+    expect(flagVitals({ pulse: 59, spo2: 95, systolic: 139, diastolic: 90 })).toEqual({
+      pulse: 'low',
+      spo2: 'normal',
+      systolic: 'normal',
+      diastolic: 'high'
+    });
+  });
+
+  it('does not flag measures without a normal range', () => {
+    expect(flagVitals({ weight: 150, height: 150 })).toEqual({});
+  });
+
+  it('judges blood glucose by when it was taken', () => {
+    expect(flagVitals({ bloodGlucose: 120 }, 'fasting')).toEqual({ bloodGlucose: 'high' });
+    expect(flagVitals({ bloodGlucose: 120 }, 'post_meal')).toEqual({ bloodGlucose: 'normal' });
+    expect(flagVitals({ bloodGlucose: 120 })).toEqual({ bloodGlucose: 'normal' });
+  });
+});
@@ -45,6 +45,22 @@ class ActivityService {
         }
     }
 
+    // Staff and doctor sign-ins appear on the hospital dashboards
+    static async logLogin(user, metadata = {}) {
+        if (user.role !== 'staff' && user.role !== 'doctor') return null;
+
+        return ActivityService.logActivity({
+            user: user._id,
+            hospitalId: user.hospital,
+            actorId: user._id,
+            action: `${user.role}_login`,
+            subject: 'user',
+            subjectId: user._id,
+            description: `${user.role === 'staff' ? 'Staff' : 'Doctor'} logged in: ${user.name}`,
+            metadata
+        });
+    }
+
     static async getActivitiesByUser(userId, limit = 20) {
         return Activity.find({ user: userId })
             .sort({ createdAt: -1 })
@@ -0,0 +1,21 @@
+/**
+ * Builds the filter for a doctor's appointments
+ * @param {string} doctorId - Doctor ID (not the doctor's user ID)
+ * @param {Object} [range]
+ * @param {string} [range.startDate] - Earliest date in YYYY-MM-DD format
+ * @param {string} [range.endDate] - Latest date in YYYY-MM-DD format
+ * @returns {Object} Mongo filter for Appointment
+ */
+const buildDoctorAppointmentsQuery = (doctorId, { startDate, endDate } = {}) => {
+  const query = { doctorId };
+
+  if (startDate || endDate) {
+    query.date = {};
+    if (startDate) query.date.$gte = startDate;
+    if (endDate) query.date.$lte = endDate;
+  }
+
+  return query;
+};
+
+module.exports = { buildDoctorAppointmentsQuery };
@@ -0,0 +1,170 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const AuditLog = require('../models/AuditLog');
+
+// previousHash of the first entry in the chain
+const GENESIS_HASH = '0'.repeat(64);
+
+// Everything that goes into an entry's hash, in a fixed order
+const HASHED_FIELDS = [
+  'sequence',
+  'timestamp',
+  'actorId',
+  'actorName',
+  'actorEmail',
+  'actorRole',
+  'hospitalId',
+  'patientId',
+  'resource',
+  'resourceId',
+  'action',
+  'fields',
+  'ipAddress',
+  'userAgent',
+  'method',
+  'path',
+  'previousHash'
+];
+
+const normalize = (value) => {
+  if (value === undefined || value === null) return null;
+  if (value instanceof Date) return value.toISOString();
+  if (value instanceof mongoose.Types.ObjectId) return value.toString();
+  if (Array.isArray(value)) return value.map(normalize);
+  return value;
+};
+
+/**
+ * Hashes an entry together with the hash of the entry before it
+ * @param {Object} entry - Audit entry, with previousHash set
+ * @returns {string} Hex SHA-256
+ */
+const computeEntryHash = (entry) => {
+  const canonical = JSON.stringify(HASHED_FIELDS.map(field => [field, normalize(entry[field])]));
+  return crypto.createHash('sha256').update(canonical).digest('hex');
+};
+
+/**
+ * Lists the paths a document is about to save, for recording what an update changed
+ * @param {Object} doc - Mongoose document before save
+ * @returns {Array<string>} Changed paths, e.g. ['phone', 'emergencyContact']
+ */
+const getChangedFields = (doc) => doc.directModifiedPaths().filter(path => path !== 'updatedAt');
+
+// Reads and exports fail when they can't be recorded, so health information
+// is never served without a trail. Writes have already happened by then.
+const REQUIRED_ACTIONS = ['read', 'export'];
+
+const auditError = (message) => {
+  const error = new Error(message);
+  error.statusCode = 503;
+  return error;
+};
+
+/**
+ * Appends an entry to the audit log. The entry takes the sequence number
+ * after the last one written and links to its hash; the unique index on
+ * sequence makes the insert itself the claim. A writer that loses to a
+ * concurrent one gets a duplicate key error and chains onto the new last
+ * entry, and an insert that fails or never happens leaves no gap.
+ *
+ * Failures are logged. For reads and exports they also throw, with a 503
+ * statusCode, so the record isn't served; other actions carry on.
+ * @param {Object} req - Express request; the actor, IP and user agent come from it
+ * @param {Object} params
+ * @param {string} params.resource - 'patient', 'report', 'appointment', 'vitals', 'audit' or 'tenant'
+ *   (an admin reaching into hospital data)
+ * @param {string} params.action - 'read', 'create', 'update', 'delete' or 'export'
+ * @param {string} [params.resourceId] - Record that was accessed
+ * @param {string} [params.patientId] - Patient whose information it holds
+ * @param {string} [params.hospitalId] - Hospital the record belongs to
+ * @param {Array<string>} [params.fields] - Fields written, for updates; models touched, for tenant access
+ * @returns {Promise<Object|null>} The entry, or null if a write could not be recorded
+ */
+const recordAudit = async (req, { resource, action, resourceId, patientId, hospitalId, fields = [] }) => {
+  const entry = {
+    actorId: req.user?._id,
+    actorName: req.user?.name,
+    actorEmail: req.user?.email,
+    actorRole: req.user?.role || 'public',
+    hospitalId: hospitalId?._id || hospitalId,
+    patientId: patientId?._id || patientId,
+    resource,
+    resourceId: resourceId?._id || resourceId,
+    action,
+    fields,
+    ipAddress: req.ip,
+    userAgent: req.get ? req.get('user-agent') : undefined,
+    method: req.method,
+    path: req.originalUrl
+  };
+
+  try {
+    for (;;) {
+      const last = await AuditLog.findOne().sort({ sequence: -1 }).select('sequence hash').lean();
+      const record = new AuditLog({
+        ...entry,
+        sequence: last ? last.sequence + 1 : 1,
+        timestamp: new Date(),
+        previousHash: last ? last.hash : GENESIS_HASH
+      });
+      record.hash = computeEntryHash(record);
+
+      try {
+        return await record.save();
+      } catch (error) {
+        // Another writer took this sequence number; chain onto theirs
+        if (error.code !== 11000) throw error;
+      }
+    }
+  } catch (error) {
+    console.error(`AUDIT FAILURE: could not record ${action} of ${resource} ${entry.resourceId || ''} by ${entry.actorId || 'public'}:`, error);
+    if (REQUIRED_ACTIONS.includes(action)) {
+      throw auditError('Access could not be recorded; please try again');
+    }
+    return null;
+  }
+};
+
+/**
+ * Walks the chain from the first entry, recomputing every hash
+ * @returns {Promise<Object>} { valid, checked, brokenAt? } - brokenAt names the
+ *   first entry that doesn't match and why
+ */
+const verifyAuditChain = async () => {
+  let previous = null;
+  let checked = 0;
+
+  const cursor = AuditLog.find().sort({ sequence: 1 }).lean().cursor();
+  for await (const entry of cursor) {
+    const expectedSequence = previous ? previous.sequence + 1 : 1;
+    const expectedPreviousHash = previous ? previous.hash : GENESIS_HASH;
+    let reason = null;
+
+    if (entry.sequence !== expectedSequence) {
+      reason = `Expected entry ${expectedSequence}; entries are missing`;
+    } else if (entry.previousHash !== expectedPreviousHash) {
+      reason = 'Does not link to the entry before it';
+    } else if (computeEntryHash(entry) !== entry.hash) {
+      reason = 'Contents do not match the stored hash';
+    }
+
+    if (reason) {
+      await cursor.close();
+      return { valid: false, checked, brokenAt: { sequence: entry.sequence, _id: entry._id, reason } };
+    }
+
+    previous = entry;
+    checked += 1;
+  }
+
+  return { valid: true, checked };
+};
+
+module.exports = {
+  GENESIS_HASH,
+  computeEntryHash,
+  getChangedFields,
+  recordAudit,
+  verifyAuditChain
+};
@@ -0,0 +1,73 @@
+const {
+  getDoctorTemplate,
+  isWithinSchedule,
+  getSlotsForDate,
+  getBlackoutsForDate,
+  findBlockingBlackout,
+  getAppointmentDuration,
+  findNearestFreeSlots
+} = require('./scheduleService');
+const { reserveSlot } = require('./slotReservationService');
+
+/**
+ * Checks a requested slot against the doctor's schedule, leave, holidays and
+ * existing bookings, then reserves it for the appointment about to be created
+ * @param {Object} params
+ * @param {Object} params.doctor - Doctor document
+ * @param {string} params.date - Date in YYYY-MM-DD format
+ * @param {string} params.time - Time in HH:mm format
+ * @param {string} params.type - Appointment type
+ * @param {string} params.appointmentId - ID the new appointment will use
+ * @returns {Promise<Object>} { template } when reserved, otherwise
+ *   { status, message, nearestSlots? } describing why the slot can't be booked
+ */
+const checkAndReserveSlot = async ({ doctor, date, time, type, appointmentId }) => {
+  const template = await getDoctorTemplate(doctor);
+
+  if (!isWithinSchedule(template, date, time, type)) {
+    return { status: 400, message: 'Selected time is outside the doctor\'s schedule' };
+  }
+
+  // Reject bookings that fall on the doctor's leave or a hospital holiday
+  const blackouts = await getBlackoutsForDate(doctor, date);
+  const blockingBlackout = findBlockingBlackout(blackouts, time, getAppointmentDuration(template, type));
+  if (blockingBlackout) {
+    return {
+      status: 400,
+      message: `Doctor is unavailable at this time${blockingBlackout.reason ? `: ${blockingBlackout.reason}` : ''}`
+    };
+  }
+
+  const slotTaken = async () => ({
+    status: 409,
+    message: 'This time slot is already booked',
+    nearestSlots: await findNearestFreeSlots(doctor, date, time, { type, template })
+  });
+
+  // Check if slot is available, accounting for longer appointment types
+  const { availableSlots } = await getSlotsForDate(doctor, date, { type, template });
+  if (!availableSlots.includes(time)) {
+    return slotTaken();
+  }
+
+  // The unique index on SlotReservation makes the loser of two concurrent
+  // bookings fail here
+  const reserved = await reserveSlot({
+    doctorId: doctor._id,
+    date,
+    time,
+    duration: getAppointmentDuration(template, type),
+    slotDuration: template.slotDuration,
+    appointmentId
+  });
+
+  if (!reserved) {
+    return slotTaken();
+  }
+
+  return { template };
+};
+
+module.exports = {
+  checkAndReserveSlot
+};
@@ -0,0 +1,177 @@
+const { parse, addMinutes, format } = require('date-fns');
+const Appointment = require('../models/Appointment');
+const { getDoctorTemplate, getAppointmentDuration } = require('./scheduleService');
+
+const PRODUCT_ID = '-//MediCare//Appointments//EN';
+const UID_DOMAIN = process.env.CALENDAR_UID_DOMAIN || 'medicare.local';
+
+// Populate spec that gives events everything they need
+const EVENT_POPULATE = [
+  {
+    path: 'doctorId',
+    select: 'userId specialization availability',
+    populate: {
+      path: 'userId',
+      select: 'name'
+    }
+  },
+  { path: 'patientId', select: 'name' },
+  { path: 'hospitalId', select: 'name address' }
+];
+
+const escapeText = (value) => String(value || '')
+  .replace(/\\/g, '\\\\')
+  .replace(/;/g, '\\;')
+  .replace(/,/g, '\\,')
+  .replace(/\r?\n/g, '\\n');
+
+// Lines longer than 75 octets are folded onto continuation lines (RFC 5545 3.1)
+const foldLine = (line) => {
+  const bytes = Buffer.from(line, 'utf8');
+  if (bytes.length <= 75) return line;
+
+  const parts = [];
+  let current = '';
+  for (const char of line) {
+    const limit = parts.length ? 74 : 75;
+    if (Buffer.byteLength(current + char, 'utf8') > limit) {
+      parts.push(current);
+      current = '';
+    }
+    current += char;
+  }
+  parts.push(current);
+  return parts.join('\r\n ');
+};
+
+// Appointment times carry no zone, so they are written as floating local times
+const formatLocal = (date) => format(date, "yyyyMMdd'T'HHmmss");
+
+const formatUtc = (date) => new Date(date).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+
+/**
+ * Stable event UID, so a rescheduled appointment updates the existing event
+ * @param {Object} appointment - Appointment document
+ * @returns {string} UID
+ */
+const getEventUid = (appointment) => `appointment-${appointment._id}@${UID_DOMAIN}`;
+
+/**
+ * Builds the VEVENT lines for an appointment
+ * @param {Object} appointment - Appointment with doctor, patient and hospital populated
+ * @param {Object} options
+ * @param {number} options.duration - Length in minutes
+ * @param {string} options.audience - 'doctor' shows the patient's name, 'patient' the doctor's
+ * @returns {string[]} Unfolded content lines
+ */
+const buildEventLines = (appointment, { duration, audience }) => {
+  const start = parse(`${appointment.date} ${appointment.time}`, 'yyyy-MM-dd HH:mm', new Date());
+  const end = addMinutes(start, duration);
+  const hospital = appointment.hospitalId || {};
+  const doctorName = appointment.doctorId?.userId?.name;
+  const patientName = appointment.patientId?.name;
+  const type = appointment.type ? appointment.type.charAt(0).toUpperCase() + appointment.type.slice(1) : 'Appointment';
+
+  const summary = audience === 'doctor'
+    ? `${type}: ${patientName || 'Patient'}`
+    : `${type} with Dr. ${doctorName || 'your doctor'}`;
+
+  const description = [
+    audience === 'doctor' ? `Patient: ${patientName || 'N/A'}` : `Doctor: Dr. ${doctorName || 'N/A'}`,
+    `Status: ${appointment.status}`,
+    appointment.notes ? `Notes: ${appointment.notes}` : null
+  ].filter(Boolean).join('\n');
+
+  const location = [hospital.name, hospital.address].filter(Boolean).join(', ');
+
+  const status = appointment.status === 'cancelled'
+    ? 'CANCELLED'
+    : appointment.status === 'pending' ? 'TENTATIVE' : 'CONFIRMED';
+
+  return [
+    'BEGIN:VEVENT',
+    `UID:${getEventUid(appointment)}`,
+    // Bumped on every reschedule and on cancellation so clients replace the old copy
+    `SEQUENCE:${(appointment.rescheduleHistory || []).length + (appointment.status === 'cancelled' ? 1 : 0)}`,
+    `DTSTAMP:${formatUtc(appointment.updatedAt || new Date())}`,
+    `LAST-MODIFIED:${formatUtc(appointment.updatedAt || new Date())}`,
+    `DTSTART:${formatLocal(start)}`,
+    `DTEND:${formatLocal(end)}`,
+    `SUMMARY:${escapeText(summary)}`,
+    `DESCRIPTION:${escapeText(description)}`,
+    location ? `LOCATION:${escapeText(location)}` : null,
+    `STATUS:${status}`,
+    'END:VEVENT'
+  ].filter(Boolean);
+};
+
+/**
+ * Wraps events in a VCALENDAR
+ * @param {string[][]} events - Event line arrays from buildEventLines
+ * @param {Object} [options]
+ * @param {string} [options.name] - Calendar name shown by clients
+ * @param {string} [options.method] - iTIP method, e.g. 'PUBLISH'
+ * @returns {string} iCalendar text
+ */
+const buildCalendar = (events, { name, method = 'PUBLISH' } = {}) => {
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    `PRODID:${PRODUCT_ID}`,
+    'CALSCALE:GREGORIAN',
+    `METHOD:${method}`,
+    name ? `X-WR-CALNAME:${escapeText(name)}` : null,
+    ...events.flat(),
+    'END:VCALENDAR'
+  ].filter(Boolean);
+
+  return lines.map(foldLine).join('\r\n') + '\r\n';
+};
+
+/**
+ * Builds a feed for a set of appointments, sizing each event from its doctor's schedule
+ * @param {Object[]} appointments - Appointments with EVENT_POPULATE applied
+ * @param {Object} options
+ * @param {string} options.name - Calendar name
+ * @param {string} options.audience - 'doctor' or 'patient'
+ * @returns {Promise<string>} iCalendar text
+ */
+const buildFeed = async (appointments, { name, audience }) => {
+  const templates = new Map();
+  const events = [];
+
+  for (const appointment of appointments) {
+    if (!appointment.date || !appointment.time || !appointment.doctorId?._id) continue;
+
+    const key = String(appointment.doctorId._id);
+    if (!templates.has(key)) {
+      templates.set(key, await getDoctorTemplate(appointment.doctorId));
+    }
+
+    events.push(buildEventLines(appointment, {
+      duration: getAppointmentDuration(templates.get(key), appointment.type),
+      audience
+    }));
+  }
+
+  return buildCalendar(events, { name });
+};
+
+/**
+ * Builds a single-event calendar for attaching to a patient email
+ * @param {Object} appointment - Appointment document, populated or not
+ * @returns {Promise<string>} iCalendar text
+ */
+const buildAppointmentInvite = async (appointment) => {
+  const populated = await Appointment.findById(appointment._id).populate(EVENT_POPULATE);
+  return buildFeed([populated || appointment], { audience: 'patient' });
+};
+
+module.exports = {
+  EVENT_POPULATE,
+  getEventUid,
+  buildEventLines,
+  buildCalendar,
+  buildFeed,
+  buildAppointmentInvite
+};
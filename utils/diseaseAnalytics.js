@@ -0,0 +1,155 @@
+const { findCode, mapFreeText } = require('./icd10Service');
+
+// How disease analytics can be grouped
+const ANALYTICS_GROUPINGS = ['code', 'chapter'];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Works out which group an appointment's diagnosis belongs to. The stored
+ * code wins; older appointments without one are mapped from their free text,
+ * and whatever can't be mapped is grouped by its text, ignoring case.
+ * @param {Object} appointment - With disease and diseaseCode
+ * @param {string} [groupBy] - 'code' or 'chapter'
+ * @returns {Object} { key, name, code, chapter }
+ */
+const classifyDiagnosis = (appointment, groupBy = 'code') => {
+  const coded = (appointment.diseaseCode && findCode(appointment.diseaseCode)) || mapFreeText(appointment.disease);
+
+  if (!coded) {
+    const name = String(appointment.disease || '').trim();
+    return { key: `uncoded:${name.toLowerCase()}`, name, code: null, chapter: null };
+  }
+
+  if (groupBy === 'chapter' && coded.chapter) {
+    return { key: `chapter:${coded.chapter.number}`, name: coded.chapter.title, code: null, chapter: coded.chapter };
+  }
+
+  return { key: coded.code, name: coded.title, code: coded.code, chapter: coded.chapter };
+};
+
+/**
+ * Treatment success rates of completed appointments, grouped by diagnosis
+ * code or chapter
+ * @param {Array<Object>} appointments - Completed appointments, patientId populated with name
+ * @param {Object} [options]
+ * @param {string} [options.groupBy] - 'code' (default) or 'chapter'
+ * @param {boolean} [options.includeRecentPatients] - Add up to three patient names per group
+ * @returns {Array<Object>} [{ _id, disease, code, chapter, recordedAs, totalPatients, successfulTreatments,
+ *   successRate, averageTreatmentDuration, trend, recentPatients? }]
+ */
+const buildSuccessRates = (appointments, { groupBy = 'code', includeRecentPatients = false } = {}) => {
+  const groups = new Map();
+
+  appointments.forEach(appointment => {
+    const { key, name, code, chapter } = classifyDiagnosis(appointment, groupBy);
+    const isSuccessful = appointment.treatmentOutcome === 'successful';
+
+    if (!groups.has(key)) {
+      groups.set(key, {
+        key,
+        disease: name,
+        code,
+        chapter,
+        recordedAs: new Set(),
+        totalPatients: 0,
+        successfulTreatments: 0,
+        treatmentDurations: [],
+        periodData: new Map(), // For tracking trends over time
+        recentPatients: []
+      });
+    }
+
+    const group = groups.get(key);
+    group.totalPatients++;
+    if (isSuccessful) {
+      group.successfulTreatments++;
+    }
+    // The spellings that were folded into this group
+    if (appointment.disease) {
+      group.recordedAs.add(appointment.disease);
+    }
+
+    if (includeRecentPatients && appointment.patientId?.name && group.recentPatients.length < 3) {
+      group.recentPatients.push({ name: appointment.patientId.name });
+    }
+
+    if (appointment.treatmentEndDate && appointment.createdAt) {
+      const durationDays = Math.ceil((new Date(appointment.treatmentEndDate) - new Date(appointment.createdAt)) / DAY_MS);
+      group.treatmentDurations.push(durationDays);
+    }
+
+    // Track data by period (month and year) for trends
+    const appointmentDate = new Date(appointment.createdAt);
+    const period = `${appointmentDate.getFullYear()}-${appointmentDate.getMonth() + 1}`;
+    if (!group.periodData.has(period)) {
+      group.periodData.set(period, { successful: 0, total: 0 });
+    }
+    const periodData = group.periodData.get(period);
+    periodData.total++;
+    if (isSuccessful) {
+      periodData.successful++;
+    }
+  });
+
+  return [...groups.values()]
+    .map(group => {
+      const successRate = group.totalPatients > 0
+        ? (group.successfulTreatments / group.totalPatients) * 100
+        : 0;
+
+      const averageTreatmentDuration = group.treatmentDurations.length > 0
+        ? Math.round(group.treatmentDurations.reduce((sum, duration) => sum + duration, 0) / group.treatmentDurations.length)
+        : 0;
+
+      const trend = [...group.periodData.keys()].sort().map(period => {
+        const { successful, total } = group.periodData.get(period);
+        return { period, rate: total > 0 ? (successful / total) * 100 : 0 };
+      });
+
+      return {
+        _id: group.key,
+        disease: group.disease,
+        code: group.code,
+        chapter: group.chapter,
+        recordedAs: [...group.recordedAs],
+        totalPatients: group.totalPatients,
+        successfulTreatments: group.successfulTreatments,
+        successRate: parseFloat(successRate.toFixed(2)),
+        averageTreatmentDuration,
+        trend,
+        ...(includeRecentPatients && { recentPatients: group.recentPatients })
+      };
+    })
+    .sort((a, b) => b.totalPatients - a.totalPatients);
+};
+
+/**
+ * How often each diagnosis occurs, most common first
+ * @param {Array<Object>} appointments - With disease and diseaseCode
+ * @param {Object} [options]
+ * @param {string} [options.groupBy] - 'code' (default) or 'chapter'
+ * @param {number} [options.limit]
+ * @returns {Array<Object>} [{ name, code, chapter, count }]
+ */
+const countDiagnoses = (appointments, { groupBy = 'code', limit } = {}) => {
+  const counts = new Map();
+
+  appointments.forEach(appointment => {
+    const { key, name, code, chapter } = classifyDiagnosis(appointment, groupBy);
+    if (!name) return;
+    const entry = counts.get(key) || { name, code, chapter, count: 0 };
+    entry.count++;
+    counts.set(key, entry);
+  });
+
+  const sorted = [...counts.values()].sort((a, b) => b.count - a.count);
+  return limit ? sorted.slice(0, limit) : sorted;
+};
+
+module.exports = {
+  ANALYTICS_GROUPINGS,
+  classifyDiagnosis,
+  buildSuccessRates,
+  countDiagnoses
+};
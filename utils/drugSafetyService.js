@@ -0,0 +1,236 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_DATA_FILE = path.join(__dirname, '..', 'data', 'drugInteractions.json');
+
+// Most serious first; warnings are returned in this order
+const SEVERITIES = ['contraindicated', 'major', 'moderate', 'minor'];
+
+let index = null;
+
+const normalizeText = (value) => ` ${String(value || '')
+  .toLowerCase()
+  .replace(/[^a-z0-9-]+/g, ' ')
+  .replace(/\s+/g, ' ')
+  .trim()} `;
+
+/**
+ * Loads the drug data file once and indexes it. DRUG_INTERACTIONS_FILE points
+ * at a replacement file; the bundled one is data/drugInteractions.json.
+ * @returns {Object} { terms, drugClasses, crossReactivity, interactions }
+ */
+const getIndex = () => {
+  if (index) return index;
+
+  const file = process.env.DRUG_INTERACTIONS_FILE || DEFAULT_DATA_FILE;
+  const data = JSON.parse(fs.readFileSync(file, 'utf8'));
+  const classes = data.classes || {};
+  const aliases = data.aliases || {};
+
+  // Drug -> classes it belongs to
+  const drugClasses = new Map();
+  Object.entries(classes).forEach(([className, members]) => {
+    members.forEach(drug => {
+      drugClasses.set(drug, [...(drugClasses.get(drug) || []), className]);
+    });
+  });
+
+  // Every name that can be recognised in free text, and what it stands for.
+  // Longest first, so "penicillin v" wins over "penicillin".
+  const names = new Set([
+    ...Object.keys(classes),
+    ...drugClasses.keys(),
+    ...Object.keys(aliases),
+    ...(data.interactions || []).flatMap(interaction => interaction.drugs)
+  ]);
+  const terms = [...names]
+    .sort((a, b) => b.length - a.length)
+    .map(name => ({ name, pattern: normalizeText(name), canonical: aliases[name] || name }));
+
+  index = {
+    terms,
+    classes,
+    drugClasses,
+    crossReactivity: data.crossReactivity || [],
+    interactions: data.interactions || []
+  };
+  return index;
+};
+
+/**
+ * Works out which known drugs and classes a name refers to
+ * @param {string} text - Drug name as prescribed, or an allergy as recorded
+ * @returns {Object} { drugs: Set, classes: Set, text } where text is the normalised input
+ */
+const identifyDrug = (text) => {
+  const { terms, classes, drugClasses } = getIndex();
+  let remaining = normalizeText(text);
+  const identity = { drugs: new Set(), classes: new Set(), text: remaining.trim() };
+
+  terms.forEach(({ pattern, canonical }) => {
+    if (!remaining.includes(pattern)) return;
+    remaining = remaining.split(pattern).join(' ');
+
+    if (classes[canonical]) {
+      identity.classes.add(canonical);
+    } else {
+      identity.drugs.add(canonical);
+      (drugClasses.get(canonical) || []).forEach(className => identity.classes.add(className));
+    }
+  });
+
+  return identity;
+};
+
+const warningId = (...parts) => crypto
+  .createHash('sha1')
+  .update(parts.join('|'))
+  .digest('hex')
+  .slice(0, 12);
+
+const intersects = (a, b) => [...a].some(item => b.has(item));
+
+// Allergies are often typed as one comma-separated string
+const splitAllergies = (allergies = []) => allergies
+  .flatMap(allergy => String(allergy || '').split(/[,;\n]/))
+  .map(allergy => allergy.trim())
+  .filter(Boolean);
+
+/**
+ * How one prescribed drug relates to one allergy
+ * @returns {Object|null} { severity, message } or null when unrelated
+ */
+const matchAllergy = (drug, allergy, line, allergyText) => {
+  const sameDrug = intersects(drug.drugs, allergy.drugs);
+  const namesClass = !allergy.drugs.size && intersects(drug.classes, allergy.classes);
+  // Allergies that aren't in the data file still match a drug name containing them
+  const sameText = !allergy.drugs.size && !allergy.classes.size && normalizeText(line.drug).includes(normalizeText(allergyText));
+
+  if (sameDrug || namesClass || sameText) {
+    return { severity: 'contraindicated', message: `Patient is allergic to ${allergyText}; ${line.drug} should not be given` };
+  }
+
+  if (intersects(drug.classes, allergy.classes)) {
+    return { severity: 'major', message: `${line.drug} is in the same class as ${allergyText}, which the patient is allergic to` };
+  }
+
+  const cross = getIndex().crossReactivity.find(({ classes: [a, b] }) => (
+    (allergy.classes.has(a) && drug.classes.has(b)) || (allergy.classes.has(b) && drug.classes.has(a))
+  ));
+  if (cross) {
+    return { severity: cross.severity, message: `${cross.note}: patient is allergic to ${allergyText}, prescribed ${line.drug}` };
+  }
+
+  return null;
+};
+
+const matchesTerm = (identity, term) => identity.drugs.has(term) || identity.classes.has(term);
+
+/**
+ * Checks prescription lines against the patient's allergies, each other, and
+ * the medications the patient is already taking.
+ *
+ * Each warning carries an `id` that stays the same for the same drugs and
+ * allergy, so a client can resubmit with an override for it.
+ * @param {Object} params
+ * @param {Array<Object>} params.lines - Prescription lines being saved
+ * @param {Array<string>} [params.allergies] - Patient.allergies
+ * @param {Array<Object>} [params.activeMedications] - From getActiveMedications, excluding these lines
+ * @returns {Array<Object>} [{ id, type, severity, message, lineIndex, drug, allergy?, otherDrug?, otherReportId? }]
+ */
+const checkPrescriptionSafety = ({ lines, allergies = [], activeMedications = [] }) => {
+  const prescribed = lines.map((line, lineIndex) => ({
+    line,
+    lineIndex,
+    identity: identifyDrug(line.drug)
+  }));
+  const warnings = new Map();
+
+  const addWarning = (warning) => {
+    const existing = warnings.get(warning.id);
+    if (!existing || SEVERITIES.indexOf(warning.severity) < SEVERITIES.indexOf(existing.severity)) {
+      warnings.set(warning.id, warning);
+    }
+  };
+
+  // Drug-allergy
+  const patientAllergies = splitAllergies(allergies).map(text => ({ text, identity: identifyDrug(text) }));
+  prescribed.forEach(({ line, lineIndex, identity }) => {
+    patientAllergies.forEach(allergy => {
+      const match = matchAllergy(identity, allergy.identity, line, allergy.text);
+      if (!match) return;
+      addWarning({
+        id: warningId('allergy', identity.text, allergy.identity.text),
+        type: 'allergy',
+        ...match,
+        lineIndex,
+        drug: line.drug,
+        allergy: allergy.text
+      });
+    });
+  });
+
+  // Drug-drug, within the prescription and against current medications
+  const current = activeMedications.map(medication => ({
+    line: medication,
+    identity: identifyDrug(medication.drug),
+    reportId: medication.reportId
+  }));
+
+  // a is always a line of this prescription
+  const checkPair = (a, b) => {
+    getIndex().interactions.forEach(({ drugs: [first, second], severity, effect }) => {
+      const matches = (matchesTerm(a.identity, first) && matchesTerm(b.identity, second))
+        || (matchesTerm(a.identity, second) && matchesTerm(b.identity, first));
+      if (!matches) return;
+
+      addWarning({
+        id: warningId('interaction', ...[a.identity.text, b.identity.text].sort()),
+        type: 'interaction',
+        severity,
+        message: `${a.line.drug} with ${b.line.drug}: ${effect}`,
+        lineIndex: a.lineIndex,
+        drug: a.line.drug,
+        otherDrug: b.line.drug,
+        otherReportId: b.reportId
+      });
+    });
+  };
+
+  prescribed.forEach((a, i) => {
+    prescribed.slice(i + 1).forEach(b => checkPair(a, b));
+    current.forEach(other => checkPair(a, other));
+  });
+
+  return [...warnings.values()].sort((a, b) => SEVERITIES.indexOf(a.severity) - SEVERITIES.indexOf(b.severity));
+};
+
+/**
+ * Matches warnings against the overrides sent with the request. Every
+ * warning needs its own override with a reason.
+ * @param {Array<Object>} warnings - From checkPrescriptionSafety
+ * @param {Array<Object>} [overrides] - [{ warningId, reason }]
+ * @returns {Object} { unresolved, overridden } where overridden warnings carry their reason
+ */
+const resolveSafetyWarnings = (warnings, overrides = []) => {
+  const reasons = new Map(
+    (Array.isArray(overrides) ? overrides : [])
+      .filter(override => override && override.warningId && String(override.reason || '').trim())
+      .map(override => [override.warningId, String(override.reason).trim()])
+  );
+
+  return {
+    unresolved: warnings.filter(warning => !reasons.has(warning.id)),
+    overridden: warnings
+      .filter(warning => reasons.has(warning.id))
+      .map(warning => ({ ...warning, reason: reasons.get(warning.id) }))
+  };
+};
+
+module.exports = {
+  SEVERITIES,
+  identifyDrug,
+  checkPrescriptionSafety,
+  resolveSafetyWarnings
+};
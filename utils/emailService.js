@@ -8,7 +8,14 @@ const transporter = nodemailer.createTransport({
   }
 });
 
-const sendAppointmentEmail = async (userEmail, appointment) => {
+// Attaches the appointment as a calendar event when one is provided
+const buildCalendarAttachment = (ics) => (ics ? [{
+  filename: 'appointment.ics',
+  content: ics,
+  contentType: 'text/calendar; charset=utf-8; method=PUBLISH'
+}] : []);
+
+const sendAppointmentEmail = async (userEmail, appointment, { ics } = {}) => {
   try {
     await transporter.sendMail({
       from: process.env.EMAIL_USER,
@@ -20,6 +27,88 @@ const sendAppointmentEmail = async (userEmail, appointment) => {
         <p>Type: ${appointment.type}</p>
         <p>Status: ${appointment.status}</p>
         <p>Notes: ${appointment.notes || 'No notes provided'}</p>
+      `,
+      attachments: buildCalendarAttachment(ics)
+    });
+    return true;
+  } catch (error) {
+    console.error('Error sending email:', error);
+    return false;
+  }
+};
+
+const sendRescheduleEmail = async (userEmail, appointment, previous, { ics } = {}) => {
+  try {
+    await transporter.sendMail({
+      from: process.env.EMAIL_USER,
+      to: userEmail,
+      subject: 'Appointment Rescheduled',
+      html: `
+        <h1>Appointment Rescheduled</h1>
+        <p>Your appointment on ${previous.date} at ${previous.time} has been moved.</p>
+        <p>New date and time: ${appointment.date} at ${appointment.time}</p>
+        <p>Type: ${appointment.type}</p>
+        <p>Reason: ${previous.reason || 'No reason provided'}</p>
+      `,
+      attachments: buildCalendarAttachment(ics)
+    });
+    return true;
+  } catch (error) {
+    console.error('Error sending email:', error);
+    return false;
+  }
+};
+
+const sendWaitlistOfferEmail = async (userEmail, entry, { acceptUrl, declineUrl }) => {
+  try {
+    await transporter.sendMail({
+      from: process.env.EMAIL_USER,
+      to: userEmail,
+      subject: 'An Appointment Slot Is Available',
+      html: `
+        <h1>A Slot Has Opened Up</h1>
+        <p>A slot on ${entry.date} at ${entry.offer.time} is now available for you.</p>
+        <p>This offer is held for you until ${new Date(entry.offer.expiresAt).toLocaleString()}.</p>
+        <p><a href="${acceptUrl}">Accept this appointment</a></p>
+        <p><a href="${declineUrl}">Decline this offer</a></p>
+      `
+    });
+    return true;
+  } catch (error) {
+    console.error('Error sending email:', error);
+    return false;
+  }
+};
+
+// Reminder content is rendered by the caller from the hospital's template.
+// A different transport can be passed in, e.g. a stub when testing the scheduler.
+const sendReminderEmail = async (userEmail, { subject, html }, transport = transporter) => {
+  try {
+    await transport.sendMail({
+      from: process.env.EMAIL_USER,
+      to: userEmail,
+      subject,
+      html
+    });
+    return true;
+  } catch (error) {
+    console.error('Error sending email:', error);
+    return false;
+  }
+};
+
+const sendPasswordResetEmail = async (userEmail, { name, resetUrl, expiresInMinutes }) => {
+  try {
+    await transporter.sendMail({
+      from: process.env.EMAIL_USER,
+      to: userEmail,
+      subject: 'Reset Your Password',
+      html: `
+        <h1>Password Reset</h1>
+        <p>Hello ${name},</p>
+        <p>We received a request to reset your password. This link can be used once and expires in ${expiresInMinutes} minutes.</p>
+        <p><a href="${resetUrl}">Reset your password</a></p>
+        <p>If you did not ask for this, you can ignore this email and your password will stay the same.</p>
       `
     });
     return true;
@@ -29,4 +118,32 @@ const sendAppointmentEmail = async (userEmail, appointment) => {
   }
 };
 
-module.exports = { sendAppointmentEmail }; 
\ No newline at end of file
+const sendPortalInviteEmail = async (userEmail, { name, hospitalName, activationUrl, expiresInDays }) => {
+  try {
+    await transporter.sendMail({
+      from: process.env.EMAIL_USER,
+      to: userEmail,
+      subject: 'Your Patient Portal Invitation',
+      html: `
+        <h1>Patient Portal</h1>
+        <p>Hello ${name},</p>
+        <p>${hospitalName || 'Your hospital'} has invited you to the patient portal, where you can see your appointments and reports and message your care team.</p>
+        <p><a href="${activationUrl}">Activate your account</a></p>
+        <p>This link can be used once and expires in ${expiresInDays} days.</p>
+      `
+    });
+    return true;
+  } catch (error) {
+    console.error('Error sending email:', error);
+    return false;
+  }
+};
+
+module.exports = {
+  sendAppointmentEmail,
+  sendRescheduleEmail,
+  sendWaitlistOfferEmail,
+  sendReminderEmail,
+  sendPasswordResetEmail,
+  sendPortalInviteEmail
+};
@@ -0,0 +1,297 @@
+const crypto = require('crypto');
+
+// Encrypted values look like `enc:<keyVersion>:<iv>:<authTag>:<ciphertext>`,
+// base64 throughout, so a value always names the key that can open it
+const PREFIX = 'enc';
+const ALGORITHM = 'aes-256-gcm';
+const IV_BYTES = 12;
+
+let keyring = null;
+
+const parseKey = (version, encoded) => {
+  const key = /^[0-9a-f]{64}$/i.test(encoded) ? Buffer.from(encoded, 'hex') : Buffer.from(encoded, 'base64');
+  if (key.length !== 32) {
+    throw new Error(`Field encryption key ${version} must be 32 bytes, base64 or hex encoded`);
+  }
+  return key;
+};
+
+/**
+ * Reads the keys from the environment once.
+ *
+ * FIELD_ENCRYPTION_KEYS lists every key that may still be needed to decrypt,
+ * as `version:key` pairs separated by commas, e.g. `v1:<base64>,v2:<base64>`.
+ * FIELD_ENCRYPTION_KEY_VERSION picks the one new values are written with and
+ * defaults to the last listed. To rotate, append a new key, point the version
+ * at it, and run migrations/encryptSensitiveFields.js.
+ * @returns {Object} { keys: Map, currentVersion }
+ */
+const getKeyring = () => {
+  if (keyring) return keyring;
+
+  const entries = (process.env.FIELD_ENCRYPTION_KEYS || '')
+    .split(',')
+    .map(entry => entry.trim())
+    .filter(Boolean);
+
+  if (!entries.length) {
+    throw new Error('FIELD_ENCRYPTION_KEYS is not configured');
+  }
+
+  const keys = new Map(entries.map(entry => {
+    const separator = entry.indexOf(':');
+    if (separator < 1) {
+      throw new Error('FIELD_ENCRYPTION_KEYS entries must look like version:key');
+    }
+    const version = entry.slice(0, separator);
+    return [version, parseKey(version, entry.slice(separator + 1))];
+  }));
+
+  const currentVersion = process.env.FIELD_ENCRYPTION_KEY_VERSION || [...keys.keys()].pop();
+  if (!keys.has(currentVersion)) {
+    throw new Error(`FIELD_ENCRYPTION_KEY_VERSION ${currentVersion} is not in FIELD_ENCRYPTION_KEYS`);
+  }
+
+  keyring = { keys, currentVersion };
+  return keyring;
+};
+
+/**
+ * Reads and checks the keys, so a missing or malformed key stops the server
+ * at startup rather than failing the first save of an encrypted field
+ * @returns {string} The key version new values are written with
+ */
+const checkEncryptionKeys = () => getKeyring().currentVersion;
+
+const isEncrypted = (value) => typeof value === 'string' && value.startsWith(`${PREFIX}:`);
+
+/**
+ * The key version an encrypted value was written with
+ * @param {string} value - Stored value
+ * @returns {string|null} null for plaintext
+ */
+const getKeyVersion = (value) => (isEncrypted(value) ? value.split(':')[1] : null);
+
+/**
+ * Encrypts a string with the current key. Empty values, non-strings and
+ * values that are already encrypted are returned unchanged.
+ * @param {*} value - Plaintext
+ * @returns {*} Ciphertext
+ */
+const encryptValue = (value) => {
+  if (typeof value !== 'string' || value === '' || isEncrypted(value)) return value;
+
+  const { keys, currentVersion } = getKeyring();
+  const iv = crypto.randomBytes(IV_BYTES);
+  const cipher = crypto.createCipheriv(ALGORITHM, keys.get(currentVersion), iv);
+  const ciphertext = Buffer.concat([cipher.update(value, 'utf8'), cipher.final()]);
+
+  return [
+    PREFIX,
+    currentVersion,
+    iv.toString('base64'),
+    cipher.getAuthTag().toString('base64'),
+    ciphertext.toString('base64')
+  ].join(':');
+};
+
+/**
+ * Decrypts a value written by encryptValue. Plaintext left over from before
+ * encryption is returned as it is.
+ * @param {*} value - Stored value
+ * @returns {*} Plaintext
+ */
+const decryptValue = (value) => {
+  if (!isEncrypted(value)) return value;
+
+  const [, version, iv, tag, ciphertext] = value.split(':');
+  const key = getKeyring().keys.get(version);
+  if (!key) {
+    throw new Error(`No field encryption key for version ${version}`);
+  }
+
+  const decipher = crypto.createDecipheriv(ALGORITHM, key, Buffer.from(iv, 'base64'));
+  decipher.setAuthTag(Buffer.from(tag, 'base64'));
+  return Buffer.concat([
+    decipher.update(Buffer.from(ciphertext, 'base64')),
+    decipher.final()
+  ]).toString('utf8');
+};
+
+// Array methods such as map() read the stored values without the element
+// getter, so string arrays are decrypted as a whole as well
+const decryptArray = (values) => (Array.isArray(values) ? values.map(value => decryptValue(value)) : values);
+
+/**
+ * Brings a stored value up to the current key: plaintext is encrypted and
+ * values under an older key are re-encrypted
+ * @param {*} value - Stored value
+ * @returns {*} Value to store
+ */
+const reencryptValue = (value) => {
+  if (isEncrypted(value) && getKeyVersion(value) === getKeyring().currentVersion) return value;
+  return encryptValue(decryptValue(value));
+};
+
+/**
+ * Hides all but the last few characters of an identifier, e.g. `********9012`
+ * @param {string} value - Identifier
+ * @param {number} [visible=4] - Characters left showing
+ * @returns {string} Masked identifier
+ */
+const maskIdentifier = (value, visible = 4) => {
+  if (!value) return value;
+  const text = String(value);
+  if (text.length <= visible) return '*'.repeat(text.length);
+  return `${'*'.repeat(text.length - visible)}${text.slice(-visible)}`;
+};
+
+/**
+ * Applies fn to the value at a dotted path, stepping through arrays at any
+ * level. Objects are changed in place; the (possibly new) value is returned.
+ * @param {*} value - Document, subdocument or leaf value
+ * @param {Array<string>} segments - Path segments still to follow
+ * @param {Function} fn - Applied to each leaf string
+ * @returns {*} The transformed value
+ */
+const transformPath = (value, segments, fn) => {
+  if (value === null || value === undefined) return value;
+  if (Array.isArray(value)) return value.map(item => transformPath(item, segments, fn));
+  if (segments.length === 0) return fn(value);
+  if (typeof value !== 'object') return value;
+
+  const [head, ...rest] = segments;
+  if (value[head] !== undefined) {
+    value[head] = transformPath(value[head], rest, fn);
+  }
+  return value;
+};
+
+// Finds a path's schema type and the (sub)schema that owns it, so getters can
+// be switched on for the subdocuments that actually hold the value
+const resolveSchemaType = (schema, path) => {
+  const [head, ...rest] = path.split('.');
+  const parent = schema.path(head);
+
+  if (parent && parent.schema && rest.length) {
+    return resolveSchemaType(parent.schema, rest.join('.'));
+  }
+
+  const schemaType = schema.path(path);
+  if (!schemaType) {
+    throw new Error(`Cannot encrypt unknown path ${path}`);
+  }
+  return { schema, schemaType };
+};
+
+const UPDATE_OPERATORS = ['$set', '$setOnInsert', '$push', '$addToSet'];
+
+/**
+ * Encrypts the configured paths wherever they appear in an update, including
+ * positional paths such as `medicalHistory.0.condition`
+ * @param {Object} update - Query update
+ * @param {Array<string>} paths - Encrypted paths
+ */
+const encryptUpdate = (update, paths) => {
+  if (!update) return;
+
+  [update, ...UPDATE_OPERATORS.map(operator => update[operator])].forEach(fields => {
+    if (!fields) return;
+
+    Object.keys(fields).forEach(key => {
+      if (key.startsWith('$')) return;
+      const normalized = key.split('.').filter(segment => !/^\d+$/.test(segment) && !segment.startsWith('$')).join('.');
+
+      paths.forEach(path => {
+        let segments;
+        if (path === normalized) segments = [];
+        else if (path.startsWith(`${normalized}.`)) segments = path.slice(normalized.length + 1).split('.');
+        else return;
+
+        const value = fields[key];
+        if (value && value.$each) {
+          value.$each = transformPath(value.$each, segments, encryptValue);
+        } else {
+          fields[key] = transformPath(value, segments, encryptValue);
+        }
+      });
+    });
+  });
+};
+
+/**
+ * Mongoose plugin that stores the given paths encrypted.
+ *
+ * Documents decrypt through getters, so `doc.field` and `toJSON()` give
+ * plaintext while the database only ever sees ciphertext. Lean query results
+ * are decrypted after the query. Encrypted values use a random IV, so they
+ * can't be matched in query filters or aggregations.
+ *
+ * Encrypted string arrays read back as plain decrypted copies, so methods
+ * such as map() see plaintext. Change them by assigning a new array; pushing
+ * onto the copy is not saved.
+ *
+ * @param {Object} schema - Mongoose schema
+ * @param {Object} options
+ * @param {Array<string>} options.paths - Paths to encrypt; strings, string
+ *   arrays, and fields of subdocument arrays such as `medicalHistory.notes`
+ * @param {Array<string>} [options.mask] - Top-level identifiers shown masked in toJSON
+ */
+const fieldEncryptionPlugin = (schema, { paths, mask = [] }) => {
+  const owningSchemas = new Set();
+
+  paths.forEach(path => {
+    const { schema: owner, schemaType } = resolveSchemaType(schema, path);
+    const target = schemaType.$isMongooseArray ? schemaType.caster : schemaType;
+    target.set(encryptValue);
+    target.get(decryptValue);
+    if (schemaType.$isMongooseArray) {
+      schemaType.get(decryptArray);
+    }
+    owningSchemas.add(owner);
+  });
+
+  // Getters must run when documents are serialised; virtuals stay off as before
+  owningSchemas.forEach(owner => {
+    ['toJSON', 'toObject'].forEach(option => {
+      owner.set(option, { virtuals: false, ...owner.get(option), getters: true });
+    });
+  });
+
+  if (mask.length) {
+    const toJSON = schema.get('toJSON');
+    schema.set('toJSON', {
+      ...toJSON,
+      transform: (doc, ret, options) => {
+        const result = toJSON.transform ? toJSON.transform(doc, ret, options) : ret;
+        mask.forEach(path => {
+          if (result[path]) result[path] = maskIdentifier(result[path]);
+        });
+        return result;
+      }
+    });
+  }
+
+  schema.pre(['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne', 'findOneAndReplace'], function () {
+    encryptUpdate(this.getUpdate(), paths);
+  });
+
+  schema.post(['find', 'findOne', 'findOneAndUpdate', 'findOneAndReplace', 'findOneAndDelete'], function (result) {
+    if (!result || !this.mongooseOptions().lean) return;
+    (Array.isArray(result) ? result : [result]).forEach(doc => {
+      paths.forEach(path => transformPath(doc, path.split('.'), decryptValue));
+    });
+  });
+};
+
+module.exports = {
+  checkEncryptionKeys,
+  isEncrypted,
+  getKeyVersion,
+  encryptValue,
+  decryptValue,
+  reencryptValue,
+  maskIdentifier,
+  transformPath,
+  fieldEncryptionPlugin
+};
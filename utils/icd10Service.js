@@ -0,0 +1,195 @@
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_DATA_FILE = path.join(__dirname, '..', 'data', 'icd10.json');
+
+const DEFAULT_SEARCH_LIMIT = 20;
+const MAX_SEARCH_LIMIT = 50;
+
+let index = null;
+
+const normalizeText = (value) => String(value || '')
+  .toLowerCase()
+  .replace(/[^a-z0-9]+/g, ' ')
+  .trim();
+
+const icd10Error = (message) => {
+  const error = new Error(message);
+  error.statusCode = 400;
+  return error;
+};
+
+/**
+ * Puts a code into its stored form: upper case, with the dot after the
+ * three-character category ("e119" -> "E11.9")
+ * @param {string} value
+ * @returns {string|null} null when the value isn't shaped like an ICD-10 code
+ */
+const normalizeCode = (value) => {
+  const match = String(value || '')
+    .toUpperCase()
+    .replace(/[\s.]/g, '')
+    .match(/^([A-Z]\d{2})(\d{1,2})?$/);
+  if (!match) return null;
+  return match[2] ? `${match[1]}.${match[2]}` : match[1];
+};
+
+/**
+ * Loads the code list once and indexes it. ICD10_CODES_FILE points at a
+ * replacement file, such as the full WHO tabular list; the bundled one is
+ * data/icd10.json.
+ * @returns {Object} { chapters, codes, terms }
+ */
+const getIndex = () => {
+  if (index) return index;
+
+  const file = process.env.ICD10_CODES_FILE || DEFAULT_DATA_FILE;
+  const data = JSON.parse(fs.readFileSync(file, 'utf8'));
+
+  const codes = new Map();
+  // Normalised title or synonym -> code, for mapping free text
+  const terms = new Map();
+
+  (data.codes || []).forEach(entry => {
+    const code = normalizeCode(entry.code);
+    if (!code) return;
+    const synonyms = entry.synonyms || [];
+    codes.set(code, {
+      code,
+      title: entry.title,
+      synonyms,
+      searchTitle: normalizeText(entry.title),
+      searchSynonyms: synonyms.map(normalizeText)
+    });
+    [entry.title, ...synonyms].forEach(term => {
+      const key = normalizeText(term);
+      if (key && !terms.has(key)) terms.set(key, code);
+    });
+  });
+
+  index = { chapters: data.chapters || [], codes, terms };
+  return index;
+};
+
+/**
+ * The chapter a code falls in, from its category
+ * @param {string} code
+ * @returns {Object|null} { number, title, start, end }
+ */
+const getChapter = (code) => {
+  const category = normalizeCode(code)?.slice(0, 3);
+  if (!category) return null;
+  return getIndex().chapters.find(chapter => category >= chapter.start && category <= chapter.end) || null;
+};
+
+/**
+ * A code with its title and chapter, for responses
+ * @param {string} code
+ * @returns {Object|null} { code, title, chapter: { number, title } } or null when not in the code list
+ */
+const findCode = (code) => {
+  const entry = getIndex().codes.get(normalizeCode(code));
+  if (!entry) return null;
+  const chapter = getChapter(entry.code);
+  return {
+    code: entry.code,
+    title: entry.title,
+    chapter: chapter ? { number: chapter.number, title: chapter.title } : null
+  };
+};
+
+/**
+ * Code search for autocomplete. Matches on the code itself, then on words in
+ * the title, then on synonyms such as "DM2" or "HTN".
+ * @param {string} query
+ * @param {number} [limit]
+ * @returns {Array<Object>} Codes as returned by findCode, best match first
+ */
+const searchCodes = (query, limit = DEFAULT_SEARCH_LIMIT) => {
+  const text = normalizeText(query);
+  if (!text) return [];
+
+  const codeQuery = String(query).toUpperCase().replace(/\s/g, '');
+  const words = text.split(' ');
+  const max = Math.min(Math.max(parseInt(limit, 10) || DEFAULT_SEARCH_LIMIT, 1), MAX_SEARCH_LIMIT);
+
+  // Every query word has to start a word of the candidate text
+  const matchesWords = (candidate) => {
+    const candidateWords = candidate.split(' ');
+    return words.every(word => candidateWords.some(candidateWord => candidateWord.startsWith(word)));
+  };
+
+  const rank = (entry) => {
+    if (entry.code === codeQuery) return 0;
+    if (entry.code.startsWith(codeQuery) || entry.code.replace('.', '').startsWith(codeQuery)) return 1;
+    if (entry.searchSynonyms.includes(text)) return 2;
+    if (entry.searchTitle.startsWith(text) || entry.searchSynonyms.some(synonym => synonym.startsWith(text))) return 3;
+    if (matchesWords(entry.searchTitle)) return 4;
+    if (entry.searchSynonyms.some(matchesWords)) return 5;
+    return null;
+  };
+
+  return [...getIndex().codes.values()]
+    .map(entry => ({ entry, rank: rank(entry) }))
+    .filter(({ rank: value }) => value !== null)
+    .sort((a, b) => a.rank - b.rank || a.entry.code.localeCompare(b.entry.code))
+    .slice(0, max)
+    .map(({ entry }) => findCode(entry.code));
+};
+
+/**
+ * Maps a free-text diagnosis to a code. Deliberately conservative: the text
+ * has to be a code from the list, contain one, or be exactly a title or
+ * synonym once case and punctuation are ignored. Anything looser would
+ * group different diseases together.
+ * @param {string} text - e.g. "Diabetes", "DM2", "E11.9 - type 2 diabetes"
+ * @returns {Object|null} As returned by findCode
+ */
+const mapFreeText = (text) => {
+  if (!text) return null;
+
+  const embedded = String(text).match(/\b[A-Za-z]\d{2}(?:\.\d{1,2})?\b/g) || [];
+  const coded = embedded.map(findCode).find(Boolean);
+  if (coded) return coded;
+
+  const code = getIndex().terms.get(normalizeText(text));
+  return code ? findCode(code) : null;
+};
+
+/**
+ * Validates codes from a request body
+ * @param {Array<string>|string} codes
+ * @returns {Array<string>} Normalised codes, without duplicates
+ */
+const validateCodes = (codes) => {
+  const list = Array.isArray(codes) ? codes : [codes];
+  const invalid = [];
+  const valid = [];
+
+  list.filter(code => code !== undefined && code !== null && code !== '').forEach(code => {
+    const entry = findCode(code);
+    if (!entry) invalid.push(String(code));
+    else if (!valid.includes(entry.code)) valid.push(entry.code);
+  });
+
+  if (invalid.length) {
+    throw icd10Error(`Unknown ICD-10 code${invalid.length > 1 ? 's' : ''}: ${invalid.join(', ')}`);
+  }
+  return valid;
+};
+
+/**
+ * All chapters with their code ranges
+ * @returns {Array<Object>} [{ number, title, start, end }]
+ */
+const getChapters = () => getIndex().chapters.map(({ number, title, start, end }) => ({ number, title, start, end }));
+
+module.exports = {
+  normalizeCode,
+  getChapter,
+  getChapters,
+  findCode,
+  searchCodes,
+  mapFreeText,
+  validateCodes
+};
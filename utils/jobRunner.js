@@ -0,0 +1,204 @@
+const os = require('os');
+const crypto = require('crypto');
+const Job = require('../models/Job');
+const JobRun = require('../models/JobRun');
+const { withoutTenantScope } = require('./tenantContext');
+
+// Identifies this server process as a lock holder
+const INSTANCE_ID = `${os.hostname()}:${process.pid}:${crypto.randomBytes(4).toString('hex')}`;
+
+const DEFAULT_POLL_MS = 30 * 1000;
+const DEFAULT_LOCK_MS = 10 * 60 * 1000;
+
+const jobs = new Map();
+let pollTimer = null;
+let polling = false;
+
+/**
+ * Registers a job with the runner
+ * @param {Object} definition
+ * @param {string} definition.name - Unique job name
+ * @param {string} [definition.description] - Shown in the admin job list
+ * @param {number} definition.intervalMs - Time between scheduled runs
+ * @param {number} [definition.lockMs] - How long a run may hold the lock before another instance can take over
+ * @param {Function} definition.handler - Async function doing the work; receives { now, trigger }
+ */
+const registerJob = ({ name, description = '', intervalMs, lockMs = DEFAULT_LOCK_MS, handler }) => {
+  if (!name || typeof handler !== 'function' || !(intervalMs > 0)) {
+    throw new Error('A job needs a name, a handler and a positive interval');
+  }
+  if (jobs.has(name)) {
+    throw new Error(`Job "${name}" is already registered`);
+  }
+
+  jobs.set(name, { name, description, intervalMs, lockMs, handler });
+};
+
+const getRegisteredJob = (name) => jobs.get(name);
+
+const getRegisteredJobs = () => [...jobs.values()];
+
+// Creates missing job records and keeps descriptions and intervals in step with the code
+const syncJobRecords = async () => {
+  for (const job of jobs.values()) {
+    await Job.updateOne(
+      { name: job.name },
+      {
+        $set: { description: job.description, intervalMs: job.intervalMs },
+        $setOnInsert: { nextRunAt: new Date() }
+      },
+      { upsert: true }
+    );
+  }
+};
+
+/**
+ * Takes the lock for a job. Scheduled runs also need the job to be due and
+ * not paused; manual runs only need the lock to be free.
+ * @returns {Promise<Object|null>} The locked job record, or null if someone else has it
+ */
+const acquireLock = async (job, { scheduled }) => {
+  const now = new Date();
+  const query = {
+    name: job.name,
+    $or: [{ lockedUntil: null }, { lockedUntil: { $lte: now } }]
+  };
+
+  if (scheduled) {
+    query.paused = { $ne: true };
+    query.nextRunAt = { $lte: now };
+  }
+
+  return Job.findOneAndUpdate(
+    query,
+    {
+      $set: {
+        lockedBy: INSTANCE_ID,
+        lockedUntil: new Date(now.getTime() + job.lockMs),
+        lastRunAt: now
+      }
+    },
+    { new: true }
+  );
+};
+
+const executeJob = async (job, { trigger, triggeredBy }) => {
+  const run = await JobRun.create({
+    job: job.name,
+    trigger,
+    triggeredBy,
+    instanceId: INSTANCE_ID
+  });
+
+  let update;
+  try {
+    // Jobs work across every hospital. Scheduled runs have no tenant context
+    // anyway, but a manual run starts inside the admin's request and would
+    // otherwise only see the hospital that admin has selected.
+    const result = await withoutTenantScope(() => job.handler({ now: new Date(), trigger }));
+
+    run.status = 'success';
+    run.result = result;
+    update = {
+      $set: { lastStatus: 'success', lastError: null, consecutiveFailures: 0 }
+    };
+  } catch (error) {
+    console.error(`Job "${job.name}" failed:`, error);
+
+    run.status = 'failed';
+    run.error = { message: error.message, stack: error.stack };
+    update = {
+      $set: { lastStatus: 'failed', lastError: error.message },
+      $inc: { consecutiveFailures: 1 }
+    };
+  }
+
+  run.finishedAt = new Date();
+  run.durationMs = run.finishedAt - run.startedAt;
+  await run.save();
+
+  // Release the lock and schedule the next run from when this one finished
+  update.$set.lastFinishedAt = run.finishedAt;
+  update.$set.nextRunAt = new Date(run.finishedAt.getTime() + job.intervalMs);
+  update.$set.lockedBy = null;
+  update.$set.lockedUntil = null;
+  await Job.updateOne({ name: job.name, lockedBy: INSTANCE_ID }, update);
+
+  return run;
+};
+
+/**
+ * Runs a job straight away, outside its schedule
+ * @param {string} name - Job name
+ * @param {Object} [options]
+ * @param {string} [options.triggeredBy] - User who asked for the run
+ * @returns {Promise<Object|null>} The run record, or null if the job is already running elsewhere
+ */
+const runJobNow = async (name, { triggeredBy } = {}) => {
+  const job = jobs.get(name);
+  if (!job) {
+    throw new Error(`Job "${name}" is not registered`);
+  }
+
+  await syncJobRecords();
+
+  const locked = await acquireLock(job, { scheduled: false });
+  if (!locked) return null;
+
+  return executeJob(job, { trigger: 'manual', triggeredBy });
+};
+
+// Runs every registered job that is due and not locked by another instance
+const runDueJobs = async () => {
+  for (const job of jobs.values()) {
+    try {
+      const locked = await acquireLock(job, { scheduled: true });
+      if (locked) {
+        await executeJob(job, { trigger: 'schedule' });
+      }
+    } catch (error) {
+      console.error(`Error running job "${job.name}":`, error);
+    }
+  }
+};
+
+/**
+ * Starts polling for due jobs
+ * @param {Object} [options]
+ * @param {number} [options.pollMs=30000] - How often to check for due jobs
+ * @returns {Promise<void>}
+ */
+const startJobRunner = async ({ pollMs = DEFAULT_POLL_MS } = {}) => {
+  if (pollTimer) return;
+
+  await syncJobRecords();
+
+  pollTimer = setInterval(async () => {
+    // Skip a tick rather than overlap a slow run
+    if (polling) return;
+    polling = true;
+    try {
+      await runDueJobs();
+    } finally {
+      polling = false;
+    }
+  }, pollMs);
+  pollTimer.unref();
+};
+
+const stopJobRunner = () => {
+  if (pollTimer) clearInterval(pollTimer);
+  pollTimer = null;
+};
+
+module.exports = {
+  INSTANCE_ID,
+  registerJob,
+  getRegisteredJob,
+  getRegisteredJobs,
+  syncJobRecords,
+  runJobNow,
+  runDueJobs,
+  startJobRunner,
+  stopJobRunner
+};
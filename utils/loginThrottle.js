@@ -0,0 +1,175 @@
+const User = require('../models/User');
+const ActivityService = require('./activityService');
+const { peekRateLimit, hitRateLimit } = require('./rateLimiter');
+
+// Failed attempts before an account is locked, and for how long
+const LOCKOUT_THRESHOLD = parseInt(process.env.LOGIN_LOCKOUT_THRESHOLD, 10) || 5;
+const LOCKOUT_MINUTES = parseInt(process.env.LOGIN_LOCKOUT_MINUTES, 10) || 15;
+// Failures allowed from one IP address, across all accounts, per window
+const IP_FAILURE_LIMIT = parseInt(process.env.LOGIN_IP_FAILURE_LIMIT, 10) || 20;
+const IP_WINDOW_MS = 15 * 60 * 1000;
+const MAX_DELAY_SECONDS = 30;
+
+const ipKey = (req) => `login-failed:ip:${req.ip}`;
+
+/**
+ * Seconds a user must wait before the next attempt: 1, 2, 4, 8... capped
+ * @param {number} failures - Consecutive failed attempts
+ * @returns {number} Seconds
+ */
+const getDelaySeconds = (failures) => (
+  failures > 0 ? Math.min(2 ** (failures - 1), MAX_DELAY_SECONDS) : 0
+);
+
+/**
+ * Checks whether an IP address has failed too often to try again
+ * @param {Object} req - Express request
+ * @returns {Promise<Object|null>} { retryAfterMs } when blocked
+ */
+const getIpBlock = async (req) => {
+  const result = await peekRateLimit(ipKey(req), { limit: IP_FAILURE_LIMIT, windowMs: IP_WINDOW_MS });
+  return result.allowed ? null : { retryAfterMs: result.retryAfterMs };
+};
+
+/**
+ * Counts a failure against the request's IP address, e.g. an unknown email
+ * @param {Object} req - Express request
+ * @returns {Promise<void>}
+ */
+const recordIpFailure = async (req) => {
+  await hitRateLimit(ipKey(req), { limit: IP_FAILURE_LIMIT, windowMs: IP_WINDOW_MS });
+};
+
+/**
+ * Checks whether an account is locked or still inside its back-off delay
+ * @param {Object} user - User document
+ * @returns {Object|null} { reason: 'locked'|'delay', retryAfterMs } when blocked
+ */
+const getAccountBlock = (user) => {
+  const now = Date.now();
+
+  if (user.lockedUntil && user.lockedUntil.getTime() > now) {
+    return { reason: 'locked', retryAfterMs: user.lockedUntil.getTime() - now };
+  }
+
+  if (user.failedLoginAttempts > 0 && user.lastFailedLoginAt) {
+    const allowedAt = user.lastFailedLoginAt.getTime() + getDelaySeconds(user.failedLoginAttempts) * 1000;
+    if (allowedAt > now) {
+      return { reason: 'delay', retryAfterMs: allowedAt - now };
+    }
+  }
+
+  return null;
+};
+
+/**
+ * Records a failed attempt against an account and its IP address, locking
+ * the account once it reaches the threshold
+ * @param {Object} user - User document
+ * @param {Object} req - Express request
+ * @param {string} [source='login'] - Which sign-in flow failed
+ * @returns {Promise<Object>} { locked, attempts, block } - block is set once the account is locked
+ */
+const recordAccountFailure = async (user, req, source = 'login') => {
+  await recordIpFailure(req);
+
+  const updated = await User.findOneAndUpdate(
+    { _id: user._id },
+    { $inc: { failedLoginAttempts: 1 }, $set: { lastFailedLoginAt: new Date() } },
+    { new: true }
+  ).select('failedLoginAttempts');
+
+  const attempts = updated?.failedLoginAttempts || 0;
+  const metadata = { ipAddress: req.ip, source, attempts };
+
+  await ActivityService.logActivity({
+    user: user._id,
+    hospitalId: user.hospital,
+    actorId: user._id,
+    actorName: user.name,
+    actorEmail: user.email,
+    actorRole: user.role,
+    action: 'login_failed',
+    subject: 'user',
+    subjectId: user._id,
+    description: `Failed sign-in for ${user.email}`,
+    status: 'warning',
+    metadata
+  });
+
+  if (attempts < LOCKOUT_THRESHOLD) {
+    return { locked: false, attempts };
+  }
+
+  // The count starts over once the lock is in place
+  const lockedUntil = new Date(Date.now() + LOCKOUT_MINUTES * 60 * 1000);
+  await User.updateOne(
+    { _id: user._id },
+    { $set: { lockedUntil, failedLoginAttempts: 0 } }
+  );
+
+  await ActivityService.logActivity({
+    user: user._id,
+    hospitalId: user.hospital,
+    actorId: user._id,
+    actorName: user.name,
+    actorEmail: user.email,
+    actorRole: user.role,
+    action: 'account_locked',
+    subject: 'user',
+    subjectId: user._id,
+    description: `Account locked after ${attempts} failed sign-ins: ${user.email}`,
+    status: 'error',
+    metadata: { ...metadata, lockedUntil }
+  });
+
+  return {
+    locked: true,
+    attempts,
+    block: { reason: 'locked', retryAfterMs: lockedUntil.getTime() - Date.now() }
+  };
+};
+
+/**
+ * Clears the failure count after a successful sign-in or an admin unlock
+ * @param {Object} user - User document
+ * @returns {Promise<void>}
+ */
+const clearAccountFailures = async (user) => {
+  if (!user.failedLoginAttempts && !user.lockedUntil) return;
+
+  await User.updateOne(
+    { _id: user._id },
+    { $set: { failedLoginAttempts: 0 }, $unset: { lastFailedLoginAt: '', lockedUntil: '' } }
+  );
+};
+
+/**
+ * Builds the 429 response body for a blocked attempt and sets Retry-After
+ * @param {Object} res - Express response
+ * @param {Object} block - Result of getIpBlock or getAccountBlock
+ * @returns {Object} Response body
+ */
+const blockedResponse = (res, block) => {
+  const retryAfter = Math.ceil(block.retryAfterMs / 1000);
+  res.set('Retry-After', String(retryAfter));
+
+  return {
+    message: block.reason === 'locked'
+      ? 'Account is temporarily locked after too many failed attempts. Please try again later.'
+      : 'Too many failed attempts. Please wait before trying again.',
+    retryAfter
+  };
+};
+
+module.exports = {
+  LOCKOUT_THRESHOLD,
+  LOCKOUT_MINUTES,
+  getDelaySeconds,
+  getIpBlock,
+  recordIpFailure,
+  getAccountBlock,
+  recordAccountFailure,
+  clearAccountFailures,
+  blockedResponse
+};
@@ -0,0 +1,44 @@
+const Report = require('../models/Report');
+const { isLineActive, describePrescriptionLine } = require('./prescriptionSchedule');
+
+/**
+ * A patient's medications that are running on a given day, across all their
+ * reports, newest prescription first. Free-text prescriptions from older
+ * reports can't be scheduled and are not included.
+ * @param {string} patientId
+ * @param {Date} [asOf] - Day to check; defaults to now
+ * @returns {Promise<Array<Object>>} Prescription lines with the report they came from
+ */
+const getActiveMedications = async (patientId, asOf = new Date()) => {
+  const reports = await Report.find({
+    patientId,
+    medications: {
+      $elemMatch: {
+        startDate: { $lte: asOf },
+        $and: [
+          { $or: [{ endDate: null }, { endDate: { $gt: asOf } }] },
+          { $or: [{ discontinuedAt: null }, { discontinuedAt: { $gt: asOf } }] }
+        ]
+      }
+    }
+  })
+    .sort({ createdAt: -1 })
+    .select('reportNumber doctorId appointmentId createdAt medications')
+    .populate({ path: 'doctorId', select: 'userId specialization', populate: { path: 'userId', select: 'name' } });
+
+  return reports.flatMap(report => report.medications
+    .filter(line => isLineActive(line, asOf))
+    .map(line => ({
+      ...line.toObject(),
+      summary: describePrescriptionLine(line),
+      reportId: report._id,
+      reportNumber: report.reportNumber,
+      appointmentId: report.appointmentId,
+      prescribedAt: report.createdAt,
+      prescribedBy: report.doctorId?.userId?.name || null
+    })));
+};
+
+module.exports = {
+  getActiveMedications
+};
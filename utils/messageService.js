@@ -0,0 +1,98 @@
+const Message = require('../models/Message');
+const Conversation = require('../models/Conversation');
+
+/**
+ * Sends a direct message, starting the conversation if needed
+ * @param {Object} params
+ * @param {string} params.sender - Sending user ID
+ * @param {string} params.receiver - Receiving user ID
+ * @param {string} params.content - Message text
+ * @returns {Promise<Object>} The message with sender and receiver populated
+ */
+const deliverMessage = async ({ sender, receiver, content }) => {
+  // Find or create conversation
+  let conversation = await Conversation.findOne({
+    participants: { $all: [sender, receiver] }
+  });
+
+  if (!conversation) {
+    conversation = await Conversation.create({
+      participants: [sender, receiver]
+    });
+  }
+
+  const message = await Message.create({
+    conversation: conversation._id,
+    sender,
+    receiver,
+    content
+  });
+
+  // Update conversation with last message
+  conversation.lastMessage = {
+    content,
+    sender,
+    timestamp: new Date()
+  };
+  conversation.updatedAt = new Date();
+
+  // Increment unread count for receiver
+  if (conversation.unreadCounts && conversation.unreadCounts[receiver]) {
+    conversation.unreadCounts[receiver] += 1;
+  } else {
+    conversation.unreadCounts = {
+      ...conversation.unreadCounts,
+      [receiver]: 1
+    };
+  }
+
+  await conversation.save();
+
+  return Message.findById(message._id)
+    .populate('sender', 'name role')
+    .populate('receiver', 'name role');
+};
+
+/**
+ * Loads the messages between two users, oldest first, and marks the ones
+ * sent to the current user as read
+ * @param {string} currentUser - User reading the conversation
+ * @param {string} otherUser - The other participant
+ * @returns {Promise<Array>} Messages
+ */
+const readConversation = async (currentUser, otherUser) => {
+  const conversation = await Conversation.findOne({
+    participants: { $all: [currentUser, otherUser] }
+  });
+
+  if (!conversation) {
+    return [];
+  }
+
+  const messages = await Message.find({ conversation: conversation._id })
+    .populate('sender', 'name role')
+    .populate('receiver', 'name role')
+    .sort({ createdAt: 1 });
+
+  const { modifiedCount } = await Message.updateMany(
+    {
+      conversation: conversation._id,
+      receiver: currentUser,
+      read: false
+    },
+    { read: true }
+  );
+
+  // Reset unread count for current user
+  if (modifiedCount > 0 && conversation.unreadCounts && conversation.unreadCounts[currentUser]) {
+    conversation.unreadCounts[currentUser] = 0;
+    await conversation.save();
+  }
+
+  return messages;
+};
+
+module.exports = {
+  deliverMessage,
+  readConversation
+};
@@ -0,0 +1,410 @@
+const Patient = require('../models/Patient');
+const PatientMerge = require('../models/PatientMerge');
+const Appointment = require('../models/Appointment');
+const AppointmentSeries = require('../models/AppointmentSeries');
+const Report = require('../models/Report');
+const Observation = require('../models/Observation');
+const Activity = require('../models/Activity');
+const WaitlistEntry = require('../models/WaitlistEntry');
+const QueueToken = require('../models/QueueToken');
+const PortalInvite = require('../models/PortalInvite');
+const Message = require('../models/Message');
+const Conversation = require('../models/Conversation');
+
+// Candidates scoring at least this much are reported as likely duplicates
+const DUPLICATE_THRESHOLD = 50;
+const MAX_CANDIDATES = 200;
+
+// Points each signal contributes to a 0-100 score. A date of birth that
+// differs counts against a match: a family sharing one email is not a duplicate.
+const WEIGHTS = {
+  name: 40,
+  dateOfBirth: 25,
+  dateOfBirthMismatch: -20,
+  phone: 20,
+  email: 15
+};
+
+// Names below this similarity earn no points
+const MIN_NAME_SIMILARITY = 0.6;
+
+// Survivor fields a merge may change, restored from the snapshot on undo
+const SURVIVOR_FIELDS = [
+  'user',
+  'phone',
+  'dateOfBirth',
+  'age',
+  'gender',
+  'bloodGroup',
+  'emergencyContact',
+  'primaryDoctor',
+  'allergies',
+  'medicalHistory'
+];
+
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Lowercased name words in alphabetical order, so "Rao, Anita" matches "Anita Rao"
+const normalizeName = (name) => String(name || '')
+  .toLowerCase()
+  .normalize('NFKD')
+  .replace(/[\u0300-\u036f]/g, '')
+  .replace(/[^a-z\s]/g, ' ')
+  .split(/\s+/)
+  .filter(Boolean)
+  .sort()
+  .join(' ');
+
+// The last ten digits, which ignores formatting and country codes
+const normalizePhone = (phone) => String(phone || '').replace(/\D/g, '').slice(-10);
+
+const normalizeEmail = (email) => String(email || '').trim().toLowerCase();
+
+const toDay = (date) => {
+  if (!date) return null;
+  const parsed = new Date(date);
+  return Number.isNaN(parsed.getTime()) ? null : parsed.toISOString().slice(0, 10);
+};
+
+const levenshtein = (a, b) => {
+  let previous = Array.from({ length: b.length + 1 }, (_, index) => index);
+  for (let i = 1; i <= a.length; i += 1) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j += 1) {
+      current[j] = Math.min(
+        previous[j] + 1,
+        current[j - 1] + 1,
+        previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+      );
+    }
+    previous = current;
+  }
+  return previous[b.length];
+};
+
+/**
+ * How alike two names are, ignoring case, accents, punctuation and word order
+ * @param {string} a - Name
+ * @param {string} b - Name
+ * @returns {number} 0 (nothing alike) to 1 (same)
+ */
+const nameSimilarity = (a, b) => {
+  const left = normalizeName(a);
+  const right = normalizeName(b);
+  if (!left || !right) return 0;
+  return 1 - levenshtein(left, right) / Math.max(left.length, right.length);
+};
+
+/**
+ * Scores how likely a candidate is the same person as the given details
+ * @param {Object} details - { name, email, phone, dateOfBirth }
+ * @param {Object} candidate - Patient
+ * @returns {Object} { score, signals } - signals says what matched
+ */
+const scoreCandidate = (details, candidate) => {
+  const signals = {
+    name: Math.round(nameSimilarity(details.name, candidate.name) * 100) / 100,
+    dateOfBirth: null,
+    phone: false,
+    email: false
+  };
+  let score = 0;
+
+  if (signals.name >= MIN_NAME_SIMILARITY) {
+    score += WEIGHTS.name * signals.name;
+  }
+
+  const day = toDay(details.dateOfBirth);
+  const candidateDay = toDay(candidate.dateOfBirth);
+  if (day && candidateDay) {
+    signals.dateOfBirth = day === candidateDay;
+    score += signals.dateOfBirth ? WEIGHTS.dateOfBirth : WEIGHTS.dateOfBirthMismatch;
+  }
+
+  const phone = normalizePhone(details.phone);
+  if (phone.length >= 7 && phone === normalizePhone(candidate.phone)) {
+    signals.phone = true;
+    score += WEIGHTS.phone;
+  }
+
+  const email = normalizeEmail(details.email);
+  if (email && email === normalizeEmail(candidate.email)) {
+    signals.email = true;
+    score += WEIGHTS.email;
+  }
+
+  return { score: Math.max(0, Math.round(score)), signals };
+};
+
+/**
+ * Finds patients at a hospital that look like the same person
+ * @param {Object} details - { name, email, phone, dateOfBirth }
+ * @param {Object} [options]
+ * @param {string} [options.hospitalId] - Hospital to search
+ * @param {string} [options.excludeId] - Patient to leave out, usually the one being checked
+ * @param {number} [options.threshold] - Lowest score to report
+ * @returns {Promise<Array>} [{ patient, score, signals }], best match first
+ */
+const findDuplicateCandidates = async (details, { hospitalId, excludeId, threshold = DUPLICATE_THRESHOLD } = {}) => {
+  // Cast a wide net with indexed fields, then score in memory
+  const conditions = [];
+
+  const email = normalizeEmail(details.email);
+  if (email) {
+    conditions.push({ email: new RegExp(`^${escapeRegex(email)}$`, 'i') });
+  }
+
+  const phone = normalizePhone(details.phone);
+  if (phone.length >= 7) {
+    conditions.push({ phone: new RegExp(`${phone.slice(-7).split('').join('\\D*')}$`) });
+  }
+
+  const day = toDay(details.dateOfBirth);
+  if (day) {
+    const start = new Date(`${day}T00:00:00.000Z`);
+    conditions.push({ dateOfBirth: { $gte: start, $lt: new Date(start.getTime() + 24 * 60 * 60 * 1000) } });
+  }
+
+  normalizeName(details.name)
+    .split(' ')
+    .filter(word => word.length >= 3)
+    .forEach(word => conditions.push({ name: new RegExp(escapeRegex(word), 'i') }));
+
+  if (!conditions.length) return [];
+
+  const query = { $or: conditions };
+  if (hospitalId) query.hospital = hospitalId;
+  if (excludeId) query._id = { $ne: excludeId };
+
+  const candidates = await Patient.find(query)
+    .select('name email phone dateOfBirth age gender status hospital createdAt')
+    .limit(MAX_CANDIDATES)
+    .lean();
+
+  return candidates
+    .map(patient => ({ patient, ...scoreCandidate(details, patient) }))
+    .filter(candidate => candidate.score >= threshold)
+    .sort((a, b) => b.score - a.score);
+};
+
+const isBlank = (value) => value === undefined || value === null || value === '';
+
+const dedupeStrings = (values) => {
+  const seen = new Set();
+  return values.filter(value => {
+    const key = String(value).trim().toLowerCase();
+    if (!key || seen.has(key)) return false;
+    seen.add(key);
+    return true;
+  });
+};
+
+const historyKey = (entry) => `${String(entry.condition || '').trim().toLowerCase()}|${toDay(entry.diagnosedDate) || ''}`;
+
+/**
+ * Folds the duplicate's details into the survivor: allergies and medical
+ * history are combined, and fields the survivor lacks are filled in
+ * @param {Object} survivor - Patient document
+ * @param {Object} duplicate - Patient document
+ */
+const combinePatientDetails = (survivor, duplicate) => {
+  survivor.allergies = dedupeStrings([...survivor.allergies, ...duplicate.allergies]);
+
+  const known = new Set(survivor.medicalHistory.map(historyKey));
+  duplicate.medicalHistory.forEach(entry => {
+    if (known.has(historyKey(entry))) return;
+    known.add(historyKey(entry));
+    survivor.medicalHistory.push({
+      condition: entry.condition,
+      diagnosedDate: entry.diagnosedDate,
+      medications: [...entry.medications],
+      notes: entry.notes
+    });
+  });
+
+  duplicate.appointments.forEach(entry => survivor.appointments.push(entry.toObject()));
+
+  ['phone', 'dateOfBirth', 'age', 'primaryDoctor'].forEach(field => {
+    if (isBlank(survivor[field]) && !isBlank(duplicate[field])) {
+      survivor[field] = duplicate[field];
+    }
+  });
+  if (survivor.gender === 'not_specified' && duplicate.gender !== 'not_specified') {
+    survivor.gender = duplicate.gender;
+  }
+  if (survivor.bloodGroup === 'Not Specified' && duplicate.bloodGroup !== 'Not Specified') {
+    survivor.bloodGroup = duplicate.bloodGroup;
+  }
+  if (!survivor.emergencyContact?.name && !survivor.emergencyContact?.phone && duplicate.emergencyContact?.name) {
+    survivor.emergencyContact = duplicate.toObject().emergencyContact;
+  }
+};
+
+// Collections that point at a patient, and the field that does
+const PATIENT_REFERENCES = [
+  { key: 'appointments', Model: Appointment, field: 'patientId' },
+  { key: 'appointmentSeries', Model: AppointmentSeries, field: 'patientId' },
+  { key: 'reports', Model: Report, field: 'patientId' },
+  { key: 'observations', Model: Observation, field: 'patientId' },
+  { key: 'waitlistEntries', Model: WaitlistEntry, field: 'patientId' },
+  { key: 'queueTokens', Model: QueueToken, field: 'patientId' },
+  { key: 'portalInvites', Model: PortalInvite, field: 'patient' }
+];
+
+/**
+ * Lists the messages and conversations of a duplicate's portal account
+ * @param {string} userId - Duplicate's user ID
+ * @returns {Promise<Object>} { sentMessages, receivedMessages, conversations }
+ */
+const findMessageReferences = async (userId) => {
+  const [sentMessages, receivedMessages, conversations] = await Promise.all([
+    Message.distinct('_id', { sender: userId }),
+    Message.distinct('_id', { receiver: userId }),
+    Conversation.find({ participants: userId }).select('participants').lean()
+  ]);
+
+  return {
+    sentMessages,
+    receivedMessages,
+    conversations: conversations.map(({ _id, participants }) => ({ conversationId: _id, participants }))
+  };
+};
+
+/**
+ * Moves messages and conversations from one account to another
+ * @param {Object} references - From findMessageReferences
+ * @param {string} fromUser - Duplicate's user ID
+ * @param {string} toUser - Survivor's user ID
+ */
+const moveMessages = async ({ sentMessages, receivedMessages, conversations }, fromUser, toUser) => {
+  await Message.updateMany({ _id: { $in: sentMessages } }, { $set: { sender: toUser } });
+  await Message.updateMany({ _id: { $in: receivedMessages } }, { $set: { receiver: toUser } });
+
+  for (const { conversationId, participants } of conversations) {
+    const ids = participants.map(id => (String(id) === String(fromUser) ? toUser : id));
+    // A conversation both accounts were in keeps the survivor once
+    const unique = [...new Map(ids.map(id => [String(id), id])).values()];
+    await Conversation.updateOne({ _id: conversationId }, { $set: { participants: unique } });
+  }
+};
+
+/**
+ * Merges a duplicate patient into the survivor. Every record that pointed at
+ * the duplicate is re-pointed, details are combined, and the duplicate is
+ * removed. The undo record is written before anything changes.
+ * @param {Object} params
+ * @param {Object} params.survivor - Patient document that is kept
+ * @param {Object} params.duplicate - Patient document that is merged away
+ * @param {Object} params.actor - User performing the merge
+ * @param {number} [params.score] - Duplicate score at the time
+ * @param {string} [params.reason] - Why the records were merged
+ * @returns {Promise<Object>} The PatientMerge record
+ */
+const mergePatients = async ({ survivor, duplicate, actor, score, reason }) => {
+  const stored = survivor.toObject({ getters: false, depopulate: true });
+  const survivorBefore = Object.fromEntries(SURVIVOR_FIELDS.map(field => [field, stored[field] ?? null]));
+
+  const moved = {};
+  for (const { key, Model, field } of PATIENT_REFERENCES) {
+    moved[key] = await Model.distinct('_id', { [field]: duplicate._id });
+  }
+  moved.activities = await Activity.distinct('_id', {
+    $or: [{ patientId: duplicate._id }, { subject: 'patient', subjectId: duplicate._id }]
+  });
+
+  // Portal accounts: the survivor adopts the duplicate's if it has none;
+  // when both have one, messages move to the survivor's
+  const moveUser = duplicate.user && survivor.user && String(duplicate.user) !== String(survivor.user);
+  if (moveUser) {
+    Object.assign(moved, await findMessageReferences(duplicate.user));
+  }
+
+  const merge = await PatientMerge.create({
+    survivorId: survivor._id,
+    mergedId: duplicate._id,
+    hospitalId: survivor.hospital || duplicate.hospital,
+    mergedSnapshot: duplicate.toObject({ getters: false, depopulate: true }),
+    survivorBefore,
+    moved,
+    mergedUserId: moveUser ? duplicate.user : undefined,
+    score,
+    reason: reason || '',
+    mergedBy: actor._id
+  });
+
+  for (const { key, Model, field } of PATIENT_REFERENCES) {
+    await Model.updateMany({ _id: { $in: moved[key] } }, { $set: { [field]: survivor._id } });
+  }
+  await Activity.updateMany({ _id: { $in: moved.activities }, patientId: duplicate._id }, { $set: { patientId: survivor._id } });
+  await Activity.updateMany(
+    { _id: { $in: moved.activities }, subject: 'patient', subjectId: duplicate._id },
+    { $set: { subjectId: survivor._id } }
+  );
+
+  if (moveUser) {
+    await moveMessages(moved, duplicate.user, survivor.user);
+  } else if (!survivor.user && duplicate.user) {
+    survivor.user = duplicate.user;
+  }
+
+  combinePatientDetails(survivor, duplicate);
+  await survivor.save();
+  await Patient.deleteOne({ _id: duplicate._id });
+
+  return merge;
+};
+
+/**
+ * Reverses a merge: the duplicate is restored as it was stored, the
+ * survivor's changed fields go back to their earlier values, and the
+ * records that were re-pointed point at the duplicate again. Records added
+ * to the survivor since the merge stay with it.
+ * @param {Object} merge - PatientMerge document
+ * @param {Object} actor - User undoing the merge
+ * @returns {Promise<Object>} The updated PatientMerge record
+ */
+const undoMerge = async (merge, actor) => {
+  const { survivorId, mergedId, moved } = merge;
+
+  await Patient.collection.insertOne(merge.mergedSnapshot);
+
+  const mergedAppointmentEntries = (merge.mergedSnapshot.appointments || []).map(entry => entry._id);
+  await Patient.collection.updateOne(
+    { _id: survivorId },
+    {
+      $set: merge.survivorBefore,
+      $pull: { appointments: { _id: { $in: mergedAppointmentEntries } } }
+    }
+  );
+
+  for (const { key, Model, field } of PATIENT_REFERENCES) {
+    await Model.updateMany({ _id: { $in: moved[key] }, [field]: survivorId }, { $set: { [field]: mergedId } });
+  }
+  await Activity.updateMany({ _id: { $in: moved.activities }, patientId: survivorId }, { $set: { patientId: mergedId } });
+  await Activity.updateMany(
+    { _id: { $in: moved.activities }, subject: 'patient', subjectId: survivorId },
+    { $set: { subjectId: mergedId } }
+  );
+
+  if (merge.mergedUserId) {
+    await Message.updateMany({ _id: { $in: moved.sentMessages } }, { $set: { sender: merge.mergedUserId } });
+    await Message.updateMany({ _id: { $in: moved.receivedMessages } }, { $set: { receiver: merge.mergedUserId } });
+    for (const { conversationId, participants } of moved.conversations) {
+      await Conversation.updateOne({ _id: conversationId }, { $set: { participants } });
+    }
+  }
+
+  merge.status = 'undone';
+  merge.undoneAt = new Date();
+  merge.undoneBy = actor._id;
+  return merge.save();
+};
+
+module.exports = {
+  DUPLICATE_THRESHOLD,
+  nameSimilarity,
+  scoreCandidate,
+  findDuplicateCandidates,
+  mergePatients,
+  undoMerge
+};
@@ -4,6 +4,7 @@ const path = require('path');
 const https = require('https');
 const http = require('http');
 const axios = require('axios');
+const { FREQUENCIES } = require('./prescriptionSchedule');
 
 /**
  * Helper function to download an image from a URL
@@ -663,6 +664,66 @@ function createClinicalSection(doc, title, content, colors) {
   doc.moveDown(1.5);
 }
 
+// Columns of the Rx table, as shares of the page's text width
+const RX_COLUMNS = [
+  { title: 'Medicine', share: 0.24, value: line => [line.drug, line.strength, line.form].filter(Boolean).join(' ') },
+  { title: 'Dose', share: 0.11, value: line => `${line.dose.amount} ${line.dose.unit}` },
+  { title: 'Route', share: 0.11, value: line => line.route || '' },
+  { title: 'Frequency', share: 0.15, value: line => FREQUENCIES[line.frequency]?.label || line.frequency },
+  { title: 'Duration', share: 0.1, value: line => (line.duration?.value ? `${line.duration.value} ${line.duration.unit}` : 'Ongoing') },
+  { title: 'Qty', share: 0.07, value: line => (line.quantity !== undefined && line.quantity !== null ? String(line.quantity) : '-') },
+  { title: 'Instructions', share: 0.22, value: line => line.instructions || '' }
+];
+
+/**
+ * Draw structured prescription lines as a table, breaking onto new pages as needed
+ * @param {Object} doc - PDFKit document
+ * @param {Array<Object>} lines - Prescription lines
+ */
+function drawPrescriptionTable(doc, lines) {
+  const left = doc.page.margins.left;
+  const tableWidth = doc.page.width - left - doc.page.margins.right;
+  const columns = RX_COLUMNS.map(column => ({ ...column, width: column.share * tableWidth }));
+  const padding = 4;
+
+  const drawRow = (cells, { header = false } = {}) => {
+    doc.font(header ? 'Helvetica-Bold' : 'Helvetica').fontSize(9);
+    const height = Math.max(...cells.map((cell, i) => (
+      doc.heightOfString(cell, { width: columns[i].width - padding * 2 })
+    ))) + padding * 2;
+
+    if (doc.y + height > doc.page.height - doc.page.margins.bottom - 40) {
+      doc.addPage();
+    }
+
+    const top = doc.y;
+    if (header) {
+      doc.rect(left, top, tableWidth, height).fillAndStroke('#EEEEEE', '#999999');
+    } else {
+      doc.rect(left, top, tableWidth, height).stroke('#999999');
+    }
+    doc.fillColor('black');
+
+    let x = left;
+    cells.forEach((cell, i) => {
+      doc.text(cell, x + padding, top + padding, { width: columns[i].width - padding * 2 });
+      x += columns[i].width;
+    });
+
+    doc.x = left;
+    doc.y = top + height;
+  };
+
+  drawRow(columns.map(column => column.title), { header: true });
+  lines.forEach(line => {
+    const cells = columns.map(column => column.value(line));
+    if (line.discontinuedAt) {
+      cells[0] = `${cells[0]} (discontinued ${formatDate(line.discontinuedAt)})`;
+    }
+    drawRow(cells);
+  });
+}
+
 /**
  * Format a date for display
  * @param {Date|string} date - Date to format
@@ -760,6 +821,17 @@ async function generateSimplePdf(data, outputPath) {
         doc.moveDown();
       }
       
+      // Vital signs
+      if (data.vitals && data.vitals.length > 0) {
+        doc.font('Helvetica-Bold').fontSize(12).text('Vital Signs');
+        doc.font('Helvetica').fontSize(10);
+        data.vitals.forEach(vital => {
+          const flag = vital.flag && vital.flag !== 'normal' ? ` (${vital.flag.toUpperCase()})` : '';
+          doc.text(`${vital.label}: ${vital.value}${flag} - ${formatDate(vital.recordedAt)}`);
+        });
+        doc.moveDown();
+      }
+      
       // Doctor info
       if (data.doctor) {
         doc.font('Helvetica-Bold').fontSize(12).text('Doctor Information');
@@ -788,7 +860,17 @@ async function generateSimplePdf(data, outputPath) {
       // Prescription
       doc.font('Helvetica-Bold').fontSize(12).text('Prescription');
       doc.font('Helvetica').fontSize(10);
-      doc.text(data.prescription || 'No prescription information provided');
+      if (data.medications && data.medications.length > 0) {
+        doc.moveDown(0.3);
+        drawPrescriptionTable(doc, data.medications);
+        doc.font('Helvetica').fontSize(10);
+        doc.moveDown(0.5);
+        if (data.prescription) {
+          doc.text(data.prescription);
+        }
+      } else {
+        doc.text(data.prescription || 'No prescription information provided');
+      }
       doc.moveDown();
       
       // Notes
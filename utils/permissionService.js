@@ -0,0 +1,131 @@
+const PermissionSet = require('../models/PermissionSet');
+const Staff = require('../models/Staff');
+const policies = require('../config/policies');
+
+// Permission sets refine staff and doctor access. Admins and patients always
+// get exactly their role's defaults.
+const PERMISSION_SET_ROLES = ['staff', 'doctor'];
+
+/**
+ * Lists every permission the policy knows about, with the roles that hold it
+ * by default
+ * @returns {Array} [{ permission, resource, action, roles }]
+ */
+const getPermissionCatalogue = () => Object.entries(policies).flatMap(([resource, policy]) => (
+  Object.entries(policy.actions).map(([action, roles]) => ({
+    permission: `${resource}:${action}`,
+    resource,
+    action,
+    roles
+  }))
+));
+
+/**
+ * Expands a permission, or a `<resource>:*` wildcard, into the concrete
+ * permissions it covers
+ * @param {string} permission - e.g. `inventory:update` or `inventory:*`
+ * @returns {Array<string>} Empty when the permission is unknown
+ */
+const expandPermission = (permission) => {
+  const [resource, action] = String(permission).split(':');
+  const policy = policies[resource];
+  if (!policy) return [];
+
+  if (action === '*') {
+    return Object.keys(policy.actions).map(name => `${resource}:${name}`);
+  }
+
+  return policy.actions[action] ? [`${resource}:${action}`] : [];
+};
+
+/**
+ * Finds entries that don't name a policy resource and action
+ * @param {Array<string>} permissions - Permissions to check
+ * @returns {Array<string>} The unknown entries
+ */
+const findUnknownPermissions = (permissions) => permissions.filter(
+  permission => expandPermission(permission).length === 0
+);
+
+/**
+ * The permissions a role holds before any permission sets apply
+ * @param {string} role - User role
+ * @returns {Array<string>} Permissions
+ */
+const getRolePermissions = (role) => getPermissionCatalogue()
+  .filter(entry => entry.roles.includes(role))
+  .map(entry => entry.permission);
+
+/**
+ * Loads the permission sets that apply to a user, directly or through their
+ * staff department
+ * @param {Object} user - User document
+ * @returns {Promise<Object>} { sets: [{ set, source }], department }
+ */
+const getApplicableSets = async (user) => {
+  if (!PERMISSION_SET_ROLES.includes(user.role)) {
+    return { sets: [], department: null };
+  }
+
+  let department = null;
+  if (user.role === 'staff') {
+    const staff = await Staff.findOne({ userId: user._id }).select('department').lean();
+    department = staff?.department || null;
+  }
+
+  const assigned = (user.permissionSets || []).map(String);
+  const conditions = [];
+  if (assigned.length) conditions.push({ _id: { $in: assigned } });
+  if (department) conditions.push({ departments: department });
+  if (!conditions.length) {
+    return { sets: [], department };
+  }
+
+  const found = await PermissionSet.find({ $or: conditions }).lean();
+  const sets = found.map(set => ({
+    set,
+    source: assigned.includes(String(set._id)) ? 'user' : 'department'
+  }));
+
+  return { sets, department };
+};
+
+/**
+ * Works out what a user may do: their role's defaults, plus what their
+ * permission sets grant, minus anything a set denies. Denials win.
+ * @param {Object} user - User document
+ * @returns {Promise<Object>} { role, department, permissions, sets }
+ */
+const resolveEffectivePermissions = async (user) => {
+  const { sets, department } = await getApplicableSets(user);
+  const permissions = new Set(getRolePermissions(user.role));
+
+  sets.forEach(({ set }) => {
+    set.permissions.flatMap(expandPermission).forEach(permission => permissions.add(permission));
+  });
+  sets.forEach(({ set }) => {
+    set.deniedPermissions.flatMap(expandPermission).forEach(permission => permissions.delete(permission));
+  });
+
+  return {
+    role: user.role,
+    department,
+    permissions: [...permissions].sort(),
+    sets: sets.map(({ set, source }) => ({
+      _id: set._id,
+      name: set.name,
+      source,
+      permissions: set.permissions,
+      deniedPermissions: set.deniedPermissions
+    }))
+  };
+};
+
+module.exports = {
+  PERMISSION_SET_ROLES,
+  getPermissionCatalogue,
+  expandPermission,
+  findUnknownPermissions,
+  getRolePermissions,
+  resolveEffectivePermissions
+};
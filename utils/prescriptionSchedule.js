@@ -0,0 +1,185 @@
+// Dosage frequencies a prescription line can use. `dosesPerDay` drives the
+// quantity to dispense; PRN has none, so its quantity must be given.
+const FREQUENCIES = {
+  OD: { label: 'once daily', dosesPerDay: 1 },
+  BD: { label: 'twice daily', dosesPerDay: 2 },
+  TDS: { label: 'three times daily', dosesPerDay: 3 },
+  QID: { label: 'four times daily', dosesPerDay: 4 },
+  Q4H: { label: 'every 4 hours', dosesPerDay: 6 },
+  Q6H: { label: 'every 6 hours', dosesPerDay: 4 },
+  Q8H: { label: 'every 8 hours', dosesPerDay: 3 },
+  Q12H: { label: 'every 12 hours', dosesPerDay: 2 },
+  HS: { label: 'at bedtime', dosesPerDay: 1 },
+  WEEKLY: { label: 'once weekly', dosesPerDay: 1 / 7 },
+  PRN: { label: 'as needed', dosesPerDay: null },
+  STAT: { label: 'once, immediately', dosesPerDay: null, once: true }
+};
+
+const DOSE_FORMS = [
+  'tablet', 'capsule', 'syrup', 'suspension', 'injection', 'drops',
+  'cream', 'ointment', 'gel', 'inhaler', 'patch', 'suppository', 'powder', 'other'
+];
+
+const ROUTES = [
+  'oral', 'sublingual', 'intravenous', 'intramuscular', 'subcutaneous', 'topical',
+  'inhalation', 'nasal', 'ophthalmic', 'otic', 'rectal', 'vaginal', 'transdermal', 'other'
+];
+
+const DURATION_UNITS = {
+  days: 1,
+  weeks: 7,
+  months: 30
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const prescriptionError = (message) => {
+  const error = new Error(message);
+  error.statusCode = 400;
+  return error;
+};
+
+/**
+ * Length of a line's course in days
+ * @param {Object} line - Prescription line
+ * @returns {number|null} null when the line has no set duration
+ */
+const getDurationDays = (line) => {
+  if (FREQUENCIES[line.frequency]?.once) return 1;
+  if (!line.duration?.value) return null;
+  return line.duration.value * DURATION_UNITS[line.duration.unit || 'days'];
+};
+
+/**
+ * Validates prescription lines from a request body and fills in their
+ * schedule: the end date from the duration, and the quantity to dispense
+ * when the dose and frequency allow it to be worked out.
+ * @param {Array<Object>} lines - Lines as sent
+ * @param {Date} [startDate] - When courses without their own start date begin
+ * @returns {Array<Object>} Lines ready to store
+ */
+const normalizePrescriptionLines = (lines, startDate = new Date()) => {
+  if (!Array.isArray(lines)) {
+    throw prescriptionError('Medications must be a list of prescription lines');
+  }
+
+  return lines.map((input, index) => {
+    const position = `Medication ${index + 1}`;
+    const drug = typeof input.drug === 'string' ? input.drug.trim() : '';
+    if (!drug) {
+      throw prescriptionError(`${position} needs a drug name`);
+    }
+
+    const frequency = String(input.frequency || '').toUpperCase();
+    if (!FREQUENCIES[frequency]) {
+      throw prescriptionError(`${position}: frequency must be one of ${Object.keys(FREQUENCIES).join(', ')}`);
+    }
+
+    const form = input.form ? String(input.form).toLowerCase() : undefined;
+    if (form && !DOSE_FORMS.includes(form)) {
+      throw prescriptionError(`${position}: form must be one of ${DOSE_FORMS.join(', ')}`);
+    }
+
+    const route = String(input.route || 'oral').toLowerCase();
+    if (!ROUTES.includes(route)) {
+      throw prescriptionError(`${position}: route must be one of ${ROUTES.join(', ')}`);
+    }
+
+    const doseAmount = Number(input.dose?.amount);
+    if (!Number.isFinite(doseAmount) || doseAmount <= 0) {
+      throw prescriptionError(`${position} needs a dose amount greater than zero`);
+    }
+    const dose = { amount: doseAmount, unit: String(input.dose.unit || form || 'unit').trim() };
+
+    let duration;
+    if (input.duration?.value !== undefined && input.duration?.value !== null && input.duration?.value !== '') {
+      const value = Number(input.duration.value);
+      const unit = input.duration.unit || 'days';
+      if (!Number.isInteger(value) || value <= 0) {
+        throw prescriptionError(`${position}: duration must be a whole number greater than zero`);
+      }
+      if (!DURATION_UNITS[unit]) {
+        throw prescriptionError(`${position}: duration unit must be one of ${Object.keys(DURATION_UNITS).join(', ')}`);
+      }
+      duration = { value, unit };
+    }
+
+    const start = input.startDate ? new Date(input.startDate) : new Date(startDate);
+    if (Number.isNaN(start.getTime())) {
+      throw prescriptionError(`${position} has an invalid start date`);
+    }
+
+    const line = {
+      // Kept so edits don't lose a line's identity or discontinuation
+      _id: input._id,
+      drug,
+      strength: input.strength ? String(input.strength).trim() : undefined,
+      form,
+      route,
+      dose,
+      frequency,
+      duration,
+      instructions: input.instructions ? String(input.instructions).trim() : '',
+      startDate: start,
+      discontinuedAt: input.discontinuedAt,
+      discontinuedBy: input.discontinuedBy,
+      discontinueReason: input.discontinueReason
+    };
+
+    const days = getDurationDays(line);
+    line.endDate = days ? new Date(start.getTime() + days * DAY_MS) : undefined;
+
+    if (input.quantity !== undefined && input.quantity !== null && input.quantity !== '') {
+      const quantity = Number(input.quantity);
+      if (!Number.isFinite(quantity) || quantity <= 0) {
+        throw prescriptionError(`${position}: quantity must be greater than zero`);
+      }
+      line.quantity = quantity;
+    } else {
+      const { dosesPerDay, once } = FREQUENCIES[frequency];
+      if (once) line.quantity = dose.amount;
+      else if (dosesPerDay && days) line.quantity = Math.ceil(dose.amount * dosesPerDay * days);
+    }
+
+    Object.keys(line).forEach(key => line[key] === undefined && delete line[key]);
+    return line;
+  });
+};
+
+/**
+ * Whether a line's course is running on a given day. Lines without a set
+ * duration are ongoing until they are discontinued.
+ * @param {Object} line - Stored prescription line
+ * @param {Date} [asOf]
+ * @returns {boolean}
+ */
+const isLineActive = (line, asOf = new Date()) => {
+  if (line.discontinuedAt && line.discontinuedAt <= asOf) return false;
+  if (line.startDate && line.startDate > asOf) return false;
+  return !line.endDate || line.endDate > asOf;
+};
+
+/**
+ * One line in words, e.g. "Amoxicillin 500 mg capsule - 1 capsule oral three
+ * times daily for 5 days"
+ * @param {Object} line - Prescription line
+ * @returns {string}
+ */
+const describePrescriptionLine = (line) => {
+  const name = [line.drug, line.strength, line.form].filter(Boolean).join(' ');
+  const frequency = FREQUENCIES[line.frequency]?.label || line.frequency;
+  const duration = line.duration?.value ? ` for ${line.duration.value} ${line.duration.unit}` : '';
+  const instructions = line.instructions ? `. ${line.instructions}` : '';
+  return `${name} - ${line.dose.amount} ${line.dose.unit} ${line.route} ${frequency}${duration}${instructions}`;
+};
+
+module.exports = {
+  FREQUENCIES,
+  DOSE_FORMS,
+  ROUTES,
+  DURATION_UNITS,
+  getDurationDays,
+  normalizePrescriptionLines,
+  isLineActive,
+  describePrescriptionLine
+};
@@ -0,0 +1,138 @@
+const { format, subDays } = require('date-fns');
+const QueueCounter = require('../models/QueueCounter');
+const QueueToken = require('../models/QueueToken');
+const { getDoctorTemplate } = require('./scheduleService');
+
+// Consultations used for the running average, and how far back to look
+const AVERAGE_SAMPLE_SIZE = 30;
+const AVERAGE_LOOKBACK_DAYS = 30;
+
+const ACTIVE_STATUSES = ['waiting', 'called', 'in_consultation'];
+
+const getToday = () => format(new Date(), 'yyyy-MM-dd');
+
+/**
+ * Reserves the next token number and queue position for a doctor's day
+ * @param {string} doctorId - Doctor ID
+ * @param {string} date - Date in YYYY-MM-DD format
+ * @param {Object} [options]
+ * @param {boolean} [options.positionOnly] - Only advance the position, e.g. when requeueing
+ * @returns {Promise<Object>} { tokenNumber, position }
+ */
+const nextQueueNumbers = async (doctorId, date, { positionOnly = false } = {}) => {
+  const counter = await QueueCounter.findOneAndUpdate(
+    { doctorId, date },
+    { $inc: positionOnly ? { lastPosition: 1 } : { lastToken: 1, lastPosition: 1 } },
+    { upsert: true, new: true, setDefaultsOnInsert: true }
+  );
+
+  return { tokenNumber: counter.lastToken, position: counter.lastPosition };
+};
+
+/**
+ * Issues a queue token for today
+ * @param {Object} details
+ * @param {Object} details.doctor - Doctor document
+ * @param {string} details.patientId - Patient ID
+ * @param {string} [details.appointmentId] - Appointment being checked in, if any
+ * @param {string} [details.notes] - Reception notes
+ * @param {string} [details.issuedBy] - User issuing the token
+ * @returns {Promise<Object>} The queue token
+ */
+const issueToken = async ({ doctor, patientId, appointmentId, notes, issuedBy }) => {
+  const date = getToday();
+
+  // Checking in twice for the same appointment keeps the original token
+  if (appointmentId) {
+    const existing = await QueueToken.findOne({ appointmentId, date });
+    if (existing) return existing;
+  }
+
+  const { tokenNumber, position } = await nextQueueNumbers(doctor._id, date);
+
+  return QueueToken.create({
+    hospitalId: doctor.hospitalId,
+    doctorId: doctor._id,
+    patientId,
+    appointmentId,
+    source: appointmentId ? 'appointment' : 'walk_in',
+    date,
+    tokenNumber,
+    position,
+    notes: notes || '',
+    issuedBy
+  });
+};
+
+/**
+ * Average consultation length for a doctor, from recent finished consultations,
+ * falling back to the doctor's slot length when there is no history yet
+ * @param {Object} doctor - Doctor document
+ * @returns {Promise<number>} Minutes
+ */
+const getAverageConsultationMinutes = async (doctor) => {
+  const recent = await QueueToken.find({
+    doctorId: doctor._id,
+    status: 'done',
+    consultationStartedAt: { $ne: null },
+    completedAt: { $ne: null },
+    date: { $gte: format(subDays(new Date(), AVERAGE_LOOKBACK_DAYS), 'yyyy-MM-dd') }
+  })
+    .sort({ completedAt: -1 })
+    .limit(AVERAGE_SAMPLE_SIZE)
+    .select('consultationStartedAt completedAt')
+    .lean();
+
+  const durations = recent
+    .map(token => (token.completedAt - token.consultationStartedAt) / 60000)
+    .filter(minutes => minutes > 0);
+
+  if (durations.length) {
+    return Math.round(durations.reduce((sum, minutes) => sum + minutes, 0) / durations.length);
+  }
+
+  const template = await getDoctorTemplate(doctor);
+  return template.slotDuration;
+};
+
+/**
+ * Loads a doctor's active queue for a day, in order, with estimated waits
+ * @param {Object} doctor - Doctor document
+ * @param {string} [date] - Date in YYYY-MM-DD format, defaults to today
+ * @returns {Promise<Object>} { date, averageConsultationMinutes, nowServing, waiting, skipped, done }
+ */
+const getDoctorQueue = async (doctor, date = getToday()) => {
+  const tokens = await QueueToken.find({ doctorId: doctor._id, date })
+    .populate('patientId', 'name phone')
+    .sort({ position: 1 });
+
+  const averageConsultationMinutes = await getAverageConsultationMinutes(doctor);
+
+  const nowServing = tokens.filter(token => ['called', 'in_consultation'].includes(token.status));
+  const waitingTokens = tokens.filter(token => token.status === 'waiting');
+
+  // Everyone being seen counts as one consultation ahead of the first waiting patient
+  const waiting = waitingTokens.map((token, index) => ({
+    ...token.toObject(),
+    queuePosition: index + 1,
+    estimatedWaitMinutes: (index + nowServing.length) * averageConsultationMinutes
+  }));
+
+  return {
+    date,
+    averageConsultationMinutes,
+    nowServing,
+    waiting,
+    skipped: tokens.filter(token => token.status === 'skipped'),
+    done: tokens.filter(token => token.status === 'done').length
+  };
+};
+
+module.exports = {
+  ACTIVE_STATUSES,
+  getToday,
+  nextQueueNumbers,
+  issueToken,
+  getAverageConsultationMinutes,
+  getDoctorQueue
+};
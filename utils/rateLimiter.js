@@ -0,0 +1,96 @@
+const asyncHandler = require('express-async-handler');
+const RateLimit = require('../models/RateLimit');
+
+const getWindow = (windowMs, now = Date.now()) => {
+  const windowStart = Math.floor(now / windowMs) * windowMs;
+  return { windowStart, expiresAt: new Date(windowStart + windowMs) };
+};
+
+/**
+ * Reads a key's count in the current window without adding a hit
+ * @param {string} key - What is being limited
+ * @param {Object} options
+ * @param {number} options.limit - Hits allowed per window
+ * @param {number} options.windowMs - Window length in milliseconds
+ * @returns {Promise<Object>} { allowed, count, retryAfterMs }
+ */
+const peekRateLimit = async (key, { limit, windowMs }) => {
+  const now = Date.now();
+  const { windowStart, expiresAt } = getWindow(windowMs, now);
+  const counter = await RateLimit.findOne({ key: `${key}:${windowStart}` }).lean();
+  const count = counter?.count || 0;
+
+  return {
+    allowed: count < limit,
+    count,
+    retryAfterMs: expiresAt.getTime() - now
+  };
+};
+
+/**
+ * Counts a hit against a key in the current fixed window
+ * @param {string} key - What is being limited, e.g. `forgot-password:ip:1.2.3.4`
+ * @param {Object} options
+ * @param {number} options.limit - Hits allowed per window
+ * @param {number} options.windowMs - Window length in milliseconds
+ * @returns {Promise<Object>} { allowed, count, retryAfterMs }
+ */
+const hitRateLimit = async (key, { limit, windowMs }) => {
+  const now = Date.now();
+  const { windowStart, expiresAt } = getWindow(windowMs, now);
+
+  const increment = () => RateLimit.findOneAndUpdate(
+    { key: `${key}:${windowStart}` },
+    { $inc: { count: 1 }, $setOnInsert: { expiresAt } },
+    { upsert: true, new: true }
+  );
+
+  let counter;
+  try {
+    counter = await increment();
+  } catch (error) {
+    // Two first hits in the same window can race on the upsert; the loser retries
+    if (error.code !== 11000) throw error;
+    counter = await increment();
+  }
+
+  return {
+    allowed: counter.count <= limit,
+    count: counter.count,
+    retryAfterMs: expiresAt.getTime() - now
+  };
+};
+
+/**
+ * Express middleware that rejects requests over the limit with a 429.
+ * Every key returned by `keys` is counted, so a request can be limited per IP
+ * and per account at the same time.
+ * @param {Object} options
+ * @param {string} options.name - Prefix for the stored keys
+ * @param {number} options.limit - Requests allowed per window for each key
+ * @param {number} options.windowMs - Window length in milliseconds
+ * @param {Function} options.keys - (req) => array of key parts; empty parts are skipped
+ * @returns {Function} Express middleware
+ */
+const rateLimit = ({ name, limit, windowMs, keys }) => asyncHandler(async (req, res, next) => {
+  const parts = keys(req).filter(Boolean);
+  const results = await Promise.all(
+    parts.map(part => hitRateLimit(`${name}:${part}`, { limit, windowMs }))
+  );
+
+  const blocked = results.filter(result => !result.allowed);
+  if (blocked.length) {
+    const retryAfterMs = Math.max(...blocked.map(result => result.retryAfterMs));
+    res.set('Retry-After', String(Math.ceil(retryAfterMs / 1000)));
+    res.status(429);
+    throw new Error('Too many requests. Please try again later.');
+  }
+
+  next();
+});
+
+module.exports = {
+  peekRateLimit,
+  hitRateLimit,
+  rateLimit
+};
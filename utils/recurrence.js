@@ -0,0 +1,152 @@
+const { addDays, addMonths, addWeeks, format, getDate, isValid, parseISO, startOfWeek } = require('date-fns');
+
+const FREQUENCIES = ['DAILY', 'WEEKLY', 'MONTHLY'];
+const WEEK_DAY_CODES = ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA'];
+const MAX_OCCURRENCES = 104;
+
+/**
+ * Parses an RRULE string ("FREQ=WEEKLY;INTERVAL=1;BYDAY=MO,TH;COUNT=12") or
+ * a plain rule object into a normalized rule
+ * @param {string|Object} input - RRULE string or { frequency, interval, byDay, count, until }
+ * @returns {Object} Normalized rule
+ */
+const parseRecurrence = (input) => {
+  let rule = input;
+
+  if (typeof input === 'string') {
+    rule = {};
+    input.replace(/^RRULE:/i, '').split(';').filter(Boolean).forEach(part => {
+      const [key, value] = part.split('=');
+      switch ((key || '').toUpperCase()) {
+        case 'FREQ': rule.frequency = value; break;
+        case 'INTERVAL': rule.interval = Number(value); break;
+        case 'BYDAY': rule.byDay = value.split(','); break;
+        case 'COUNT': rule.count = Number(value); break;
+        case 'UNTIL': rule.until = value.length === 8
+          ? `${value.slice(0, 4)}-${value.slice(4, 6)}-${value.slice(6, 8)}`
+          : value.slice(0, 10);
+          break;
+        default: break;
+      }
+    });
+  }
+
+  if (!rule || typeof rule !== 'object') {
+    throw new Error('Recurrence rule is required');
+  }
+
+  const normalized = {
+    frequency: String(rule.frequency || '').toUpperCase(),
+    interval: rule.interval ? Number(rule.interval) : 1,
+    byDay: (rule.byDay || []).map(day => String(day).toUpperCase().slice(0, 2)),
+    count: rule.count ? Number(rule.count) : undefined,
+    until: rule.until ? String(rule.until).slice(0, 10) : undefined
+  };
+
+  if (!FREQUENCIES.includes(normalized.frequency)) {
+    throw new Error(`Recurrence frequency must be one of: ${FREQUENCIES.join(', ')}`);
+  }
+
+  if (!Number.isInteger(normalized.interval) || normalized.interval < 1) {
+    throw new Error('Recurrence interval must be a positive whole number');
+  }
+
+  if (normalized.byDay.some(day => !WEEK_DAY_CODES.includes(day))) {
+    throw new Error(`Recurrence days must be any of: ${WEEK_DAY_CODES.join(', ')}`);
+  }
+
+  if (!normalized.count && !normalized.until) {
+    throw new Error('Recurrence needs either a count or an until date');
+  }
+
+  if (normalized.count !== undefined && (!Number.isInteger(normalized.count) || normalized.count < 1)) {
+    throw new Error('Recurrence count must be a positive whole number');
+  }
+
+  if (normalized.count > MAX_OCCURRENCES) {
+    throw new Error(`Recurrence count cannot be more than ${MAX_OCCURRENCES}`);
+  }
+
+  if (normalized.until && !isValid(parseISO(normalized.until))) {
+    throw new Error('Recurrence until date must be in YYYY-MM-DD format');
+  }
+
+  return normalized;
+};
+
+/**
+ * Expands a rule into occurrence dates, starting at (and including) startDate
+ * @param {Object} rule - Normalized rule from parseRecurrence
+ * @param {string} startDate - First date in YYYY-MM-DD format
+ * @returns {string[]} Occurrence dates in YYYY-MM-DD format
+ */
+const expandRecurrence = (rule, startDate) => {
+  const start = parseISO(String(startDate).slice(0, 10));
+  if (!isValid(start)) {
+    throw new Error('Start date must be in YYYY-MM-DD format');
+  }
+
+  // Without a count, expand one past the cap so a too-long rule is caught below
+  const limit = rule.count || MAX_OCCURRENCES + 1;
+  const until = rule.until ? parseISO(rule.until) : null;
+  const dates = [];
+
+  const accept = (date) => {
+    if (until && date > until) return false;
+    dates.push(format(date, 'yyyy-MM-dd'));
+    return dates.length < limit;
+  };
+
+  if (rule.frequency === 'DAILY') {
+    for (let date = start; ; date = addDays(date, rule.interval)) {
+      if (until && date > until) break;
+      if (!accept(date)) break;
+    }
+  } else if (rule.frequency === 'WEEKLY') {
+    const byDay = rule.byDay.length > 0 ? rule.byDay : [WEEK_DAY_CODES[start.getDay()]];
+    // Monday-first week order so BYDAY=MO,WE,FR yields dates in sequence
+    const offsets = byDay
+      .map(code => (WEEK_DAY_CODES.indexOf(code) + 6) % 7)
+      .sort((a, b) => a - b);
+
+    let done = false;
+    for (let week = startOfWeek(start, { weekStartsOn: 1 }); !done; week = addWeeks(week, rule.interval)) {
+      if (until && week > until) break;
+
+      for (const offset of offsets) {
+        const date = addDays(week, offset);
+        if (date < start) continue;
+        if (until && date > until) {
+          done = true;
+          break;
+        }
+        if (!accept(date)) {
+          done = true;
+          break;
+        }
+      }
+    }
+  } else {
+    const dayOfMonth = getDate(start);
+    for (let step = 0; ; step += rule.interval) {
+      const date = addMonths(start, step);
+      if (until && date > until) break;
+      // Skip months that are too short, e.g. the 31st in April
+      if (getDate(date) !== dayOfMonth) continue;
+      if (!accept(date)) break;
+    }
+  }
+
+  if (dates.length > MAX_OCCURRENCES) {
+    throw new Error(`Recurrence cannot produce more than ${MAX_OCCURRENCES} occurrences; use an earlier until date`);
+  }
+
+  return dates;
+};
+
+module.exports = {
+  FREQUENCIES,
+  MAX_OCCURRENCES,
+  parseRecurrence,
+  expandRecurrence
+};
@@ -0,0 +1,249 @@
+const { format, addMinutes, parse } = require('date-fns');
+const Appointment = require('../models/Appointment');
+const ReminderTemplate = require('../models/ReminderTemplate');
+const ActivityService = require('./activityService');
+const { sendReminderEmail } = require('./emailService');
+
+const DEFAULT_TEMPLATE = {
+  subject: 'Appointment Reminder: {{date}} at {{time}}',
+  html: `
+    <h1>Appointment Reminder</h1>
+    <p>Dear {{patientName}},</p>
+    <p>This is a reminder of your {{type}} appointment with Dr. {{doctorName}} on {{date}} at {{time}}.</p>
+    <p>{{hospitalName}}<br>{{hospitalAddress}}</p>
+    <p>If you can no longer attend, please contact us on {{hospitalContact}}.</p>
+  `
+};
+
+/**
+ * Parses reminder offsets such as "24h,2h,30m" into minutes, largest first
+ * @param {string} value - Comma separated offsets; a bare number is read as hours
+ * @returns {number[]} Offsets in minutes
+ */
+const parseOffsets = (value) => {
+  const offsets = String(value || '')
+    .split(',')
+    .map(part => part.trim().toLowerCase())
+    .filter(Boolean)
+    .map(part => {
+      const match = part.match(/^(\d+)\s*(m|h|d)?$/);
+      if (!match) return null;
+      const amount = Number(match[1]);
+      if (match[2] === 'm') return amount;
+      if (match[2] === 'd') return amount * 24 * 60;
+      return amount * 60;
+    })
+    .filter(offset => offset > 0);
+
+  return [...new Set(offsets)].sort((a, b) => b - a);
+};
+
+const DEFAULT_OFFSETS = parseOffsets(process.env.REMINDER_OFFSETS || '24h,2h');
+
+const HTML_ENTITIES = {
+  '&': '&amp;',
+  '<': '&lt;',
+  '>': '&gt;',
+  '"': '&quot;',
+  "'": '&#39;'
+};
+
+const escapeHtml = (value) => String(value).replace(/[&<>"']/g, char => HTML_ENTITIES[char]);
+
+/**
+ * Fills {{placeholder}} tokens in a template string
+ * @param {string} text - Template text
+ * @param {Object} values - Placeholder values
+ * @param {Object} [options]
+ * @param {boolean} [options.html] - Escape values for an HTML body. Names and
+ *   addresses are user input and must not be able to inject markup.
+ * @returns {string} Rendered text
+ */
+const renderTemplate = (text, values, { html = false } = {}) => (
+  String(text || '').replace(/\{\{\s*(\w+)\s*\}\}/g, (token, key) => {
+    if (values[key] === undefined || values[key] === null) return '';
+    return html ? escapeHtml(values[key]) : String(values[key]);
+  })
+);
+
+const getAppointmentStart = (appointment) => (
+  parse(`${appointment.date} ${appointment.time}`, 'yyyy-MM-dd HH:mm', new Date())
+);
+
+/**
+ * Works out which reminder is due for an appointment. When several offsets
+ * have passed (e.g. booked two hours ahead) only the closest one is sent and
+ * the earlier ones are recorded as covered by it.
+ * @param {Object} appointment - Appointment with date, time and remindersSent
+ * @param {number[]} offsets - Offsets in minutes, largest first
+ * @param {Date} now - Current time
+ * @returns {Object|null} { offset, covered } or null when nothing is due
+ */
+const getDueReminder = (appointment, offsets, now) => {
+  const start = getAppointmentStart(appointment);
+  if (isNaN(start.getTime()) || start <= now) return null;
+
+  const sent = (appointment.remindersSent || []).map(item => item.offset);
+  const due = offsets.filter(offset => !sent.includes(offset) && addMinutes(start, -offset) <= now);
+  if (!due.length) return null;
+
+  const offset = Math.min(...due);
+
+  // An offset at or before one already sent is superseded by it
+  if (sent.some(sentOffset => sentOffset <= offset)) return null;
+
+  return { offset, covered: due };
+};
+
+const buildTemplateValues = (appointment) => {
+  const doctor = appointment.doctorId || {};
+  const hospital = appointment.hospitalId || {};
+  const patient = appointment.patientId || {};
+
+  return {
+    patientName: patient.name || '',
+    doctorName: doctor.userId?.name || '',
+    hospitalName: hospital.name || '',
+    hospitalAddress: hospital.address || '',
+    hospitalContact: hospital.contact || '',
+    date: appointment.date,
+    time: appointment.time,
+    type: appointment.type
+  };
+};
+
+/**
+ * Creates a reminder scheduler. The clock and mail transport can be swapped
+ * out so the scheduler can be driven without waiting or sending real email.
+ * @param {Object} [options]
+ * @param {number[]} [options.offsets] - Offsets in minutes before the appointment
+ * @param {Function} [options.now] - Returns the current time
+ * @param {Object} [options.transport] - Nodemailer-style transport with sendMail
+ * @returns {Object} { runOnce }
+ */
+const createReminderScheduler = ({
+  offsets = DEFAULT_OFFSETS,
+  now = () => new Date(),
+  transport
+} = {}) => {
+  const loadTemplate = async (hospitalId, cache) => {
+    const key = String(hospitalId);
+    if (!cache.has(key)) {
+      cache.set(key, await ReminderTemplate.findOne({ hospitalId }).lean());
+    }
+    return cache.get(key);
+  };
+
+  const sendReminder = async (appointment, reminder, template, currentTime) => {
+    // Claim the reminder first so a second process or a restart can't send it again
+    const claim = await Appointment.updateOne(
+      { _id: appointment._id, 'remindersSent.offset': { $nin: reminder.covered } },
+      {
+        $push: { remindersSent: { $each: reminder.covered.map(offset => ({ offset, sentAt: currentTime })) } },
+        $set: { reminderSent: true }
+      }
+    );
+    // Already sent by another run
+    if (!claim.modifiedCount) return null;
+
+    const values = buildTemplateValues(appointment);
+    const patientEmail = appointment.patientId?.email;
+    const sent = patientEmail ? await sendReminderEmail(patientEmail, {
+      subject: renderTemplate(template.subject, values),
+      html: renderTemplate(template.html, values, { html: true })
+    }, transport) : false;
+
+    if (!sent) {
+      // Give the reminder back so the next run retries it
+      await Appointment.updateOne(
+        { _id: appointment._id },
+        { $pull: { remindersSent: { offset: { $in: reminder.covered } } } }
+      );
+      await Appointment.updateOne(
+        { _id: appointment._id, remindersSent: { $size: 0 } },
+        { $set: { reminderSent: false } }
+      );
+    }
+
+    await ActivityService.logActivity({
+      user: appointment.doctorId?.userId?._id,
+      hospitalId: appointment.hospitalId?._id,
+      actorName: 'Reminder scheduler',
+      patientId: appointment.patientId?._id,
+      action: 'appointment_reminder_sent',
+      subject: 'appointment',
+      subjectId: appointment._id,
+      description: sent
+        ? `Reminder sent to ${values.patientName} for ${appointment.date} at ${appointment.time}`
+        : `Reminder to ${values.patientName || 'patient'} for ${appointment.date} at ${appointment.time} could not be sent`,
+      status: sent ? 'success' : 'error',
+      metadata: {
+        appointmentId: appointment._id,
+        offsetMinutes: reminder.offset,
+        email: patientEmail
+      }
+    });
+
+    return sent;
+  };
+
+  /**
+   * Sends every reminder that is due at the current time
+   * @returns {Promise<Object>} Counts of reminders sent and failed
+   */
+  const runOnce = async () => {
+    const result = { sent: 0, failed: 0 };
+    if (!offsets.length) return result;
+
+    const currentTime = now();
+    const lastDate = format(addMinutes(currentTime, Math.max(...offsets)), 'yyyy-MM-dd');
+
+    const appointments = await Appointment.find({
+      status: 'confirmed',
+      date: { $gte: format(currentTime, 'yyyy-MM-dd'), $lte: lastDate }
+    })
+      .populate('patientId', 'name email')
+      .populate('hospitalId', 'name address contact')
+      .populate({
+        path: 'doctorId',
+        select: 'userId',
+        populate: {
+          path: 'userId',
+          select: 'name'
+        }
+      });
+
+    const templates = new Map();
+
+    for (const appointment of appointments) {
+      const reminder = getDueReminder(appointment, offsets, currentTime);
+      if (!reminder) continue;
+
+      try {
+        const template = (await loadTemplate(appointment.hospitalId?._id, templates)) || DEFAULT_TEMPLATE;
+        if (template.enabled === false) continue;
+
+        const sent = await sendReminder(appointment, reminder, template, currentTime);
+        if (sent === null) continue;
+        if (sent) result.sent += 1;
+        else result.failed += 1;
+      } catch (error) {
+        result.failed += 1;
+        console.error(`Error sending reminder for appointment ${appointment._id}:`, error);
+      }
+    }
+
+    return result;
+  };
+
+  return { runOnce };
+};
+
+module.exports = {
+  DEFAULT_OFFSETS,
+  DEFAULT_TEMPLATE,
+  parseOffsets,
+  renderTemplate,
+  getDueReminder,
+  createReminderScheduler
+};
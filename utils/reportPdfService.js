@@ -0,0 +1,179 @@
+const path = require('path');
+const fs = require('fs');
+const moment = require('moment');
+const { generateSimplePdf } = require('./pdfGenerator');
+const { ensureUploadsDir } = require('./fileHelper');
+const { VITAL_MEASURES, getLatestVitals } = require('./vitalsService');
+
+// What the PDF needs from the report's related records
+const REPORT_PDF_POPULATE = [
+  { path: 'patientId', select: 'name age gender blood phone email address' },
+  { path: 'doctorId', populate: { path: 'userId', select: 'name email' } },
+  { path: 'hospitalId', select: 'name address logo phone email' },
+  { path: 'appointmentId' }
+];
+
+/**
+ * Turns latest vitals into the rows the PDF prints, with blood pressure on one line
+ * @param {Object|null} latest - Result of getLatestVitals
+ * @returns {Array<Object>} [{ label, value, flag, recordedAt }]
+ */
+const formatVitalsForPdf = (latest) => {
+  if (!latest) return [];
+
+  const rows = [];
+  const { systolic, diastolic } = latest;
+  if (systolic && diastolic) {
+    const flags = [systolic.flag, diastolic.flag];
+    rows.push({
+      label: 'Blood pressure',
+      value: `${systolic.value}/${diastolic.value} mmHg`,
+      flag: flags.includes('high') ? 'high' : flags.includes('low') ? 'low' : 'normal',
+      recordedAt: systolic.recordedAt
+    });
+  }
+
+  Object.entries(latest).forEach(([measure, reading]) => {
+    if (measure === 'systolic' || measure === 'diastolic') return;
+    const unit = reading.unit === 'C' ? '°C' : reading.unit;
+    rows.push({
+      label: VITAL_MEASURES[measure].label,
+      value: `${reading.value} ${unit}`,
+      flag: reading.flag,
+      recordedAt: reading.recordedAt
+    });
+  });
+
+  return rows;
+};
+
+/**
+ * Formats a populated report for the PDF generator
+ * @param {Object} report - Report populated with REPORT_PDF_POPULATE
+ * @param {Object|null} [vitals] - Latest vitals from getLatestVitals
+ * @param {Object} [options]
+ * @param {boolean} [options.includeImages] - Include the condition images
+ * @returns {Object} Report data for generateSimplePdf
+ */
+const buildReportPdfData = (report, vitals = null, { includeImages = true } = {}) => ({
+  _id: report._id.toString(),
+  reportNumber: report.reportNumber || `Report-${Date.now()}`,
+  date: report.createdAt,
+  diagnosis: report.diagnosis || 'No diagnosis provided',
+  prescription: report.prescription || (report.medications?.length ? '' : 'No prescription provided'),
+  medications: report.medications || [],
+  notes: report.notes || '',
+  followUpDate: report.followUpDate,
+  type: report.type || 'Medical',
+  images: includeImages ? (report.conditionImages || []) : [],
+  vitals: formatVitalsForPdf(vitals),
+
+  // Include related data
+  patient: report.patientId ? {
+    name: report.patientId.name || 'Unknown Patient',
+    _id: report.patientId._id.toString(),
+    gender: report.patientId.gender || 'Not specified',
+    age: report.patientId.age || 'Not specified',
+    blood: report.patientId.blood || 'Not specified'
+  } : null,
+
+  doctor: report.doctorId ? {
+    name: report.doctorId.userId?.name || 'Unknown Doctor',
+    specialization: report.doctorId.specialization || 'Not specified'
+  } : null,
+
+  hospital: report.hospitalId ? {
+    name: report.hospitalId.name || 'Hospital',
+    address: report.hospitalId.address || 'Not specified',
+    contact: report.hospitalId.phone || 'Not specified'
+  } : null,
+
+  appointment: report.appointmentId ? {
+    date: moment(report.appointmentId.date).format('MMMM Do YYYY'),
+    time: report.appointmentId.time || 'Not specified',
+    type: report.appointmentId.type || 'Not specified'
+  } : null
+});
+
+/**
+ * Generates a report's PDF into the uploads directory
+ * @param {Object} report - Report populated with REPORT_PDF_POPULATE
+ * @param {Object} [options] - As for buildReportPdfData
+ * @returns {Promise<string>} Path of the generated file
+ */
+const generateReportPdfFile = async (report, options) => {
+  const uploadsDir = ensureUploadsDir();
+  const filename = `report_${report._id}_${Date.now()}.pdf`;
+  const pdfPath = path.join(uploadsDir, filename);
+
+  // Vitals from the report's own encounter, or the patient's latest otherwise
+  const vitals = (report.appointmentId && await getLatestVitals(null, { appointmentId: report.appointmentId._id }))
+    || (report.patientId ? await getLatestVitals(report.patientId._id) : null);
+
+  console.log('Generating PDF at path:', pdfPath);
+  const generatedPdfPath = await generateSimplePdf(buildReportPdfData(report, vitals, options), pdfPath);
+
+  // Check the file before anything is sent, so failures can still answer with JSON
+  if (!fs.existsSync(generatedPdfPath)) {
+    throw new Error(`Generated PDF file not found at ${generatedPdfPath}`);
+  }
+
+  const stats = fs.statSync(generatedPdfPath);
+  if (stats.size === 0) {
+    throw new Error('Generated PDF file is empty');
+  }
+
+  return generatedPdfPath;
+};
+
+/**
+ * Streams a generated PDF as a download and deletes it afterwards
+ * @param {Object} res - Express response
+ * @param {string} pdfPath - Generated file
+ * @param {string} downloadName - File name offered to the client
+ */
+const streamPdfFile = (res, pdfPath, downloadName) => {
+  // CRITICAL: Set content type and attachment headers BEFORE sending any data
+  res.setHeader('Content-Type', 'application/pdf');
+  res.setHeader('Content-Disposition', `attachment; filename="${downloadName}"`);
+
+  console.log(`Streaming PDF file (${fs.statSync(pdfPath).size} bytes) to client`);
+
+  const fileStream = fs.createReadStream(pdfPath);
+
+  // Handle stream errors
+  fileStream.on('error', (err) => {
+    console.error('Error streaming PDF file:', err);
+
+    // Only send error response if headers haven't been sent
+    if (!res.headersSent) {
+      // Reset content type to JSON for error response
+      res.setHeader('Content-Type', 'application/json');
+      res.status(500).json({
+        success: false,
+        message: 'Error streaming PDF file',
+        error: err.message
+      });
+    }
+  });
+
+  // Cleanup when done
+  fileStream.on('close', () => {
+    // Delete file after streaming
+    try {
+      fs.unlinkSync(pdfPath);
+      console.log('Temporary PDF file deleted after streaming');
+    } catch (err) {
+      console.error('Error deleting temporary PDF file:', err);
+    }
+  });
+
+  fileStream.pipe(res);
+};
+
+module.exports = {
+  REPORT_PDF_POPULATE,
+  buildReportPdfData,
+  generateReportPdfFile,
+  streamPdfFile
+};
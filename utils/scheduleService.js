@@ -0,0 +1,357 @@
+const { format, parseISO, isValid, addDays } = require('date-fns');
+const Appointment = require('../models/Appointment');
+const DoctorSchedule = require('../models/DoctorSchedule');
+const Blackout = require('../models/Blackout');
+
+const DEFAULT_SLOT_DURATION = 30;
+
+/**
+ * Converts an HH:mm string into minutes since midnight
+ * @param {string} time - Time in HH:mm format
+ * @returns {number} Minutes since midnight
+ */
+const toMinutes = (time) => {
+  const [hours, minutes] = String(time).split(':').map(Number);
+  return hours * 60 + minutes;
+};
+
+/**
+ * Converts minutes since midnight into an HH:mm string
+ * @param {number} minutes - Minutes since midnight
+ * @returns {string} Time in HH:mm format
+ */
+const toTimeString = (minutes) => {
+  const hours = Math.floor(minutes / 60);
+  const mins = minutes % 60;
+  return `${String(hours).padStart(2, '0')}:${String(mins).padStart(2, '0')}`;
+};
+
+/**
+ * Returns the weekday name ('Monday', ...) for a YYYY-MM-DD date string
+ * @param {string} date - Appointment date
+ * @returns {string|null} Weekday name or null if the date is invalid
+ */
+const getWeekDay = (date) => {
+  const parsed = parseISO(String(date).slice(0, 10));
+  return isValid(parsed) ? format(parsed, 'EEEE') : null;
+};
+
+/**
+ * Parses the legacy Doctor.availability.hours string ("09:00 AM - 05:00 PM")
+ * @param {string} hours - Legacy hours string
+ * @returns {Object|null} Session with HH:mm start and end
+ */
+const parseLegacyHours = (hours) => {
+  const match = /(\d{1,2}):(\d{2})\s*(AM|PM)?\s*-\s*(\d{1,2}):(\d{2})\s*(AM|PM)?/i.exec(hours || '');
+  if (!match) {
+    return null;
+  }
+
+  const to24h = (h, m, meridiem) => {
+    let hour = Number(h) % 12;
+    if (!meridiem) hour = Number(h);
+    else if (meridiem.toUpperCase() === 'PM') hour += 12;
+    return toTimeString(hour * 60 + Number(m));
+  };
+
+  const session = {
+    start: to24h(match[1], match[2], match[3]),
+    end: to24h(match[4], match[5], match[6])
+  };
+
+  return toMinutes(session.end) > toMinutes(session.start) ? session : null;
+};
+
+/**
+ * Builds a template from the legacy Doctor.availability fields for doctors
+ * who have not configured a weekly schedule yet
+ * @param {Object} doctor - Doctor document
+ * @returns {Object} Template shaped like a DoctorSchedule
+ */
+const buildLegacyTemplate = (doctor) => {
+  const availability = doctor.availability || {};
+  const session = parseLegacyHours(availability.hours) || { start: '09:00', end: '17:00' };
+  const days = availability.days && availability.days.length > 0
+    ? availability.days
+    : ['Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday'];
+
+  return {
+    doctorId: doctor._id,
+    slotDuration: DEFAULT_SLOT_DURATION,
+    typeDurations: [],
+    weeklyTemplate: days.map(day => ({ day, sessions: [session], breaks: [] })),
+    isDefault: true
+  };
+};
+
+/**
+ * Loads the doctor's weekly schedule, falling back to the legacy availability
+ * @param {Object} doctor - Doctor document
+ * @returns {Promise<Object>} Schedule template
+ */
+const getDoctorTemplate = async (doctor) => {
+  const schedule = await DoctorSchedule.findOne({ doctorId: doctor._id }).lean();
+  return schedule || buildLegacyTemplate(doctor);
+};
+
+/**
+ * Returns the duration in minutes for an appointment type
+ * @param {Object} template - Schedule template
+ * @param {string} type - Appointment type
+ * @returns {number} Duration in minutes
+ */
+const getAppointmentDuration = (template, type) => {
+  const slotDuration = template.slotDuration || DEFAULT_SLOT_DURATION;
+  const entry = (template.typeDurations || []).find(item => item.appointmentType === type);
+  return entry ? entry.duration : slotDuration;
+};
+
+const overlaps = (startA, endA, startB, endB) => startA < endB && startB < endA;
+
+/**
+ * Lists every slot start in the template for a date, ignoring bookings
+ * @param {Object} template - Schedule template
+ * @param {string} date - Date in YYYY-MM-DD format
+ * @param {string} [type] - Appointment type used to size the slot
+ * @returns {string[]} Slot start times in HH:mm format
+ */
+const generateDaySlots = (template, date, type) => {
+  const day = getWeekDay(date);
+  const dayTemplate = (template.weeklyTemplate || []).find(item => item.day === day);
+  if (!dayTemplate) {
+    return [];
+  }
+
+  const step = template.slotDuration || DEFAULT_SLOT_DURATION;
+  const duration = getAppointmentDuration(template, type);
+  const breaks = (dayTemplate.breaks || []).map(item => [toMinutes(item.start), toMinutes(item.end)]);
+  const slots = [];
+
+  for (const session of dayTemplate.sessions || []) {
+    const sessionEnd = toMinutes(session.end);
+
+    for (let start = toMinutes(session.start); start + duration <= sessionEnd; start += step) {
+      const end = start + duration;
+      if (!breaks.some(([breakStart, breakEnd]) => overlaps(start, end, breakStart, breakEnd))) {
+        slots.push(toTimeString(start));
+      }
+    }
+  }
+
+  return [...new Set(slots)].sort();
+};
+
+/**
+ * Checks whether a time is one of the template's slots for a date
+ * @param {Object} template - Schedule template
+ * @param {string} date - Date in YYYY-MM-DD format
+ * @param {string} time - Time in HH:mm format
+ * @param {string} [type] - Appointment type
+ * @returns {boolean} True when the time is bookable per the template
+ */
+const isWithinSchedule = (template, date, time, type) => {
+  return generateDaySlots(template, date, type).includes(time);
+};
+
+/**
+ * Finds doctor leave and hospital-wide holidays covering a date
+ * @param {Object} doctor - Doctor document
+ * @param {string} date - Date in YYYY-MM-DD format
+ * @returns {Promise<Object[]>} Matching blackouts
+ */
+const getBlackoutsForDate = async (doctor, date) => {
+  const day = String(date).slice(0, 10);
+  const scopes = [{ scope: 'doctor', doctorId: doctor._id }];
+
+  if (doctor.hospitalId) {
+    scopes.push({ scope: 'hospital', hospitalId: doctor.hospitalId._id || doctor.hospitalId });
+  }
+
+  return Blackout.find({
+    startDate: { $lte: day },
+    endDate: { $gte: day },
+    $or: scopes
+  }).lean();
+};
+
+/**
+ * Checks whether an appointment window collides with any blackout. Blackouts
+ * without a time window block the whole day.
+ * @param {Object[]} blackouts - Blackouts for the date
+ * @param {string} time - Start time in HH:mm format
+ * @param {number} duration - Appointment length in minutes
+ * @returns {Object|undefined} The first blackout that blocks the window
+ */
+const findBlockingBlackout = (blackouts, time, duration) => {
+  const start = toMinutes(time);
+  return blackouts.find(blackout => {
+    if (!blackout.startTime || !blackout.endTime) {
+      return true;
+    }
+    return overlaps(start, start + duration, toMinutes(blackout.startTime), toMinutes(blackout.endTime));
+  });
+};
+
+/**
+ * Lists pending and confirmed appointments that fall inside a blackout so
+ * they can be moved. Each appointment is sized by its type's duration in its
+ * doctor's template, so a long visit starting before the blackout counts.
+ * @param {Object} blackout - Blackout document
+ * @param {Object} [options]
+ * @param {Object} [options.template] - Preloaded template for a doctor blackout
+ * @returns {Promise<Object[]>} Affected appointments
+ */
+const findAffectedAppointments = async (blackout, { template } = {}) => {
+  const query = {
+    date: { $gte: blackout.startDate, $lte: blackout.endDate },
+    status: { $in: ['pending', 'confirmed'] }
+  };
+
+  if (blackout.scope === 'doctor') {
+    query.doctorId = blackout.doctorId;
+  } else {
+    query.hospitalId = blackout.hospitalId;
+  }
+
+  const appointments = await Appointment.find(query)
+    .populate('patientId', 'name email phone')
+    .populate({
+      path: 'doctorId',
+      select: 'userId specialization availability',
+      populate: {
+        path: 'userId',
+        select: 'name email'
+      }
+    })
+    .sort({ date: 1, time: 1 });
+
+  const templates = new Map();
+  if (template && blackout.doctorId) {
+    templates.set(String(blackout.doctorId), template);
+  }
+
+  const affected = [];
+  for (const apt of appointments) {
+    const doctor = apt.doctorId;
+    const doctorKey = String(doctor?._id || doctor);
+    if (!templates.has(doctorKey)) {
+      templates.set(doctorKey, doctor?._id ? await getDoctorTemplate(doctor) : { slotDuration: DEFAULT_SLOT_DURATION });
+    }
+
+    const duration = getAppointmentDuration(templates.get(doctorKey), apt.type);
+    if (findBlockingBlackout([blackout], apt.time, duration)) {
+      affected.push(apt);
+    }
+  }
+
+  return affected;
+};
+
+/**
+ * Computes available and booked slots for a doctor on a date. A slot is
+ * unavailable when its duration overlaps any non-cancelled appointment, the
+ * doctor's leave or a hospital holiday.
+ * @param {Object} doctor - Doctor document
+ * @param {string} date - Date in YYYY-MM-DD format
+ * @param {Object} [options]
+ * @param {string} [options.type] - Appointment type used to size the slot
+ * @param {Object} [options.template] - Preloaded schedule template
+ * @param {string} [options.excludeAppointmentId] - Appointment to ignore, e.g. one being rescheduled
+ * @returns {Promise<Object>} availableSlots, bookedSlots, blackouts, slotDuration and duration
+ */
+const getSlotsForDate = async (doctor, date, { type, template, excludeAppointmentId } = {}) => {
+  const schedule = template || await getDoctorTemplate(doctor);
+  const duration = getAppointmentDuration(schedule, type);
+
+  const bookedQuery = {
+    doctorId: doctor._id,
+    date,
+    status: { $ne: 'cancelled' }
+  };
+
+  if (excludeAppointmentId) {
+    bookedQuery._id = { $ne: excludeAppointmentId };
+  }
+
+  const bookedAppointments = await Appointment.find(bookedQuery).select('time type');
+
+  const blackouts = await getBlackoutsForDate(doctor, date);
+
+  const bookedSlots = bookedAppointments.map(apt => apt.time);
+  const bookedIntervals = bookedAppointments.map(apt => {
+    const start = toMinutes(apt.time);
+    return [start, start + getAppointmentDuration(schedule, apt.type)];
+  });
+
+  const availableSlots = generateDaySlots(schedule, date, type).filter(slot => {
+    const start = toMinutes(slot);
+    return !bookedIntervals.some(([bookedStart, bookedEnd]) =>
+      overlaps(start, start + duration, bookedStart, bookedEnd)
+    ) && !findBlockingBlackout(blackouts, slot, duration);
+  });
+
+  return {
+    availableSlots,
+    bookedSlots,
+    blackouts,
+    slotDuration: schedule.slotDuration || DEFAULT_SLOT_DURATION,
+    duration
+  };
+};
+
+/**
+ * Finds the free slots closest to a requested time, looking ahead day by day
+ * when the requested date has nothing left
+ * @param {Object} doctor - Doctor document
+ * @param {string} date - Requested date in YYYY-MM-DD format
+ * @param {string} time - Requested time in HH:mm format
+ * @param {Object} [options]
+ * @param {string} [options.type] - Appointment type used to size the slot
+ * @param {Object} [options.template] - Preloaded schedule template
+ * @param {string} [options.excludeAppointmentId] - Appointment to ignore, e.g. one being rescheduled
+ * @param {number} [options.limit=3] - Number of suggestions to return
+ * @param {number} [options.searchDays=7] - Days to search, including the requested date
+ * @returns {Promise<Object[]>} Suggestions as { date, time }
+ */
+const findNearestFreeSlots = async (doctor, date, time, { type, template, excludeAppointmentId, limit = 3, searchDays = 7 } = {}) => {
+  const schedule = template || await getDoctorTemplate(doctor);
+  const requested = toMinutes(time);
+  const start = parseISO(String(date).slice(0, 10));
+  const suggestions = [];
+
+  if (!isValid(start)) {
+    return suggestions;
+  }
+
+  for (let offset = 0; offset < searchDays && suggestions.length < limit; offset++) {
+    const day = format(addDays(start, offset), 'yyyy-MM-dd');
+    const { availableSlots } = await getSlotsForDate(doctor, day, { type, template: schedule, excludeAppointmentId });
+
+    // On the requested day prefer the slots closest to the requested time
+    const ordered = offset === 0
+      ? [...availableSlots].sort((a, b) => Math.abs(toMinutes(a) - requested) - Math.abs(toMinutes(b) - requested))
+      : availableSlots;
+
+    ordered.slice(0, limit - suggestions.length).forEach(slot => suggestions.push({ date: day, time: slot }));
+  }
+
+  return suggestions;
+};
+
+module.exports = {
+  DEFAULT_SLOT_DURATION,
+  toMinutes,
+  toTimeString,
+  getWeekDay,
+  parseLegacyHours,
+  buildLegacyTemplate,
+  getDoctorTemplate,
+  getAppointmentDuration,
+  generateDaySlots,
+  isWithinSchedule,
+  getBlackoutsForDate,
+  findBlockingBlackout,
+  findAffectedAppointments,
+  getSlotsForDate,
+  findNearestFreeSlots
+};
@@ -0,0 +1,222 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const mongoose = require('mongoose');
+const Session = require('../models/Session');
+const { encryptValue, decryptValue } = require('./fieldEncryption');
+
+// Access tokens are short-lived; staying signed in is the refresh token's job
+const ACCESS_TOKEN_TTL = process.env.ACCESS_TOKEN_TTL || '15m';
+const REFRESH_TOKEN_DAYS = parseInt(process.env.REFRESH_TOKEN_DAYS, 10) || 30;
+// How long the token a refresh replaced still returns that refresh's result,
+// for a client that sent the same refresh twice (two tabs, a retried request)
+const REFRESH_GRACE_SECONDS = parseInt(process.env.REFRESH_GRACE_SECONDS, 10) || 30;
+
+const hashToken = (secret) => crypto.createHash('sha256').update(secret).digest('hex');
+
+const getClientDetails = (req) => ({
+  userAgent: req?.get?.('user-agent') || '',
+  ipAddress: req?.ip || ''
+});
+
+/**
+ * Signs an access token bound to a session
+ * @param {string} userId - User ID
+ * @param {string} sessionId - Session ID
+ * @returns {string} JWT
+ */
+const signAccessToken = (userId, sessionId) => jwt.sign(
+  { id: userId, sid: sessionId },
+  process.env.JWT_SECRET,
+  { expiresIn: ACCESS_TOKEN_TTL }
+);
+
+/**
+ * Issues a new refresh token secret for a session. The client receives
+ * `<sessionId>.<secret>` so the session can be found without scanning hashes.
+ * @param {Object} session - Session document, modified but not saved
+ * @returns {string} Refresh token
+ */
+const assignRefreshToken = (session) => {
+  const secret = crypto.randomBytes(48).toString('hex');
+  session.previousTokenHash = session.tokenHash;
+  session.tokenHash = hashToken(secret);
+  return `${session._id}.${secret}`;
+};
+
+const buildTokens = (session, refreshToken) => ({
+  token: signAccessToken(session.user, session._id),
+  refreshToken,
+  sessionId: session._id,
+  expiresIn: ACCESS_TOKEN_TTL
+});
+
+/**
+ * Starts a session for a user who has just authenticated
+ * @param {Object} user - User document
+ * @param {Object} [req] - Express request, for device details
+ * @returns {Promise<Object>} { token, refreshToken, sessionId, expiresIn }
+ */
+const createSession = async (user, req) => {
+  const session = new Session({
+    user: user._id,
+    ...getClientDetails(req),
+    expiresAt: new Date(Date.now() + REFRESH_TOKEN_DAYS * 24 * 60 * 60 * 1000)
+  });
+  const refreshToken = assignRefreshToken(session);
+  await session.save();
+
+  return buildTokens(session, refreshToken);
+};
+
+/**
+ * Returns the pair issued by the last rotation when the presented token is
+ * the one it replaced and the rotation is still inside the grace window
+ * @param {Object} session - Session document
+ * @param {string} presentedHash - Hash of the presented refresh token secret
+ * @returns {Object|null} Tokens and the session, or null outside the window
+ */
+const reissueWithinGrace = (session, presentedHash) => {
+  if (presentedHash !== session.previousTokenHash || !session.rotatedToken || !session.rotatedAt) return null;
+  if (Date.now() - session.rotatedAt.getTime() > REFRESH_GRACE_SECONDS * 1000) return null;
+
+  return { session, ...buildTokens(session, decryptValue(session.rotatedToken)) };
+};
+
+/**
+ * Exchanges a refresh token for a new access token and refresh token.
+ * Presenting a refresh token that has already been rotated means it was
+ * copied, so the whole session is revoked, unless it comes within
+ * REFRESH_GRACE_SECONDS of the rotation; then the pair that rotation issued
+ * is returned again.
+ * @param {string} refreshToken - Refresh token from the client
+ * @param {Object} [req] - Express request, for device details
+ * @returns {Promise<Object|null>} New tokens and the session, or null if the token is not valid
+ */
+const rotateSession = async (refreshToken, req) => {
+  const [sessionId, secret] = String(refreshToken || '').split('.');
+  if (!secret || !mongoose.Types.ObjectId.isValid(sessionId)) return null;
+
+  const session = await Session.findById(sessionId);
+  if (!session || !session.isActive()) return null;
+
+  const presentedHash = hashToken(secret);
+
+  if (presentedHash === session.previousTokenHash) {
+    const reissued = reissueWithinGrace(session, presentedHash);
+    if (reissued) return reissued;
+
+    session.revokedAt = new Date();
+    session.revokedReason = 'token_reuse';
+    await session.save();
+    return null;
+  }
+
+  if (presentedHash !== session.tokenHash) return null;
+
+  // Claim the rotation so two concurrent refreshes can't both rotate
+  const nextToken = assignRefreshToken(session);
+  const rotatedAt = new Date();
+  session.rotatedToken = encryptValue(nextToken);
+  session.rotatedAt = rotatedAt;
+  const claimed = await Session.updateOne(
+    { _id: session._id, tokenHash: presentedHash, revokedAt: null },
+    {
+      $set: {
+        tokenHash: session.tokenHash,
+        previousTokenHash: session.previousTokenHash,
+        rotatedToken: session.rotatedToken,
+        rotatedAt,
+        lastUsedAt: rotatedAt,
+        ...getClientDetails(req)
+      }
+    }
+  );
+
+  if (!claimed.modifiedCount) {
+    // A concurrent refresh with the same token got there first; hand back
+    // what it issued
+    const current = await Session.findById(session._id);
+    return current && current.isActive() ? reissueWithinGrace(current, presentedHash) : null;
+  }
+
+  return { session, ...buildTokens(session, nextToken) };
+};
+
+/**
+ * Checks that the session behind an access token is still live
+ * @param {string} sessionId - Session ID from the access token
+ * @param {string} userId - User ID from the access token
+ * @returns {Promise<boolean>}
+ */
+const isSessionActive = async (sessionId, userId) => {
+  if (!sessionId || !mongoose.Types.ObjectId.isValid(sessionId)) return false;
+  return Boolean(await Session.exists({
+    _id: sessionId,
+    user: userId,
+    revokedAt: null,
+    expiresAt: { $gt: new Date() }
+  }));
+};
+
+/**
+ * Revokes one of a user's sessions
+ * @param {string} userId - User ID
+ * @param {string} sessionId - Session ID
+ * @param {Object} details
+ * @param {string} details.reason - Revocation reason
+ * @param {string} [details.revokedBy] - User revoking the session
+ * @returns {Promise<boolean>} Whether an active session was revoked
+ */
+const revokeSession = async (userId, sessionId, { reason, revokedBy } = {}) => {
+  const result = await Session.updateOne(
+    { _id: sessionId, user: userId, revokedAt: null },
+    { $set: { revokedAt: new Date(), revokedReason: reason, revokedBy } }
+  );
+  return result.modifiedCount > 0;
+};
+
+/**
+ * Revokes all of a user's active sessions
+ * @param {string} userId - User ID
+ * @param {Object} details
+ * @param {string} details.reason - Revocation reason
+ * @param {string} [details.revokedBy] - User revoking the sessions
+ * @param {string} [details.exceptSessionId] - Session to leave signed in
+ * @returns {Promise<number>} Number of sessions revoked
+ */
+const revokeUserSessions = async (userId, { reason, revokedBy, exceptSessionId } = {}) => {
+  const query = { user: userId, revokedAt: null };
+  if (exceptSessionId) query._id = { $ne: exceptSessionId };
+
+  const result = await Session.updateMany(
+    query,
+    { $set: { revokedAt: new Date(), revokedReason: reason, revokedBy } }
+  );
+  return result.modifiedCount;
+};
+
+/**
+ * Lists a user's active sessions, most recently used first
+ * @param {string} userId - User ID
+ * @returns {Promise<Array>} Sessions without token hashes
+ */
+const getActiveSessions = (userId) => Session.find({
+  user: userId,
+  revokedAt: null,
+  expiresAt: { $gt: new Date() }
+})
+  .select('-tokenHash -previousTokenHash -rotatedToken')
+  .sort({ lastUsedAt: -1 })
+  .lean();
+
+module.exports = {
+  ACCESS_TOKEN_TTL,
+  REFRESH_GRACE_SECONDS,
+  signAccessToken,
+  createSession,
+  rotateSession,
+  isSessionActive,
+  revokeSession,
+  revokeUserSessions,
+  getActiveSessions
+};
@@ -0,0 +1,86 @@
+const SlotReservation = require('../models/SlotReservation');
+const { toMinutes, toTimeString, DEFAULT_SLOT_DURATION } = require('./scheduleService');
+
+const DUPLICATE_KEY_ERROR = 11000;
+
+/**
+ * Lists the slot cells an appointment occupies, e.g. a 60 minute procedure
+ * on a 30 minute grid starting at 09:00 covers 09:00 and 09:30
+ * @param {string} time - Start time in HH:mm format
+ * @param {number} duration - Appointment length in minutes
+ * @param {number} slotDuration - Grid step in minutes
+ * @returns {string[]} Covered cell start times
+ */
+const getCoveredCells = (time, duration, slotDuration = DEFAULT_SLOT_DURATION) => {
+  const start = toMinutes(time);
+  const step = slotDuration || DEFAULT_SLOT_DURATION;
+  const cells = [];
+
+  for (let cell = start; cell < start + (duration || step); cell += step) {
+    cells.push(toTimeString(cell));
+  }
+
+  return cells;
+};
+
+/**
+ * Atomically reserves every cell an appointment covers. Either all cells are
+ * reserved or none are. Cells the appointment already holds are kept, and any
+ * other cells it held are released, so the same call also moves a booking.
+ * @param {Object} params
+ * @param {string} params.doctorId - Doctor ID
+ * @param {string} params.date - Date in YYYY-MM-DD format
+ * @param {string} params.time - Start time in HH:mm format
+ * @param {number} params.duration - Appointment length in minutes
+ * @param {number} params.slotDuration - Grid step in minutes
+ * @param {string} params.appointmentId - Appointment that will own the reservation
+ * @returns {Promise<boolean>} True when reserved, false when another booking holds a cell
+ */
+const reserveSlot = async ({ doctorId, date, time, duration, slotDuration, appointmentId }) => {
+  const cells = getCoveredCells(time, duration, slotDuration);
+  const held = await SlotReservation.find({ appointmentId }).lean();
+  const isHeld = (cell) => held.some(reservation =>
+    String(reservation.doctorId) === String(doctorId) && reservation.date === date && reservation.time === cell
+  );
+  const newCells = cells.filter(cell => !isHeld(cell));
+
+  try {
+    await SlotReservation.insertMany(
+      newCells.map(cell => ({ doctorId, date, time: cell, appointmentId })),
+      { ordered: true }
+    );
+  } catch (error) {
+    // Roll back the cells inserted before the conflicting one
+    await SlotReservation.deleteMany({ appointmentId, doctorId, date, time: { $in: newCells } });
+
+    if (error.code === DUPLICATE_KEY_ERROR || (error.writeErrors || []).some(e => e.code === DUPLICATE_KEY_ERROR)) {
+      return false;
+    }
+    throw error;
+  }
+
+  // Drop cells from a previous booking of the same appointment
+  const stale = held.filter(reservation =>
+    String(reservation.doctorId) !== String(doctorId) || reservation.date !== date || !cells.includes(reservation.time)
+  );
+  if (stale.length > 0) {
+    await SlotReservation.deleteMany({ _id: { $in: stale.map(reservation => reservation._id) } });
+  }
+
+  return true;
+};
+
+/**
+ * Frees the slot cells held by an appointment
+ * @param {string} appointmentId - Appointment ID
+ * @returns {Promise<void>}
+ */
+const releaseSlot = async (appointmentId) => {
+  await SlotReservation.deleteMany({ appointmentId });
+};
+
+module.exports = {
+  getCoveredCells,
+  reserveSlot,
+  releaseSlot
+};
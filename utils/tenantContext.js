@@ -0,0 +1,187 @@
+const { AsyncLocalStorage } = require('async_hooks');
+const mongoose = require('mongoose');
+
+// Holds the hospital the current request is working in, for as long as the
+// request's async work runs. Code outside a request (jobs, migrations, public
+// routes) has no context and is not scoped.
+const storage = new AsyncLocalStorage();
+
+/**
+ * Runs fn inside a tenant context
+ * @param {Object} context
+ * @param {string|null} context.hospitalId - Hospital every tenant-scoped query is limited to;
+ *   null limits them to nothing
+ * @param {boolean} [context.crossTenant] - Queries run unscoped (admins who haven't picked a hospital)
+ * @param {Set<string>} [context.accessedModels] - When set, collects the tenant-scoped
+ *   models the request touched, for auditing
+ * @param {Function} fn - Work to run
+ * @returns {*} Whatever fn returns
+ */
+const runWithTenant = (context, fn) => storage.run(context, fn);
+
+/**
+ * The current tenant context
+ * @returns {Object|null} null outside a request
+ */
+const getTenantContext = () => storage.getStore() || null;
+
+/**
+ * The hospital the current request is scoped to
+ * @returns {string|null} null when unscoped
+ */
+const getTenantHospital = () => {
+  const context = getTenantContext();
+  return context && !context.crossTenant && !context.bypass ? context.hospitalId : null;
+};
+
+/**
+ * Runs fn with tenant scoping switched off. For lookups that are meant to
+ * span hospitals, such as platform-wide settings; every use should say why.
+ * Queries must be executed inside fn (await them or call exec()), since
+ * scoping is decided when a query runs, not when it is built.
+ * @param {Function} fn - Work to run
+ * @returns {*} Whatever fn returns
+ */
+const withoutTenantScope = (fn) => storage.run({ ...getTenantContext(), bypass: true }, fn);
+
+/**
+ * Wraps callback-style middleware, such as multer, that resumes from stream
+ * events. Those run outside the request's async context, so without this the
+ * handlers after them would not be scoped at all.
+ * @param {Function} middleware - Express middleware
+ * @returns {Function} Express middleware
+ */
+const bindTenantContext = (middleware) => (req, res, next) => {
+  const context = getTenantContext();
+  middleware(req, res, (...args) => storage.run(context, () => next(...args)));
+};
+
+const tenantError = (message) => {
+  const error = new Error(message);
+  error.statusCode = 403;
+  return error;
+};
+
+/**
+ * Works out how a model should be scoped right now, noting the access for
+ * auditing when the request asked for that
+ * @param {string} modelName - Model being queried or written
+ * @returns {Object|null} { hospitalId } to scope by, or null to leave unscoped
+ */
+const resolveScope = (modelName) => {
+  const context = getTenantContext();
+  if (!context || context.bypass) return null;
+
+  if (context.accessedModels) context.accessedModels.add(modelName);
+  if (context.crossTenant) return null;
+
+  return { hospitalId: context.hospitalId };
+};
+
+const QUERY_HOOKS = [
+  'find',
+  'findOne',
+  'countDocuments',
+  'distinct',
+  'updateOne',
+  'updateMany',
+  'findOneAndUpdate',
+  'findOneAndDelete',
+  'findOneAndReplace',
+  'replaceOne',
+  'deleteOne',
+  'deleteMany'
+];
+
+/**
+ * Mongoose plugin that confines a model to the current request's hospital.
+ *
+ * Inside a tenant context every query is limited to the hospital, new
+ * documents are assigned to it, and writing a document that belongs to
+ * another hospital fails. A context without a hospital matches nothing.
+ * Aggregations get a leading $match, but their $lookup stages are not scoped.
+ *
+ * @param {Object} schema - Mongoose schema
+ * @param {Object} options
+ * @param {string} options.field - Path holding the hospital ID, e.g. `hospital` or `hospitalId`
+ */
+const tenantScopePlugin = (schema, { field }) => {
+  const filterFor = ({ hospitalId }) => ({ [field]: hospitalId ? hospitalId : { $in: [] } });
+
+  const assertSameHospital = (value, hospitalId, modelName) => {
+    if (value && String(value._id || value) !== String(hospitalId)) {
+      throw tenantError(`Cannot assign this ${modelName} to another hospital`);
+    }
+  };
+
+  schema.pre(QUERY_HOOKS, function () {
+    const scope = resolveScope(this.model.modelName);
+    if (!scope) return;
+
+    this.and([filterFor(scope)]);
+
+    const update = this.getUpdate();
+    if (update) {
+      [update, update.$set, update.$setOnInsert].forEach(fields => {
+        if (fields && fields[field] !== undefined) {
+          assertSameHospital(fields[field], scope.hospitalId, this.model.modelName);
+        }
+      });
+    }
+  });
+
+  schema.pre('aggregate', function () {
+    const scope = resolveScope(this.model().modelName);
+    if (!scope) return;
+
+    const match = scope.hospitalId
+      ? { [field]: new mongoose.Types.ObjectId(scope.hospitalId) }
+      : filterFor(scope);
+    this.pipeline().unshift({ $match: match });
+  });
+
+  // Documents being created or saved; plain objects come from insertMany
+  const assignHospital = (doc, modelName) => {
+    const scope = resolveScope(modelName);
+    if (!scope) return;
+
+    if (!scope.hospitalId) {
+      throw tenantError('No hospital association found for the user');
+    }
+
+    const isDocument = doc instanceof mongoose.Document;
+    const value = isDocument ? doc.get(field) : doc[field];
+    if (!value) {
+      if (isDocument) doc.set(field, scope.hospitalId);
+      else doc[field] = scope.hospitalId;
+    }
+    assertSameHospital(value, scope.hospitalId, modelName);
+  };
+
+  // Validation runs first, so a required hospital field is filled in before it's checked
+  schema.pre('validate', function () {
+    assignHospital(this, this.constructor.modelName);
+  });
+
+  schema.pre('save', function () {
+    assignHospital(this, this.constructor.modelName);
+  });
+
+  schema.pre('insertMany', function (next, docs) {
+    try {
+      (Array.isArray(docs) ? docs : [docs]).forEach(doc => assignHospital(doc, this.modelName));
+      next();
+    } catch (error) {
+      next(error);
+    }
+  });
+};
+
+module.exports = {
+  runWithTenant,
+  getTenantContext,
+  getTenantHospital,
+  withoutTenantScope,
+  bindTenantContext,
+  tenantScopePlugin
+};
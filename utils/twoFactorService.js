@@ -0,0 +1,191 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const Settings = require('../models/Settings');
+const User = require('../models/User');
+const ActivityService = require('./activityService');
+const { verifyCode } = require('./totp');
+const { withoutTenantScope } = require('./tenantContext');
+
+const TWO_FACTOR_ISSUER = process.env.TWO_FACTOR_ISSUER || 'MediCare';
+const BACKUP_CODE_COUNT = 10;
+// Time allowed between entering the password and entering the code
+const CHALLENGE_TTL = '5m';
+const CHALLENGE_PURPOSE = '2fa_challenge';
+
+const hashBackupCode = (code) => crypto
+  .createHash('sha256')
+  .update(String(code).replace(/[\s-]/g, '').toLowerCase())
+  .digest('hex');
+
+/**
+ * Generates a fresh set of single-use backup codes
+ * @returns {Object} { codes, hashed } - plain codes to show once, hashes to store
+ */
+const generateBackupCodes = () => {
+  const codes = Array.from({ length: BACKUP_CODE_COUNT }, () => {
+    const raw = crypto.randomBytes(5).toString('hex');
+    return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+  });
+
+  return {
+    codes,
+    hashed: codes.map(code => ({ codeHash: hashBackupCode(code) }))
+  };
+};
+
+/**
+ * Whether a user must pass a second factor to sign in, either because they
+ * turned it on or because their role requires it
+ * @param {Object} user - User document
+ * @returns {Promise<Object>} { required, enrolled }
+ */
+const getTwoFactorRequirement = async (user) => {
+  const enrolled = Boolean(user.twoFactor?.enabled);
+  if (enrolled) return { required: true, enrolled };
+
+  // Both the platform settings and the user's own hospital can require it
+  const settings = await withoutTenantScope(() => Settings.find({ hospitalId: { $in: [null, user.hospital || null] } })
+    .select('twoFactorRequiredRoles')
+    .lean()
+    .exec());
+  const required = settings.some(entry => entry.twoFactorRequiredRoles?.includes(user.role));
+  return { required, enrolled };
+};
+
+/**
+ * Signs the short-lived token a client exchanges, with a code, for a session.
+ * It carries no session ID, so `protect` never accepts it.
+ * @param {Object} user - User document
+ * @param {Object} [options]
+ * @param {boolean} [options.enrol] - The user must enrol before finishing sign-in
+ * @returns {string} JWT
+ */
+const signChallengeToken = (user, { enrol = false } = {}) => jwt.sign(
+  { id: user._id, purpose: CHALLENGE_PURPOSE, enrol },
+  process.env.JWT_SECRET,
+  { expiresIn: CHALLENGE_TTL }
+);
+
+/**
+ * Reads a challenge token
+ * @param {string} token - Challenge token
+ * @returns {Object|null} Decoded payload, or null if invalid or expired
+ */
+const verifyChallengeToken = (token) => {
+  try {
+    const decoded = jwt.verify(String(token || ''), process.env.JWT_SECRET);
+    return decoded.purpose === CHALLENGE_PURPOSE ? decoded : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+/**
+ * Loads a user with their two-factor secrets selected
+ * @param {string} userId - User ID
+ * @returns {Promise<Object|null>} User document
+ */
+const findUserWithSecrets = (userId) => User.findById(userId)
+  .select('+twoFactor.secret +twoFactor.pendingSecret +twoFactor.backupCodes +twoFactor.lastUsedStep');
+
+/**
+ * Checks an authenticator code, refusing a code whose time step was already used
+ * @param {string} userId - User ID
+ * @param {string} secret - Base32 secret to check against
+ * @param {string} code - Code entered by the user
+ * @returns {Promise<boolean>}
+ */
+const consumeTotpCode = async (userId, secret, code) => {
+  const step = verifyCode(secret, code);
+  if (step === null) return false;
+
+  // Recording the step atomically stops the same code working twice
+  const result = await User.updateOne(
+    {
+      _id: userId,
+      $or: [
+        { 'twoFactor.lastUsedStep': { $exists: false } },
+        { 'twoFactor.lastUsedStep': null },
+        { 'twoFactor.lastUsedStep': { $lt: step } }
+      ]
+    },
+    { $set: { 'twoFactor.lastUsedStep': step } }
+  );
+  return result.modifiedCount > 0;
+};
+
+/**
+ * Marks a backup code as used
+ * @param {string} userId - User ID
+ * @param {string} code - Backup code entered by the user
+ * @returns {Promise<boolean>} Whether an unused code matched
+ */
+const consumeBackupCode = async (userId, code) => {
+  const result = await User.updateOne(
+    { _id: userId, 'twoFactor.backupCodes': { $elemMatch: { codeHash: hashBackupCode(code), usedAt: null } } },
+    { $set: { 'twoFactor.backupCodes.$.usedAt': new Date() } }
+  );
+  return result.modifiedCount > 0;
+};
+
+/**
+ * Verifies a second factor for an enrolled user
+ * @param {Object} user - User document with secrets selected
+ * @param {Object} factor
+ * @param {string} [factor.code] - Authenticator code
+ * @param {string} [factor.backupCode] - Backup code
+ * @returns {Promise<string|null>} 'totp' or 'backup_code' on success, null on failure
+ */
+const verifySecondFactor = async (user, { code, backupCode }) => {
+  if (!user.twoFactor?.enabled || !user.twoFactor.secret) return null;
+
+  if (code && await consumeTotpCode(user._id, user.twoFactor.secret, code)) {
+    return 'totp';
+  }
+
+  if (backupCode && await consumeBackupCode(user._id, backupCode)) {
+    return 'backup_code';
+  }
+
+  return null;
+};
+
+/**
+ * Logs a two-factor event against the user
+ * @param {Object} user - User the event concerns
+ * @param {string} action - Activity action
+ * @param {Object} [details]
+ * @param {Object} [details.actor] - User performing the action, if not the user themselves
+ * @param {string} [details.description] - Description override
+ * @param {string} [details.status] - Activity status
+ * @param {Object} [details.metadata] - Extra details
+ * @returns {Promise<Object|null>} The activity
+ */
+const logTwoFactorActivity = (user, action, { actor = user, description, status = 'success', metadata = {} } = {}) => (
+  ActivityService.logActivity({
+    user: user._id,
+    hospitalId: user.hospital,
+    actorId: actor._id,
+    actorName: actor.name,
+    actorEmail: actor.email,
+    actorRole: actor.role,
+    action,
+    subject: 'user',
+    subjectId: user._id,
+    description: description || `${action.replace(/_/g, ' ')}: ${user.name}`,
+    status,
+    metadata
+  })
+);
+
+module.exports = {
+  TWO_FACTOR_ISSUER,
+  generateBackupCodes,
+  getTwoFactorRequirement,
+  signChallengeToken,
+  verifyChallengeToken,
+  findUserWithSecrets,
+  consumeTotpCode,
+  verifySecondFactor,
+  logTwoFactorActivity
+};
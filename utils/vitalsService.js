@@ -0,0 +1,336 @@
+const Observation = require('../models/Observation');
+
+// Every measure an observation can carry. Values are stored in `unit`; other
+// accepted units are converted on the way in. `limits` rejects values no
+// patient could have (usually a unit mix-up), `normal` is the adult range the
+// flags are worked out from.
+const VITAL_MEASURES = {
+  systolic: {
+    label: 'Systolic BP',
+    unit: 'mmHg',
+    limits: [40, 300],
+    normal: [90, 139]
+  },
+  diastolic: {
+    label: 'Diastolic BP',
+    unit: 'mmHg',
+    limits: [20, 200],
+    normal: [60, 89]
+  },
+  pulse: {
+    label: 'Pulse',
+    unit: 'bpm',
+    limits: [20, 250],
+    normal: [60, 100]
+  },
+  temperature: {
+    label: 'Temperature',
+    unit: 'C',
+    conversions: { F: value => (value - 32) * 5 / 9 },
+    limits: [25, 45],
+    normal: [36.1, 37.5]
+  },
+  spo2: {
+    label: 'SpO2',
+    unit: '%',
+    limits: [50, 100],
+    normal: [95, 100]
+  },
+  weight: {
+    label: 'Weight',
+    unit: 'kg',
+    conversions: { lb: value => value * 0.45359237 },
+    limits: [0.3, 500]
+  },
+  height: {
+    label: 'Height',
+    unit: 'cm',
+    conversions: { in: value => value * 2.54, m: value => value * 100 },
+    limits: [20, 272]
+  },
+  bmi: {
+    label: 'BMI',
+    unit: 'kg/m2',
+    limits: [5, 150],
+    normal: [18.5, 24.9]
+  },
+  bloodGlucose: {
+    label: 'Blood glucose',
+    unit: 'mg/dL',
+    conversions: { 'mmol/L': value => value * 18.016 },
+    limits: [10, 1000],
+    // Depends on when the reading was taken
+    normal: {
+      fasting: [70, 99],
+      random: [70, 139],
+      post_meal: [70, 139]
+    }
+  }
+};
+
+const GLUCOSE_TIMINGS = ['fasting', 'random', 'post_meal'];
+const CONTEXTS = ['check_in', 'consultation'];
+
+const vitalsError = (message) => {
+  const error = new Error(message);
+  error.statusCode = 400;
+  return error;
+};
+
+const round = (value) => Math.round(value * 10) / 10;
+
+/**
+ * Stored units for every measure, for responses
+ * @returns {Object} measure -> unit
+ */
+const getVitalUnits = () => Object.fromEntries(
+  Object.entries(VITAL_MEASURES).map(([measure, { unit }]) => [measure, unit])
+);
+
+/**
+ * Reads one measure from a request body. Accepts a bare number in the stored
+ * unit or `{ value, unit }` in any accepted unit.
+ * @param {string} measure - Key of VITAL_MEASURES
+ * @param {number|string|Object} input - Value as sent
+ * @returns {number} Value in the stored unit, to one decimal place
+ */
+const convertMeasure = (measure, input) => {
+  const definition = VITAL_MEASURES[measure];
+  const { value, unit = definition.unit } = typeof input === 'object' ? input : { value: input };
+  const number = typeof value === 'string' && value.trim() !== '' ? Number(value) : value;
+
+  if (typeof number !== 'number' || !Number.isFinite(number)) {
+    throw vitalsError(`${definition.label} must be a number`);
+  }
+
+  let converted = number;
+  if (unit !== definition.unit) {
+    const convert = definition.conversions?.[unit];
+    if (!convert) {
+      const accepted = [definition.unit, ...Object.keys(definition.conversions || {})];
+      throw vitalsError(`${definition.label} must be in ${accepted.join(' or ')}`);
+    }
+    converted = convert(number);
+  }
+
+  converted = round(converted);
+  const [min, max] = definition.limits;
+  if (converted < min || converted > max) {
+    throw vitalsError(`${definition.label} of ${number} ${unit} is outside the possible range`);
+  }
+
+  return converted;
+};
+
+/**
+ * Body mass index from stored weight and height
+ * @param {number} weight - kg
+ * @param {number} height - cm
+ * @returns {number} kg/m2, to one decimal place
+ */
+const calculateBmi = (weight, height) => round(weight / ((height / 100) ** 2));
+
+/**
+ * Validates vitals from a request body and converts them to the stored units.
+ * A blood pressure may also be sent as `bloodPressure: '120/80'`.
+ * @param {Object} input - Request body
+ * @returns {Object} { vitals, glucoseTiming }
+ */
+const parseVitals = (input = {}) => {
+  const values = { ...input };
+
+  if (values.bloodPressure !== undefined) {
+    const match = /^\s*(\d+(?:\.\d+)?)\s*\/\s*(\d+(?:\.\d+)?)\s*$/.exec(String(values.bloodPressure));
+    if (!match) {
+      throw vitalsError('Blood pressure must look like 120/80');
+    }
+    values.systolic = Number(match[1]);
+    values.diastolic = Number(match[2]);
+  }
+
+  const vitals = {};
+  Object.keys(VITAL_MEASURES).forEach(measure => {
+    if (values[measure] !== undefined && values[measure] !== null && values[measure] !== '') {
+      vitals[measure] = convertMeasure(measure, values[measure]);
+    }
+  });
+
+  if (!Object.keys(vitals).length) {
+    throw vitalsError('Record at least one vital sign');
+  }
+
+  if ((vitals.systolic === undefined) !== (vitals.diastolic === undefined)) {
+    throw vitalsError('Blood pressure needs both systolic and diastolic values');
+  }
+  if (vitals.systolic !== undefined && vitals.diastolic >= vitals.systolic) {
+    throw vitalsError('Diastolic pressure must be lower than systolic');
+  }
+
+  const glucoseTiming = input.glucoseTiming || 'random';
+  if (!GLUCOSE_TIMINGS.includes(glucoseTiming)) {
+    throw vitalsError(`Glucose timing must be one of: ${GLUCOSE_TIMINGS.join(', ')}`);
+  }
+
+  return { vitals, glucoseTiming };
+};
+
+/**
+ * Flags each value against its normal range
+ * @param {Object} vitals - Stored vitals
+ * @param {string} [glucoseTiming='random']
+ * @returns {Object} measure -> 'low' | 'normal' | 'high', for measures with a range
+ */
+const flagVitals = (vitals, glucoseTiming = 'random') => {
+  const flags = {};
+
+  Object.entries(VITAL_MEASURES).forEach(([measure, { normal }]) => {
+    const value = vitals[measure];
+    if (value === undefined || value === null || !normal) return;
+
+    const [low, high] = Array.isArray(normal) ? normal : normal[glucoseTiming];
+    flags[measure] = value < low ? 'low' : value > high ? 'high' : 'normal';
+  });
+
+  return flags;
+};
+
+/**
+ * Records a set of vitals against an appointment. When weight is taken
+ * without height, BMI uses the patient's most recent height.
+ * @param {Object} params
+ * @param {Object} params.appointment - Appointment document
+ * @param {Object} params.input - Request body
+ * @param {Object} [params.actor] - User recording them
+ * @returns {Promise<Object>} Saved Observation
+ */
+const recordVitals = async ({ appointment, input, actor }) => {
+  const { vitals, glucoseTiming } = parseVitals(input);
+
+  if (input.bmi === undefined && vitals.weight !== undefined) {
+    let height = vitals.height;
+    if (height === undefined) {
+      const previous = await Observation.findOne({
+        patientId: appointment.patientId,
+        'vitals.height': { $ne: null }
+      }).sort({ recordedAt: -1 }).select('vitals.height');
+      height = previous?.vitals?.height;
+    }
+    if (height) {
+      vitals.bmi = calculateBmi(vitals.weight, height);
+    }
+  }
+
+  const context = input.context || 'check_in';
+  if (!CONTEXTS.includes(context)) {
+    throw vitalsError(`Context must be one of: ${CONTEXTS.join(', ')}`);
+  }
+
+  const recordedAt = input.recordedAt ? new Date(input.recordedAt) : new Date();
+  if (Number.isNaN(recordedAt.getTime()) || recordedAt > new Date()) {
+    throw vitalsError('Recorded time must be a valid date that is not in the future');
+  }
+
+  return Observation.create({
+    patientId: appointment.patientId,
+    appointmentId: appointment._id,
+    hospitalId: appointment.hospitalId,
+    context,
+    recordedAt,
+    recordedBy: actor?._id,
+    vitals,
+    glucoseTiming,
+    flags: flagVitals(vitals, glucoseTiming),
+    notes: input.notes || ''
+  });
+};
+
+/**
+ * The newest value of each measure for a patient, which may come from
+ * different observations
+ * @param {string} patientId
+ * @param {Object} [options]
+ * @param {string} [options.appointmentId] - Only look at this encounter
+ * @param {number} [options.lookback=20] - How many recent observations to search
+ * @returns {Promise<Object|null>} measure -> { value, unit, flag, recordedAt }, or null when none
+ */
+const getLatestVitals = async (patientId, { appointmentId, lookback = 20 } = {}) => {
+  const filter = appointmentId ? { appointmentId } : { patientId };
+  const observations = await Observation.find(filter)
+    .sort({ recordedAt: -1 })
+    .limit(lookback)
+    .select('vitals flags recordedAt');
+
+  const latest = {};
+  observations.forEach(observation => {
+    Object.keys(VITAL_MEASURES).forEach(measure => {
+      const value = observation.vitals?.[measure];
+      if (latest[measure] || value === undefined || value === null) return;
+      latest[measure] = {
+        value,
+        unit: VITAL_MEASURES[measure].unit,
+        flag: observation.flags?.[measure],
+        recordedAt: observation.recordedAt
+      };
+    });
+  });
+
+  return Object.keys(latest).length ? latest : null;
+};
+
+/**
+ * A patient's readings over time, one series per measure, oldest first
+ * @param {string} patientId
+ * @param {Object} [options]
+ * @param {string[]} [options.measures] - Measures to include; all when empty
+ * @param {Date} [options.from]
+ * @param {Date} [options.to]
+ * @returns {Promise<Object>} measure -> [{ value, flag, recordedAt, observationId, appointmentId, context }]
+ */
+const getVitalSeries = async (patientId, { measures = [], from, to } = {}) => {
+  const unknown = measures.filter(measure => !VITAL_MEASURES[measure]);
+  if (unknown.length) {
+    throw vitalsError(`Unknown measures: ${unknown.join(', ')}`);
+  }
+  const selected = measures.length ? measures : Object.keys(VITAL_MEASURES);
+
+  const filter = { patientId };
+  if (from || to) {
+    filter.recordedAt = {};
+    if (from) filter.recordedAt.$gte = from;
+    if (to) filter.recordedAt.$lte = to;
+  }
+
+  const observations = await Observation.find(filter)
+    .sort({ recordedAt: 1 })
+    .select('vitals flags recordedAt appointmentId context');
+
+  const series = Object.fromEntries(selected.map(measure => [measure, []]));
+  observations.forEach(observation => {
+    selected.forEach(measure => {
+      const value = observation.vitals?.[measure];
+      if (value === undefined || value === null) return;
+      series[measure].push({
+        value,
+        flag: observation.flags?.[measure],
+        recordedAt: observation.recordedAt,
+        observationId: observation._id,
+        appointmentId: observation.appointmentId,
+        context: observation.context
+      });
+    });
+  });
+
+  return series;
+};
+
+module.exports = {
+  VITAL_MEASURES,
+  getVitalUnits,
+  convertMeasure,
+  calculateBmi,
+  parseVitals,
+  flagVitals,
+  recordVitals,
+  getLatestVitals,
+  getVitalSeries
+};
@@ -0,0 +1,219 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const { format } = require('date-fns');
+const Appointment = require('../models/Appointment');
+const Doctor = require('../models/Doctor');
+const Notification = require('../models/Notification');
+const Patient = require('../models/Patient');
+const WaitlistEntry = require('../models/WaitlistEntry');
+const { sendWaitlistOfferEmail } = require('./emailService');
+const { getDoctorTemplate, getAppointmentDuration, getSlotsForDate } = require('./scheduleService');
+const { reserveSlot, releaseSlot } = require('./slotReservationService');
+
+const OFFER_MINUTES = Number(process.env.WAITLIST_OFFER_MINUTES) || 60;
+// An accept still in progress after this long is taken to have died
+const ACCEPT_TIMEOUT_MINUTES = 5;
+
+const isInPast = (date, time) => {
+  const now = new Date();
+  const today = format(now, 'yyyy-MM-dd');
+  return date < today || (date === today && time <= format(now, 'HH:mm'));
+};
+
+/**
+ * Builds the links a patient uses to answer an offer
+ * @param {Object} entry - Waitlist entry with an active offer
+ * @returns {Object} acceptUrl and declineUrl
+ */
+const buildOfferLinks = (entry) => {
+  const baseUrl = process.env.CLIENT_URL || 'http://localhost:5173';
+  const query = `token=${entry.offer.token}`;
+  return {
+    acceptUrl: `${baseUrl}/waitlist/${entry._id}/accept?${query}`,
+    declineUrl: `${baseUrl}/waitlist/${entry._id}/decline?${query}`
+  };
+};
+
+const notifyOffer = async (entry) => {
+  const patient = await Patient.findById(entry.patientId);
+  if (!patient) return;
+
+  try {
+    await sendWaitlistOfferEmail(patient.email, entry, buildOfferLinks(entry));
+  } catch (error) {
+    console.error('Error sending waitlist offer email:', error);
+  }
+
+  // In-app notifications need a login, so only portal patients get one
+  if (patient.user) {
+    try {
+      await Notification.create({
+        user: patient.user,
+        message: `A slot on ${entry.date} at ${entry.offer.time} is available. Respond before ${entry.offer.expiresAt.toLocaleString()}.`,
+        type: 'info',
+        relatedTo: 'waitlist',
+        relatedId: entry._id
+      });
+    } catch (error) {
+      console.error('Error creating waitlist notification:', error);
+    }
+  }
+};
+
+/**
+ * Offers a freed slot to the next waiting patient for that doctor and date.
+ * The slot is held with a reservation for the length of the offer.
+ * @param {Object} slot
+ * @param {string} slot.doctorId - Doctor ID
+ * @param {string} slot.date - Date in YYYY-MM-DD format
+ * @param {string} slot.time - Time in HH:mm format
+ * @returns {Promise<Object|null>} The entry that received the offer, if any
+ */
+const offerFreedSlot = async ({ doctorId, date, time }) => {
+  if (!doctorId || !date || !time || isInPast(date, time)) {
+    return null;
+  }
+
+  const doctor = await Doctor.findById(doctorId);
+  if (!doctor) return null;
+
+  const template = await getDoctorTemplate(doctor);
+  const skipped = [];
+
+  // Walk the queue until someone fits the freed slot
+  for (;;) {
+    const entry = await WaitlistEntry.findOneAndUpdate(
+      { doctorId, date, status: 'waiting', _id: { $nin: skipped } },
+      { $set: { status: 'offered' } },
+      { sort: { createdAt: 1 }, new: true }
+    );
+    if (!entry) return null;
+
+    const { availableSlots } = await getSlotsForDate(doctor, date, { type: entry.type, template });
+    if (!availableSlots.includes(time)) {
+      // The slot is too short for this entry's appointment type; keep their place
+      entry.status = 'waiting';
+      await entry.save();
+      skipped.push(entry._id);
+      continue;
+    }
+
+    const appointmentId = new mongoose.Types.ObjectId();
+    const reserved = await reserveSlot({
+      doctorId,
+      date,
+      time,
+      duration: getAppointmentDuration(template, entry.type),
+      slotDuration: template.slotDuration,
+      appointmentId
+    });
+
+    if (!reserved) {
+      // Someone booked the slot in the meantime
+      entry.status = 'waiting';
+      await entry.save();
+      return null;
+    }
+
+    const offeredAt = new Date();
+    entry.offer = {
+      time,
+      appointmentId,
+      token: crypto.randomBytes(24).toString('hex'),
+      offeredAt,
+      expiresAt: new Date(offeredAt.getTime() + OFFER_MINUTES * 60 * 1000)
+    };
+    entry.offerCount += 1;
+    await entry.save();
+
+    await notifyOffer(entry);
+    return entry;
+  }
+};
+
+/**
+ * Ends an outstanding offer, frees the held slot and passes it on. The
+ * entry is only closed if it is still 'offered' in the database, so an
+ * accept that got there first keeps its slot.
+ * @param {Object} entry - Waitlist entry as loaded with status 'offered'
+ * @param {string} status - 'declined', 'expired' or 'cancelled'
+ * @returns {Promise<Object|null>} The closed entry, or null when the offer was no longer open
+ */
+const closeOffer = async (entry, status) => {
+  const closed = await WaitlistEntry.findOneAndUpdate(
+    { _id: entry._id, status: 'offered' },
+    { $set: { status, 'offer.respondedAt': new Date() } },
+    { new: true }
+  );
+  if (!closed) return null;
+
+  const { time, appointmentId } = closed.offer || {};
+  if (appointmentId) {
+    await releaseSlot(appointmentId);
+  }
+
+  await offerFreedSlot({ doctorId: closed.doctorId, date: closed.date, time });
+  return closed;
+};
+
+/**
+ * Expires offers whose response window has passed and moves each slot on
+ * to the next patient in line
+ * @returns {Promise<number>} Number of offers expired
+ */
+const expireOffers = async () => {
+  const expired = await WaitlistEntry.find({
+    status: 'offered',
+    'offer.expiresAt': { $lte: new Date() }
+  });
+
+  let count = 0;
+  for (const entry of expired) {
+    try {
+      if (await closeOffer(entry, 'expired')) count += 1;
+    } catch (error) {
+      console.error(`Error expiring waitlist offer ${entry._id}:`, error);
+    }
+  }
+
+  return count;
+};
+
+/**
+ * Finishes accepts that stopped between claiming the offer and recording
+ * the result, e.g. because the process died. If the appointment was
+ * created the entry is marked accepted; otherwise the offer is reopened,
+ * and expires as usual if its time is up.
+ * @returns {Promise<number>} Number of entries recovered
+ */
+const recoverStalledAccepts = async () => {
+  const cutoff = new Date(Date.now() - ACCEPT_TIMEOUT_MINUTES * 60 * 1000);
+  const stalled = await WaitlistEntry.find({
+    status: 'accepting',
+    'offer.acceptingAt': { $lte: cutoff }
+  });
+
+  let count = 0;
+  for (const entry of stalled) {
+    try {
+      const booked = await Appointment.exists({ _id: entry.offer.appointmentId });
+      const update = booked
+        ? { status: 'accepted', 'offer.respondedAt': new Date() }
+        : { status: 'offered' };
+      const result = await WaitlistEntry.updateOne({ _id: entry._id, status: 'accepting' }, { $set: update });
+      count += result.modifiedCount;
+    } catch (error) {
+      console.error(`Error recovering waitlist accept ${entry._id}:`, error);
+    }
+  }
+
+  return count;
+};
+
+module.exports = {
+  OFFER_MINUTES,
+  offerFreedSlot,
+  closeOffer,
+  expireOffers,
+  recoverStalledAccepts
+};